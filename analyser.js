@@ -220,6 +220,7 @@ function getLatestLastDividend({ dir = "." } = {}) {
 module.exports = {
   getLatestUpComingEarningReleaseEvent,
   getLatestLastDividend,
+  extractLatestUpcomingEarningsRelease,
 };
 
 /** ---------- CLI runner ---------- **/
@@ -1,21 +1,14 @@
-// anual_result.js (CommonJS)
+// annual_results.js (CommonJS)
 // Scrapes ONLY the "Annual results" card: dynamic header years + per-metric Released/Forecast/Spread.
-// Prints JSON to stdout and writes anual_results.json
+// Library use: getAnnualResults(companyCode, options) -> no file writes unless options.sinks is given.
 //
-// Usage: node anual_result.js
+// CLI: node annual_results.js <COMPANY_CODE> [--json=out.json] [--flat] [--static]
 
-const axios = require("axios");
-const cheerio = require("cheerio");
-const fs = require("fs");
-const path = require("path");
-
-// Example calendar page (Bank of Baroda)
-const CALENDAR_URL =
-  "https://in.marketscreener.com/quote/stock/ITC-LIMITED-9743470/calendar/";
-
-const WRITE_JSON = true;
-const USE_PUPPETEER = true;
-const JSON_PATH = path.resolve(__dirname, "anual_results.json");
+const { loadOrFetchHtml } = require("./common/fixture_store");
+const { loadDom } = require("./common/ms_shared_page");
+const { makeCalendarUrl, fetchMarketScreenerHtml } = require("./common/ms_page_fetch");
+const { closeSharedBrowserPool } = require("./common/browser_pool");
+const { emitToSinks, jsonFileSink } = require("./common/output_sinks");
 
 // ---------- utils ----------
 const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
@@ -54,8 +47,8 @@ function findAnnualResultsCardRoot($) {
   return chosen || $();
 }
 
-function extractAnnualResultsFromHTML(url, html) {
-  const $ = cheerio.load(html);
+function extractAnnualResultsFromHTML(url, htmlOrDom) {
+  const $ = loadDom(htmlOrDom);
   const cardRoot = findAnnualResultsCardRoot($);
   if (!cardRoot || !cardRoot.length) return { rows: [], years: [] };
 
@@ -135,66 +128,27 @@ function extractAnnualResultsFromHTML(url, html) {
   return { rows: out, years };
 }
 
-// ---------- Static (Axios) ----------
-async function scrapeStatic(url) {
-  const client = axios.create({
-    headers: {
-      "User-Agent":
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0 Safari/537.36",
-      Accept: "text/html,application/xhtml+xml",
-      "Accept-Language": "en-IN,en;q=0.9",
-      Referer: url,
-    },
-    timeout: 30000,
-    maxRedirects: 5,
-    validateStatus: (s) => s >= 200 && s < 400,
-  });
-
-  const { data: html } = await client.get(url);
-  return extractAnnualResultsFromHTML(url, html);
-}
-
-// ---------- Dynamic (Puppeteer) ----------
-async function scrapeDynamic(url) {
-  const puppeteer = require("puppeteer");
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage", "--disable-gpu"],
-  });
-
-  try {
-    const page = await browser.newPage();
-    await page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0 Safari/537.36"
-    );
-    await page.setExtraHTTPHeaders({ "Accept-Language": "en-IN,en;q=0.9" });
-    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 60000 });
-
-    let tableHandle = await page.$("#anualResultsTable");
-    if (!tableHandle) {
-      const handle = await page.evaluateHandle(() => {
-        const cards = Array.from(document.querySelectorAll("div.card"));
-        for (const card of cards) {
-          const h3 = card.querySelector(".card-header h3");
-          if (h3 && /annual\s+results/i.test(h3.textContent || "")) {
-            const t = card.querySelector("#anualResultsTable");
-            if (t) return t;
-          }
+// ---------- Dynamic (Puppeteer) page nudges ----------
+async function interactAnnualResults(page) {
+  let tableHandle = await page.$("#anualResultsTable");
+  if (!tableHandle) {
+    const handle = await page.evaluateHandle(() => {
+      const cards = Array.from(document.querySelectorAll("div.card"));
+      for (const card of cards) {
+        const h3 = card.querySelector(".card-header h3");
+        if (h3 && /annual\s+results/i.test(h3.textContent || "")) {
+          const t = card.querySelector("#anualResultsTable");
+          if (t) return t;
         }
-        return null;
-      });
-      const elem = await handle.asElement();
-      if (elem) tableHandle = elem;
-    }
-
-    await sleep(800);
-    const html = await page.content();
-    return extractAnnualResultsFromHTML(url, html);
-  } finally {
-    try { await browser.close(); } catch (_) {}
+      }
+      return null;
+    });
+    const elem = await handle.asElement();
+    if (elem) tableHandle = elem;
   }
-}
 
+  await sleep(800);
+}
 
 function groupByYearAndMetric(results) {
   const out = {};
@@ -207,55 +161,67 @@ function groupByYearAndMetric(results) {
   return out;
 }
 
-// // ---------- main ----------
-// (async function main() {
-//   try {
-//     const { rows, years } = USE_PUPPETEER
-//       ? await scrapeDynamic(CALENDAR_URL)
-//       : await scrapeStatic(CALENDAR_URL);
-
-//     const payload = { years, count: rows.length, results: rows };
-
-//     // 1) Print original structure to stdout (unchanged)
-//     console.log(JSON.stringify(payload, null, 2));
-
-//     // 2) Save grouped-by-year-and-metric to file
-//     if (WRITE_JSON) {
-//       const grouped = groupByYearAndMetric(rows);
-//       fs.writeFileSync(JSON_PATH, JSON.stringify(grouped, null, 2), "utf8");
-//       console.error(`✅ Annual Results (grouped) JSON written: ${JSON_PATH}`);
-//     }
-//   } catch (err) {
-//     console.error("❌ Failed to scrape:", err?.message || err);
-//     process.exit(2);
-//   }
-// })();
-
-
-
-async function getAnnualResults(companyCode) {
-  const url = `https://in.marketscreener.com/quote/stock/${companyCode}/calendar/`;
+/**
+ * Fetch the "Annual results" card for a company.
+ * @param {string} companyCode - e.g. "ITC-LIMITED-9743470"
+ * @param {Object} [options]
+ * @param {boolean} [options.usePuppeteer=true] - false falls back to Axios+Cheerio (no JS)
+ * @param {Object} [options.pool] - browser pool to borrow a page from (see common/browser_pool.js)
+ * @param {import("puppeteer").Browser} [options.browser] - reuse an open browser (left open)
+ * @param {number} [options.timeoutMs] - navigation/request timeout
+ * @param {boolean} [options.grouped=true] - { [year]: { [metric]: row } }, else { years, count, results }
+ * @param {Array<Function>} [options.sinks] - output sinks (see common/output_sinks.js)
+ * @param {{mode?: string, dir?: string}} [options.fixtures] - record/replay config (see common/fixture_store.js)
+ * @param {{url: string, $: Function}} [options.prefetched] - already-loaded calendar page; skips fetching (see common/ms_shared_page.js)
+ * @returns {Promise<object|null>}
+ */
+async function getAnnualResults(companyCode, options = {}) {
+  const { grouped = true, sinks, fixtures, prefetched } = options;
+  const url = prefetched?.url || makeCalendarUrl(companyCode);
 
   try {
-    const { rows, years } = USE_PUPPETEER
-      ? await scrapeDynamic(url)
-      : await scrapeStatic(url);
+    const dom = prefetched?.$ || await loadOrFetchHtml(
+      { companyCode, section: "annual_results", url, fixtures, fallbackSections: ["calendar"] },
+      () => fetchMarketScreenerHtml(url, options, interactAnnualResults)
+    );
+    const { rows, years } = extractAnnualResultsFromHTML(url, dom);
 
-    if (WRITE_JSON) {
-      return groupByYearAndMetric(rows);
-    }
-    return {
-      years,
-      count: rows.length,
-      results: rows,
-    };
+    const payload = grouped
+      ? groupByYearAndMetric(rows)
+      : { years, count: rows.length, results: rows };
+
+    await emitToSinks(sinks, payload, { companyCode, section: "annual_results", url });
+    return payload;
   } catch (err) {
     console.error(`❌ Failed to scrape:`, err?.message || err);
     return null;
   }
 }
 
+// ---------- CLI ----------
+if (require.main === module) {
+  (async () => {
+    const args = require("minimist")(process.argv.slice(2));
+    const companyCode = args._[0];
+    if (!companyCode) {
+      console.error("Usage: node annual_results.js <COMPANY_CODE> [--json=out.json] [--flat] [--static]");
+      process.exit(1);
+    }
+
+    const payload = await getAnnualResults(companyCode, {
+      usePuppeteer: !args.static,
+      grouped: !args.flat,
+      sinks: args.json ? [jsonFileSink(String(args.json))] : [],
+    });
+    await closeSharedBrowserPool();
+    if (!payload) process.exit(2);
+    console.log(JSON.stringify(payload, null, 2));
+  })();
+}
+
 // Export function for use in other scripts
 module.exports = {
   getAnnualResults,
+  extractAnnualResultsFromHTML,
+  interactAnnualResults,
 };
\ No newline at end of file
@@ -12,10 +12,10 @@
 //
 // Output: prints JSON to stdout
 
-const axios = require("axios");
 const cheerio = require("cheerio");
 const fs = require("fs");
 const path = require("path");
+const http = require("../common/http_client");
 
 const BASE = "https://www.bseindia.com";
 const LIST_URL = `${BASE}/corporates/comp_results.aspx`;
@@ -24,11 +24,8 @@ const LIST_URL = `${BASE}/corporates/comp_results.aspx`;
 const OUTPUT_DIR = path.resolve(__dirname, "../data/bse/resultEvents");
 
 // ---------- dialing knobs ----------
-const SOFT_RATE_LIMIT_MS = 900 + Math.floor(Math.random() * 400); // 0.9–1.3s
+// Pacing, backoff and the block circuit breaker live in common/http_client (bseindia.com policy)
 const MAX_ATTEMPTS = 6; // total attempts per PID
-const SHORT_BACKOFF_MS = (attempt) => 800 * attempt; // for normal transient errors
-const LONG_BLOCK_WAIT_MS = 60_000; // 60s when we detect bot block
-const LONG_BLOCK_JITTER_MS = 5_000; // + up to 5s jitter
 
 const USER_AGENTS = [
   "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
@@ -36,10 +33,6 @@ const USER_AGENTS = [
   "Mozilla/5.0 (Macintosh; Intel Mac OS X 13_6) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15",
 ];
 
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
-
 function clean(t) {
   return (t || "")
     .replace(/\u00A0/g, " ")
@@ -70,59 +63,26 @@ function looksLikeBlock(status, html) {
   );
 }
 
-async function fetchPage(code, pid, attempt = 1) {
+async function fetchPage(code, pid) {
   const url = `${LIST_URL}?Code=${encodeURIComponent(code)}&PID=${encodeURIComponent(pid)}`;
-  const ua = USER_AGENTS[(attempt - 1) % USER_AGENTS.length];
   try {
-    const res = await axios.get(url, {
-      timeout: 30_000,
-      headers: {
-        "User-Agent": ua,
+    return await http.getText(url, {
+      timeoutMs: 30_000,
+      retries: MAX_ATTEMPTS - 1,
+      waitForCircuit: true,
+      headers: (attempt) => ({
+        "User-Agent": USER_AGENTS[(attempt - 1) % USER_AGENTS.length],
         "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
         "Accept-Language": "en-US,en;q=0.9",
         "Referer": `${LIST_URL}?Code=${encodeURIComponent(code)}&PID=1`,
         "Cache-Control": "no-cache",
         "Pragma": "no-cache",
         "Upgrade-Insecure-Requests": "1",
-      },
-      maxRedirects: 5,
-      validateStatus: (s) => s >= 200 && s < 500, // allow us to see 4xx
+      }),
+      isBlocked: (res) => looksLikeBlock(res.status, res.data),
     });
-
-    // If it looks like a bot block, do a long wait + retry
-    if (looksLikeBlock(res.status, res.data)) {
-      if (attempt >= MAX_ATTEMPTS) {
-        throw new Error(`Blocked by BSE/WAF (status ${res.status}) after ${attempt} attempts`);
-      }
-      const wait = LONG_BLOCK_WAIT_MS + Math.floor(Math.random() * LONG_BLOCK_JITTER_MS);
-      console.warn(`[BLOCK] ${url}  status=${res.status}  waiting ${Math.round(wait / 1000)}s then retrying...`);
-      await sleep(wait);
-      return fetchPage(code, pid, attempt + 1);
-    }
-
-    // Otherwise treat 2xx/3xx as OK
-    if (res.status >= 200 && res.status < 400) {
-      return res.data;
-    }
-
-    // Non-block 4xx/5xx: short backoff and retry
-    if (attempt < MAX_ATTEMPTS) {
-      const wait = SHORT_BACKOFF_MS(attempt);
-      console.warn(`[RETRY] ${url}  status=${res.status}  waiting ${wait}ms...`);
-      await sleep(wait);
-      return fetchPage(code, pid, attempt + 1);
-    }
-
-    throw new Error(`HTTP ${res.status} after ${attempt} attempts`);
   } catch (e) {
-    // Network/timeouts: retry with short backoff
-    if (attempt < MAX_ATTEMPTS) {
-      const wait = SHORT_BACKOFF_MS(attempt);
-      console.warn(`[ERROR] ${url}  ${e.message}  waiting ${wait}ms...`);
-      await sleep(wait);
-      return fetchPage(code, pid, attempt + 1);
-    }
-    throw new Error(`Failed to fetch PID=${pid} after ${attempt} attempts: ${e.message}`);
+    throw new Error(`Failed to fetch PID=${pid}: ${e.message}`);
   }
 }
 
@@ -238,9 +198,6 @@ async function scrapeRange(code, pidStart = 1, pidEnd = pidStart) {
         ms: Date.now() - startTs,
       });
     }
-
-    // polite global rate limit
-    await sleep(SOFT_RATE_LIMIT_MS);
   }
 
   return out;
@@ -13,7 +13,7 @@
 // - NBFC Standalone:   NBFC.aspx?Code=...&qtr=...&Rtype=P
 // - NBFC Consolidated: NBFC_Consolidated.aspx?Code=...&qtr=...&Rtype=P
 
-const axios = require('axios');
+const http = require('../common/http_client');
 const cheerio = require('cheerio');
 const quarter_parser = require('./bse_quarterly_results_parser');
 
@@ -204,14 +204,12 @@ async function fetchQuarterPage({ companyCode, qtrCode, rType = 'c' }) {
     url = `${BSE_BASE_RESULTS}?${new URLSearchParams(params).toString()}`;
   }
 
-  const res = await axios.get(url, {
+  const html = await http.getText(url, {
     headers: { 'User-Agent': UA, Referer: 'https://www.bseindia.com/', Accept: 'text/html,*/*' },
-    timeout: 30000,
-    transformResponse: (d) => d,
-    validateStatus: (s) => s >= 200 && s < 400,
+    timeoutMs: 30000,
+    waitForCircuit: true,
   });
 
-  const html = res.data;
   const $ = cheerio.load(html);
 
   // Try known ids in order: regular first, then NBFC grid, then heuristic fallback
@@ -269,7 +267,8 @@ function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
-async function fetchBseQuarterRange({ companyCode, from, to, rType = 'c', throttleMs = 800 }) {
+// Requests are already paced by the shared bseindia.com bucket; throttleMs adds an extra pause
+async function fetchBseQuarterRange({ companyCode, from, to, rType = 'c', throttleMs = 0 }) {
   const nbfc = isNbfc(companyCode);
   const results = [];
 
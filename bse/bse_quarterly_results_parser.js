@@ -40,9 +40,18 @@ function _rollingWindowBounds(i, n, win) {
   return [0, end];
 }
 
+// totalShares: one count for every quarter, or a function (row, index) -> count for that quarter
+function _sharesFor(totalShares, row, i) {
+  const n = typeof totalShares === 'function' ? totalShares(row, i) : totalShares;
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+function _sharesInputs(totalShares) {
+  return typeof totalShares === 'function' ? 'per-quarter' : (totalShares || null);
+}
+
 function computeSmoothEPS(rows, totalShares) {
   if (!Array.isArray(rows) || !rows.length) {
-    return { rowsWithSmooth: [], inputs: { reason: 'no-rows', totalShares } };
+    return { rowsWithSmooth: [], inputs: { reason: 'no-rows', totalShares: _sharesInputs(totalShares) } };
   }
   const CRORE_TO_RS = 1e7;
   const n = rows.length;
@@ -73,9 +82,8 @@ function computeSmoothEPS(rows, totalShares) {
                        - (Number.isFinite(medInt) ? medInt : 0);
 
     const earningAfterTaxRs = earningCrore * CRORE_TO_RS * taxMultiplier;
-    const epsSmooth = (totalShares && totalShares > 0)
-      ? (earningAfterTaxRs / totalShares)
-      : null;
+    const shares = _sharesFor(totalShares, rows[i], i);
+    const epsSmooth = shares ? (earningAfterTaxRs / shares) : null;
 
     rowsWithSmooth.push({
       ...rows[i],
@@ -92,6 +100,7 @@ function computeSmoothEPS(rows, totalShares) {
       medianDepreciation: Number.isFinite(medDep) ? medDep : 0,
       medianInterest: Number.isFinite(medInt) ? medInt : 0,
       avgTaxPercent: Number.isFinite(avgTaxPct) ? Number(avgTaxPct.toFixed(2)) : 0,
+      shares,
     });
   }
 
@@ -99,7 +108,7 @@ function computeSmoothEPS(rows, totalShares) {
     rowsWithSmooth,
     inputs: {
       mode: 'rolling6',
-      totalShares: totalShares || null,
+      totalShares: _sharesInputs(totalShares),
       perRow: perRowStats,
     },
   };
@@ -108,7 +117,7 @@ function computeSmoothEPS(rows, totalShares) {
 // ---------- EPS smoothing for bank-like entities (Bank + NBFC) ----------
 function computeBankSmoothEPS(rows, totalShares) {
   if (!Array.isArray(rows) || !rows.length) {
-    return { rowsWithSmooth: [], inputs: { reason: 'no-rows', totalShares } };
+    return { rowsWithSmooth: [], inputs: { reason: 'no-rows', totalShares: _sharesInputs(totalShares) } };
   }
   const CRORE_TO_RS = 1e7;
 
@@ -122,9 +131,8 @@ function computeBankSmoothEPS(rows, totalShares) {
     const netProfitCrore = Number(row['Net Profit']); // in crore
     const earningRs = (Number.isFinite(netProfitCrore) ? netProfitCrore : 0) * CRORE_TO_RS;
 
-    const epsSmooth = (totalShares && totalShares > 0)
-      ? (earningRs / totalShares)
-      : null;
+    const shares = _sharesFor(totalShares, row, i);
+    const epsSmooth = shares ? (earningRs / shares) : null;
 
     rowsWithSmooth.push({
       ...row,
@@ -136,6 +144,7 @@ function computeBankSmoothEPS(rows, totalShares) {
       quarter: row?.Quarter ?? null,
       netProfitCrore: Number.isFinite(netProfitCrore) ? netProfitCrore : 0,
       usedTaxPercent: null, // explicit: no tax applied
+      shares,
     });
   }
 
@@ -143,7 +152,7 @@ function computeBankSmoothEPS(rows, totalShares) {
     rowsWithSmooth,
     inputs: {
       mode: 'bank-netprofit-direct',
-      totalShares: totalShares || null,
+      totalShares: _sharesInputs(totalShares),
       perRow: perRowStats,
     },
   };
@@ -197,10 +206,25 @@ function parseStockConsolidated(inputJson, opts = {}) {
   };
 }
 
+// Per-quarter share count: the count in force at quarter end, on today's share basis
+// (splits / bonus after it multiplied in, like the split-adjusted 'EPS in Rs'), so splits don't
+// show up as EPS drops while issuance and buybacks do.
+function _sharesResolverFromHistory(history, sharesAt) {
+  const { quarterEndDate } = require('../common/corporate_actions');
+  const { toISTDateKey } = require('../common/trading_calendar');
+  const asOf = toISTDateKey(Date.now());
+  return (row) => {
+    const end = quarterEndDate(row?.Quarter);
+    return end ? sharesAt(history, end, { asOf }) : null;
+  };
+}
+
 /**
  * parseStockConsolidatedWithSmooth:
  * - Non-bank: rolling-window OP-based smoothing
  * - Bank & NBFC: use Net Profit directly (no tax re-application)
+ * - Shares: opts.totalShares (number or (row, i) -> count) when given; otherwise the
+ *   per-quarter count from common/share_history, falling back to the latest MS count
  */
 async function parseStockConsolidatedWithSmooth(inputJson, opts = {}) {
   const {
@@ -209,6 +233,7 @@ async function parseStockConsolidatedWithSmooth(inputJson, opts = {}) {
     autoResolveShares = true,
     companyInfoModulePath = '../evaluator/companyInfoParser',
     sharesFetcherModulePath = '../getLatestOutstandingShare',
+    shareHistoryModulePath = '../common/share_history',
   } = opts;
 
   const parsed = parseStockConsolidated(inputJson, { unit });
@@ -224,13 +249,20 @@ async function parseStockConsolidatedWithSmooth(inputJson, opts = {}) {
       const { getNseSymbolFromBseCompanyCode, getMarketScreenerFromNse } = companyInfo;
       const { getLatestOutstandingShare } = require(sharesFetcherModulePath);
 
+      const { getShareHistory, sharesAt } = require(shareHistoryModulePath);
+
       const nse = getNseSymbolFromBseCompanyCode(String(inputJson.companyCode));
       const ms  = nse ? getMarketScreenerFromNse(nse) : null;
-      const fetchedShares = ms ? await getLatestOutstandingShare(ms) : null;
+      const history = nse && ms ? await getShareHistory(nse, { msCode: ms }) : null;
 
-      sharesToUse = fetchedShares || null;
+      if (history?.steps?.length) {
+        sharesToUse = _sharesResolverFromHistory(history, sharesAt);
+      } else {
+        const fetchedShares = ms ? await getLatestOutstandingShare(ms) : null;
+        sharesToUse = fetchedShares || null;
+      }
       shareSource = {
-        source: 'marketscreener',
+        source: history?.steps?.length ? 'share-history' : 'marketscreener',
         nseSymbol: nse || null,
         marketScreenerCode: ms || null,
         error: null,
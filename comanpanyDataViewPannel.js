@@ -1,10 +1,13 @@
 // comanpanyDataViewPannel.js
 // Usage: node comanpanyDataViewPannel.js path/to/data.json
 // Starts a web server on port 3000 and renders your dataset in the browser.
+// /screener ranks the stored performance rows of all companies for a quarter (evaluator/screener.js):
+//   /screener?quarter=2025-Sep&by=eps_yoy&cap=large&top=20   (/screener/data = same as JSON, &format=csv)
 
 const fs = require('fs');
 const path = require('path');
 const express = require('express');
+const { screen, toCSV } = require('./evaluator/screener');
 
 const PORT = 3000;
 
@@ -551,6 +554,122 @@ app.get('/', (req, res) => {
 </html>`);
 });
 
+// Screener data: leaderboard for a quarter (see evaluator/screener.js for the options)
+function screenerOptions(q) {
+  const num = (v) => (v === undefined || v === '' ? undefined : Number(v));
+  return {
+    quarter: q.quarter || undefined,
+    by: q.by || undefined,
+    sector: q.sector || undefined,
+    industry: q.industry || undefined,
+    cap: q.cap || undefined,
+    min: num(q.min),
+    top: num(q.top),
+    asc: q.asc === '1' || q.asc === 'true',
+  };
+}
+
+app.get('/screener/data', async (req, res) => {
+  try {
+    const board = await screen(screenerOptions(req.query));
+    if (req.query.format === 'csv') return res.type('text/csv').send(toCSV(board));
+    res.json(board);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// Screener UI
+app.get('/screener', (req, res) => {
+  res.type('html').send(`<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>Screener</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <style>
+    body { margin: 0; font: 15px/1.45 system-ui, -apple-system, Segoe UI, Roboto, sans-serif; color: #e9eef4; background: #0b0f14; }
+    .wrap { padding: 24px; max-width: 1400px; margin: 0 auto; }
+    h1 { margin: 0 0 16px; font-size: 26px; }
+    form { display: flex; gap: 10px; flex-wrap: wrap; align-items: end; margin-bottom: 16px; }
+    label { display: flex; flex-direction: column; gap: 4px; color: #a7b3bf; font-size: 12px; text-transform: uppercase; letter-spacing: .06em; }
+    input, select, button { background: #121a22; color: #e9eef4; border: 1px solid #1a2530; border-radius: 8px; padding: 6px 10px; font: inherit; }
+    button { cursor: pointer; border-color: #46c2ff; }
+    .meta { color: #a7b3bf; margin-bottom: 10px; }
+    .table { width: 100%; border-collapse: separate; border-spacing: 0; background: #121a22; border-radius: 14px; }
+    .table th, .table td { padding: 8px 12px; text-align: right; }
+    .table th:nth-child(2), .table td:nth-child(2) { text-align: left; }
+    .table thead th { background: #0f1620; border-bottom: 1px solid #1a2530; position: sticky; top: 0; }
+    .table tbody tr:nth-child(odd) td { background: #0e151c; }
+    .pos { color: #7dffb3; } .neg { color: #ff8ea1; } .err { color: #ffb3c0; }
+  </style>
+</head>
+<body>
+  <div class="wrap">
+    <h1>Screener</h1>
+    <form id="f">
+      <label>Quarter <select name="quarter" id="quarter"><option value="">latest</option></select></label>
+      <label>Rank by <input name="by" list="presets" placeholder="final_score" size="28" /></label>
+      <datalist id="presets">
+        <option value="final_score"></option><option value="price_score"></option><option value="sector_score"></option><option value="eps_yoy"></option>
+        <option value="sales_yoy"></option><option value="pe"></option><option value="surprise"></option>
+      </datalist>
+      <label>Sector <input name="sector" size="14" /></label>
+      <label>Industry <input name="industry" size="14" /></label>
+      <label>Cap <select name="cap"><option value="">all</option><option>large</option><option>mid</option><option>small</option></select></label>
+      <label>Min <input name="min" size="6" /></label>
+      <label>Top <input name="top" size="4" value="50" /></label>
+      <label>Asc <select name="asc"><option value="">no</option><option value="1">yes</option></select></label>
+      <button type="submit">Run</button>
+      <a id="csv" style="color:#46c2ff">CSV</a>
+    </form>
+    <div class="meta" id="meta"></div>
+    <table class="table">
+      <thead><tr><th>#</th><th>Symbol</th><th>Value</th><th>Final</th><th>Price</th><th>vs Sector</th><th>EPS YoY %</th><th>Sales YoY %</th><th>PE</th><th>MCap (Cr)</th><th>Cap</th><th>Sector</th><th>Industry</th></tr></thead>
+      <tbody id="rows"></tbody>
+    </table>
+  </div>
+  <script>
+    const form = document.getElementById('f');
+    const esc = (v) => String(v ?? '—').replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    const signed = (v) => v == null ? '—' : '<span class="' + (v >= 0 ? 'pos' : 'neg') + '">' + v + '</span>';
+
+    // form <-> query string
+    const params = new URLSearchParams(location.search);
+    for (const [k, v] of params) if (form.elements[k]) form.elements[k].value = v;
+
+    async function run() {
+      const qs = new URLSearchParams([...new FormData(form)].filter(([, v]) => v !== '')).toString();
+      history.replaceState(null, '', '/screener' + (qs ? '?' + qs : ''));
+      document.getElementById('csv').href = '/screener/data?' + qs + (qs ? '&' : '') + 'format=csv';
+      const res = await fetch('/screener/data?' + qs, { cache: 'no-store' });
+      const board = await res.json();
+      if (!res.ok) {
+        document.getElementById('meta').innerHTML = '<span class="err">' + esc(board.error) + '</span>';
+        document.getElementById('rows').innerHTML = '';
+        return;
+      }
+      const sel = document.getElementById('quarter');
+      if (sel.options.length === 1) {
+        for (const q of [...board.quarters].reverse()) sel.add(new Option(q, q));
+        sel.value = params.get('quarter') || '';
+      }
+      document.getElementById('meta').textContent =
+        board.quarter + ' · ranked by ' + board.params.by + ' · ' + board.rows.length + ' of ' + board.universe + ' companies';
+      document.getElementById('rows').innerHTML = board.rows.map((r) =>
+        '<tr><td>' + r.rank + '</td><td>' + esc(r.symbol) + '</td><td>' + esc(r.value) + '</td><td>' + signed(r.final_score) +
+        '</td><td>' + signed(r.price_score) + '</td><td>' + signed(r.sector_score) + '</td><td>' + signed(r.eps_yoy_pct) + '</td><td>' + signed(r.sales_yoy_pct) +
+        '</td><td>' + esc(r.pe) + '</td><td>' + esc(r.market_cap_crore) + '</td><td>' + esc(r.cap) + '</td><td>' + esc(r.sector) + '</td><td>' + esc(r.industry) + '</td></tr>'
+      ).join('');
+    }
+
+    form.addEventListener('submit', (e) => { e.preventDefault(); run(); });
+    run();
+  </script>
+</body>
+</html>`);
+});
+
 app.listen(PORT, () => {
   console.log(`🚀 Company Data View Panel running at http://localhost:${PORT}`);
 });
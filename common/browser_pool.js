@@ -0,0 +1,262 @@
+// common/browser_pool.js
+// Pooled Puppeteer browser/page manager shared by the MarketScreener scrapers.
+//
+// - One Chromium per pool, launched lazily and relaunched if it dies
+// - At most `maxPages` pages in use; extra borrowers wait in FIFO order
+// - Pages are recycled (closed + replaced) after `maxUsesPerPage` borrows
+// - Optional idle auto-close so library callers don't keep a browser alive forever
+// - Closes cleanly on SIGINT/SIGTERM when `handleSignals` is on
+//
+// Usage:
+//   const { createBrowserPool } = require("./common/browser_pool");
+//   const pool = createBrowserPool({ maxPages: 4 });
+//   const html = await pool.withPage(async (page) => {
+//     await page.goto(url);
+//     return page.content();
+//   });
+//   await pool.close();
+
+const DEFAULT_LAUNCH_ARGS = [
+  "--no-sandbox",
+  "--disable-setuid-sandbox",
+  "--disable-dev-shm-usage",
+  "--disable-gpu",
+];
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.maxPages=4]         - pages in use at the same time
+ * @param {number} [options.maxUsesPerPage=25]  - recycle a page after this many borrows
+ * @param {number} [options.idleCloseMs=0]      - close the browser after this long unused (0 = never)
+ * @param {boolean} [options.handleSignals=true] - close on SIGINT/SIGTERM
+ * @param {Object} [options.launchOptions]      - forwarded to puppeteer.launch
+ * @param {string} [options.name="pool"]        - label for logs
+ */
+function createBrowserPool(options = {}) {
+  const {
+    maxPages = 4,
+    maxUsesPerPage = 25,
+    idleCloseMs = 0,
+    handleSignals = true,
+    launchOptions = {},
+    name = "pool",
+  } = options;
+
+  let browser = null;
+  let launching = null;
+  let closed = false;
+  let idleTimer = null;
+
+  const idle = [];     // [{ page, uses }]
+  const waiters = [];  // resolve fns waiting for a slot
+  let busy = 0;
+
+  const counters = { launches: 0, pagesCreated: 0, pagesRecycled: 0, borrows: 0 };
+
+  // ---------- browser lifecycle ----------
+  async function ensureBrowser() {
+    if (browser && browser.isConnected()) return browser;
+    if (launching) return launching;
+
+    launching = (async () => {
+      const puppeteer = require("puppeteer");
+      const b = await puppeteer.launch({
+        headless: true,
+        args: DEFAULT_LAUNCH_ARGS,
+        ...launchOptions,
+      });
+      counters.launches++;
+      b.on("disconnected", () => {
+        if (browser === b) {
+          browser = null;
+          idle.length = 0; // pages died with the browser
+        }
+      });
+      browser = b;
+      return b;
+    })();
+
+    try {
+      return await launching;
+    } finally {
+      launching = null;
+    }
+  }
+
+  function clearIdleTimer() {
+    if (idleTimer) {
+      clearTimeout(idleTimer);
+      idleTimer = null;
+    }
+  }
+
+  function armIdleTimer() {
+    if (!idleCloseMs || busy > 0 || closed) return;
+    clearIdleTimer();
+    idleTimer = setTimeout(() => {
+      idleTimer = null;
+      if (busy === 0) closeBrowser().catch(() => {});
+    }, idleCloseMs);
+    if (idleTimer.unref) idleTimer.unref();
+  }
+
+  async function closeBrowser() {
+    const b = browser;
+    browser = null;
+    const pages = idle.splice(0);
+    for (const { page } of pages) {
+      try { await page.close(); } catch (_) {}
+    }
+    if (b) {
+      try { await b.close(); } catch (_) {}
+    }
+  }
+
+  // ---------- page slots ----------
+  async function acquireSlot() {
+    if (busy < maxPages) {
+      busy++;
+      return;
+    }
+    await new Promise((resolve) => waiters.push(resolve));
+    // the releasing borrower handed its slot over; busy already accounts for it
+  }
+
+  function releaseSlot() {
+    const next = waiters.shift();
+    if (next) {
+      next();
+      return;
+    }
+    busy--;
+    armIdleTimer();
+  }
+
+  async function takePage() {
+    const b = await ensureBrowser();
+    while (idle.length) {
+      const entry = idle.pop();
+      if (!entry.page.isClosed()) return entry;
+    }
+    const page = await b.newPage();
+    counters.pagesCreated++;
+    return { page, uses: 0 };
+  }
+
+  async function returnPage(entry, broken) {
+    entry.uses++;
+    const expired = entry.uses >= maxUsesPerPage;
+    if (broken || expired || closed || !browser || entry.page.isClosed()) {
+      if (expired) counters.pagesRecycled++;
+      try { await entry.page.close(); } catch (_) {}
+      return;
+    }
+    idle.push(entry);
+  }
+
+  // ---------- public API ----------
+
+  /**
+   * Borrow a page, run fn(page), and give the page back.
+   * A page whose fn threw is closed rather than reused.
+   * @template T
+   * @param {(page: import("puppeteer").Page) => Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  async function withPage(fn) {
+    if (closed) throw new Error(`Browser ${name} is closed`);
+    clearIdleTimer();
+    await acquireSlot();
+    if (closed) {
+      releaseSlot();
+      throw new Error(`Browser ${name} was closed while waiting for a page`);
+    }
+    counters.borrows++;
+
+    let entry = null;
+    let broken = false;
+    try {
+      entry = await takePage();
+      return await fn(entry.page);
+    } catch (err) {
+      broken = true;
+      throw err;
+    } finally {
+      if (entry) await returnPage(entry, broken);
+      releaseSlot();
+    }
+  }
+
+  /** Close every page and the browser. Borrowers still waiting for a slot get an error. */
+  async function close() {
+    if (closed) return;
+    closed = true;
+    clearIdleTimer();
+    detachSignals();
+    await closeBrowser();
+  }
+
+  function stats() {
+    return {
+      name,
+      connected: !!(browser && browser.isConnected()),
+      busy,
+      idlePages: idle.length,
+      waiting: waiters.length,
+      maxPages,
+      maxUsesPerPage,
+      ...counters,
+    };
+  }
+
+  // ---------- signals ----------
+  const onSignal = (signal) => {
+    close().finally(() => {
+      // Only exit ourselves when nobody else handles the signal
+      if (process.listenerCount(signal) === 0) {
+        process.exit(signal === "SIGINT" ? 130 : 143);
+      }
+    });
+  };
+
+  function detachSignals() {
+    if (!handleSignals) return;
+    process.removeListener("SIGINT", onSignal);
+    process.removeListener("SIGTERM", onSignal);
+  }
+
+  if (handleSignals) {
+    process.once("SIGINT", onSignal);
+    process.once("SIGTERM", onSignal);
+  }
+
+  return { withPage, close, stats };
+}
+
+// ---------- shared (process-wide) pool ----------
+let sharedPool = null;
+
+/**
+ * Process-wide pool used when a caller doesn't bring its own.
+ * Auto-closes its browser after 15s idle so one-off scripts can exit.
+ */
+function getSharedBrowserPool() {
+  if (!sharedPool) {
+    sharedPool = createBrowserPool({ name: "shared", idleCloseMs: 15_000 });
+  }
+  return sharedPool;
+}
+
+async function closeSharedBrowserPool() {
+  if (!sharedPool) return;
+  const p = sharedPool;
+  sharedPool = null;
+  await p.close();
+}
+
+module.exports = {
+  DEFAULT_LAUNCH_ARGS,
+  createBrowserPool,
+  getSharedBrowserPool,
+  closeSharedBrowserPool,
+};
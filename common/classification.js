@@ -0,0 +1,284 @@
+// common/classification.js
+// Sector / industry per company, so a quarter can be compared with its peers.
+//
+// Sources (merged; an imported entry wins, then BSE, then MarketScreener):
+//   bse             header JSON behind the BSE scrip page (ComHeadernew), BSE's four levels:
+//                   Sector = macro-economic sector, IndustryNew = sector, IGroup = industry,
+//                   ISubGroup = basic industry (older scrips only have "Industry")
+//   marketscreener  "Sector" block of the /company/ page, a chain like
+//                   "Technology > Software & IT Services > IT Services & Consulting"
+//                   (first = sector, last = industry)
+//   import          CSV (symbol,sector,industry[,basic_industry]) or JSON { SYMBOL: { sector, industry } }
+//                   for companies neither page classifies, or to override them
+//
+// Stored per NSE symbol in the "classification" collection (common/storage):
+//   { symbol, sector, industry, source, updatedAt, bse, marketscreener, imported }
+// and copied onto the company's common/company_registry record whenever it is fetched or imported.
+// companyInfoParser.applyClassifications(await loadClassifications()) puts sector / industry on
+// the company records.
+//
+// Usage:
+//   const { getClassification, loadClassifications } = require("./common/classification");
+//   const c = await getClassification("HDFCBANK", { bseCode: "500180", msCode: "HDFC-BANK-LIMITED-9743409" });
+//   const all = await loadClassifications(); // Map NSE symbol -> { sector, industry }
+//
+// CLI:
+//   node common/classification.js <NSE_SYMBOL> [--refresh]   (codes from common/company_registry)
+//   node common/classification.js --all [--refresh]
+//   node common/classification.js --import=<file.csv|file.json>
+
+const fs = require("fs");
+const cheerio = require("cheerio");
+const http = require("./http_client");
+const { getStorage } = require("./storage");
+const { loadOrFetchHtml } = require("./fixture_store");
+const { BASE_HOST, fetchMarketScreenerHtml } = require("./ms_page_fetch");
+const { updateClassifications } = require("./company_registry");
+
+const COLLECTION = "classification";
+const MAX_AGE_MS = 90 * 24 * 60 * 60 * 1000; // classifications rarely change
+const BSE_HEADER_URL = "https://api.bseindia.com/BseIndiaAPI/api/ComHeadernew/w";
+
+// ---------- parsing ----------
+const clean = (s) => {
+  const t = String(s ?? "").replace(/\u00A0/g, " ").replace(/\s+/g, " ").trim();
+  return t && t !== "-" && !/^n\/?a$/i.test(t) ? t : null;
+};
+
+/**
+ * BSE ComHeadernew JSON -> classification (null when it has none).
+ * @returns {{macroSector: string|null, sector: string|null, industry: string|null, basicIndustry: string|null}|null}
+ */
+function parseBseHeader(json) {
+  if (!json || typeof json !== "object") return null;
+  const out = {
+    macroSector: clean(json.Sector),
+    sector: clean(json.IndustryNew) || clean(json.Sector),
+    industry: clean(json.IGroup) || clean(json.Industry),
+    basicIndustry: clean(json.ISubGroup),
+  };
+  return out.sector || out.industry ? out : null;
+}
+
+/**
+ * MarketScreener /company/ page -> classification (null when the "Sector" block is missing).
+ * @param {string|import("cheerio").CheerioAPI} htmlOrDom
+ * @returns {{sector: string, industry: string, chain: string[]}|null}
+ */
+function parseMarketScreenerCompanyPage(htmlOrDom) {
+  const $ = typeof htmlOrDom === "function" ? htmlOrDom : cheerio.load(htmlOrDom || "");
+
+  const label = $("h2, h3, th, td, dt, span, div, p")
+    .filter((_, el) => clean($(el).text()) === "Sector")
+    .first();
+  if (!label.length) return null;
+
+  // the links right after the label (same container, else the next one)
+  let links = label.parent().find("a");
+  if (!links.length) links = label.next().find("a");
+  if (!links.length) links = label.parent().next().find("a");
+
+  const chain = [];
+  links.each((_, a) => {
+    const t = clean($(a).text());
+    if (t && !chain.includes(t)) chain.push(t);
+  });
+  if (!chain.length) return null;
+  return { sector: chain[0], industry: chain[chain.length - 1], chain };
+}
+
+/** CSV (header: symbol,sector,industry[,basic_industry]) or JSON map -> { SYMBOL: {...} } */
+function parseImport(text, file = "") {
+  if (/\.json$/i.test(file) || /^\s*[{[]/.test(text)) {
+    const json = JSON.parse(text);
+    const entries = Array.isArray(json) ? json.map((e) => [e.symbol, e]) : Object.entries(json);
+    return Object.fromEntries(
+      entries
+        .filter(([sym]) => clean(sym))
+        .map(([sym, e]) => [clean(sym).toUpperCase(), { sector: clean(e?.sector), industry: clean(e?.industry), basicIndustry: clean(e?.basicIndustry ?? e?.basic_industry) }])
+    );
+  }
+
+  const splitLine = (line) => line.match(/("([^"]|"")*"|[^,]*)(,|$)/g).map((c) => c.replace(/,$/, "").replace(/^"|"$/g, "").replace(/""/g, '"'));
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/).filter((l) => l.trim());
+  const header = splitLine(lines.shift() || "").map((h) => h.trim().toLowerCase());
+  const col = (name) => header.indexOf(name);
+  if (col("symbol") < 0 || (col("sector") < 0 && col("industry") < 0)) {
+    throw new Error(`${file || "import"}: header must have symbol and sector and/or industry`);
+  }
+  const out = {};
+  for (const line of lines) {
+    const cells = splitLine(line);
+    const sym = clean(cells[col("symbol")]);
+    if (!sym) continue;
+    out[sym.toUpperCase()] = {
+      sector: clean(cells[col("sector")]),
+      industry: clean(cells[col("industry")]),
+      basicIndustry: clean(cells[col("basic_industry")]),
+    };
+  }
+  return out;
+}
+
+/** Preferred sector / industry of a stored doc: imported, then BSE, then MarketScreener. */
+function resolveDoc(doc) {
+  for (const source of ["imported", "bse", "marketscreener"]) {
+    const c = doc?.[source];
+    if (c && (c.sector || c.industry)) {
+      return { ...doc, sector: c.sector || null, industry: c.industry || null, source };
+    }
+  }
+  return { ...doc, sector: null, industry: null, source: null };
+}
+
+// The stored doc stays the source; a registry that can't be written only costs a warning
+function syncRegistry(docs) {
+  try {
+    updateClassifications(docs);
+  } catch (err) {
+    console.warn(`⚠️ Company registry not updated with classifications: ${err?.message || err}`);
+  }
+}
+
+// ---------- fetch ----------
+async function fetchBse(bseCode) {
+  const url = `${BSE_HEADER_URL}?quotetype=EQ&scripcode=${encodeURIComponent(bseCode)}&seriesid=`;
+  const json = await http.getJSON(url, {
+    headers: { Referer: "https://www.bseindia.com/", Origin: "https://www.bseindia.com", Accept: "application/json" },
+  });
+  return parseBseHeader(json);
+}
+
+async function fetchMarketScreener(msCode, options = {}) {
+  const url = `${BASE_HOST}${msCode}/company/`;
+  const html = await loadOrFetchHtml({ companyCode: msCode, section: "company", url, fixtures: options.fixtures }, () =>
+    fetchMarketScreenerHtml(url, { usePuppeteer: false, ...options })
+  );
+  return parseMarketScreenerCompanyPage(html);
+}
+
+/**
+ * Stored classification (refetched from BSE / MarketScreener when missing, older than
+ * `maxAgeMs` or on `refresh`). Never throws; null when nothing is known.
+ * @param {string} symbol - NSE symbol
+ * @param {{bseCode?: string, msCode?: string, refresh?: boolean, maxAgeMs?: number, fetchOptions?: Object}} [opts]
+ * @returns {Promise<{symbol: string, sector: string|null, industry: string|null, source: string|null, updatedAt: string, bse: Object|null, marketscreener: Object|null, imported: Object|null}|null>}
+ */
+async function getClassification(symbol, { bseCode, msCode, refresh = false, maxAgeMs = MAX_AGE_MS, fetchOptions = {} } = {}) {
+  try {
+    const store = getStorage();
+    let doc = await store.get(COLLECTION, symbol);
+    const stale = !doc?.fetchedAt || refresh || Date.now() - Date.parse(doc.fetchedAt) >= maxAgeMs;
+
+    if (stale && (bseCode || msCode)) {
+      const next = { symbol, bse: doc?.bse || null, marketscreener: doc?.marketscreener || null, imported: doc?.imported || null };
+      let fetched = false;
+      if (bseCode) {
+        try {
+          next.bse = (await fetchBse(bseCode)) || next.bse;
+          fetched = true;
+        } catch (err) {
+          console.warn(`⚠️ BSE classification for ${symbol} not refreshed: ${err?.message || err}`);
+        }
+      }
+      if (msCode) {
+        try {
+          next.marketscreener = (await fetchMarketScreener(msCode, fetchOptions)) || next.marketscreener;
+          fetched = true;
+        } catch (err) {
+          console.warn(`⚠️ MarketScreener classification for ${symbol} not refreshed: ${err?.message || err}`);
+        }
+      }
+      // a failed fetch keeps the old fetchedAt, so it is retried next time
+      const fetchedAt = fetched ? new Date().toISOString() : doc?.fetchedAt || null;
+      doc = resolveDoc({ ...next, fetchedAt, updatedAt: new Date().toISOString() });
+      await store.put(COLLECTION, symbol, doc);
+      syncRegistry(new Map([[symbol, doc]]));
+    }
+    return doc ? resolveDoc(doc) : null;
+  } catch (err) {
+    console.warn(`⚠️ Classification for ${symbol} unavailable: ${err?.message || err}`);
+    return null;
+  }
+}
+
+/**
+ * Store imported classifications (they win over BSE / MarketScreener) and copy them to the registry.
+ * @param {string} file - CSV or JSON
+ * @returns {Promise<string[]>} symbols imported
+ */
+async function importClassifications(file) {
+  const entries = parseImport(fs.readFileSync(file, "utf8"), file);
+  const store = getStorage();
+  const docs = new Map();
+  for (const [symbol, imported] of Object.entries(entries)) {
+    const prev = await store.get(COLLECTION, symbol);
+    const doc = resolveDoc({ symbol, bse: null, marketscreener: null, ...prev, imported, updatedAt: new Date().toISOString() });
+    await store.put(COLLECTION, symbol, doc);
+    docs.set(symbol, doc);
+  }
+  syncRegistry(docs);
+  return Object.keys(entries);
+}
+
+/**
+ * Every stored classification (or those of `symbols`).
+ * @param {string[]} [symbols]
+ * @returns {Promise<Map<string, {sector: string|null, industry: string|null, source: string|null}>>}
+ */
+async function loadClassifications(symbols) {
+  const store = getStorage();
+  const keys = symbols?.length ? symbols : await store.list(COLLECTION);
+  const out = new Map();
+  for (const symbol of keys) {
+    const doc = await store.get(COLLECTION, symbol);
+    if (!doc) continue;
+    const { sector, industry, source } = resolveDoc(doc);
+    out.set(symbol, { sector, industry, source });
+  }
+  return out;
+}
+
+module.exports = {
+  COLLECTION,
+  parseBseHeader,
+  parseMarketScreenerCompanyPage,
+  parseImport,
+  getClassification,
+  importClassifications,
+  loadClassifications,
+};
+
+if (require.main === module) {
+  const args = require("minimist")(process.argv.slice(2), { boolean: ["all", "refresh"], string: ["import"] });
+  const { closeStorage } = require("./storage");
+
+
+  (async () => {
+    if (args.import) {
+      const symbols = await importClassifications(args.import);
+      console.log(`✅ Imported ${symbols.length} classifications from ${args.import}`);
+      return;
+    }
+    const symbol = String(args._[0] || "").trim().toUpperCase();
+    if (!symbol && !args.all) {
+      console.error("Usage: node common/classification.js <NSE_SYMBOL> | --all [--refresh] | --import=<file.csv|file.json>");
+      process.exitCode = 1;
+      return;
+    }
+    const registry = require("./company_registry").loadRegistry();
+    const symbols = args.all ? registry.symbols() : [symbol];
+    for (const s of symbols) {
+      const company = registry.byNse(s);
+      const codes = { bseCode: company?.bseCode || undefined, msCode: company?.marketScreenerCode || undefined };
+      const c = await getClassification(s, { ...codes, refresh: args.refresh });
+      if (args.all) console.log(`${s}\t${c?.sector || "-"}\t${c?.industry || "-"}\t${c?.source || "-"}`);
+      else console.log(JSON.stringify(c, null, 2));
+    }
+  })()
+    .catch((err) => {
+      console.error("Error:", err?.message || err);
+      process.exitCode = 2;
+    })
+    .finally(() => closeStorage());
+}
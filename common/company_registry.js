@@ -0,0 +1,350 @@
+// common/company_registry.js
+// Company master: one typed record per company, looked up by any of its identifiers.
+//
+// Record:
+//   isin               "INE860A01027"            (null until known)
+//   nseSymbol          "HCLTECH"                 (required, unique)
+//   bseCode            "532281"
+//   bsePath            "hcl-technologies-ltd/hcltech/532281"  (BSE scrip page slug path)
+//   marketScreenerCode "HCL-TECHNOLOGIES-LIMITED-9743259"
+//   growwCode          "HCLTECH"                 (Groww NSE charting code)
+//   zerodhaInstrument  "HCLTECH"
+//   name               "HCL Technologies Ltd"
+//   sector, industry   from common/classification (written here whenever one is fetched or imported)
+//   listingStatus      "listed" | "suspended" | "delisted"
+//
+// File: data/company_registry.json = { version, updatedAt, companies: [record, ...] }.
+// Until it exists, the legacy data/companies_info.json
+//   { NSE: [zerodhaInstrument, marketScreenerCode, "<name-slug>/<symbol-slug>/<bseCode>"] }
+// is migrated in memory on every load; `migrate` writes it out once.
+//
+// Usage:
+//   const { loadRegistry } = require("./common/company_registry");
+//   const registry = loadRegistry();
+//   registry.byBseCode("532281")?.nseSymbol;      // "HCLTECH"
+//   registry.find("HCL-TECHNOLOGIES-LIMITED-9743259"); // any identifier
+//
+// CLI:
+//   node common/company_registry.js migrate [--from=<companies_info.json>] [--out=<file>] [--force]
+//   node common/company_registry.js validate [--file=<file>]   (either format)
+//   node common/company_registry.js get <any identifier>
+//   node common/company_registry.js sectors [--file=<file>]   (backfill sector / industry from common/classification)
+
+const fs = require("fs");
+const path = require("path");
+
+const DATA_DIR = path.resolve(__dirname, "..", "data");
+const REGISTRY_FILE = path.resolve(DATA_DIR, "company_registry.json");
+const LEGACY_FILE = path.resolve(DATA_DIR, "companies_info.json");
+const VERSION = 1;
+const LISTING_STATUSES = ["listed", "suspended", "delisted"];
+
+/**
+ * @typedef {Object} CompanyRecord
+ * @property {string|null} isin
+ * @property {string} nseSymbol
+ * @property {string|null} bseCode
+ * @property {string|null} bsePath
+ * @property {string|null} marketScreenerCode
+ * @property {string|null} growwCode
+ * @property {string|null} zerodhaInstrument
+ * @property {string|null} name
+ * @property {string|null} sector
+ * @property {string|null} industry
+ * @property {"listed"|"suspended"|"delisted"} listingStatus
+ */
+
+const FIELDS = [
+  "isin", "nseSymbol", "bseCode", "bsePath", "marketScreenerCode", "growwCode",
+  "zerodhaInstrument", "name", "sector", "industry", "listingStatus",
+];
+
+// field -> format check (null values are not checked)
+const FORMATS = {
+  isin: [/^IN[A-Z0-9]{9}\d$/, "12 characters, IN + 9 alphanumerics + check digit"],
+  nseSymbol: [/^[A-Z0-9][A-Z0-9&_.-]*$/, "upper-case NSE symbol"],
+  bseCode: [/^\d+$/, "digits"],
+  bsePath: [/^[^/\s]+\/[^/\s]+\/\d+$/, "<name-slug>/<symbol-slug>/<bseCode>"],
+  marketScreenerCode: [/^[A-Z0-9][A-Z0-9-]*-\d+$/i, "MarketScreener slug ending in its numeric id"],
+};
+
+// Lookup indexes: name -> (record -> key); keys are compared upper-cased
+const INDEXES = {
+  nseSymbol: (r) => r.nseSymbol,
+  bseCode: (r) => r.bseCode,
+  isin: (r) => r.isin,
+  marketScreenerCode: (r) => r.marketScreenerCode,
+  growwCode: (r) => r.growwCode,
+  zerodhaInstrument: (r) => r.zerodhaInstrument,
+};
+
+// ---------- records ----------
+const clean = (v) => (typeof v === "string" && v.trim() ? v.trim() : typeof v === "number" ? String(v) : null);
+
+/** "hcl-technologies-ltd" -> "Hcl Technologies Ltd" (best effort; BSE slugs are lower-case) */
+function nameFromSlug(slug) {
+  const s = clean(slug);
+  return s ? s.split("-").filter(Boolean).map((w) => w[0].toUpperCase() + w.slice(1)).join(" ") : null;
+}
+
+/**
+ * Fill a partial record: every field present (null when unknown), identifiers trimmed,
+ * bseCode / name derived from bsePath, growwCode from nseSymbol, listingStatus "listed".
+ * @param {Partial<CompanyRecord>} partial
+ * @returns {CompanyRecord}
+ */
+function normalizeRecord(partial = {}) {
+  const r = Object.fromEntries(FIELDS.map((f) => [f, clean(partial[f])]));
+  if (r.nseSymbol) r.nseSymbol = r.nseSymbol.toUpperCase();
+  if (r.isin) r.isin = r.isin.toUpperCase();
+  const [nameSlug, , codeFromPath] = (r.bsePath || "").split("/");
+  r.bseCode = r.bseCode || clean(codeFromPath);
+  r.name = r.name || nameFromSlug(nameSlug);
+  r.growwCode = r.growwCode || r.nseSymbol;
+  r.listingStatus = (r.listingStatus || "listed").toLowerCase();
+  return r;
+}
+
+/** Legacy companies_info.json entry -> record (null when it carries no identifier). */
+function recordFromLegacy(nseSymbol, arr) {
+  if (!Array.isArray(arr) || !arr.some(clean)) return null;
+  return normalizeRecord({
+    nseSymbol,
+    zerodhaInstrument: arr[0],
+    marketScreenerCode: arr[1],
+    bsePath: arr[2],
+  });
+}
+
+/**
+ * companies_info.json map -> registry document.
+ * @param {Object<string, Array<string>>} legacy
+ * @param {{classifications?: Map<string, {sector: string|null, industry: string|null}>}} [opts]
+ * @returns {{version: number, updatedAt: string, companies: CompanyRecord[], skipped: Array<{nseSymbol: string, reason: string}>}}
+ */
+function migrateCompaniesInfo(legacy, { classifications } = {}) {
+  const companies = [];
+  const skipped = [];
+  for (const [nseSymbol, arr] of Object.entries(legacy || {})) {
+    const record = recordFromLegacy(nseSymbol, arr);
+    if (!record) {
+      skipped.push({ nseSymbol, reason: "no identifiers" });
+      continue;
+    }
+    const cls = classifications?.get(record.nseSymbol);
+    if (cls) Object.assign(record, { sector: cls.sector || null, industry: cls.industry || null });
+    companies.push(record);
+  }
+  return { version: VERSION, updatedAt: new Date().toISOString(), companies, skipped };
+}
+
+// ---------- validation ----------
+/**
+ * Check every record's fields and that no identifier belongs to two companies.
+ * @param {{companies: CompanyRecord[]}} doc
+ * @returns {{ok: boolean, errors: Array<{nseSymbol: string|null, field: string, message: string}>}}
+ */
+function validateRegistry(doc) {
+  const errors = [];
+  const add = (nseSymbol, field, message) => errors.push({ nseSymbol: nseSymbol || null, field, message });
+  if (!doc || !Array.isArray(doc.companies)) {
+    add(null, "companies", "must be an array");
+    return { ok: false, errors };
+  }
+
+  const seen = Object.fromEntries(Object.keys(INDEXES).map((k) => [k, new Map()])); // key -> record
+  for (const r of doc.companies) {
+    const sym = r?.nseSymbol || null;
+    if (!sym) add(null, "nseSymbol", `required (record ${JSON.stringify(r)})`);
+    for (const [field, [re, what]] of Object.entries(FORMATS)) {
+      if (r?.[field] != null && !re.test(String(r[field]))) add(sym, field, `"${r[field]}" is not ${what}`);
+    }
+    if (!LISTING_STATUSES.includes(r?.listingStatus)) {
+      add(sym, "listingStatus", `must be one of ${LISTING_STATUSES.join(", ")}`);
+    }
+    const pathCode = String(r?.bsePath || "").split("/")[2];
+    if (r?.bseCode && pathCode && pathCode !== r.bseCode) add(sym, "bsePath", `code ${pathCode} != bseCode ${r.bseCode}`);
+
+    for (const [index, keyOf] of Object.entries(INDEXES)) {
+      const key = r ? clean(keyOf(r))?.toUpperCase() : null;
+      if (!key) continue;
+      const other = seen[index].get(key);
+      if (other) add(sym, index, `"${key}" is also ${other.nseSymbol || "another record"}'s`);
+      else seen[index].set(key, r);
+    }
+  }
+  return { ok: errors.length === 0, errors };
+}
+
+// ---------- registry ----------
+/**
+ * Lookup object over records.
+ * @param {CompanyRecord[]} records
+ */
+function createRegistry(records = []) {
+  const list = records.map(normalizeRecord);
+  const maps = Object.fromEntries(Object.keys(INDEXES).map((k) => [k, new Map()]));
+  for (const r of list) {
+    for (const [index, keyOf] of Object.entries(INDEXES)) {
+      const key = clean(keyOf(r))?.toUpperCase();
+      if (key && !maps[index].has(key)) maps[index].set(key, r);
+    }
+  }
+  const by = (index) => (id) => maps[index].get(clean(id)?.toUpperCase()) || null;
+
+  return {
+    all: () => list.slice(),
+    symbols: () => list.map((r) => r.nseSymbol),
+    byNse: by("nseSymbol"),
+    byBseCode: by("bseCode"),
+    byIsin: by("isin"),
+    byMarketScreener: by("marketScreenerCode"),
+    byGroww: by("growwCode"),
+    byZerodha: by("zerodhaInstrument"),
+    /** Any identifier: NSE symbol, BSE code, ISIN, MarketScreener code, Groww code, Zerodha instrument */
+    find(id) {
+      for (const index of Object.keys(INDEXES)) {
+        const r = by(index)(id);
+        if (r) return r;
+      }
+      return null;
+    },
+  };
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8").replace(/^\uFEFF/, ""));
+}
+
+/** Registry document (`{ companies }`) or legacy map -> registry document. */
+function toRegistryDoc(json) {
+  return Array.isArray(json?.companies) ? json : migrateCompaniesInfo(json);
+}
+
+const cache = new Map();
+
+/**
+ * Load the registry (cached per file). Without a registry file, the legacy companies_info.json
+ * next to it is migrated in memory. Either format is accepted for `file`.
+ * @param {{file?: string, refresh?: boolean}} [opts]
+ * @returns {ReturnType<typeof createRegistry> & {file: string, migrated: boolean}}
+ */
+function loadRegistry({ file, refresh = false } = {}) {
+  let target = path.resolve(file || REGISTRY_FILE);
+  if (!file && !fs.existsSync(target) && fs.existsSync(LEGACY_FILE)) target = LEGACY_FILE;
+  if (!refresh && cache.has(target)) return cache.get(target);
+
+  if (!fs.existsSync(target)) throw new Error(`Company registry not found: ${target}`);
+  const json = readJson(target);
+  const doc = toRegistryDoc(json);
+  const registry = { ...createRegistry(doc.companies), file: target, migrated: doc !== json };
+  cache.set(target, registry);
+  return registry;
+}
+
+/**
+ * Write a registry document (validated first; throws listing the errors).
+ * @returns {string} file written
+ */
+function saveRegistry(doc, file = REGISTRY_FILE) {
+  const companies = doc.companies.map(normalizeRecord);
+  const { ok, errors } = validateRegistry({ companies });
+  if (!ok) {
+    throw new Error(`Invalid company registry:\n${errors.map((e) => `  ${e.nseSymbol || "-"}.${e.field}: ${e.message}`).join("\n")}`);
+  }
+  const out = path.resolve(file);
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, JSON.stringify({ version: VERSION, updatedAt: new Date().toISOString(), companies }, null, 2), "utf8");
+  cache.clear();
+  return out;
+}
+
+/**
+ * Put sector / industry on the registry records of `entries`: in the registry file when there is
+ * one, and on every registry already loaded in this process (so an in-memory legacy migration
+ * sees them too). Entries with neither field leave the record alone.
+ * @param {Map<string, {sector: string|null, industry: string|null}>|Object<string, {sector: string|null, industry: string|null}>} entries
+ *   NSE symbol -> classification
+ * @param {{file?: string}} [opts]
+ * @returns {number} records changed in the registry file
+ */
+function updateClassifications(entries, { file = REGISTRY_FILE } = {}) {
+  const bySymbol = new Map(entries instanceof Map ? entries : Object.entries(entries || {}));
+  const apply = (r) => {
+    const c = bySymbol.get(r?.nseSymbol);
+    if (!c || !(c.sector || c.industry)) return false;
+    const sector = c.sector || null;
+    const industry = c.industry || null;
+    if (r.sector === sector && r.industry === industry) return false;
+    Object.assign(r, { sector, industry });
+    return true;
+  };
+  for (const registry of cache.values()) registry.all().forEach(apply);
+
+  const target = path.resolve(file);
+  if (!fs.existsSync(target)) return 0; // legacy companies_info.json only: `migrate` copies them
+  const doc = readJson(target);
+  if (!Array.isArray(doc?.companies)) return 0;
+  const changed = doc.companies.filter(apply).length;
+  if (changed) saveRegistry(doc, target);
+  return changed;
+}
+
+module.exports = {
+  REGISTRY_FILE,
+  LEGACY_FILE,
+  LISTING_STATUSES,
+  normalizeRecord,
+  recordFromLegacy,
+  migrateCompaniesInfo,
+  validateRegistry,
+  createRegistry,
+  loadRegistry,
+  saveRegistry,
+  updateClassifications,
+};
+
+if (require.main === module) {
+  const args = require("minimist")(process.argv.slice(2), { string: ["from", "out", "file"], boolean: ["force"] });
+  const [cmd, id] = args._.map(String);
+
+  (async () => {
+    if (cmd === "migrate") {
+      const from = path.resolve(args.from || LEGACY_FILE);
+      const out = path.resolve(args.out || REGISTRY_FILE);
+      if (fs.existsSync(out) && !args.force) throw new Error(`${out} exists (use --force to overwrite)`);
+      const { loadClassifications } = require("./classification");
+      const doc = migrateCompaniesInfo(readJson(from), { classifications: await loadClassifications() });
+      for (const s of doc.skipped) console.warn(`⚠️ ${s.nseSymbol} skipped: ${s.reason}`);
+      console.log(`✅ ${doc.companies.length} companies migrated: ${saveRegistry(doc, out)}`);
+    } else if (cmd === "validate") {
+      const file = path.resolve(args.file || (fs.existsSync(REGISTRY_FILE) ? REGISTRY_FILE : LEGACY_FILE));
+      const { ok, errors } = validateRegistry(toRegistryDoc(readJson(file)));
+      for (const e of errors) console.error(`❌ ${e.nseSymbol || "-"}.${e.field}: ${e.message}`);
+      console.log(ok ? `✅ ${file} is valid` : `${errors.length} error(s) in ${file}`);
+      if (!ok) process.exitCode = 1;
+    } else if (cmd === "get" && id) {
+      console.log(JSON.stringify(loadRegistry({ file: args.file }).find(id), null, 2));
+    } else if (cmd === "sectors") {
+      const { loadClassifications } = require("./classification");
+      const registry = loadRegistry({ file: args.file });
+      const stored = await loadClassifications(registry.symbols());
+      const companies = registry.all().map((r) => ({ ...r, ...(stored.has(r.nseSymbol) ? { sector: stored.get(r.nseSymbol).sector, industry: stored.get(r.nseSymbol).industry } : {}) }));
+      const out = saveRegistry({ companies }, args.file || REGISTRY_FILE);
+      console.log(`✅ Sectors updated for ${stored.size} of ${companies.length} companies: ${out}`);
+    } else {
+      console.error(
+        "Usage: node common/company_registry.js migrate [--from=<companies_info.json>] [--out=<file>] [--force]\n" +
+          "       node common/company_registry.js validate [--file=<file>]\n" +
+          "       node common/company_registry.js get <identifier>\n" +
+          "       node common/company_registry.js sectors [--file=<file>]"
+      );
+      process.exitCode = 1;
+    }
+  })()
+    .catch((err) => {
+      console.error("Error:", err?.message || err);
+      process.exitCode = 2;
+    })
+    .finally(() => require("./storage").closeStorage());
+}
@@ -0,0 +1,293 @@
+// common/corporate_actions.js
+// Splits, bonus issues and rights issues per company, and the adjustment factors that put
+// prices and per-share figures from before an ex-date on today's share basis.
+//
+// Sources (merged, NSE preferred when both report the same action):
+//   nse             corp-info corpType=corpactions (nse/nse_comany_events_fetcher.fetchCorpInfo)
+//                   subjects like "Face Value Split (Sub-Division) - From Rs 10/- Per Share To Rs 2/- Per Share",
+//                   "Bonus 1:1", "Rights 1:10 @ Premium Rs 90/-"
+//   marketscreener  pastEvents titles mentioning a split / bonus with a ratio
+//
+// factor = shares after / shares before (split 10 -> 2: 5, bonus 1:1: 2). A rights issue's
+// factor is the cum-rights close over the theoretical ex-rights price, so it needs the close
+// before the ex-date (groww/candle_store); it stays null when that price is unknown.
+//
+//   adjusted past price = raw price / cumulativeFactor(actions, pastDate, laterDate)
+//   adjusted past EPS   = raw EPS   / cumulativeFactor(actions, pastDate, laterDate)
+//
+// Stored per NSE symbol in the "corporate_actions" collection (common/storage).
+//
+// Usage:
+//   const { getCorporateActions, cumulativeFactor } = require("./common/corporate_actions");
+//   const actions = await getCorporateActions("HCLTECH", { msInfo });
+//   const f = cumulativeFactor(actions, "2024-10-14", "2025-10-14");
+//
+// CLI: node common/corporate_actions.js <NSE_SYMBOL> [--refresh]
+
+const { getStorage } = require("./storage");
+const { toISTDateKey, previousTradingDay } = require("./trading_calendar");
+
+const COLLECTION = "corporate_actions";
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const SAME_ACTION_DAYS = 5; // NSE and MS dates for one action may differ by a few days
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// ---------- parsing ----------
+const num = (s) => Number(String(s).replace(/,/g, ""));
+
+/** "2 for 1", "1:5", "1-for-10" -> [a, b] */
+function parseRatio(text) {
+  const m = String(text || "").match(/(\d+(?:\.\d+)?)\s*(?::|for|-for-|\/)\s*(\d+(?:\.\d+)?)/i);
+  if (!m) return null;
+  const a = num(m[1]);
+  const b = num(m[2]);
+  return a > 0 && b > 0 ? [a, b] : null;
+}
+
+/** "21/09/2023", "21-Sep-2023" or ISO -> "YYYY-MM-DD" */
+function toDateKey(raw) {
+  if (!raw) return null;
+  const s = String(raw).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(s)) return s.slice(0, 10);
+  let m = s.match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/);
+  if (m) {
+    const mon = MONTHS.findIndex((x) => x.toLowerCase() === m[2].toLowerCase()) + 1;
+    return mon ? `${m[3]}-${String(mon).padStart(2, "0")}-${m[1].padStart(2, "0")}` : null;
+  }
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  return m ? `${m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}` : null;
+}
+
+/**
+ * One NSE corpactions row -> action, or null when it is not a split / bonus / rights issue.
+ * @returns {{type: "split"|"bonus"|"rights", exDate: string, factor: number|null, ratio?: number[], subscriptionPrice?: number, subject: string, source: "nse"}|null}
+ */
+function parseNseCorpAction(row) {
+  const subject = String(row?.subject || row?.purpose || "").replace(/\s+/g, " ").trim();
+  const exDate = toDateKey(row?.exDate || row?.ex_date || row?.exdate);
+  if (!subject || !exDate) return null;
+
+  const split = subject.match(/split|sub-?division/i) && subject.match(/R[se]\.?\s*(\d+(?:\.\d+)?)\D+?R[se]\.?\s*(\d+(?:\.\d+)?)/i);
+  if (split) {
+    const from = num(split[1]);
+    const to = num(split[2]);
+    if (from > 0 && to > 0 && from !== to) {
+      return { type: "split", exDate, factor: from / to, subject, source: "nse" };
+    }
+  }
+
+  if (/bonus/i.test(subject)) {
+    const ratio = parseRatio(subject);
+    if (ratio) return { type: "bonus", exDate, factor: (ratio[0] + ratio[1]) / ratio[1], ratio, subject, source: "nse" };
+  }
+
+  if (/rights/i.test(subject)) {
+    const ratio = parseRatio(subject);
+    if (ratio) {
+      const premium = subject.match(/premium\s*(?:of\s*)?Rs\.?\s*(\d+(?:\.\d+)?)/i);
+      const faceValue = Number(row?.faceVal ?? row?.faceValue);
+      const price = subject.match(/@\s*Rs\.?\s*(\d+(?:\.\d+)?)/i);
+      let subscriptionPrice = null;
+      if (premium && Number.isFinite(faceValue)) subscriptionPrice = faceValue + num(premium[1]);
+      else if (price && !premium) subscriptionPrice = num(price[1]);
+      return { type: "rights", exDate, factor: null, ratio, subscriptionPrice, subject, source: "nse" };
+    }
+  }
+  return null;
+}
+
+/**
+ * One MarketScreener past event -> split / bonus action, or null.
+ * The ratio's order is not consistent on MS, so a split is taken as increasing the share count.
+ */
+function parseMsCorpEvent(event) {
+  const title = String(event?.title || "").replace(/\s+/g, " ").trim();
+  const exDate = event?.dateTimeISO ? toISTDateKey(event.dateTimeISO) : toDateKey(event?.dateTimeRaw);
+  if (!title || !exDate) return null;
+  const ratio = parseRatio(title);
+  if (!ratio) return null;
+
+  if (/split/i.test(title) && !/reverse/i.test(title)) {
+    const factor = Math.max(...ratio) / Math.min(...ratio);
+    return factor > 1 ? { type: "split", exDate, factor, ratio, subject: title, source: "marketscreener" } : null;
+  }
+  if (/bonus/i.test(title)) {
+    return { type: "bonus", exDate, factor: (ratio[0] + ratio[1]) / ratio[1], ratio, subject: title, source: "marketscreener" };
+  }
+  return null;
+}
+
+// ---------- merging / factors ----------
+function daysApart(a, b) {
+  return Math.abs(Date.parse(`${a}T00:00:00Z`) - Date.parse(`${b}T00:00:00Z`)) / 86_400_000;
+}
+
+/** Drop MS actions NSE already reports (same type within SAME_ACTION_DAYS), sort by ex-date. */
+function mergeActions(nseActions, msActions) {
+  const out = [...nseActions];
+  for (const a of msActions) {
+    if (!out.some((b) => b.type === a.type && daysApart(a.exDate, b.exDate) <= SAME_ACTION_DAYS)) out.push(a);
+  }
+  return out.sort((a, b) => (a.exDate < b.exDate ? -1 : a.exDate > b.exDate ? 1 : 0));
+}
+
+/**
+ * Rights-issue factor from the cum-rights close:
+ * TERP = (b * P + a * S) / (a + b) for a new shares per b held at subscription price S; factor = P / TERP.
+ */
+function rightsFactor(ratio, subscriptionPrice, cumClose) {
+  if (!ratio || !Number.isFinite(subscriptionPrice) || !Number.isFinite(cumClose) || cumClose <= 0) return null;
+  const [a, b] = ratio;
+  const terp = (b * cumClose + a * subscriptionPrice) / (a + b);
+  return terp > 0 && cumClose > terp ? cumClose / terp : null;
+}
+
+/**
+ * Product of the factors of actions with from < exDate <= to ("YYYY-MM-DD").
+ * Dividing a price or per-share figure dated `from` by it puts it on the share basis of `to`.
+ */
+function cumulativeFactor(actions, from, to) {
+  let f = 1;
+  for (const a of actions || []) {
+    if (Number.isFinite(a.factor) && a.exDate > from && a.exDate <= to) f *= a.factor;
+  }
+  return f;
+}
+
+const QUARTER_END = { Mar: "03-31", Jun: "06-30", Sep: "09-30", Dec: "12-31" };
+
+/** "2025-Jun" -> "2025-06-30" (null for anything else) */
+function quarterEndDate(quarter) {
+  const [y, mon] = String(quarter || "").split("-");
+  return QUARTER_END[mon] && /^\d{4}$/.test(y) ? `${y}-${QUARTER_END[mon]}` : null;
+}
+
+/**
+ * Date a quarter's reported per-share figures are on: the SEBI LODR filing deadline
+ * (45 days after quarter end, 60 for the March quarter), since results filed after an
+ * ex-date are restated on the new share count.
+ * @param {string} quarter - "YYYY-MMM" (e.g. "2025-Jun")
+ * @returns {string|null} "YYYY-MM-DD"
+ */
+function quarterBasisDate(quarter) {
+  const endKey = quarterEndDate(quarter);
+  if (!endKey) return null;
+  const end = Date.parse(`${endKey}T00:00:00Z`);
+  return new Date(end + (endKey.slice(5, 7) === "03" ? 60 : 45) * 86_400_000).toISOString().slice(0, 10);
+}
+
+/**
+ * Copy of BSE quarter rows with per-share fields divided by the factor of the actions
+ * after each quarter's basis date, up to `asOf`; adds `adjFactor` to adjusted rows.
+ * @param {Object[]} rows - { Quarter: "YYYY-MMM", "EPS in Rs", ... }
+ * @param {Object[]} actions
+ * @param {{fields?: string[], asOf?: string}} [opts]
+ */
+function adjustPerShareRows(rows, actions, { fields = ["EPS in Rs"], asOf = toISTDateKey(Date.now()) } = {}) {
+  if (!Array.isArray(rows) || !actions?.length) return rows;
+  return rows.map((row) => {
+    const basis = quarterBasisDate(row?.Quarter);
+    const f = basis ? cumulativeFactor(actions, basis, asOf) : 1;
+    if (f === 1) return row;
+    const out = { ...row, adjFactor: Number(f.toFixed(6)) };
+    for (const k of fields) {
+      if (typeof row[k] === "number" && Number.isFinite(row[k])) out[k] = Number((row[k] / f).toFixed(2));
+    }
+    return out;
+  });
+}
+
+// ---------- fetch / store ----------
+async function fetchNseActions(symbol) {
+  const { fetchCorpInfo } = require("../nse/nse_comany_events_fetcher");
+  const rows = await fetchCorpInfo(symbol, { corpType: "corpactions" });
+  return rows.map(parseNseCorpAction).filter(Boolean);
+}
+
+/** Fill rights-issue factors from the close on the trading day before the ex-date. */
+async function resolveRightsFactors(symbol, actions) {
+  const pending = actions.filter((a) => a.type === "rights" && a.factor == null && Number.isFinite(a.subscriptionPrice));
+  if (!pending.length) return actions;
+  const { getCandleStore } = require("../groww/candle_store");
+  for (const a of pending) {
+    try {
+      const { close } = await getCandleStore().getCloseOnOrBefore(symbol, previousTradingDay(a.exDate), 7);
+      a.factor = rightsFactor(a.ratio, a.subscriptionPrice, close);
+    } catch (err) {
+      console.warn(`⚠️ Rights factor for ${symbol} ${a.exDate} unresolved: ${err.message}`);
+    }
+  }
+  return actions;
+}
+
+/**
+ * Fetch NSE corp actions (+ MS past events when given), merge, resolve rights and store.
+ * @param {string} symbol - NSE symbol
+ * @param {{msInfo?: Object}} [opts] - MarketScreener payload (pastEvents) for the same company
+ * @returns {Promise<Object[]>} actions sorted by ex-date
+ */
+async function refreshCorporateActions(symbol, { msInfo } = {}) {
+  const msActions = (msInfo?.pastEvents?.events || []).map(parseMsCorpEvent).filter(Boolean);
+  let nseActions = [];
+  let nseError = null;
+  try {
+    nseActions = await fetchNseActions(symbol);
+  } catch (err) {
+    nseError = err?.message || String(err);
+  }
+  const actions = await resolveRightsFactors(symbol, mergeActions(nseActions, msActions));
+
+  const store = getStorage();
+  if (nseError) {
+    // not stored: keep what NSE gave last time (or MS-only for now) and retry next time
+    console.warn(`⚠️ NSE corporate actions for ${symbol} not refreshed: ${nseError}`);
+    const prev = await store.get(COLLECTION, symbol);
+    return prev?.actions || actions;
+  }
+  await store.put(COLLECTION, symbol, { symbol, fetchedAt: new Date().toISOString(), actions });
+  return actions;
+}
+
+/**
+ * Stored actions, refreshed when missing or older than `maxAgeMs`. Never throws; [] when unknown.
+ * @param {string} symbol
+ * @param {{msInfo?: Object, refresh?: boolean, maxAgeMs?: number}} [opts]
+ */
+async function getCorporateActions(symbol, { msInfo, refresh = false, maxAgeMs = MAX_AGE_MS } = {}) {
+  try {
+    const stored = await getStorage().get(COLLECTION, symbol);
+    const fresh = stored && Date.now() - Date.parse(stored.fetchedAt) < maxAgeMs;
+    if (stored && fresh && !refresh) return stored.actions || [];
+    return await refreshCorporateActions(symbol, { msInfo });
+  } catch (err) {
+    console.warn(`⚠️ Corporate actions for ${symbol} unavailable: ${err?.message || err}`);
+    return [];
+  }
+}
+
+module.exports = {
+  COLLECTION,
+  parseNseCorpAction,
+  parseMsCorpEvent,
+  mergeActions,
+  rightsFactor,
+  cumulativeFactor,
+  quarterEndDate,
+  quarterBasisDate,
+  adjustPerShareRows,
+  refreshCorporateActions,
+  getCorporateActions,
+};
+
+if (require.main === module) {
+  const args = require("minimist")(process.argv.slice(2), { boolean: ["refresh"] });
+  const symbol = String(args._[0] || "").trim().toUpperCase();
+  if (!symbol) {
+    console.error("Usage: node common/corporate_actions.js <NSE_SYMBOL> [--refresh]");
+    process.exit(1);
+  }
+  const { closeStorage } = require("./storage");
+  getCorporateActions(symbol, { refresh: args.refresh })
+    .then((actions) => console.log(JSON.stringify(actions, null, 2)))
+    .finally(() => closeStorage());
+}
@@ -0,0 +1,154 @@
+// common/crawl_checkpoint.js
+// Persisted progress for long crawls so an interrupted run can pick up where it stopped.
+//
+// File shape (data/crawl_checkpoint.json by default):
+// {
+//   "runId": "2025-10-21T12-30-00-000Z",
+//   "startedAt": "...", "updatedAt": "...", "finishedAt": null,
+//   "symbols": {
+//     "ITC": { "status": "completed", "attempts": 1, "lastError": null, "lastAttemptAt": "..." },
+//     "LT":  { "status": "failed",    "attempts": 3, "lastError": "timeout", "lastAttemptAt": "..." },
+//     "TCS": { "status": "pending",   "attempts": 0, "lastError": null, "lastAttemptAt": null }
+//   }
+// }
+//
+// Writes go through a temp file + rename so a crash mid-write never corrupts it.
+
+const fs = require("fs");
+const path = require("path");
+
+const STATUSES = ["pending", "completed", "failed"];
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function emptyEntry() {
+  return { status: "pending", attempts: 0, lastError: null, lastAttemptAt: null };
+}
+
+/**
+ * Fresh checkpoint with every symbol pending.
+ * @param {string[]} symbols
+ */
+function createCheckpoint(symbols) {
+  const startedAt = nowIso();
+  const cp = {
+    runId: startedAt.replace(/[:.]/g, "-"),
+    startedAt,
+    updatedAt: startedAt,
+    finishedAt: null,
+    symbols: {},
+  };
+  for (const s of symbols) cp.symbols[s] = emptyEntry();
+  return cp;
+}
+
+/** @returns {object|null} checkpoint, or null when the file is missing/unreadable */
+function loadCheckpoint(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    const cp = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!cp || typeof cp.symbols !== "object") return null;
+    return cp;
+  } catch (err) {
+    console.warn(`⚠️ Ignoring unreadable checkpoint ${file}: ${err.message}`);
+    return null;
+  }
+}
+
+function saveCheckpoint(file, cp) {
+  cp.updatedAt = nowIso();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(cp, null, 2), "utf8");
+  fs.renameSync(tmp, file);
+}
+
+/** Add symbols that appeared in the company list since the checkpoint was created. */
+function addMissingSymbols(cp, symbols) {
+  let added = 0;
+  for (const s of symbols) {
+    if (!cp.symbols[s]) {
+      cp.symbols[s] = emptyEntry();
+      added++;
+    }
+  }
+  return added;
+}
+
+/**
+ * Symbols to process for a mode.
+ * @param {object} cp
+ * @param {{pending?: boolean, failed?: boolean}} include
+ * @returns {string[]}
+ */
+function selectSymbols(cp, { pending = true, failed = false } = {}) {
+  return Object.entries(cp.symbols)
+    .filter(([, e]) => (pending && e.status === "pending") || (failed && e.status === "failed"))
+    .map(([s]) => s);
+}
+
+function recordAttempt(cp, symbol) {
+  const e = cp.symbols[symbol] || (cp.symbols[symbol] = emptyEntry());
+  e.attempts += 1;
+  e.lastAttemptAt = nowIso();
+  return e;
+}
+
+function markCompleted(cp, symbol) {
+  const e = cp.symbols[symbol] || (cp.symbols[symbol] = emptyEntry());
+  e.status = "completed";
+  e.lastError = null;
+  return e;
+}
+
+function markFailed(cp, symbol, err) {
+  const e = cp.symbols[symbol] || (cp.symbols[symbol] = emptyEntry());
+  e.status = "failed";
+  e.lastError = String(err?.message || err || "unknown error");
+  return e;
+}
+
+function countByStatus(cp) {
+  const out = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+  for (const e of Object.values(cp.symbols)) out[e.status] = (out[e.status] || 0) + 1;
+  return out;
+}
+
+/**
+ * Final run report: totals plus every failure with its last error.
+ * @returns {{runId: string, startedAt: string, finishedAt: string, totals: object, failures: Array<object>}}
+ */
+function buildReport(cp) {
+  const failures = Object.entries(cp.symbols)
+    .filter(([, e]) => e.status === "failed")
+    .map(([symbol, e]) => ({
+      symbol,
+      attempts: e.attempts,
+      lastError: e.lastError,
+      lastAttemptAt: e.lastAttemptAt,
+    }))
+    .sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+  return {
+    runId: cp.runId,
+    startedAt: cp.startedAt,
+    finishedAt: cp.finishedAt || nowIso(),
+    totals: { symbols: Object.keys(cp.symbols).length, ...countByStatus(cp) },
+    failures,
+  };
+}
+
+module.exports = {
+  createCheckpoint,
+  loadCheckpoint,
+  saveCheckpoint,
+  addMissingSymbols,
+  selectSymbols,
+  recordAttempt,
+  markCompleted,
+  markFailed,
+  countByStatus,
+  buildReport,
+};
@@ -0,0 +1,257 @@
+// common/cron_scheduler.js
+// Minimal cron-expression scheduler with time-zone support (no dependencies).
+//
+// Expressions: 5 fields "minute hour day-of-month month day-of-week"
+//   *  a,b,c  a-b  */n  a-b/n    (day-of-week: 0-7, 0 and 7 = Sunday; JAN..DEC / SUN..SAT accepted)
+//   When both day-of-month and day-of-week are restricted, either may match (classic cron).
+//
+// Each run re-computes the next fire time from the wall clock, so there is no
+// setInterval drift, and a job still running when it fires again is skipped.
+//
+// Usage:
+//   const { createScheduler } = require("./common/cron_scheduler");
+//   const scheduler = createScheduler({ timeZone: "Asia/Kolkata" });
+//   scheduler.addJob({ name: "evening", cron: "30 18 * * 1-5", run: async () => {...} });
+//   scheduler.start();
+
+const MONTH_NAMES = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+const DAY_NAMES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+const MAX_TIMEOUT_MS = 2 ** 31 - 1; // setTimeout limit (~24.8 days)
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+// ---------- parsing ----------
+function parseField(raw, min, max, names, label) {
+  const values = new Set();
+  const toNum = (t) => {
+    const up = t.toUpperCase();
+    if (names) {
+      const idx = names.indexOf(up);
+      if (idx >= 0) return idx + (label === "month" ? 1 : 0);
+    }
+    const n = Number(t);
+    if (!Number.isInteger(n)) throw new Error(`Invalid ${label} value "${t}"`);
+    return n;
+  };
+
+  for (const part of raw.split(",")) {
+    const [rangePart, stepPart] = part.split("/");
+    const step = stepPart == null ? 1 : Number(stepPart);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid ${label} step "${part}"`);
+
+    let lo;
+    let hi;
+    if (rangePart === "*") {
+      lo = min;
+      hi = max;
+    } else if (rangePart.includes("-")) {
+      const [a, b] = rangePart.split("-");
+      lo = toNum(a);
+      hi = toNum(b);
+    } else {
+      lo = toNum(rangePart);
+      hi = stepPart == null ? lo : max;
+    }
+    if (lo < min || hi > max || lo > hi) {
+      throw new Error(`${label} out of range in "${part}" (${min}-${max})`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * @param {string} expr - e.g. "30 18 * * 1-5"
+ * @returns {{expr: string, minutes: Set<number>, hours: Set<number>, dom: Set<number>,
+ *            months: Set<number>, dow: Set<number>, domAny: boolean, dowAny: boolean}}
+ */
+function parseCron(expr) {
+  const fields = String(expr || "").trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error(`Cron needs 5 fields, got "${expr}"`);
+  const [mi, h, dom, mon, dow] = fields;
+
+  const dowSet = parseField(dow, 0, 7, DAY_NAMES, "day-of-week");
+  if (dowSet.has(7)) {
+    dowSet.delete(7);
+    dowSet.add(0);
+  }
+
+  return {
+    expr,
+    minutes: parseField(mi, 0, 59, null, "minute"),
+    hours: parseField(h, 0, 23, null, "hour"),
+    dom: parseField(dom, 1, 31, null, "day-of-month"),
+    months: parseField(mon, 1, 12, MONTH_NAMES, "month"),
+    dow: dowSet,
+    domAny: dom === "*",
+    dowAny: dow === "*",
+  };
+}
+
+// ---------- time-zone wall clock ----------
+const formatters = new Map();
+function zonedParts(ms, timeZone) {
+  let fmt = formatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      weekday: "short",
+    });
+    formatters.set(timeZone, fmt);
+  }
+  const out = {};
+  for (const p of fmt.formatToParts(new Date(ms))) out[p.type] = p.value;
+  return {
+    year: Number(out.year),
+    month: Number(out.month),
+    day: Number(out.day),
+    hour: Number(out.hour),
+    minute: Number(out.minute),
+    weekday: DAY_NAMES.indexOf(out.weekday.toUpperCase()),
+  };
+}
+
+function dayMatches(cron, p) {
+  if (!cron.months.has(p.month)) return false;
+  const domOk = cron.dom.has(p.day);
+  const dowOk = cron.dow.has(p.weekday);
+  if (cron.domAny && cron.dowAny) return true;
+  if (cron.domAny) return dowOk;
+  if (cron.dowAny) return domOk;
+  return domOk || dowOk;
+}
+
+/**
+ * First fire time strictly after `fromMs`.
+ * @param {string|object} cron - expression or parseCron() result
+ * @param {number} [fromMs=Date.now()]
+ * @param {string} [timeZone="UTC"]
+ * @returns {number} epoch ms
+ */
+function nextCronTime(cron, fromMs = Date.now(), timeZone = "UTC") {
+  const c = typeof cron === "string" ? parseCron(cron) : cron;
+  const MIN = 60 * 1000;
+  let t = Math.floor(fromMs / MIN) * MIN + MIN;
+  const limit = fromMs + MAX_LOOKAHEAD_MS;
+
+  while (t < limit) {
+    const p = zonedParts(t, timeZone);
+    if (!dayMatches(c, p)) {
+      t += ((23 - p.hour) * 60 + (60 - p.minute)) * MIN; // jump to next local midnight
+      continue;
+    }
+    if (!c.hours.has(p.hour)) {
+      t += (60 - p.minute) * MIN; // jump to next hour
+      continue;
+    }
+    if (!c.minutes.has(p.minute)) {
+      t += MIN;
+      continue;
+    }
+    return t;
+  }
+  throw new Error(`Cron "${c.expr}" never fires`);
+}
+
+// ---------- scheduler ----------
+/**
+ * @param {Object} [options]
+ * @param {string} [options.timeZone="Asia/Kolkata"]
+ * @param {Function} [options.log=console.log]
+ */
+function createScheduler(options = {}) {
+  const { timeZone = "Asia/Kolkata", log = console.log } = options;
+  const jobs = new Map();
+  let started = false;
+
+  function arm(job) {
+    if (!started) return;
+    job.nextAt = nextCronTime(job.cron, Date.now(), timeZone);
+    const wait = job.nextAt - Date.now();
+    // Long waits are re-armed in chunks (setTimeout caps at ~24.8 days)
+    job.timer = setTimeout(
+      () => (Date.now() >= job.nextAt ? fire(job) : arm(job)),
+      Math.min(Math.max(wait, 0), MAX_TIMEOUT_MS)
+    );
+  }
+
+  async function fire(job) {
+    const at = new Date();
+    try {
+      if (job.running) {
+        log(`⏭️ [${job.name}] still running from ${job.lastStartedAt}; skipping this slot`);
+        return;
+      }
+      const reason = job.skipIf ? await job.skipIf(at) : null;
+      if (reason) {
+        log(`⏭️ [${job.name}] skipped @ ${at.toISOString()}: ${reason === true ? "skip rule" : reason}`);
+        return;
+      }
+      job.running = true;
+      job.lastStartedAt = at.toISOString();
+      log(`▶️ [${job.name}] started @ ${job.lastStartedAt}`);
+      await job.run(at);
+      log(`✅ [${job.name}] finished @ ${new Date().toISOString()}`);
+    } catch (err) {
+      log(`❌ [${job.name}] failed: ${err?.message || err}`);
+    } finally {
+      job.running = false;
+      arm(job);
+    }
+  }
+
+  /**
+   * @param {Object} job
+   * @param {string} job.name
+   * @param {string} job.cron
+   * @param {(at: Date) => Promise<void>} job.run
+   * @param {(at: Date) => (string|boolean|null|Promise<string|boolean|null>)} [job.skipIf]
+   *        return a reason (or true) to skip this slot, e.g. a market holiday
+   */
+  function addJob({ name, cron, run, skipIf }) {
+    if (!name || typeof run !== "function") throw new Error("Job needs a name and a run function");
+    if (jobs.has(name)) throw new Error(`Duplicate job name: ${name}`);
+    const job = { name, cron: parseCron(cron), run, skipIf, timer: null, running: false, nextAt: null };
+    jobs.set(name, job);
+    arm(job);
+    return job;
+  }
+
+  function start() {
+    if (started) return;
+    started = true;
+    for (const job of jobs.values()) arm(job);
+  }
+
+  function stop() {
+    started = false;
+    for (const job of jobs.values()) {
+      clearTimeout(job.timer);
+      job.timer = null;
+    }
+  }
+
+  /** [{ name, cron, nextAt }] in fire order */
+  function nextRuns() {
+    return [...jobs.values()]
+      .map((j) => ({
+        name: j.name,
+        cron: j.cron.expr,
+        nextAt: new Date(j.nextAt || nextCronTime(j.cron, Date.now(), timeZone)).toISOString(),
+      }))
+      .sort((a, b) => a.nextAt.localeCompare(b.nextAt));
+  }
+
+  return { addJob, start, stop, nextRuns, timeZone };
+}
+
+module.exports = {
+  parseCron,
+  nextCronTime,
+  createScheduler,
+};
@@ -0,0 +1,220 @@
+// common/earnings_watchlist.js
+// Which companies the observer should poll, and how often, based on their next
+// scheduled earnings release (analyser's upcoming-earnings extractor over the stored
+// "info" collection, i.e. the crawler's latest payload per company).
+//
+//   cold   release is more than `hotBeforeMs` away (or long past) -> poll every `coldIntervalMs`
+//   hot    from `hotBeforeMs` before to `hotAfterMs` after the release -> poll every `hotIntervalMs`
+//   done   a quarterly period gained actual figures it did not have when the company
+//          joined the list -> dropped (and not re-added for the same release date)
+//   stale  no actuals `giveUpAfterMs` after the scheduled time -> dropped
+//
+// Usage:
+//   const { createEarningsWatchlist } = require("./common/earnings_watchlist");
+//   const watchlist = createEarningsWatchlist({ store: getStorage() });
+//   await watchlist.refresh();
+//   for (const entry of watchlist.due()) { const data = await poll(entry.companyCode); watchlist.record(entry.companyCode, data); }
+
+const { extractLatestUpcomingEarningsRelease } = require("../analyser");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULTS = {
+  hotBeforeMs: 3 * HOUR_MS,
+  hotAfterMs: 12 * HOUR_MS,
+  hotIntervalMs: 60_000,
+  coldIntervalMs: 30 * 60_000,
+  giveUpAfterMs: 3 * 24 * HOUR_MS,
+};
+
+// Rows in quarterlyResults that are dates, not figures
+const NON_FIGURE_METRICS = new Set(["Announcement Date"]);
+
+// ---------- helpers ----------
+/** Quarterly periods that already have at least one actual figure. */
+function releasedPeriods(payload) {
+  const out = new Set();
+  const table = payload?.quarterlyResults;
+  if (!table || typeof table !== "object" || table.error) return out;
+  for (const [period, metrics] of Object.entries(table)) {
+    for (const [metric, row] of Object.entries(metrics || {})) {
+      if (NON_FIGURE_METRICS.has(metric)) continue;
+      if (row && typeof row.releasedNum === "number" && Number.isFinite(row.releasedNum)) {
+        out.add(period);
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+function releaseTime(event) {
+  const t = Date.parse(event?.dateTimeISO || event?.dateTimeRaw || "");
+  return Number.isFinite(t) ? t : null;
+}
+
+// ---------- watchlist ----------
+/**
+ * @param {Object} options
+ * @param {Object} options.store - common/storage instance holding the crawler's payloads
+ * @param {string} [options.collection="info"]
+ * @param {number} [options.hotBeforeMs=3h]
+ * @param {number} [options.hotAfterMs=12h]
+ * @param {number} [options.hotIntervalMs=60s]
+ * @param {number} [options.coldIntervalMs=30min]
+ * @param {number} [options.giveUpAfterMs=3d]
+ * @param {() => number} [options.now=Date.now]
+ * @param {Function} [options.log=console.log]
+ */
+function createEarningsWatchlist(options = {}) {
+  const { store, collection = "info", now = Date.now, log = console.log } = options;
+  if (!store) throw new Error("createEarningsWatchlist needs a store");
+  const cfg = { ...DEFAULTS };
+  for (const k of Object.keys(DEFAULTS)) if (options[k] != null) cfg[k] = options[k];
+
+  const entries = new Map(); // companyCode -> entry
+  const finished = new Set(); // "<companyCode>|<releaseAt>" already dropped
+
+  const finishKey = (companyCode, releaseAt) => `${companyCode}|${releaseAt}`;
+
+  function phaseOf(entry, at = now()) {
+    if (at < entry.releaseAt - cfg.hotBeforeMs) return "cold";
+    if (at <= entry.releaseAt + cfg.hotAfterMs) return "hot";
+    return "cold";
+  }
+
+  function drop(entry, reason) {
+    entries.delete(entry.companyCode);
+    finished.add(finishKey(entry.companyCode, entry.releaseAt));
+    log(`👋 Watchlist: dropped ${entry.companyCode} (${reason})`);
+  }
+
+  async function loadUpcoming() {
+    const rows = [];
+    for (const key of await store.list(collection)) {
+      const json = await store.get(collection, key);
+      const row = json && extractLatestUpcomingEarningsRelease(json, `${key}.json`);
+      if (row) rows.push({ ...row, json });
+    }
+    return rows;
+  }
+
+  /**
+   * Re-read the stored payloads: add newly scheduled releases, follow moved dates,
+   * forget companies with no upcoming release any more.
+   * @returns {Promise<{added: string[], removed: string[], size: number}>}
+   */
+  async function refresh() {
+    const at = now();
+    const rows = await loadUpcoming();
+    const seen = new Set();
+    const added = [];
+
+    for (const { companyCode, event, json } of rows) {
+      const releaseAt = releaseTime(event);
+      if (releaseAt == null || releaseAt < at - cfg.giveUpAfterMs) continue;
+      if (finished.has(finishKey(companyCode, releaseAt))) continue;
+      seen.add(companyCode);
+
+      const existing = entries.get(companyCode);
+      if (existing) {
+        if (existing.releaseAt !== releaseAt) {
+          existing.releaseAt = releaseAt;
+          existing.event = event;
+          existing.nextPollAt = Math.min(existing.nextPollAt, at);
+        }
+        continue;
+      }
+
+      entries.set(companyCode, {
+        companyCode,
+        event,
+        releaseAt,
+        baseline: releasedPeriods(json),
+        nextPollAt: at,
+        lastPolledAt: null,
+      });
+      added.push(companyCode);
+    }
+
+    const removed = [];
+    for (const code of [...entries.keys()]) {
+      if (!seen.has(code)) {
+        entries.delete(code);
+        removed.push(code);
+      }
+    }
+    return { added, removed, size: entries.size };
+  }
+
+  /** Entries whose next poll time has come, nearest release first. */
+  function due(at = now()) {
+    return [...entries.values()]
+      .filter((e) => e.nextPollAt <= at)
+      .sort((a, b) => a.releaseAt - b.releaseAt);
+  }
+
+  /**
+   * Feed a poll result back: follows a moved release date, drops the company once
+   * actuals appear (or the release is stale), and schedules the next poll.
+   * @param {string} companyCode
+   * @param {Object|null} payload - getAllMarketScreenerData result (null when the poll failed)
+   * @returns {{dropped: boolean, reason?: string, period?: string}}
+   */
+  function record(companyCode, payload) {
+    const entry = entries.get(companyCode);
+    if (!entry) return { dropped: false };
+    const at = now();
+    entry.lastPolledAt = at;
+
+    if (payload) {
+      const upcoming = extractLatestUpcomingEarningsRelease(payload, `${companyCode}.json`);
+      const movedTo = upcoming ? releaseTime(upcoming.event) : null;
+      if (movedTo != null && movedTo > at && movedTo !== entry.releaseAt) {
+        log(`📅 Watchlist: ${companyCode} release moved to ${new Date(movedTo).toISOString()}`);
+        entry.releaseAt = movedTo;
+        entry.event = upcoming.event;
+      }
+
+      const periods = releasedPeriods(payload);
+      if (phaseOf(entry, at) === "cold" && at < entry.releaseAt) {
+        // Restatements or late rows before the window are not "the" release
+        for (const p of periods) entry.baseline.add(p);
+      } else {
+        const fresh = [...periods].find((p) => !entry.baseline.has(p));
+        if (fresh) {
+          drop(entry, `actuals published for ${fresh}`);
+          return { dropped: true, reason: "released", period: fresh };
+        }
+      }
+    }
+
+    if (at > entry.releaseAt + cfg.giveUpAfterMs) {
+      drop(entry, "no actuals since the scheduled release");
+      return { dropped: true, reason: "stale" };
+    }
+
+    entry.nextPollAt = at + (phaseOf(entry, at) === "hot" ? cfg.hotIntervalMs : cfg.coldIntervalMs);
+    return { dropped: false };
+  }
+
+  /** [{ companyCode, phase, releaseAt, nextPollAt, title }] nearest release first */
+  function list(at = now()) {
+    return [...entries.values()]
+      .sort((a, b) => a.releaseAt - b.releaseAt)
+      .map((e) => ({
+        companyCode: e.companyCode,
+        phase: phaseOf(e, at),
+        title: e.event?.title || null,
+        releaseAt: new Date(e.releaseAt).toISOString(),
+        nextPollAt: new Date(e.nextPollAt).toISOString(),
+      }));
+  }
+
+  return { refresh, due, record, list, size: () => entries.size };
+}
+
+module.exports = {
+  DEFAULTS,
+  releasedPeriods,
+  createEarningsWatchlist,
+};
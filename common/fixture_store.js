@@ -0,0 +1,144 @@
+// common/fixture_store.js
+// Record/replay layer for the raw HTML fetched by the MarketScreener scrapers.
+//
+// Modes:
+//   off    -> always hit the network, nothing is saved (default)
+//   record -> hit the network and save the raw HTML as a fixture
+//   replay -> never hit the network; parse from the saved fixture (throws if missing)
+//
+// Layout (project-relative by default):
+//   ./data/fixtures/marketscreener/<COMPANY_CODE>/<section>.html
+//   ./data/fixtures/marketscreener/<COMPANY_CODE>/<section>.meta.json
+//
+// <section> is the page a fetch recorded, not always the data section parsed from it:
+//   calendar.html          whole /calendar/ page, recorded by getAllMarketScreenerData
+//                          (common/ms_shared_page.js) with every requested section's interaction
+//   annual_results.html,   the same page recorded by one standalone scraper (only its own
+//   quarterly_results.html, interaction); fixture sets recorded before the shared page existed
+//   upcoming_events.html,   have only these
+//   past_events.html, past_dividends.html
+// Either layout replays through either path: the scrapers fall back to calendar.html, and
+// the aggregator falls back to the per-section files when calendar.html is missing.
+//
+// Config comes from options.fixtures = { mode, dir } and falls back to the
+// MS_FIXTURE_MODE / MS_FIXTURE_DIR environment variables.
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FIXTURE_DIR = path.resolve(__dirname, "..", "data", "fixtures", "marketscreener");
+const MODES = new Set(["off", "record", "replay"]);
+
+// ---------- utils ----------
+function ensureDirSync(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function sanitizeForFilename(s) {
+  return String(s).replace(/[<>:"/\\|?*\x00-\x1F]/g, "-").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Normalize fixture config from options + env.
+ * @param {{mode?: string, dir?: string}} [fixtures]
+ * @returns {{mode: "off"|"record"|"replay", dir: string}}
+ */
+function resolveFixtureConfig(fixtures = {}) {
+  const mode = String(fixtures.mode || process.env.MS_FIXTURE_MODE || "off").trim().toLowerCase();
+  if (!MODES.has(mode)) {
+    throw new Error(`Unknown fixture mode "${mode}" (use off | record | replay)`);
+  }
+  const dir = path.resolve(fixtures.dir || process.env.MS_FIXTURE_DIR || DEFAULT_FIXTURE_DIR);
+  return { mode, dir };
+}
+
+function fixturePaths(config, companyCode, section) {
+  const companyDir = path.join(config.dir, sanitizeForFilename(companyCode));
+  const base = sanitizeForFilename(section);
+  return {
+    companyDir,
+    htmlPath: path.join(companyDir, `${base}.html`),
+    metaPath: path.join(companyDir, `${base}.meta.json`),
+  };
+}
+
+// ---------- public API ----------
+
+/**
+ * Return the HTML for (companyCode, section), honouring the fixture mode.
+ *
+ * @param {Object} params
+ * @param {string} params.companyCode - e.g. "ITC-LIMITED-9743470"
+ * @param {string} params.section     - e.g. "annual_results"
+ * @param {string} params.url         - page URL (stored in the meta file)
+ * @param {{mode?: string, dir?: string}} [params.fixtures]
+ * @param {string[]} [params.fallbackSections] - replay only: fixtures to try, in order, when `section` has none
+ * @param {() => Promise<string>} fetchHtml - network fetcher used in off/record modes
+ * @returns {Promise<string>}
+ */
+async function loadOrFetchHtml({ companyCode, section, url, fixtures, fallbackSections = [] }, fetchHtml) {
+  const config = resolveFixtureConfig(fixtures);
+  const { companyDir, htmlPath, metaPath } = fixturePaths(config, companyCode, section);
+
+  if (config.mode === "replay") {
+    const candidates = [htmlPath, ...fallbackSections.map((s) => fixturePaths(config, companyCode, s).htmlPath)];
+    const found = candidates.find((p) => fs.existsSync(p));
+    if (!found) {
+      throw new Error(`Fixture not found for ${companyCode}/${section}: ${candidates.join(", ")}`);
+    }
+    return fs.readFileSync(found, "utf8");
+  }
+
+  const html = await fetchHtml();
+
+  if (config.mode === "record") {
+    ensureDirSync(companyDir);
+    fs.writeFileSync(htmlPath, html, "utf8");
+    const meta = {
+      companyCode,
+      section,
+      url: url || null,
+      recordedAt: new Date().toISOString(),
+      bytes: Buffer.byteLength(html, "utf8"),
+    };
+    fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2), "utf8");
+  }
+
+  return html;
+}
+
+/**
+ * Whether a fixture is saved for (companyCode, section).
+ * @param {string} companyCode
+ * @param {string} section
+ * @param {{dir?: string}} [fixtures]
+ * @returns {boolean}
+ */
+function hasFixture(companyCode, section, fixtures = {}) {
+  const config = resolveFixtureConfig({ ...fixtures, mode: "off" });
+  return fs.existsSync(fixturePaths(config, companyCode, section).htmlPath);
+}
+
+/**
+ * List company codes that have at least one saved fixture.
+ * @param {{dir?: string}} [fixtures]
+ * @returns {string[]}
+ */
+function listFixtureCompanies(fixtures = {}) {
+  const { dir } = resolveFixtureConfig({ ...fixtures, mode: "off" });
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((d) => d.isDirectory())
+    .map((d) => d.name)
+    .sort();
+}
+
+module.exports = {
+  DEFAULT_FIXTURE_DIR,
+  resolveFixtureConfig,
+  fixturePaths,
+  loadOrFetchHtml,
+  hasFixture,
+  listFixtureCompanies,
+};
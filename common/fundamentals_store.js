@@ -0,0 +1,301 @@
+// common/fundamentals_store.js
+// SQLite time series of quarterly fundamentals, so a reported figure or a consensus
+// estimate can be followed across crawls instead of being overwritten.
+//
+// One row per (company, quarter, metric, source, basis, kind, vintage):
+//   company  NSE symbol when known (else the BSE / MarketScreener code the caller has)
+//   quarter  quarter-end label "YYYY-Mon" (e.g. "2025-Jun"), the BSE parser's format;
+//            MarketScreener fiscal periods ("2026 Q1" + fiscalMonth) are mapped onto it
+//   metric   source's own name ("Net Profit", "EPS in Rs" for BSE; "Net sales", "EPS" for MS)
+//   source   "bse" | "marketscreener"
+//   basis    "c" consolidated | "s" standalone (BSE), "" (MarketScreener)
+//   kind     "actual" | "estimate"
+//   vintage  when this value was first seen; re-recording an unchanged value only bumps last_seen
+//
+// Usage:
+//   const { openFundamentalsStore } = require("./common/fundamentals_store");
+//   const db = openFundamentalsStore();
+//   db.recordBseRows("TCS", rows, { basis: "c", vintage: bundle.fetchedAt });
+//   db.recordMarketScreenerQuarterly("TCS", payload.quarterlyResults, { vintage: payload.timestamp });
+//   db.history({ company: "TCS", quarter: "2025-Jun", metric: "EPS", source: "marketscreener", kind: "estimate" });
+//
+// CLI:
+//   node common/fundamentals_store.js history  <COMPANY> [QUARTER] [METRIC]
+//   node common/fundamentals_store.js latest   <COMPANY> [QUARTER]
+//   node common/fundamentals_store.js first    <COMPANY> [QUARTER]
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_DB_FILE = path.resolve(__dirname, "..", "data", "fundamentals.sqlite");
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const FULL_MONTHS = [
+  "january", "february", "march", "april", "may", "june",
+  "july", "august", "september", "october", "november", "december",
+];
+
+// Computed by our own parser from current share counts, not reported figures
+const DERIVED_BSE_METRICS = new Set(["EPS smooth in Rs"]);
+
+// ---------- quarter labels ----------
+/**
+ * MarketScreener fiscal period -> quarter-end label.
+ *   ("2026 Q1", "March")    -> "2025-Jun"  (FY ending Mar 2026, first quarter)
+ *   ("2025 Q4", "December") -> "2025-Dec"
+ * @returns {string|null}
+ */
+function msPeriodToQuarter(period, fiscalMonth = "December") {
+  const m = String(period || "").match(/^(\d{4})\s*Q([1-4])$/i);
+  if (!m) return null;
+  const fyEnd = FULL_MONTHS.indexOf(String(fiscalMonth || "").trim().toLowerCase()) + 1;
+  if (!fyEnd) return null;
+  const fy = Number(m[1]);
+  const q = Number(m[2]);
+  let month = fyEnd + 3 * q; // months after the previous fiscal year's end
+  let year = fy - 1;
+  if (month > 12) {
+    month -= 12;
+    year += 1;
+  }
+  return `${year}-${MONTHS[month - 1]}`;
+}
+
+/** "EPSINR" / unit "INR" -> "EPS"; "Net salesMillion INR" -> "Net sales" */
+function cleanMsMetric(metric, unit) {
+  const name = String(metric || "").trim();
+  if (unit && name.endsWith(unit)) return name.slice(0, -unit.length).trim();
+  return name;
+}
+
+function unitOfBseMetric(metric, amountUnit = "crore") {
+  if (/%$/.test(metric)) return "%";
+  if (/^EPS/i.test(metric)) return "INR";
+  return amountUnit;
+}
+
+function toNumberOrNull(v) {
+  return typeof v === "number" && Number.isFinite(v) ? v : null;
+}
+
+// ---------- store ----------
+/**
+ * @param {Object} [options]
+ * @param {string} [options.file=FUNDAMENTALS_DB || data/fundamentals.sqlite]
+ */
+function openFundamentalsStore(options = {}) {
+  const file = path.resolve(options.file || process.env.FUNDAMENTALS_DB || DEFAULT_DB_FILE);
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (err) {
+    throw new Error(`Fundamentals store needs the "better-sqlite3" package: ${err.message}`);
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS fundamentals (
+      company    TEXT NOT NULL,
+      quarter    TEXT NOT NULL,
+      metric     TEXT NOT NULL,
+      source     TEXT NOT NULL,
+      basis      TEXT NOT NULL DEFAULT '',
+      kind       TEXT NOT NULL,
+      vintage    TEXT NOT NULL,
+      last_seen  TEXT NOT NULL,
+      value      REAL,
+      raw        TEXT,
+      unit       TEXT,
+      period_raw TEXT,
+      PRIMARY KEY (company, quarter, metric, source, basis, kind, vintage)
+    );
+    CREATE INDEX IF NOT EXISTS fundamentals_series
+      ON fundamentals (company, quarter, metric, source, basis, kind, vintage);
+  `);
+
+  const stmts = {
+    latestOf: db.prepare(`
+      SELECT vintage, value, raw FROM fundamentals
+      WHERE company = ? AND quarter = ? AND metric = ? AND source = ? AND basis = ? AND kind = ?
+      ORDER BY vintage DESC LIMIT 1`),
+    insert: db.prepare(`
+      INSERT OR IGNORE INTO fundamentals
+        (company, quarter, metric, source, basis, kind, vintage, last_seen, value, raw, unit, period_raw)
+      VALUES (@company, @quarter, @metric, @source, @basis, @kind, @vintage, @vintage, @value, @raw, @unit, @period_raw)`),
+    touch: db.prepare(`
+      UPDATE fundamentals SET last_seen = ?
+      WHERE company = ? AND quarter = ? AND metric = ? AND source = ? AND basis = ? AND kind = ? AND vintage = ?
+        AND last_seen < ?`),
+  };
+
+  /** Insert a point unless it equals the latest vintage of its series (then just bump last_seen). */
+  function upsertPoint(p) {
+    const key = [p.company, p.quarter, p.metric, p.source, p.basis, p.kind];
+    const prev = stmts.latestOf.get(...key);
+    if (prev && prev.value === p.value && (p.value != null || prev.raw === p.raw)) {
+      stmts.touch.run(p.vintage, ...key, prev.vintage, p.vintage);
+      return false;
+    }
+    if (prev && prev.vintage >= p.vintage) return false; // older crawl replayed out of order
+    return stmts.insert.run(p).changes > 0;
+  }
+
+  const recordMany = db.transaction((points) => {
+    let inserted = 0;
+    for (const p of points) if (upsertPoint(p)) inserted++;
+    return inserted;
+  });
+
+  /**
+   * BSE parser rows ({ Quarter: "2025-Jun", Sales, "Net Profit", "EPS in Rs", ... }).
+   * @param {string} company
+   * @param {Object[]} rows - parseStockConsolidated(...).rows (bank or non-bank format)
+   * @param {{basis?: "c"|"s", vintage?: string, unit?: string}} [opts] - unit of the amounts (parser default "crore")
+   * @returns {number} points that were new or revised
+   */
+  function recordBseRows(company, rows, opts = {}) {
+    const vintage = opts.vintage || new Date().toISOString();
+    const basis = String(opts.basis || "c").toLowerCase() === "s" ? "s" : "c";
+    const points = [];
+    for (const row of rows || []) {
+      const quarter = row?.Quarter;
+      if (!quarter || quarter === "Unknown") continue;
+      for (const [metric, value] of Object.entries(row)) {
+        if (metric === "Quarter" || DERIVED_BSE_METRICS.has(metric)) continue;
+        const num = toNumberOrNull(value);
+        if (num == null) continue;
+        points.push({
+          company, quarter, metric, source: "bse", basis, kind: "actual", vintage,
+          value: num, raw: String(value), unit: unitOfBseMetric(metric, opts.unit), period_raw: quarter,
+        });
+      }
+    }
+    return recordMany(points);
+  }
+
+  /**
+   * MarketScreener quarterlyResults ({ [period]: { [metric]: { released, releasedNum, forecast, forecastNum, ... } } }).
+   * Released values become "actual", forecasts "estimate"; "Announcement Date" rows are skipped.
+   * @returns {number} points that were new or revised
+   */
+  function recordMarketScreenerQuarterly(company, quarterlyResults, opts = {}) {
+    if (!quarterlyResults || typeof quarterlyResults !== "object" || quarterlyResults.error) return 0;
+    const vintage = opts.vintage || new Date().toISOString();
+    const points = [];
+    for (const [period, metrics] of Object.entries(quarterlyResults)) {
+      for (const row of Object.values(metrics || {})) {
+        if (!row || /^announcement date$/i.test(row.metric || "")) continue;
+        const quarter = msPeriodToQuarter(row.period || period, row.fiscalMonth);
+        if (!quarter) continue;
+        const metric = cleanMsMetric(row.metric, row.unit);
+        const base = { company, quarter, metric, source: "marketscreener", basis: "", vintage, unit: row.unit || null, period_raw: period };
+        const released = toNumberOrNull(row.releasedNum);
+        const forecast = toNumberOrNull(row.forecastNum);
+        if (released != null) points.push({ ...base, kind: "actual", value: released, raw: row.released ?? null });
+        if (forecast != null) points.push({ ...base, kind: "estimate", value: forecast, raw: row.forecast ?? null });
+      }
+    }
+    return recordMany(points);
+  }
+
+  // ---------- queries ----------
+  function where(filter = {}) {
+    if (!filter.company) throw new Error("company is required");
+    const clauses = [];
+    const params = {};
+    for (const col of ["company", "quarter", "metric", "source", "basis", "kind"]) {
+      if (filter[col] != null) {
+        clauses.push(`${col} = @${col}`);
+        params[col] = filter[col];
+      }
+    }
+    return { sql: clauses.join(" AND "), params };
+  }
+
+  const SERIES_COLS = "company, quarter, metric, source, basis, kind";
+
+  /**
+   * Every recorded vintage, oldest first.
+   * @param {{company: string, quarter?: string, metric?: string, source?: string, basis?: string, kind?: string}} filter
+   */
+  function history(filter) {
+    const { sql, params } = where(filter);
+    return db
+      .prepare(`SELECT * FROM fundamentals WHERE ${sql} ORDER BY ${SERIES_COLS}, vintage`)
+      .all(params);
+  }
+
+  /** Most recent vintage of each matching series. */
+  function latest(filter) {
+    const { sql, params } = where(filter);
+    return db
+      .prepare(`
+        SELECT f.* FROM fundamentals f
+        JOIN (SELECT ${SERIES_COLS}, MAX(vintage) AS v FROM fundamentals WHERE ${sql} GROUP BY ${SERIES_COLS}) m
+          USING (company, quarter, metric, source, basis, kind)
+        WHERE f.vintage = m.v
+        ORDER BY f.quarter, f.metric, f.source, f.kind`)
+      .all(params);
+  }
+
+  /** Earliest vintage of each matching series (the first-reported figure / first estimate seen). */
+  function firstReported(filter) {
+    const { sql, params } = where(filter);
+    return db
+      .prepare(`
+        SELECT f.* FROM fundamentals f
+        JOIN (SELECT ${SERIES_COLS}, MIN(vintage) AS v FROM fundamentals WHERE ${sql} GROUP BY ${SERIES_COLS}) m
+          USING (company, quarter, metric, source, basis, kind)
+        WHERE f.vintage = m.v
+        ORDER BY f.quarter, f.metric, f.source, f.kind`)
+      .all(params);
+  }
+
+  return {
+    file,
+    db,
+    recordBseRows,
+    recordMarketScreenerQuarterly,
+    history,
+    latest,
+    firstReported,
+    close: () => {
+      if (db.open) db.close();
+    },
+  };
+}
+
+// One handle per process for producers (crawler, evaluator)
+let shared = null;
+function getFundamentalsStore() {
+  if (!shared) shared = openFundamentalsStore();
+  return shared;
+}
+
+module.exports = {
+  DEFAULT_DB_FILE,
+  msPeriodToQuarter,
+  cleanMsMetric,
+  openFundamentalsStore,
+  getFundamentalsStore,
+};
+
+// ---------- CLI ----------
+if (require.main === module) {
+  const [cmd, company, quarter, metric] = process.argv.slice(2);
+  const queries = { history: "history", latest: "latest", first: "firstReported" };
+  if (!queries[cmd] || !company) {
+    console.error("Usage: node common/fundamentals_store.js <history|latest|first> <COMPANY> [QUARTER] [METRIC]");
+    process.exit(1);
+  }
+  const store = openFundamentalsStore();
+  try {
+    const rows = store[queries[cmd]]({ company, quarter, metric });
+    console.table(rows.map(({ quarter: q, metric: m, source, basis, kind, vintage, last_seen, value }) => ({
+      quarter: q, metric: m, source, basis, kind, vintage, last_seen, value,
+    })));
+  } finally {
+    store.close();
+  }
+}
@@ -0,0 +1,458 @@
+// common/http_client.js
+// Shared HTTP layer for every fetcher (BSE, MarketScreener, NSE, Groww).
+//
+// Per host:
+//   - token bucket      : `ratePerSec` sustained, `burst` at most
+//   - retries           : exponential backoff with full jitter, Retry-After honoured
+//   - circuit breaker   : opens after `blockThreshold` consecutive 403/429/block pages,
+//                         stays open `openMs` (doubling on each re-open, capped), then
+//                         lets one probe through (half-open) and closes on success
+//   - state registry    : counters + breaker state in one place (getHostStates),
+//                         mirrored to data/http_host_state.json (immediately on breaker
+//                         transitions, otherwise at most every 10s)
+//
+// Browser-driven fetchers (Puppeteer) can't go through request(); they use
+// navigate(page, url) for page.goto, or call acquire(url) / report(url, outcome)
+// around in-page fetches, so the same limits and the same registry apply.
+//
+// Usage:
+//   const http = require("./common/http_client");
+//   const html = await http.getText(url, { headers, isBlocked: (res) => /captcha/i.test(res.data) });
+//   const json = await http.getJSON(url);
+//   console.table(http.getHostStates());
+
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const { EventEmitter } = require("events");
+
+const STATE_FILE = path.resolve(__dirname, "..", "data", "http_host_state.json");
+const STATE_WRITE_EVERY_MS = 10_000; // counters are flushed at most this often; breaker changes immediately
+
+// Keys are matched as hostname suffixes ("www.bseindia.com" -> "bseindia.com")
+const HOST_POLICIES = {
+  "bseindia.com": { ratePerSec: 1, burst: 1, blockThreshold: 3, openMs: 60_000 },
+  "marketscreener.com": { ratePerSec: 0.5, burst: 2, blockThreshold: 3, openMs: 120_000 },
+  "nseindia.com": { ratePerSec: 1, burst: 2, blockThreshold: 3, openMs: 60_000 },
+  "groww.in": { ratePerSec: 4, burst: 4, blockThreshold: 5, openMs: 30_000 },
+};
+
+const DEFAULT_POLICY = {
+  ratePerSec: 2,
+  burst: 2,
+  blockThreshold: 3,
+  openMs: 60_000,
+  maxOpenMs: 15 * 60_000,
+  retries: 4,
+  baseDelayMs: 800,
+  maxDelayMs: 30_000,
+  timeoutMs: 30_000,
+};
+
+const BLOCK_STATUSES = new Set([403, 429]);
+// Fingerprints of challenge / WAF interstitials, not of ordinary pages that merely load a
+// reCAPTCHA script or mention "access denied" in their text
+const BLOCK_PATTERNS = [
+  /<title>\s*(?:access denied|attention required! \| cloudflare|just a moment\.\.\.|are you a robot\??)\s*<\/title>/i,
+  /\/cdn-cgi\/challenge-platform\/|["'_]cf[-_]chl[-_]/i, // Cloudflare challenge
+  /you don't have permission to access[\s\S]{0,500}reference\s*#\d+\.[\da-f.]+/i, // Akamai
+  /Incapsula incident ID|_Incapsula_Resource/i, // Imperva
+  /the requested url was rejected\.[\s\S]{0,300}support id/i, // F5 BIG-IP ASM
+];
+
+const events = new EventEmitter();
+const hosts = new Map();
+let lastStateWrite = 0;
+let stateDirty = false;
+
+// ---------- helpers ----------
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function hostKeyOf(urlOrHost) {
+  let host = String(urlOrHost);
+  try {
+    host = new URL(host).hostname;
+  } catch (_) {}
+  host = host.toLowerCase().replace(/^www\./, "");
+  const policyKey = Object.keys(HOST_POLICIES).find((k) => host === k || host.endsWith(`.${k}`));
+  return policyKey || host;
+}
+
+function hostState(urlOrHost) {
+  const key = hostKeyOf(urlOrHost);
+  let h = hosts.get(key);
+  if (!h) {
+    const policy = { ...DEFAULT_POLICY, ...(HOST_POLICIES[key] || {}) };
+    h = {
+      host: key,
+      policy,
+      tokens: policy.burst,
+      lastRefill: Date.now(),
+      queue: Promise.resolve(),
+      breaker: "closed", // closed | open | half-open
+      openedAt: null,
+      openUntil: null,
+      openCount: 0,
+      consecutiveBlocks: 0,
+      probeInFlight: false,
+      counters: { requests: 0, ok: 0, blocked: 0, errors: 0, retries: 0, rejected: 0 },
+      lastStatus: null,
+      lastError: null,
+      lastAt: null,
+    };
+    hosts.set(key, h);
+  }
+  return h;
+}
+
+/** Full-jitter exponential backoff: random(0, min(max, base * 2^(attempt-1))) */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempt - 1));
+  return Math.floor(Math.random() * cap);
+}
+
+function retryAfterMs(res) {
+  const v = res?.headers?.["retry-after"];
+  if (v == null) return null;
+  const secs = Number(v);
+  if (Number.isFinite(secs)) return secs * 1000;
+  const at = Date.parse(v);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+// Challenge / WAF pages come back as 200; look for them near the top of the body
+function isBlockPage(body) {
+  if (typeof body !== "string") return false;
+  const head = body.slice(0, 20000);
+  return BLOCK_PATTERNS.some((re) => re.test(head));
+}
+
+function defaultIsBlocked(res) {
+  return BLOCK_STATUSES.has(res.status) || isBlockPage(res.data);
+}
+
+// ---------- state file ----------
+function writeStateFile() {
+  lastStateWrite = Date.now();
+  stateDirty = false;
+  try {
+    fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
+    fs.writeFileSync(
+      STATE_FILE,
+      JSON.stringify({ updatedAt: new Date().toISOString(), hosts: getHostStates() }, null, 2),
+      "utf8"
+    );
+  } catch (_) {
+    // best effort: the registry is still available in-process
+  }
+}
+
+function setBreaker(h, next, reason) {
+  if (h.breaker === next) return;
+  const prev = h.breaker;
+  h.breaker = next;
+  if (next === "open") {
+    h.openCount += 1;
+    const dur = Math.min(h.policy.maxOpenMs, h.policy.openMs * 2 ** (h.openCount - 1));
+    h.openedAt = Date.now();
+    h.openUntil = h.openedAt + dur;
+    console.warn(`[http] ⛔ ${h.host} circuit OPEN for ${Math.round(dur / 1000)}s (${reason})`);
+  } else if (next === "closed") {
+    h.openCount = 0;
+    h.openedAt = null;
+    h.openUntil = null;
+    console.warn(`[http] ✅ ${h.host} circuit closed`);
+  }
+  events.emit("breaker", { host: h.host, from: prev, to: next, reason });
+  writeStateFile();
+}
+
+// ---------- token bucket + breaker gate ----------
+function refill(h) {
+  const now = Date.now();
+  const elapsed = (now - h.lastRefill) / 1000;
+  h.tokens = Math.min(h.policy.burst, h.tokens + elapsed * h.policy.ratePerSec);
+  h.lastRefill = now;
+}
+
+function circuitError(h) {
+  const err = new Error(
+    `Circuit open for ${h.host} until ${new Date(h.openUntil).toISOString()} (last: ${h.lastError || h.lastStatus})`
+  );
+  err.code = "CIRCUIT_OPEN";
+  err.host = h.host;
+  err.retryAt = h.openUntil;
+  return err;
+}
+
+/**
+ * Wait for the host's breaker and a rate-limit token.
+ * @param {string} url
+ * @param {{waitForCircuit?: boolean, maxCircuitWaitMs?: number}} [opts]
+ *        waitForCircuit=false fails fast with err.code === "CIRCUIT_OPEN"
+ */
+async function acquire(url, opts = {}) {
+  const { waitForCircuit = false, maxCircuitWaitMs = 20 * 60_000 } = opts;
+  const h = hostState(url);
+  const deadline = Date.now() + maxCircuitWaitMs;
+
+  // breaker gate
+  for (;;) {
+    if (h.breaker === "open" && Date.now() >= h.openUntil) setBreaker(h, "half-open", "cool-down elapsed");
+    if (h.breaker === "closed") break;
+    if (h.breaker === "half-open" && !h.probeInFlight) {
+      h.probeInFlight = true;
+      break;
+    }
+    if (!waitForCircuit || Date.now() >= deadline) {
+      h.counters.rejected++;
+      throw circuitError(h);
+    }
+    const wait = h.breaker === "open" ? h.openUntil - Date.now() : 1000;
+    await sleep(Math.max(250, Math.min(wait, deadline - Date.now())));
+  }
+
+  // token bucket (serialised per host so waiters are served in order)
+  const turn = h.queue.then(async () => {
+    refill(h);
+    if (h.tokens < 1) {
+      await sleep(((1 - h.tokens) / h.policy.ratePerSec) * 1000);
+      refill(h);
+    }
+    h.tokens -= 1;
+  });
+  h.queue = turn.catch(() => {});
+  await turn;
+  h.counters.requests++;
+  h.lastAt = new Date().toISOString();
+}
+
+/**
+ * Record the outcome of a request made through acquire().
+ * @param {string} url
+ * @param {{status?: number, blocked?: boolean, error?: string}} outcome
+ */
+function report(url, { status = null, blocked = false, error = null } = {}) {
+  const h = hostState(url);
+  const wasProbe = h.probeInFlight;
+  h.probeInFlight = false;
+  h.lastStatus = status;
+
+  if (blocked) {
+    h.counters.blocked++;
+    h.consecutiveBlocks++;
+    h.lastError = error || `blocked (status ${status})`;
+    if (h.breaker === "half-open" || h.consecutiveBlocks >= h.policy.blockThreshold) {
+      setBreaker(h, "open", `${h.consecutiveBlocks} block(s), last status ${status}`);
+    }
+  } else if (error) {
+    h.counters.errors++;
+    h.lastError = error;
+    if (wasProbe && h.breaker === "half-open") {
+      // The host answered (e.g. a 404) -> not blocking us; no answer at all -> keep it open
+      if (status != null) setBreaker(h, "closed", `probe answered ${status}`);
+      else setBreaker(h, "open", `probe failed: ${error}`);
+    }
+  } else {
+    h.counters.ok++;
+    h.consecutiveBlocks = 0;
+    if (h.breaker !== "closed") setBreaker(h, "closed", "probe succeeded");
+  }
+  events.emit("request", { host: h.host, status, blocked, error });
+  stateDirty = true;
+  if (Date.now() - lastStateWrite > STATE_WRITE_EVERY_MS) writeStateFile();
+}
+
+// ---------- request ----------
+/**
+ * GET/POST through the shared limits.
+ *
+ * @param {string} url
+ * @param {Object} [opts]
+ * @param {string} [opts.method="GET"]
+ * @param {Object|((attempt: number) => Object)} [opts.headers] - static, or per attempt (UA rotation)
+ * @param {*} [opts.data]
+ * @param {number} [opts.timeoutMs]
+ * @param {number} [opts.retries] - extra attempts after the first (default per host policy)
+ * @param {(res) => boolean} [opts.isBlocked] - block-page detector (default: 403/429 + WAF fingerprints)
+ * @param {(res) => boolean} [opts.isOk] - success test (default: 2xx/3xx)
+ * @param {boolean} [opts.waitForCircuit=false] - wait for an open breaker instead of failing fast
+ * @param {Object} [opts.axios] - extra axios config
+ * @returns {Promise<import("axios").AxiosResponse>}
+ */
+async function request(url, opts = {}) {
+  const h = hostState(url);
+  const {
+    method = "GET",
+    headers,
+    data,
+    timeoutMs = h.policy.timeoutMs,
+    retries = h.policy.retries,
+    isBlocked = defaultIsBlocked,
+    isOk = (res) => res.status >= 200 && res.status < 400,
+    waitForCircuit = false,
+    axios: axiosExtra = {},
+  } = opts;
+
+  let lastErr;
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    await acquire(url, { waitForCircuit });
+
+    let res;
+    try {
+      res = await axios.request({
+        url,
+        method,
+        data,
+        headers: typeof headers === "function" ? headers(attempt) : headers,
+        timeout: timeoutMs,
+        maxRedirects: 5,
+        responseType: "text",
+        transformResponse: (d) => d,
+        ...axiosExtra,
+        validateStatus: () => true,
+      });
+    } catch (err) {
+      lastErr = err;
+      report(url, { error: err.message || String(err) });
+    }
+
+    if (res) {
+      if (isBlocked(res)) {
+        lastErr = new Error(`Blocked by ${h.host} (status ${res.status})`);
+        lastErr.code = "BLOCKED";
+        lastErr.status = res.status;
+        report(url, { status: res.status, blocked: true });
+      } else if (isOk(res)) {
+        report(url, { status: res.status });
+        return res;
+      } else {
+        lastErr = new Error(`HTTP ${res.status} from ${h.host}`);
+        lastErr.status = res.status;
+        report(url, { status: res.status, error: lastErr.message });
+        if (res.status >= 400 && res.status < 500) break; // not worth retrying
+      }
+    }
+
+    if (attempt <= retries) {
+      h.counters.retries++;
+      const wait = Math.max(retryAfterMs(res) || 0, backoffDelay(attempt, h.policy));
+      console.warn(`[http] retry ${attempt}/${retries} ${url} in ${wait}ms: ${lastErr?.message}`);
+      await sleep(wait);
+    }
+  }
+  throw lastErr;
+}
+
+async function getText(url, opts = {}) {
+  const res = await request(url, opts);
+  return res.data;
+}
+
+async function getJSON(url, opts = {}) {
+  const res = await request(url, {
+    ...opts,
+    headers: opts.headers || { Accept: "application/json" },
+  });
+  try {
+    return typeof res.data === "string" ? JSON.parse(res.data) : res.data;
+  } catch (e) {
+    throw new Error(`Failed to parse JSON from ${hostKeyOf(url)}: ${e.message}`);
+  }
+}
+
+// ---------- puppeteer ----------
+/**
+ * page.goto through the host's breaker + bucket. 403/429, or a response whose body is a
+ * challenge / "Access denied" page, count as blocks and throw.
+ * @param {import("puppeteer").Page} page
+ * @param {string} url
+ * @param {Object} [gotoOptions] - passed to page.goto
+ * @param {{waitForCircuit?: boolean}} [opts]
+ * @returns {Promise<import("puppeteer").HTTPResponse|null>}
+ */
+async function navigate(page, url, gotoOptions = {}, opts = {}) {
+  await acquire(url, opts);
+  let response;
+  try {
+    response = await page.goto(url, gotoOptions);
+  } catch (err) {
+    report(url, { error: err.message || String(err) });
+    throw err;
+  }
+
+  const status = response ? response.status() : null;
+  // text() throws for bodies Chromium did not keep (e.g. redirects); treat those as not blocked
+  const body = response ? await response.text().catch(() => null) : null;
+  if (BLOCK_STATUSES.has(status) || isBlockPage(body)) {
+    report(url, { status, blocked: true });
+    const err = new Error(`Blocked by ${hostKeyOf(url)} (status ${status}${BLOCK_STATUSES.has(status) ? "" : ", block page"})`);
+    err.code = "BLOCKED";
+    err.status = status;
+    throw err;
+  }
+  report(url, { status });
+  return response;
+}
+
+// ---------- registry ----------
+/** One row per host seen in this process. */
+function getHostStates() {
+  return [...hosts.values()].map((h) => {
+    refill(h);
+    return {
+      host: h.host,
+      breaker: h.breaker,
+      openUntil: h.openUntil ? new Date(h.openUntil).toISOString() : null,
+      consecutiveBlocks: h.consecutiveBlocks,
+      tokens: Number(h.tokens.toFixed(2)),
+      ratePerSec: h.policy.ratePerSec,
+      ...h.counters,
+      lastStatus: h.lastStatus,
+      lastError: h.lastError,
+      lastAt: h.lastAt,
+    };
+  });
+}
+
+/** Override limits for a host at runtime, e.g. setHostPolicy("groww.in", { ratePerSec: 2 }). */
+function setHostPolicy(host, patch) {
+  const h = hostState(host);
+  Object.assign(h.policy, patch);
+  h.tokens = Math.min(h.tokens, h.policy.burst);
+}
+
+module.exports = {
+  STATE_FILE,
+  HOST_POLICIES,
+  events,
+  request,
+  getText,
+  getJSON,
+  acquire,
+  report,
+  navigate,
+  getHostStates,
+  setHostPolicy,
+  writeStateFile,
+  hostKeyOf,
+};
+
+// Flush counters not yet written by the throttle (sync write, safe in "exit")
+process.on("exit", () => {
+  if (stateDirty) writeStateFile();
+});
+
+// ---------- CLI ----------
+// node common/http_client.js -> print the last saved host state
+if (require.main === module) {
+  if (!fs.existsSync(STATE_FILE)) {
+    console.log("No host state recorded yet.");
+  } else {
+    const { updatedAt, hosts: rows } = JSON.parse(fs.readFileSync(STATE_FILE, "utf8"));
+    console.log(`Host state @ ${updatedAt}`);
+    console.table(rows);
+  }
+}
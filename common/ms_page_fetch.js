@@ -0,0 +1,106 @@
+// common/ms_page_fetch.js
+// Shared page fetchers for the MarketScreener scrapers.
+// - fetchHtmlStatic: plain GET through common/http_client (no JS)
+// - withMarketScreenerPage: Puppeteer page (executes JS) borrowed from a browser pool
+
+const http = require("./http_client");
+const { DEFAULT_LAUNCH_ARGS, getSharedBrowserPool } = require("./browser_pool");
+
+const BASE_HOST = "https://in.marketscreener.com/quote/stock/";
+const USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0 Safari/537.36";
+const LAUNCH_ARGS = DEFAULT_LAUNCH_ARGS;
+
+const DEFAULT_STATIC_TIMEOUT_MS = 30000;
+const DEFAULT_NAV_TIMEOUT_MS = 60000;
+
+function makeCalendarUrl(companyCode) {
+  // companyCode example: "LIFE-INSURANCE-CORPORATIO-137965464"
+  return `${BASE_HOST}${companyCode}/calendar/`;
+}
+
+// ---------- Static (Axios) ----------
+/**
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=30000]
+ * @returns {Promise<string>} raw HTML
+ */
+async function fetchHtmlStatic(url, options = {}) {
+  return http.getText(url, {
+    headers: {
+      "User-Agent": USER_AGENT,
+      Accept: "text/html,application/xhtml+xml",
+      "Accept-Language": "en-IN,en;q=0.9",
+      Referer: url,
+    },
+    timeoutMs: options.timeoutMs || DEFAULT_STATIC_TIMEOUT_MS,
+  });
+}
+
+// ---------- Dynamic (Puppeteer) ----------
+// Navigations share the marketscreener.com rate limit / circuit breaker with static fetches
+async function renderPage(page, url, options, interact) {
+  await page.setUserAgent(USER_AGENT);
+  await page.setExtraHTTPHeaders({ "Accept-Language": "en-IN,en;q=0.9" });
+  await http.navigate(page, url, {
+    waitUntil: "domcontentloaded",
+    timeout: options.timeoutMs || DEFAULT_NAV_TIMEOUT_MS,
+  });
+
+  if (typeof interact === "function") await interact(page);
+
+  return page.content();
+}
+
+/**
+ * Open `url` in a Puppeteer page, let `interact(page)` nudge the DOM
+ * (clicks, scrolls, waits), then return the rendered HTML.
+ *
+ * Page source, in order of preference:
+ *   - options.pool    : page borrowed from that pool (see common/browser_pool.js)
+ *   - options.browser : new page on a caller-owned browser, closed afterwards
+ *   - otherwise       : page borrowed from the process-wide shared pool
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {{ withPage: Function }} [options.pool]
+ * @param {import("puppeteer").Browser} [options.browser]
+ * @param {number} [options.timeoutMs=60000] - navigation timeout
+ * @param {(page: import("puppeteer").Page) => Promise<void>} [interact]
+ * @returns {Promise<string>} rendered HTML
+ */
+async function withMarketScreenerPage(url, options = {}, interact) {
+  if (!options.pool && options.browser) {
+    const page = await options.browser.newPage();
+    try {
+      return await renderPage(page, url, options, interact);
+    } finally {
+      try { await page.close(); } catch (_) {}
+    }
+  }
+
+  const pool = options.pool || getSharedBrowserPool();
+  return pool.withPage((page) => renderPage(page, url, options, interact));
+}
+
+/**
+ * Fetch HTML for a MarketScreener page using the scrape options shared by every section:
+ *   { usePuppeteer = true, pool, browser, timeoutMs }
+ */
+function fetchMarketScreenerHtml(url, options = {}, interact) {
+  const { usePuppeteer = true } = options;
+  return usePuppeteer
+    ? withMarketScreenerPage(url, options, interact)
+    : fetchHtmlStatic(url, options);
+}
+
+module.exports = {
+  BASE_HOST,
+  USER_AGENT,
+  LAUNCH_ARGS,
+  makeCalendarUrl,
+  fetchHtmlStatic,
+  withMarketScreenerPage,
+  fetchMarketScreenerHtml,
+};
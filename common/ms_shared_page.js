@@ -0,0 +1,69 @@
+// common/ms_shared_page.js
+// Fetch a MarketScreener page ONCE and share the parsed DOM between section extractors.
+//
+// Upcoming events, past events, past dividends, quarterly and annual results all
+// live on the same /calendar/ page. getAllMarketScreenerData groups the requested
+// sections by page, loads each distinct page a single time (running every
+// section's Puppeteer interaction on the same tab), then passes
+// `{ url, $ }` to each get* function as options.prefetched.
+//
+// Fixtures: a shared page is recorded/replayed as "<COMPANY_CODE>/<kind>.html"
+// (e.g. calendar.html) through common/fixture_store.js. Replaying a fixture set that
+// only has the standalone scrapers' per-section files, fetchSharedPage returns null and
+// each section replays its own file instead.
+
+const cheerio = require("cheerio");
+const { loadOrFetchHtml, resolveFixtureConfig, hasFixture } = require("./fixture_store");
+const { makeCalendarUrl, fetchMarketScreenerHtml } = require("./ms_page_fetch");
+
+const PAGE_URL_BUILDERS = {
+  calendar: makeCalendarUrl,
+};
+
+/**
+ * Accept raw HTML or an already-loaded cheerio root.
+ * @param {string|import("cheerio").CheerioAPI} htmlOrDom
+ * @returns {import("cheerio").CheerioAPI}
+ */
+function loadDom(htmlOrDom) {
+  return typeof htmlOrDom === "function" ? htmlOrDom : cheerio.load(htmlOrDom || "");
+}
+
+/**
+ * Load one MarketScreener page for a company, running `interactions` in order
+ * on the same Puppeteer tab before the HTML is captured.
+ *
+ * @param {string} companyCode - e.g. "ITC-LIMITED-9743470"
+ * @param {string} kind - key of PAGE_URL_BUILDERS (e.g. "calendar")
+ * @param {Object} [options] - scrape options: { usePuppeteer, pool, browser, timeoutMs, fixtures }
+ * @param {Array<(page: import("puppeteer").Page) => Promise<void>>} [interactions]
+ * @returns {Promise<{kind: string, url: string, html: string, $: import("cheerio").CheerioAPI}|null>}
+ *   null in replay mode when only per-section fixtures were recorded
+ */
+async function fetchSharedPage(companyCode, kind, options = {}, interactions = []) {
+  const makeUrl = PAGE_URL_BUILDERS[kind];
+  if (!makeUrl) throw new Error(`Unknown MarketScreener page kind: ${kind}`);
+  const url = makeUrl(companyCode);
+
+  const { mode } = resolveFixtureConfig(options.fixtures);
+  if (mode === "replay" && !hasFixture(companyCode, kind, options.fixtures)) return null;
+
+  const interactAll = async (page) => {
+    for (const interact of interactions) {
+      if (typeof interact === "function") await interact(page);
+    }
+  };
+
+  const html = await loadOrFetchHtml(
+    { companyCode, section: kind, url, fixtures: options.fixtures },
+    () => fetchMarketScreenerHtml(url, options, interactAll)
+  );
+
+  return { kind, url, html, $: cheerio.load(html) };
+}
+
+module.exports = {
+  PAGE_URL_BUILDERS,
+  loadDom,
+  fetchSharedPage,
+};
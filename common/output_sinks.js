@@ -0,0 +1,71 @@
+// common/output_sinks.js
+// Opt-in output sinks for scraper payloads. Nothing is written unless a sink is passed.
+//
+// A sink is any function: (payload, ctx) => void | Promise<void>
+//   ctx = { companyCode, section, url }
+//
+// Example:
+//   const { jsonFileSink } = require("./common/output_sinks");
+//   await getUpcomingEvents(code, {
+//     sinks: [jsonFileSink((ctx) => `./out/${ctx.companyCode}.upcoming.json`)],
+//   });
+
+const fs = require("fs");
+const path = require("path");
+
+function resolveTarget(target, ctx) {
+  const p = typeof target === "function" ? target(ctx) : target;
+  if (!p) throw new Error("Sink target path is empty");
+  return path.resolve(p);
+}
+
+function writeFileEnsuringDir(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, "utf8");
+}
+
+/**
+ * Write the payload as pretty JSON.
+ * @param {string|((ctx:Object)=>string)} target - file path, or a function of ctx
+ */
+function jsonFileSink(target) {
+  return (payload, ctx = {}) => {
+    const filePath = resolveTarget(target, ctx);
+    writeFileEnsuringDir(filePath, JSON.stringify(payload, null, 2));
+    console.error(`✅ JSON written: ${filePath}`);
+  };
+}
+
+/**
+ * Write the payload as CSV using a section-specific serializer.
+ * @param {string|((ctx:Object)=>string)} target
+ * @param {(payload:Object)=>string} toCSV
+ */
+function csvFileSink(target, toCSV) {
+  return (payload, ctx = {}) => {
+    const filePath = resolveTarget(target, ctx);
+    writeFileEnsuringDir(filePath, toCSV(payload));
+    console.error(`✅ CSV written: ${filePath}`);
+  };
+}
+
+/**
+ * Run every sink in order. Sink failures are logged, never thrown,
+ * so a bad output path can't lose the scraped payload.
+ */
+async function emitToSinks(sinks, payload, ctx) {
+  if (!Array.isArray(sinks) || sinks.length === 0) return;
+  for (const sink of sinks) {
+    try {
+      await sink(payload, ctx);
+    } catch (err) {
+      console.error(`❌ Sink failed for ${ctx?.companyCode || "-"}/${ctx?.section || "-"}:`, err?.message || err);
+    }
+  }
+}
+
+module.exports = {
+  jsonFileSink,
+  csvFileSink,
+  emitToSinks,
+};
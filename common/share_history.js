@@ -0,0 +1,193 @@
+// common/share_history.js
+// Share count in force on any date, per company: every fiscal-year column of the MarketScreener
+// "Nbr of stocks" row (getLatestOutstandingShare.getOutstandingShareHistory), completed with
+// splits / bonus issues from common/corporate_actions.
+//
+// MarketScreener columns are fiscal year ends. Some companies' columns are restated for later
+// splits, some are not: across each split / bonus the jump between the surrounding columns
+// (estimate columns included) tells which (close to the factor = as reported, close to 1 =
+// restated), and restated columns are put back on the count actually in force then. Estimate
+// columns (after today) are then dropped.
+// A split with no column after it (estimates included) can't be checked that way; it is taken as
+// not restated.
+//
+// steps:  [{ date: "YYYY-MM-DD", shares, source: "marketscreener" | "split" | "bonus" }]
+//   a split / bonus multiplies the count in force from its ex-date until the next column;
+//   issuance and buybacks only show up at the next fiscal year end.
+// splits: the split / bonus actions used (sharesAt scales counts across them)
+//
+// Raw columns are stored per NSE symbol in the "share_history" collection (common/storage);
+// steps are rebuilt on every read, so a new corporate action applies without a refetch.
+//
+// Usage:
+//   const { getShareHistory, sharesAt } = require("./common/share_history");
+//   const history = await getShareHistory("HCLTECH", { msCode: "HCL-TECHNOLOGIES-LIMITED-9743259" });
+//   sharesAt(history, "2024-06-30");                          // count in force on that day
+//   sharesAt(history, "2024-06-30", { asOf: "2025-10-17" });  // same, on that day's share basis
+//
+// CLI: node common/share_history.js <NSE_SYMBOL> <MARKET_SCREENER_CODE> [--refresh]
+
+const { getStorage } = require("./storage");
+const { toISTDateKey } = require("./trading_calendar");
+const { getCorporateActions, cumulativeFactor } = require("./corporate_actions");
+
+const COLLECTION = "share_history";
+const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // columns only change once a year
+const DEFAULT_FISCAL_MONTH = "March"; // NSE companies mostly report on an April-March year
+const MONTHS = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+];
+const COUNT_ACTIONS = new Set(["split", "bonus"]); // a rights issue's factor is a price factor
+
+// ---------- building ----------
+/** Fiscal year 2025 with fiscal month "March" -> "2025-03-31" */
+function fiscalYearEnd(fiscalYear, fiscalMonth) {
+  const idx = MONTHS.findIndex((m) => m.toLowerCase() === String(fiscalMonth || DEFAULT_FISCAL_MONTH).toLowerCase());
+  const month = (idx >= 0 ? idx : 2) + 1;
+  const lastDay = new Date(Date.UTC(Number(fiscalYear), month, 0)).getUTCDate();
+  return `${fiscalYear}-${String(month).padStart(2, "0")}-${String(lastDay).padStart(2, "0")}`;
+}
+
+/** Whether a column-to-column ratio is closer to the split factor than to "no change" (log scale). */
+function looksUnrestated(ratio, factor) {
+  return Math.abs(Math.log(ratio) - Math.log(factor)) < Math.abs(Math.log(ratio));
+}
+
+/**
+ * Steps of the share count from MS columns and corporate actions.
+ * @param {{fiscalMonth?: string|null, columns: Array<{fiscalYear: number, shares: number}>}} raw
+ * @param {Object[]} [actions] - corporate_actions entries
+ * @param {{asOf?: string}} [opts] - columns dated after asOf (estimates) are dropped
+ * @returns {{fiscalMonth: string, restated: string[], steps: Array<{date: string, shares: number, source: string}>, splits: Object[]}}
+ *   restated = ex-dates MS had already restated the earlier columns for
+ */
+function buildShareHistory(raw, actions = [], { asOf = toISTDateKey(Date.now()) } = {}) {
+  const fiscalMonth = raw?.fiscalMonth || DEFAULT_FISCAL_MONTH;
+  const points = (raw?.columns || [])
+    .filter((c) => Number.isFinite(c?.fiscalYear) && Number.isFinite(c?.shares) && c.shares > 0)
+    .map((c) => ({ date: fiscalYearEnd(c.fiscalYear, fiscalMonth), shares: c.shares, source: "marketscreener" }))
+    .sort((a, b) => (a.date < b.date ? -1 : 1));
+
+  const splits = (actions || []).filter(
+    (a) => COUNT_ACTIONS.has(a?.type) && Number.isFinite(a.factor) && a.factor > 0 && a.exDate <= asOf
+  );
+
+  // put restated columns back on the count in force at their date
+  const restated = [];
+  for (let i = points.length - 1; i > 0; i--) {
+    const prev = points[i - 1];
+    const next = points[i];
+    const f = cumulativeFactor(splits, prev.date, next.date);
+    if (f === 1 || looksUnrestated(next.shares / prev.shares, f)) continue;
+    for (let j = 0; j < i; j++) points[j].shares /= f;
+    restated.push(...splits.filter((a) => a.exDate > prev.date && a.exDate <= next.date).map((a) => a.exDate));
+  }
+
+  // each split / bonus multiplies whatever was in force before its ex-date
+  const steps = points.filter((p) => p.date <= asOf);
+  for (const a of splits) {
+    const before = [...steps].reverse().find((s) => s.date < a.exDate);
+    if (!before) continue; // before the first column: covered by sharesAt's backward adjustment
+    steps.push({ date: a.exDate, shares: before.shares * a.factor, source: a.type });
+    // on the same date the column wins (it already includes the action)
+    steps.sort((x, y) => (x.date < y.date ? -1 : x.date > y.date ? 1 : x.source === "marketscreener" ? 1 : -1));
+  }
+
+  const deduped = steps.filter((s, i) => !(steps[i + 1] && steps[i + 1].date === s.date));
+  return {
+    fiscalMonth,
+    restated: restated.sort(),
+    steps: deduped.map((s) => ({ ...s, shares: Math.round(s.shares) })),
+    splits,
+  };
+}
+
+/**
+ * Share count in force on `dateKey` (last step on or before it). Before the first step, the first
+ * count is scaled back over the splits / bonus issues in between.
+ * With `asOf`, the count is put on that date's share basis (multiplied by the splits after dateKey).
+ * @param {{steps: Object[], splits?: Object[]}} history - buildShareHistory / getShareHistory result
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @param {{asOf?: string}} [opts]
+ * @returns {number|null}
+ */
+function sharesAt(history, dateKey, { asOf } = {}) {
+  const steps = history?.steps || [];
+  if (!steps.length || !dateKey) return null;
+
+  let shares = null;
+  for (const s of steps) {
+    if (s.date > dateKey) break;
+    shares = s.shares;
+  }
+  if (shares == null) shares = steps[0].shares / cumulativeFactor(history.splits, dateKey, steps[0].date);
+  if (asOf && asOf > dateKey) shares *= cumulativeFactor(history.splits, dateKey, asOf);
+  return Math.round(shares);
+}
+
+// ---------- fetch / store ----------
+async function fetchColumns(msCode, options) {
+  const { getOutstandingShareHistory } = require("../getLatestOutstandingShare");
+  const raw = await getOutstandingShareHistory(msCode, options);
+  if (!raw) throw new Error(`no valuation page for ${msCode}`);
+  if (!raw.columns.length) throw new Error(`no "Nbr of stocks" columns for ${msCode}`);
+  return raw;
+}
+
+/**
+ * Stored MS columns (refetched when missing, older than `maxAgeMs` or for another MS code) +
+ * corporate actions -> share history. Never throws; null when nothing is known.
+ * @param {string} symbol - NSE symbol
+ * @param {{msCode?: string, actions?: Object[], refresh?: boolean, maxAgeMs?: number, fetchOptions?: Object}} [opts]
+ *   actions default to getCorporateActions(symbol)
+ * @returns {Promise<{symbol: string, msCode: string|null, fetchedAt: string, fiscalMonth: string, restated: string[], steps: Object[], splits: Object[]}|null>}
+ */
+async function getShareHistory(symbol, { msCode, actions, refresh = false, maxAgeMs = MAX_AGE_MS, fetchOptions } = {}) {
+  try {
+    const store = getStorage();
+    let doc = await store.get(COLLECTION, symbol);
+    const stale =
+      !doc || refresh || Date.now() - Date.parse(doc.fetchedAt) >= maxAgeMs || (msCode && doc.msCode !== msCode);
+
+    if (stale && msCode) {
+      try {
+        const raw = await fetchColumns(msCode, fetchOptions);
+        doc = { symbol, msCode, fetchedAt: new Date().toISOString(), fiscalMonth: raw.fiscalMonth, columns: raw.columns };
+        await store.put(COLLECTION, symbol, doc);
+      } catch (err) {
+        // keep the stored columns (if any) and retry next time
+        console.warn(`⚠️ Share history for ${symbol} not refreshed: ${err?.message || err}`);
+      }
+    }
+    if (!doc?.columns?.length) return null;
+
+    const acts = actions || (await getCorporateActions(symbol));
+    return { symbol, msCode: doc.msCode || null, fetchedAt: doc.fetchedAt, ...buildShareHistory(doc, acts) };
+  } catch (err) {
+    console.warn(`⚠️ Share history for ${symbol} unavailable: ${err?.message || err}`);
+    return null;
+  }
+}
+
+module.exports = {
+  COLLECTION,
+  fiscalYearEnd,
+  buildShareHistory,
+  sharesAt,
+  getShareHistory,
+};
+
+if (require.main === module) {
+  const args = require("minimist")(process.argv.slice(2), { boolean: ["refresh"] });
+  const symbol = String(args._[0] || "").trim().toUpperCase();
+  const msCode = args._[1] ? String(args._[1]).trim() : undefined;
+  if (!symbol) {
+    console.error("Usage: node common/share_history.js <NSE_SYMBOL> <MARKET_SCREENER_CODE> [--refresh]");
+    process.exit(1);
+  }
+  const { closeStorage } = require("./storage");
+  getShareHistory(symbol, { msCode, refresh: args.refresh })
+    .then((history) => console.log(JSON.stringify(history, null, 2)))
+    .finally(() => closeStorage());
+}
@@ -0,0 +1,234 @@
+// common/snapshot_diff.js
+// Compare two getAllMarketScreenerData payloads.
+//
+// - stripVolatile / sameContent : content equality ignoring run-specific fields (timestamp)
+// - diffJson                    : raw path-by-path differences (debugging / regression)
+// - describeChanges             : domain-level changes, e.g.
+//     quarterly_release          new actual figure published for a period/metric
+//     quarterly_restated         an already-published actual changed
+//     quarterly_estimate_revision consensus forecast changed
+//     annual_release / annual_restated / annual_estimate_revision (same, yearly table)
+//     dividend_new               a dividend row that wasn't there before
+//     upcoming_event_new / upcoming_event_moved / upcoming_event_removed
+//     past_event_new
+//
+// Sections that failed to scrape in either snapshot ({ error } or null) are skipped,
+// so a transient scrape failure never shows up as "everything was removed".
+
+const VOLATILE_KEYS = ["timestamp"];
+
+// ---------- equality ----------
+/**
+ * Deep copy with volatile keys dropped and object keys sorted (stable JSON).
+ * @param {*} value
+ * @param {string[]} [volatileKeys]
+ */
+function stripVolatile(value, volatileKeys = VOLATILE_KEYS) {
+  const drop = volatileKeys instanceof Set ? volatileKeys : new Set(volatileKeys);
+  const walk = (v) => {
+    if (Array.isArray(v)) return v.map(walk);
+    if (v && typeof v === "object") {
+      const out = {};
+      for (const key of Object.keys(v).sort()) {
+        if (drop.has(key)) continue;
+        out[key] = walk(v[key]);
+      }
+      return out;
+    }
+    return v;
+  };
+  return walk(value);
+}
+
+function sameContent(prev, next, volatileKeys = VOLATILE_KEYS) {
+  return (
+    JSON.stringify(stripVolatile(prev, volatileKeys)) ===
+    JSON.stringify(stripVolatile(next, volatileKeys))
+  );
+}
+
+/** Collect human-readable differences between two plain JSON values. */
+function diffJson(expected, actual, at = "$", out = []) {
+  if (out.length >= 50) return out; // enough to see what broke
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    if (expected.length !== actual.length) {
+      out.push(`${at}: length ${expected.length} -> ${actual.length}`);
+    }
+    const n = Math.min(expected.length, actual.length);
+    for (let i = 0; i < n; i++) diffJson(expected[i], actual[i], `${at}[${i}]`, out);
+    return out;
+  }
+  if (expected && actual && typeof expected === "object" && typeof actual === "object") {
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    for (const k of keys) {
+      if (!(k in actual)) out.push(`${at}.${k}: missing`);
+      else if (!(k in expected)) out.push(`${at}.${k}: unexpected`);
+      else diffJson(expected[k], actual[k], `${at}.${k}`, out);
+    }
+    return out;
+  }
+  if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+    out.push(`${at}: ${JSON.stringify(expected)} -> ${JSON.stringify(actual)}`);
+  }
+  return out;
+}
+
+// ---------- helpers ----------
+function usable(section) {
+  return !!section && typeof section === "object" && !section.error;
+}
+
+function toNum(v) {
+  if (v == null) return null;
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const t = String(v).replace(/,/g, "").replace(/\s+/g, "").trim();
+  if (!t || t === "-" || !/^[-+]?\d*\.?\d+$/.test(t)) return null;
+  const n = Number(t);
+  return Number.isFinite(n) ? n : null;
+}
+
+// quarterly rows carry releasedNum/forecastNum; annual rows only the raw strings
+function releasedOf(row) {
+  return row && "releasedNum" in row ? toNum(row.releasedNum) : toNum(row?.released);
+}
+function forecastOf(row) {
+  return row && "forecastNum" in row ? toNum(row.forecastNum) : toNum(row?.forecast);
+}
+
+const normTitle = (s) => String(s || "").replace(/\s+/g, " ").trim().toLowerCase();
+
+// ---------- section differs ----------
+// Grouped tables: { [period]: { [metric]: row } }
+function diffResultsTable(prevTable, nextTable, kind) {
+  const changes = [];
+  if (!usable(prevTable) || !usable(nextTable)) return changes;
+
+  for (const [period, metrics] of Object.entries(nextTable)) {
+    if (!metrics || typeof metrics !== "object") continue;
+    const prevMetrics = prevTable[period] || {};
+
+    for (const [metric, row] of Object.entries(metrics)) {
+      const before = prevMetrics[metric];
+      const relPrev = releasedOf(before);
+      const relNext = releasedOf(row);
+      const fcPrev = forecastOf(before);
+      const fcNext = forecastOf(row);
+
+      if (relNext != null && relPrev == null) {
+        changes.push({
+          type: `${kind}_release`, period, metric, from: null, to: relNext,
+          message: `New actual ${metric} for ${period}: ${relNext}`,
+        });
+      } else if (relNext != null && relPrev != null && relNext !== relPrev) {
+        changes.push({
+          type: `${kind}_restated`, period, metric, from: relPrev, to: relNext,
+          message: `${metric} for ${period} restated: ${relPrev} -> ${relNext}`,
+        });
+      }
+
+      if (fcNext != null && fcNext !== fcPrev) {
+        changes.push({
+          type: `${kind}_estimate_revision`, period, metric, from: fcPrev, to: fcNext,
+          message: `${metric} estimate for ${period}: ${fcPrev ?? "none"} -> ${fcNext}`,
+        });
+      }
+    }
+  }
+  return changes;
+}
+
+function dividendKey(d) {
+  return [d?.dateRaw || d?.dateISO || "", normTitle(d?.type || d?.title), d?.amount ?? ""].join("|");
+}
+
+function diffDividends(prev, next) {
+  if (!usable(prev) || !usable(next)) return [];
+  const seen = new Set((prev.dividends || []).map(dividendKey));
+  return (next.dividends || [])
+    .filter((d) => !seen.has(dividendKey(d)))
+    .map((d) => ({
+      type: "dividend_new", title: d.title || d.type || null, date: d.dateISO || d.dateRaw || null,
+      from: null, to: d.amount ?? null,
+      message: `New dividend: ${d.title || d.type || "dividend"} on ${d.dateRaw || d.dateISO || "?"}`,
+    }));
+}
+
+function diffUpcomingEvents(prev, next) {
+  if (!usable(prev) || !usable(next)) return [];
+  const changes = [];
+  const before = new Map((prev.events || []).map((e) => [normTitle(e.title), e]));
+  const after = new Map((next.events || []).map((e) => [normTitle(e.title), e]));
+
+  for (const [key, e] of after) {
+    const old = before.get(key);
+    const when = e.dateTimeISO || e.dateTimeRaw || null;
+    if (!old) {
+      changes.push({
+        type: "upcoming_event_new", title: e.title, from: null, to: when,
+        message: `New upcoming event: ${e.title} on ${e.dateTimeRaw || when}`,
+      });
+      continue;
+    }
+    const oldWhen = old.dateTimeISO || old.dateTimeRaw || null;
+    if (oldWhen !== when) {
+      changes.push({
+        type: "upcoming_event_moved", title: e.title, from: oldWhen, to: when,
+        message: `${e.title} moved: ${old.dateTimeRaw || oldWhen} -> ${e.dateTimeRaw || when}`,
+      });
+    }
+  }
+  for (const [key, e] of before) {
+    if (after.has(key)) continue;
+    changes.push({
+      type: "upcoming_event_removed", title: e.title, from: e.dateTimeISO || e.dateTimeRaw || null, to: null,
+      message: `Upcoming event no longer listed: ${e.title}`,
+    });
+  }
+  return changes;
+}
+
+function diffPastEvents(prev, next) {
+  if (!usable(prev) || !usable(next)) return [];
+  const key = (e) => `${normTitle(e.title)}|${e.dateTimeISO || e.dateTimeRaw || ""}`;
+  const seen = new Set((prev.events || []).map(key));
+  return (next.events || [])
+    .filter((e) => !seen.has(key(e)))
+    .map((e) => ({
+      type: "past_event_new", title: e.title, from: null, to: e.dateTimeISO || e.dateTimeRaw || null,
+      message: `New past event: ${e.title} (${e.dateTimeRaw || e.dateTimeISO || "?"})`,
+    }));
+}
+
+// ---------- public ----------
+/**
+ * Domain-level changes between two MarketScreener payloads.
+ * `prev` may be null (first crawl) -> returns [] (nothing to compare against).
+ * @returns {Array<{type: string, section: string, message: string, from: *, to: *}>}
+ */
+function describeChanges(prev, next) {
+  if (!prev || !next) return [];
+  const tag = (section) => (c) => ({ section, ...c });
+  return [
+    ...diffResultsTable(prev.quarterlyResults, next.quarterlyResults, "quarterly").map(tag("quarterlyResults")),
+    ...diffResultsTable(prev.annualResults, next.annualResults, "annual").map(tag("annualResults")),
+    ...diffDividends(prev.pastDividends, next.pastDividends).map(tag("pastDividends")),
+    ...diffUpcomingEvents(prev.upcomingEvents, next.upcomingEvents).map(tag("upcomingEvents")),
+    ...diffPastEvents(prev.pastEvents, next.pastEvents).map(tag("pastEvents")),
+  ];
+}
+
+/** { [type]: count } for a change list. */
+function countByType(changes) {
+  const out = {};
+  for (const c of changes || []) out[c.type] = (out[c.type] || 0) + 1;
+  return out;
+}
+
+module.exports = {
+  VOLATILE_KEYS,
+  stripVolatile,
+  sameContent,
+  diffJson,
+  describeChanges,
+  countByType,
+};
@@ -0,0 +1,344 @@
+// common/storage.js
+// One storage interface for scraped company data, with three backends:
+//
+//   fs      (default) data/<collection>/<key>.json, logs as data/<collection>/<key>.jsonl
+//   redis   <ns>:doc:<collection>:<key> (JSON string), <ns>:log:<collection>:<key> (list),
+//           <ns>:idx:<collection> (set of keys) — same client as nse/nse-result-maker.js
+//   sqlite  tables docs(collection, key, value) and logs(collection, key, value), via better-sqlite3
+//
+// Every method is async, whatever the backend:
+//   get(collection, key)          -> object | null
+//   put(collection, key, value)
+//   append(collection, key, entry) / readLog(collection, key) -> entry[]
+//   list(collection)              -> keys, sorted
+//   remove(collection, key)
+//   describe(collection, key)     -> where it lives (for logs)
+//   close()
+//
+// Collections in use: "info" (MarketScreener payload per company), "changes" (change log per
+// company), "changes/daily", "observer/<company>" (snapshots + .diff), "analyser/performance",
+// "corporate_actions" (splits / bonus / rights per NSE symbol), "share_history" (MS share-count
+// columns per NSE symbol), "classification" (sector / industry per NSE symbol).
+//
+// Backend selection (getStorage): STORAGE_BACKEND=fs|redis|sqlite, REDIS_URL, STORAGE_NS,
+// STORAGE_SQLITE_FILE (default data/storage.sqlite), STORAGE_DATA_DIR (default data/).
+//
+// Usage:
+//   const { getStorage } = require("./common/storage");
+//   const store = getStorage();
+//   const prev = await store.get("info", companyCode);
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_DATA_DIR = path.resolve(__dirname, "..", "data");
+const BACKENDS = ["fs", "redis", "sqlite"];
+
+function assertName(kind, value) {
+  if (typeof value !== "string" || !value.trim() || /(^|\/)\.\.(\/|$)/.test(value)) {
+    throw new Error(`Invalid storage ${kind}: ${JSON.stringify(value)}`);
+  }
+}
+
+// ---------- fs ----------
+/**
+ * @param {Object} [options]
+ * @param {string} [options.baseDir=data/]
+ * @param {Object<string,string>} [options.dirs] - per-collection folder overrides, e.g. { info: "/tmp/info" }
+ */
+function createFsStorage(options = {}) {
+  const baseDir = path.resolve(options.baseDir || DEFAULT_DATA_DIR);
+  const dirs = options.dirs || {};
+
+  const dirOf = (collection) => {
+    assertName("collection", collection);
+    return dirs[collection] ? path.resolve(dirs[collection]) : path.join(baseDir, ...collection.split("/"));
+  };
+  const fileOf = (collection, key, ext = ".json") => {
+    assertName("key", key);
+    return path.join(dirOf(collection), `${key}${ext}`);
+  };
+
+  async function get(collection, key) {
+    const file = fileOf(collection, key);
+    if (!fs.existsSync(file)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      console.warn(`⚠️ Unreadable JSON ignored: ${file} (${err.message})`);
+      return null;
+    }
+  }
+
+  async function put(collection, key, value) {
+    const file = fileOf(collection, key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(value, null, 2), "utf8");
+  }
+
+  async function append(collection, key, entry) {
+    const file = fileOf(collection, key, ".jsonl");
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(entry) + "\n", "utf8");
+  }
+
+  async function readLog(collection, key) {
+    const file = fileOf(collection, key, ".jsonl");
+    if (!fs.existsSync(file)) return [];
+    const out = [];
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        out.push(JSON.parse(line));
+      } catch {
+        // half-written last line
+      }
+    }
+    return out;
+  }
+
+  async function list(collection) {
+    const dir = dirOf(collection);
+    if (!fs.existsSync(dir)) return [];
+    return fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter((d) => d.isFile() && d.name.endsWith(".json"))
+      .map((d) => d.name.slice(0, -".json".length))
+      .sort();
+  }
+
+  async function remove(collection, key) {
+    for (const ext of [".json", ".jsonl"]) fs.rmSync(fileOf(collection, key, ext), { force: true });
+  }
+
+  return {
+    backend: "fs",
+    get,
+    put,
+    append,
+    readLog,
+    list,
+    remove,
+    describe: (collection, key) => fileOf(collection, key),
+    close: async () => {},
+  };
+}
+
+// ---------- redis ----------
+/**
+ * @param {Object} [options]
+ * @param {string} [options.url=REDIS_URL || redis://localhost:6379]
+ * @param {string} [options.namespace=STORAGE_NS || "td"]
+ * @param {Object} [options.client] - an already created node-redis client
+ */
+function createRedisStorage(options = {}) {
+  const url = options.url || process.env.REDIS_URL || "redis://localhost:6379";
+  const ns = options.namespace || process.env.STORAGE_NS || "td";
+  let client = options.client || null;
+  let connecting = null;
+
+  async function conn() {
+    if (client && client.isOpen) return client;
+    if (!connecting) {
+      connecting = (async () => {
+        if (!client) {
+          const { createClient } = require("redis");
+          client = createClient({
+            url,
+            // give up after a few attempts instead of hanging every caller forever
+            socket: {
+              reconnectStrategy: (retries) =>
+                retries >= 5 ? new Error(`Redis unreachable at ${url}`) : Math.min(200 * (retries + 1), 2000),
+            },
+          });
+          client.on("error", (err) => console.error("[storage] Redis error:", err?.message || err));
+        }
+        if (!client.isOpen) await client.connect();
+        return client;
+      })().finally(() => {
+        connecting = null;
+      });
+    }
+    return connecting;
+  }
+
+  const docKey = (c, k) => `${ns}:doc:${c}:${k}`;
+  const logKey = (c, k) => `${ns}:log:${c}:${k}`;
+  const idxKey = (c) => `${ns}:idx:${c}`;
+
+  async function get(collection, key) {
+    assertName("collection", collection);
+    assertName("key", key);
+    const raw = await (await conn()).get(docKey(collection, key));
+    return raw == null ? null : JSON.parse(raw);
+  }
+
+  async function put(collection, key, value) {
+    assertName("collection", collection);
+    assertName("key", key);
+    const r = await conn();
+    await r.multi().set(docKey(collection, key), JSON.stringify(value)).sAdd(idxKey(collection), key).exec();
+  }
+
+  async function append(collection, key, entry) {
+    assertName("collection", collection);
+    assertName("key", key);
+    await (await conn()).rPush(logKey(collection, key), JSON.stringify(entry));
+  }
+
+  async function readLog(collection, key) {
+    const rows = await (await conn()).lRange(logKey(collection, key), 0, -1);
+    return rows.map((r) => JSON.parse(r));
+  }
+
+  async function list(collection) {
+    assertName("collection", collection);
+    return (await (await conn()).sMembers(idxKey(collection))).sort();
+  }
+
+  async function remove(collection, key) {
+    const r = await conn();
+    await r.multi().del([docKey(collection, key), logKey(collection, key)]).sRem(idxKey(collection), key).exec();
+  }
+
+  async function close() {
+    if (client && client.isOpen && !options.client) await client.quit();
+  }
+
+  return {
+    backend: "redis",
+    get,
+    put,
+    append,
+    readLog,
+    list,
+    remove,
+    describe: (collection, key) => `redis ${docKey(collection, key)}`,
+    close,
+  };
+}
+
+// ---------- sqlite ----------
+/**
+ * @param {Object} [options]
+ * @param {string} [options.file=STORAGE_SQLITE_FILE || data/storage.sqlite]
+ */
+function createSqliteStorage(options = {}) {
+  const file = path.resolve(options.file || process.env.STORAGE_SQLITE_FILE || path.join(DEFAULT_DATA_DIR, "storage.sqlite"));
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (err) {
+    throw new Error(`SQLite storage needs the "better-sqlite3" package (npm install better-sqlite3): ${err.message}`);
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS docs (
+      collection TEXT NOT NULL,
+      key        TEXT NOT NULL,
+      value      TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (collection, key)
+    );
+    CREATE TABLE IF NOT EXISTS logs (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      collection TEXT NOT NULL,
+      key        TEXT NOT NULL,
+      value      TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS logs_by_key ON logs (collection, key, id);
+  `);
+
+  const stmts = {
+    get: db.prepare("SELECT value FROM docs WHERE collection = ? AND key = ?"),
+    put: db.prepare(
+      `INSERT INTO docs (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`
+    ),
+    append: db.prepare("INSERT INTO logs (collection, key, value, created_at) VALUES (?, ?, ?, ?)"),
+    readLog: db.prepare("SELECT value FROM logs WHERE collection = ? AND key = ? ORDER BY id"),
+    list: db.prepare("SELECT key FROM docs WHERE collection = ? ORDER BY key"),
+    removeDoc: db.prepare("DELETE FROM docs WHERE collection = ? AND key = ?"),
+    removeLog: db.prepare("DELETE FROM logs WHERE collection = ? AND key = ?"),
+  };
+
+  return {
+    backend: "sqlite",
+    db,
+    async get(collection, key) {
+      assertName("collection", collection);
+      assertName("key", key);
+      const row = stmts.get.get(collection, key);
+      return row ? JSON.parse(row.value) : null;
+    },
+    async put(collection, key, value) {
+      assertName("collection", collection);
+      assertName("key", key);
+      stmts.put.run(collection, key, JSON.stringify(value), new Date().toISOString());
+    },
+    async append(collection, key, entry) {
+      assertName("collection", collection);
+      assertName("key", key);
+      stmts.append.run(collection, key, JSON.stringify(entry), new Date().toISOString());
+    },
+    async readLog(collection, key) {
+      return stmts.readLog.all(collection, key).map((r) => JSON.parse(r.value));
+    },
+    async list(collection) {
+      return stmts.list.all(collection).map((r) => r.key);
+    },
+    async remove(collection, key) {
+      stmts.removeDoc.run(collection, key);
+      stmts.removeLog.run(collection, key);
+    },
+    describe: (collection, key) => `sqlite ${path.basename(file)} ${collection}/${key}`,
+    async close() {
+      if (db.open) db.close();
+    },
+  };
+}
+
+// ---------- factory ----------
+/**
+ * @param {Object} [options]
+ * @param {"fs"|"redis"|"sqlite"} [options.backend=STORAGE_BACKEND || "fs"]
+ *        remaining options go to the backend factory
+ */
+function createStorage(options = {}) {
+  const backend = String(options.backend || process.env.STORAGE_BACKEND || "fs").toLowerCase();
+  if (backend === "fs") {
+    return createFsStorage({ baseDir: process.env.STORAGE_DATA_DIR || undefined, ...options });
+  }
+  if (backend === "redis") return createRedisStorage(options);
+  if (backend === "sqlite") return createSqliteStorage(options);
+  throw new Error(`Unknown storage backend "${backend}" (expected one of: ${BACKENDS.join(", ")})`);
+}
+
+let shared = null;
+
+/** Process-wide storage chosen by environment (see header). */
+function getStorage() {
+  if (!shared) shared = createStorage();
+  return shared;
+}
+
+async function closeStorage() {
+  if (!shared) return;
+  const s = shared;
+  shared = null;
+  await s.close();
+}
+
+module.exports = {
+  BACKENDS,
+  createStorage,
+  createFsStorage,
+  createRedisStorage,
+  createSqliteStorage,
+  getStorage,
+  closeStorage,
+};
@@ -0,0 +1,117 @@
+// test_corporate_actions.js
+// Offline checks for the pure parts of corporate_actions.js (no network, no storage).
+// Run: node common/test_corporate_actions.js
+
+const {
+  parseNseCorpAction,
+  parseMsCorpEvent,
+  mergeActions,
+  rightsFactor,
+  cumulativeFactor,
+  quarterEndDate,
+  quarterBasisDate,
+  adjustPerShareRows,
+} = require("./corporate_actions");
+
+// tiny assert helpers
+function assert(cond, msg) {
+  if (!cond) {
+    throw new Error("ASSERTION FAILED: " + msg);
+  }
+}
+const near = (a, b, eps = 1e-6) => Number.isFinite(a) && Math.abs(a - b) < eps;
+
+try {
+  console.log("=== Test 1: NSE split subject ===");
+  const split = parseNseCorpAction({
+    subject: "Face Value Split (Sub-Division) - From Rs 10/- Per Share To Rs 2/- Per Share",
+    exDate: "21-Sep-2023",
+  });
+  assert(split && split.type === "split", "split parsed");
+  assert(split.exDate === "2023-09-21", `exDate 21-Sep-2023 -> ${split.exDate}`);
+  assert(split.factor === 5, `split 10 -> 2 factor 5, got ${split.factor}`);
+  const dmy = parseNseCorpAction({ subject: "Face Value Split From Re 1/- To Re 0.50/-", exDate: "05/02/2024" });
+  assert(dmy && dmy.exDate === "2024-02-05" && dmy.factor === 2, "Re 1 -> Re 0.50 on 05/02/2024 (DD/MM/YYYY)");
+
+  console.log("=== Test 2: NSE bonus ratios ===");
+  const b11 = parseNseCorpAction({ subject: "Bonus 1:1", exDate: "2024-06-10" });
+  assert(b11 && b11.type === "bonus" && b11.factor === 2, `bonus 1:1 factor 2, got ${b11 && b11.factor}`);
+  const b12 = parseNseCorpAction({ subject: "Bonus 1:2", exDate: "2024-06-10" });
+  assert(b12 && b12.factor === 1.5, `bonus 1:2 (1 new per 2 held) factor 1.5, got ${b12 && b12.factor}`);
+  const b31 = parseNseCorpAction({ subject: "Bonus 3 for 1", exDate: "2024-06-10" });
+  assert(b31 && b31.factor === 4, `bonus 3 for 1 factor 4, got ${b31 && b31.factor}`);
+  assert(parseNseCorpAction({ subject: "Dividend - Rs 12 Per Share", exDate: "2024-06-10" }) === null, "dividend ignored");
+  assert(parseNseCorpAction({ subject: "Bonus 1:1" }) === null, "no ex-date -> null");
+
+  console.log("=== Test 3: NSE rights subscription price ===");
+  const rPremium = parseNseCorpAction({ subject: "Rights 1:5 @ Premium Rs 88/-", exDate: "2024-03-01", faceVal: 2 });
+  assert(rPremium && rPremium.type === "rights" && rPremium.factor === null, "rights factor waits for the cum close");
+  assert(rPremium.ratio[0] === 1 && rPremium.ratio[1] === 5, "rights ratio 1:5");
+  assert(rPremium.subscriptionPrice === 90, `face value 2 + premium 88 = 90, got ${rPremium.subscriptionPrice}`);
+  const rPrice = parseNseCorpAction({ subject: "Rights 1:10 @ Rs 150", exDate: "2024-03-01" });
+  assert(rPrice && rPrice.subscriptionPrice === 150, "plain @ Rs price");
+  const rNoFace = parseNseCorpAction({ subject: "Rights 1:10 @ Premium Rs 90/-", exDate: "2024-03-01" });
+  assert(rNoFace && rNoFace.subscriptionPrice === null, "premium without face value -> unknown price");
+
+  console.log("=== Test 4: TERP rights factor ===");
+  // 1 new per 5 held at 90, cum-rights close 120: TERP = (5*120 + 1*90) / 6 = 115
+  assert(near(rightsFactor([1, 5], 90, 120), 120 / 115), `TERP factor 120/115, got ${rightsFactor([1, 5], 90, 120)}`);
+  assert(rightsFactor([1, 5], 130, 120) === null, "subscription above the close -> no dilution, null");
+  assert(rightsFactor([1, 5], 90, null) === null, "unknown cum close -> null");
+  assert(rightsFactor(null, 90, 120) === null, "no ratio -> null");
+
+  console.log("=== Test 5: MarketScreener events ===");
+  const msSplit = parseMsCorpEvent({ title: "Stock split 1:5", dateTimeISO: "2023-09-20T18:30:00Z" });
+  assert(msSplit && msSplit.factor === 5, "MS split ratio order does not matter");
+  assert(msSplit.exDate === "2023-09-21", `ISO date taken in IST, got ${msSplit.exDate}`);
+  assert(parseMsCorpEvent({ title: "Reverse split 10:1", dateTimeRaw: "2023-09-21" }) === null, "reverse split ignored");
+  const msBonus = parseMsCorpEvent({ title: "Bonus issue 1:1", dateTimeRaw: "21/09/2023" });
+  assert(msBonus && msBonus.factor === 2 && msBonus.exDate === "2023-09-21", "MS bonus 1:1");
+  assert(parseMsCorpEvent({ title: "Q2 results", dateTimeRaw: "2023-09-21" }) === null, "non-action event ignored");
+
+  console.log("=== Test 6: merge NSE + MS ===");
+  const merged = mergeActions(
+    [{ type: "split", exDate: "2023-09-21", factor: 5, source: "nse" }],
+    [
+      { type: "split", exDate: "2023-09-24", factor: 5, source: "marketscreener" }, // same action, 3 days off
+      { type: "bonus", exDate: "2022-01-10", factor: 2, source: "marketscreener" },
+    ]
+  );
+  assert(merged.length === 2, `MS duplicate of an NSE split dropped, got ${merged.length}`);
+  assert(merged[0].type === "bonus" && merged[1].source === "nse", "sorted by ex-date, NSE kept");
+
+  console.log("=== Test 7: cumulative factor window ===");
+  const actions = [
+    { type: "bonus", exDate: "2024-03-01", factor: 2 },
+    { type: "split", exDate: "2024-09-01", factor: 5 },
+    { type: "rights", exDate: "2024-10-01", factor: null },
+  ];
+  assert(cumulativeFactor(actions, "2024-01-01", "2025-01-01") === 10, "bonus x split");
+  assert(cumulativeFactor(actions, "2024-03-01", "2025-01-01") === 5, "ex-date == from is excluded");
+  assert(cumulativeFactor(actions, "2024-01-01", "2024-09-01") === 2 * 5, "ex-date == to is included");
+  assert(cumulativeFactor(actions, "2024-09-02", "2025-01-01") === 1, "unknown rights factor skipped");
+  assert(cumulativeFactor(null, "2024-01-01", "2025-01-01") === 1, "no actions -> 1");
+
+  console.log("=== Test 8: quarter basis dates ===");
+  assert(quarterEndDate("2025-Jun") === "2025-06-30", "Jun quarter end");
+  assert(quarterEndDate("2025-Jul") === null, "non-quarter month -> null");
+  assert(quarterBasisDate("2025-Jun") === "2025-08-14", `Jun + 45 days, got ${quarterBasisDate("2025-Jun")}`);
+  assert(quarterBasisDate("2025-Mar") === "2025-05-30", `Mar + 60 days, got ${quarterBasisDate("2025-Mar")}`);
+
+  console.log("=== Test 9: per-share restatement ===");
+  const rows = adjustPerShareRows(
+    [
+      { Quarter: "2024-Jun", "EPS in Rs": 50 }, // filed by 2024-08-14, before the split
+      { Quarter: "2024-Sep", "EPS in Rs": 11 }, // filed after the split: already on the new basis
+    ],
+    [{ type: "split", exDate: "2024-09-01", factor: 5 }],
+    { asOf: "2025-01-01" }
+  );
+  assert(rows[0]["EPS in Rs"] === 10 && rows[0].adjFactor === 5, `2024-Jun EPS 50 / 5, got ${rows[0]["EPS in Rs"]}`);
+  assert(rows[1]["EPS in Rs"] === 11 && rows[1].adjFactor === undefined, "2024-Sep untouched");
+
+  console.log("\nAll tests finished without assertion errors ✅");
+} catch (e) {
+  console.error("\nTEST ERROR:", e.message);
+  process.exit(1);
+}
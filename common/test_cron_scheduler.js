@@ -0,0 +1,88 @@
+// test_cron_scheduler.js
+// Offline checks for cron_scheduler.js: parsing, next fire times (IST has no DST), job registry.
+// Run: node common/test_cron_scheduler.js
+
+const { parseCron, nextCronTime, createScheduler } = require("./cron_scheduler");
+
+// tiny assert helpers
+function assert(cond, msg) {
+  if (!cond) {
+    throw new Error("ASSERTION FAILED: " + msg);
+  }
+}
+const IST = "Asia/Kolkata";
+const next = (expr, fromIso, tz = IST) => new Date(nextCronTime(expr, Date.parse(fromIso), tz)).toISOString();
+const eq = (actual, expected, msg) => assert(actual === expected, `${msg}: expected ${expected}, got ${actual}`);
+const throws = (fn, re, msg) => {
+  let err = null;
+  try {
+    fn();
+  } catch (e) {
+    err = e;
+  }
+  assert(err && re.test(err.message), `${msg}: expected an error matching ${re}, got ${err ? err.message : "none"}`);
+};
+
+try {
+  console.log("=== Test 1: parsing ===");
+  const c = parseCron("0 10-22/2 * * 1-5");
+  eq([...c.hours].join(","), "10,12,14,16,18,20,22", "range with step");
+  eq([...c.dow].join(","), "1,2,3,4,5", "weekday range");
+  assert(c.domAny && !c.dowAny, "domAny / dowAny flags");
+  eq([...parseCron("15,45 * * * *").minutes].join(","), "15,45", "list");
+  eq([...parseCron("*/20 * * * *").minutes].join(","), "0,20,40", "*/n");
+  eq([...parseCron("5/20 * * * *").minutes].join(","), "5,25,45", "a/n runs to the max");
+  eq([...parseCron("0 0 * JAN-MAR *").months].join(","), "1,2,3", "month names");
+  eq([...parseCron("0 0 * * SUN,sat").dow].join(","), "0,6", "day names, any case");
+  eq([...parseCron("0 0 * * 7").dow].join(","), "0", "7 is Sunday");
+
+  console.log("=== Test 2: parse errors ===");
+  throws(() => parseCron("0 18 * *"), /5 fields/, "four fields");
+  throws(() => parseCron("60 * * * *"), /minute out of range/, "minute 60");
+  throws(() => parseCron("0 24 * * *"), /hour out of range/, "hour 24");
+  throws(() => parseCron("0 0 0 * *"), /day-of-month out of range/, "day 0");
+  throws(() => parseCron("*/0 * * * *"), /Invalid minute step/, "step 0");
+  throws(() => parseCron("0 5-1 * * *"), /hour out of range/, "reversed range");
+  throws(() => parseCron("0 0 * FOO *"), /Invalid month value/, "unknown name");
+
+  console.log("=== Test 3: next fire times in IST ===");
+  // crawler "events" job: 18:00 IST on weekdays = 12:30Z
+  eq(next("0 18 * * 1-5", "2025-10-03T12:00:00Z"), "2025-10-03T12:30:00.000Z", "Friday 17:30 IST -> 18:00 same day");
+  eq(next("0 18 * * 1-5", "2025-10-03T12:30:00Z"), "2025-10-06T12:30:00.000Z", "strictly after: Friday 18:00 -> Monday");
+  eq(next("0 18 * * 1-5", "2025-10-03T12:30:30Z"), "2025-10-06T12:30:00.000Z", "seconds past a slot -> next slot");
+  // "results" job: every 2h 10:00-22:00 IST on weekdays
+  eq(next("0 10-22/2 * * 1-5", "2025-10-06T03:00:00Z"), "2025-10-06T04:30:00.000Z", "08:30 IST -> 10:00 IST");
+  eq(next("0 10-22/2 * * 1-5", "2025-10-06T04:30:00Z"), "2025-10-06T06:30:00.000Z", "10:00 IST -> 12:00 IST");
+  eq(next("0 10-22/2 * * 1-5", "2025-10-06T16:40:00Z"), "2025-10-07T04:30:00.000Z", "22:10 IST -> next morning");
+  // "full" job: Saturday 09:00 IST
+  eq(next("0 9 * * 6", "2025-10-05T00:00:00Z"), "2025-10-11T03:30:00.000Z", "Sunday -> next Saturday");
+  // IST has no DST: the same wall-clock time is the same UTC time all year
+  eq(next("30 18 * * *", "2025-01-15T00:00:00Z"), "2025-01-15T13:00:00.000Z", "January 18:30 IST");
+  eq(next("30 18 * * *", "2025-07-15T00:00:00Z"), "2025-07-15T13:00:00.000Z", "July 18:30 IST");
+  eq(next("0 0 * * *", "2025-10-05T18:29:00Z"), "2025-10-05T18:30:00.000Z", "IST midnight is 18:30Z");
+
+  console.log("=== Test 4: day-of-month / day-of-week ===");
+  eq(next("0 0 13 * 5", "2025-06-01T00:00:00Z", "UTC"), "2025-06-06T00:00:00.000Z", "both restricted: either matches (Friday first)");
+  eq(next("0 0 13 * *", "2025-06-01T00:00:00Z", "UTC"), "2025-06-13T00:00:00.000Z", "day-of-month only");
+  eq(next("0 0 1 JAN *", "2025-06-01T00:00:00Z", "UTC"), "2026-01-01T00:00:00.000Z", "rolls over the year");
+  eq(next("0 0 29 2 *", "2025-03-01T00:00:00Z", "UTC"), "2028-02-29T00:00:00.000Z", "leap day");
+  throws(() => nextCronTime("0 0 31 2 *", Date.parse("2025-01-01T00:00:00Z"), "UTC"), /never fires/, "Feb 31");
+
+  console.log("=== Test 5: scheduler job registry ===");
+  const scheduler = createScheduler({ timeZone: IST, log: () => {} });
+  scheduler.addJob({ name: "late", cron: "0 22 * * *", run: async () => {} });
+  scheduler.addJob({ name: "early", cron: "0 6 * * *", run: async () => {} });
+  throws(() => scheduler.addJob({ name: "late", cron: "0 1 * * *", run: async () => {} }), /Duplicate job name/, "duplicate name");
+  throws(() => scheduler.addJob({ name: "norun", cron: "0 1 * * *" }), /needs a name and a run/, "missing run");
+  throws(() => scheduler.addJob({ name: "bad", cron: "0 1 * *", run: async () => {} }), /5 fields/, "bad cron rejected on add");
+  const runs = scheduler.nextRuns();
+  eq(runs.length, 2, "two jobs");
+  assert(runs[0].nextAt <= runs[1].nextAt, "nextRuns in fire order");
+  scheduler.start();
+  scheduler.stop(); // clears the armed timers so this script exits
+
+  console.log("\nAll tests finished without assertion errors ✅");
+} catch (e) {
+  console.error("\nTEST ERROR:", e.message);
+  process.exit(1);
+}
@@ -0,0 +1,99 @@
+// test_share_history.js
+// Offline checks for buildShareHistory / sharesAt in share_history.js (no network, no storage).
+// Run: node common/test_share_history.js
+
+const { fiscalYearEnd, buildShareHistory, sharesAt } = require("./share_history");
+
+// tiny assert helpers
+function assert(cond, msg) {
+  if (!cond) {
+    throw new Error("ASSERTION FAILED: " + msg);
+  }
+}
+const eq = (actual, expected, msg) => assert(actual === expected, `${msg}: expected ${expected}, got ${actual}`);
+const stepsOf = (h) => h.steps.map((s) => `${s.date}=${s.shares}/${s.source}`).join(" ");
+
+const AS_OF = "2025-10-01";
+const split5 = { type: "split", exDate: "2023-09-21", factor: 5 };
+
+try {
+  console.log("=== Test 1: fiscal year ends ===");
+  eq(fiscalYearEnd(2025, "March"), "2025-03-31", "March year");
+  eq(fiscalYearEnd(2024, "December"), "2024-12-31", "December year");
+  eq(fiscalYearEnd(2024, "February"), "2024-02-29", "leap February");
+  eq(fiscalYearEnd(2025, null), "2025-03-31", "default is March");
+  eq(fiscalYearEnd(2025, "Smarch"), "2025-03-31", "unknown month falls back to March");
+
+  console.log("=== Test 2: columns as reported (not restated) ===");
+  const reported = buildShareHistory(
+    { fiscalMonth: "March", columns: [{ fiscalYear: 2023, shares: 100 }, { fiscalYear: 2024, shares: 500 }, { fiscalYear: 2025, shares: 505 }] },
+    [split5],
+    { asOf: AS_OF }
+  );
+  eq(reported.restated.length, 0, "a 5x jump across a 5:1 split is as reported");
+  eq(stepsOf(reported), "2023-03-31=100/marketscreener 2023-09-21=500/split 2024-03-31=500/marketscreener 2025-03-31=505/marketscreener", "steps");
+  eq(sharesAt(reported, "2023-06-30"), 100, "before the split");
+  eq(sharesAt(reported, "2023-09-21"), 500, "on the ex-date");
+  eq(sharesAt(reported, "2023-06-30", { asOf: AS_OF }), 500, "before the split, on today's basis");
+  eq(sharesAt(reported, "2025-06-30"), 505, "latest column");
+
+  console.log("=== Test 3: columns restated for a later split ===");
+  const restated = buildShareHistory(
+    { fiscalMonth: "March", columns: [{ fiscalYear: 2023, shares: 500 }, { fiscalYear: 2024, shares: 510 }, { fiscalYear: 2025, shares: 520 }] },
+    [split5],
+    { asOf: AS_OF }
+  );
+  eq(restated.restated.join(","), "2023-09-21", "a ~1x jump across a 5:1 split is restated");
+  eq(stepsOf(restated), "2023-03-31=100/marketscreener 2023-09-21=500/split 2024-03-31=510/marketscreener 2025-03-31=520/marketscreener", "restated column put back on the count in force");
+  eq(sharesAt(restated, "2023-06-30"), 100, "count actually in force before the split");
+
+  console.log("=== Test 4: estimate columns decide restatement, then are dropped ===");
+  const withEstimate = buildShareHistory(
+    { columns: [{ fiscalYear: 2025, shares: 2000 }, { fiscalYear: 2026, shares: 2000 }] },
+    [{ type: "bonus", exDate: "2025-06-01", factor: 2 }],
+    { asOf: AS_OF }
+  );
+  eq(withEstimate.restated.join(","), "2025-06-01", "FY2026 estimate shows FY2025 was restated");
+  eq(stepsOf(withEstimate), "2025-03-31=1000/marketscreener 2025-06-01=2000/bonus", "FY2026 estimate dropped");
+
+  console.log("=== Test 5: split with no later column is taken as not restated ===");
+  const noAfter = buildShareHistory({ columns: [{ fiscalYear: 2025, shares: 1000 }] }, [{ type: "split", exDate: "2025-06-01", factor: 2 }], { asOf: AS_OF });
+  eq(noAfter.restated.length, 0, "nothing to compare against");
+  eq(stepsOf(noAfter), "2025-03-31=1000/marketscreener 2025-06-01=2000/split", "split applied to the last column");
+
+  console.log("=== Test 6: actions that do not change the count ===");
+  const ignored = buildShareHistory(
+    { columns: [{ fiscalYear: 2024, shares: 1000 }, { fiscalYear: 2025, shares: 1100 }] },
+    [
+      { type: "rights", exDate: "2024-08-01", factor: 1.05 }, // price factor only
+      { type: "split", exDate: "2025-12-01", factor: 2 }, // after asOf
+      { type: "split", exDate: "2024-09-01", factor: null }, // unknown factor
+    ],
+    { asOf: AS_OF }
+  );
+  eq(ignored.splits.length, 0, "rights, future and unknown actions dropped");
+  eq(stepsOf(ignored), "2024-03-31=1000/marketscreener 2025-03-31=1100/marketscreener", "columns only");
+
+  console.log("=== Test 7: column and action on the same date ===");
+  const sameDay = buildShareHistory(
+    { columns: [{ fiscalYear: 2023, shares: 500 }, { fiscalYear: 2024, shares: 1000 }] },
+    [{ type: "bonus", exDate: "2024-03-31", factor: 2 }],
+    { asOf: AS_OF }
+  );
+  eq(stepsOf(sameDay), "2023-03-31=500/marketscreener 2024-03-31=1000/marketscreener", "the column wins (it already includes the bonus)");
+
+  console.log("=== Test 8: dates before the first column ===");
+  const late = buildShareHistory({ columns: [{ fiscalYear: 2024, shares: 500 }] }, [split5], { asOf: AS_OF });
+  eq(sharesAt(late, "2023-06-30"), 100, "first count scaled back over the split");
+  eq(sharesAt(late, "2023-12-31"), 500, "after the split, before the first column");
+  eq(sharesAt({ steps: [] }, "2024-01-01"), null, "no steps");
+
+  console.log("=== Test 9: bad columns ===");
+  const bad = buildShareHistory({ columns: [{ fiscalYear: 2024, shares: 0 }, { fiscalYear: "x", shares: 10 }, { fiscalYear: 2025, shares: 10 }] }, [], { asOf: AS_OF });
+  eq(stepsOf(bad), "2025-03-31=10/marketscreener", "zero and non-numeric columns skipped");
+
+  console.log("\nAll tests finished without assertion errors ✅");
+} catch (e) {
+  console.error("\nTEST ERROR:", e.message);
+  process.exit(1);
+}
@@ -0,0 +1,85 @@
+// test_trading_calendar.js
+// Offline checks for trading_calendar.js against the bundled nse_holidays.json
+// (a data/nse_holidays.json override of 2024-2026 would change the expectations).
+// Run: node common/test_trading_calendar.js
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const cal = require("./trading_calendar");
+
+// tiny assert helpers
+function assert(cond, msg) {
+  if (!cond) {
+    throw new Error("ASSERTION FAILED: " + msg);
+  }
+}
+const eq = (actual, expected, msg) => assert(actual === expected, `${msg}: expected ${expected}, got ${actual}`);
+
+delete process.env.NSE_HOLIDAYS_FILE;
+
+try {
+
+  console.log("=== Test 1: weekends, holidays and special sessions ===");
+  eq(cal.isTradingDay("2025-10-04"), false, "Saturday");
+  eq(cal.holidayName("2025-10-02"), "Mahatma Gandhi Jayanti/Dussehra", "holiday name");
+  eq(cal.isTradingDay("2026-01-26"), false, "Republic Day 2026");
+  eq(cal.isTradingDay("2024-01-20"), true, "special Saturday session");
+  eq(cal.isTradingDay("2026-02-01"), true, "Budget Sunday session");
+  eq(cal.isTradingDay("2025-10-21"), true, "Muhurat session on Diwali");
+  eq(cal.isHoliday("2025-10-21"), true, "Diwali is still a holiday");
+
+  console.log("=== Test 2: session hours ===");
+  const muhurat = cal.sessionHours("2025-10-21");
+  assert(muhurat && muhurat.special, "Muhurat hours are special");
+  eq(`${muhurat.open}-${muhurat.close}`, "13:45-14:45", "Muhurat hours");
+  eq(`${cal.sessionHours("2025-10-01").open}-${cal.sessionHours("2025-10-01").close}`, "09:15-15:30", "regular hours");
+  eq(cal.sessionHours("2025-10-22"), null, "Balipratipada closed all day");
+
+  console.log("=== Test 3: market open (IST wall clock) ===");
+  eq(cal.isMarketOpen("2025-10-01T03:44:00Z"), false, "09:14 IST");
+  eq(cal.isMarketOpen("2025-10-01T03:45:00Z"), true, "09:15 IST");
+  eq(cal.isMarketOpen("2025-10-01T10:00:00Z"), false, "15:30 IST (close is exclusive)");
+  eq(cal.isMarketOpen("2025-10-21T08:30:00Z"), true, "14:00 IST Muhurat");
+  eq(cal.isMarketOpen("2025-10-21T05:00:00Z"), false, "10:30 IST on Diwali (regular hours closed)");
+
+  console.log("=== Test 4: trading-day arithmetic ===");
+  eq(cal.nextTradingDay("2025-10-01"), "2025-10-03", "next skips a holiday");
+  eq(cal.nextTradingDay("2025-10-03", { inclusive: true }), "2025-10-03", "inclusive keeps a trading day");
+  eq(cal.previousTradingDay("2025-10-06"), "2025-10-03", "previous skips the weekend");
+  eq(cal.nextTradingDay("2025-10-20"), "2025-10-21", "Muhurat day counts");
+  eq(cal.nextTradingDay("2025-10-21"), "2025-10-23", "then Balipratipada is skipped");
+  eq(cal.tradingDaysBetween("2025-10-01", "2025-10-10").join(","),
+    "2025-10-01,2025-10-03,2025-10-06,2025-10-07,2025-10-08,2025-10-09,2025-10-10", "days between, both ends");
+  eq(cal.tradingDaysBetween("2025-10-10", "2025-10-01").length, 0, "from > to is empty");
+  eq(cal.addTradingDays("2025-10-04", 1), "2025-10-06", "+1 from a Saturday");
+  eq(cal.addTradingDays("2025-10-04", -1), "2025-10-03", "-1 from a Saturday");
+  eq(cal.addTradingDays("2025-10-04", 0), "2025-10-06", "0 from a Saturday rolls forward");
+  eq(cal.addTradingDays("2025-10-01", 5), "2025-10-09", "+5 across a holiday and a weekend");
+
+  console.log("=== Test 5: first tradable session for a timestamp ===");
+  eq(cal.sessionForTimestamp("2025-10-01T09:00:00Z"), "2025-10-01", "14:30 IST, before the close");
+  eq(cal.sessionForTimestamp("2025-10-01T10:30:00Z"), "2025-10-03", "16:00 IST, after the close");
+  eq(cal.sessionForTimestamp("2025-10-01"), "2025-10-01", "plain date counts as before the close");
+  eq(cal.sessionForTimestamp("2025-10-21T09:30:00Z"), "2025-10-23", "15:00 IST, after the Muhurat close");
+  eq(cal.sessionForTimestamp("2025-10-04T06:00:00Z"), "2025-10-06", "Saturday news");
+  eq(cal.toISTDateKey("2025-10-01T19:00:00Z"), "2025-10-02", "UTC evening is the next IST day");
+
+  console.log("=== Test 6: override file replaces a whole year ===");
+  const override = path.join(os.tmpdir(), `nse_holidays_override_${process.pid}.json`);
+  fs.writeFileSync(override, JSON.stringify({ holidays: { 2025: [{ date: "2025-12-24", name: "Test Holiday" }] } }), "utf8");
+  try {
+    cal.loadHolidays({ reload: true, file: override });
+    eq(cal.isTradingDay("2025-10-02"), true, "bundled 2025 holiday replaced");
+    eq(cal.holidayName("2025-12-24"), "Test Holiday", "override holiday");
+    eq(cal.isTradingDay("2026-01-26"), false, "other years still bundled");
+  } finally {
+    fs.unlinkSync(override);
+    cal.loadHolidays({ reload: true });
+  }
+
+  console.log("\nAll tests finished without assertion errors ✅");
+} catch (e) {
+  console.error("\nTEST ERROR:", e.message);
+  process.exit(1);
+}
@@ -0,0 +1,251 @@
+// common/trading_calendar.js
+// NSE trading calendar (Asia/Kolkata): trading days, market hours and trading-day arithmetic.
+//
+// Holidays come from the bundled common/nse_holidays.json, overridable per year by
+// data/nse_holidays.json (or the file named in NSE_HOLIDAYS_FILE). For a year that
+// neither file covers only weekends are treated as closed; that is logged once, as an
+// error for the current year (the list is out of date) and as a warning for any other year.
+//
+// The same files list special sessions ("specialSessions", e.g. Muhurat trading) with their
+// own hours. A special session on a holiday or a weekend makes that date a trading day.
+//
+// Usage:
+//   const cal = require("./common/trading_calendar");
+//   cal.isTradingDay("2025-10-21");                 // true (Muhurat session on a holiday)
+//   cal.nextTradingDay("2025-10-01");               // "2025-10-03"
+//   cal.tradingDaysBetween("2025-10-01", "2025-10-10");
+//   cal.isMarketOpen(Date.now());
+//   cal.sessionForTimestamp("2025-10-01T12:30:00Z"); // first session that can trade on it
+
+const fs = require("fs");
+const path = require("path");
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000; // Asia/Kolkata (no DST)
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BUNDLED_FILE = path.resolve(__dirname, "nse_holidays.json");
+const OVERRIDE_FILE = path.resolve(__dirname, "..", "data", "nse_holidays.json");
+const MARKET_HOURS = { open: "09:15", close: "15:30" }; // regular equity session, IST
+const MAX_SCAN_DAYS = 60; // no NSE closure has come close to this
+
+let cache = null;
+const warnedYears = new Set();
+
+// ---------- holiday list ----------
+function readHolidayFile(file) {
+  if (!file || !fs.existsSync(file)) return { holidays: {}, specialSessions: {} };
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    const pick = (k) => (parsed && typeof parsed[k] === "object" && parsed[k] ? parsed[k] : {});
+    return { holidays: pick("holidays"), specialSessions: pick("specialSessions") };
+  } catch (err) {
+    console.warn(`⚠️ Ignoring unreadable holiday file ${file}: ${err.message}`);
+    return { holidays: {}, specialSessions: {} };
+  }
+}
+
+const isDateKey = (s) => typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s);
+const isHHMM = (s) => typeof s === "string" && /^\d{2}:\d{2}$/.test(s);
+
+/**
+ * Load (and cache) the merged holiday list and special sessions.
+ * @param {{reload?: boolean, file?: string}} [opts]
+ * @returns {{byDate: Map<string, string>, sessions: Map<string, {name: string, open: string, close: string}>, years: Set<number>}}
+ */
+function loadHolidays(opts = {}) {
+  if (cache && !opts.reload) return cache;
+
+  const files = [BUNDLED_FILE, OVERRIDE_FILE, opts.file || process.env.NSE_HOLIDAYS_FILE].map(readHolidayFile);
+  const holidays = Object.assign({}, ...files.map((f) => f.holidays));
+  const special = Object.assign({}, ...files.map((f) => f.specialSessions));
+
+  const byDate = new Map();
+  const years = new Set();
+  for (const [year, list] of Object.entries(holidays)) {
+    years.add(Number(year));
+    for (const h of list || []) {
+      if (h && isDateKey(h.date)) byDate.set(h.date, h.name || "Holiday");
+    }
+  }
+
+  const sessions = new Map();
+  for (const list of Object.values(special)) {
+    for (const s of list || []) {
+      if (!s || !isDateKey(s.date) || !isHHMM(s.open) || !isHHMM(s.close)) continue;
+      sessions.set(s.date, { name: s.name || "Special Session", open: s.open, close: s.close });
+    }
+  }
+
+  cache = { byDate, sessions, years };
+  return cache;
+}
+
+// ---------- date helpers ----------
+/**
+ * IST calendar date "YYYY-MM-DD" for a Date, epoch ms, or an ISO date string.
+ * Plain "YYYY-MM-DD" strings are taken as already being IST dates.
+ */
+function toISTDateKey(input) {
+  if (isDateKey(input)) return input;
+  const ms = toMillis(input);
+  return new Date(ms + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/** IST wall-clock "HH:MM" for a Date, epoch ms, or an ISO date-time string. */
+function toISTTime(input) {
+  return new Date(toMillis(input) + IST_OFFSET_MS).toISOString().slice(11, 16);
+}
+
+function toMillis(input) {
+  const ms = input instanceof Date ? input.getTime() : typeof input === "number" ? input : Date.parse(input);
+  if (!Number.isFinite(ms)) throw new Error(`Invalid date: ${input}`);
+  return ms;
+}
+
+/** "YYYY-MM-DD" +/- whole calendar days */
+function shiftDateKey(dateKey, deltaDays) {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) + deltaDays * DAY_MS).toISOString().slice(0, 10);
+}
+
+function weekdayOf(dateKey) {
+  return new Date(`${dateKey}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+}
+
+// ---------- trading days ----------
+function isWeekend(input) {
+  const dow = weekdayOf(toISTDateKey(input));
+  return dow === 0 || dow === 6;
+}
+
+/** @returns {string|null} holiday name, or null */
+function holidayName(input) {
+  const key = toISTDateKey(input);
+  const { byDate, years } = loadHolidays();
+  const year = Number(key.slice(0, 4));
+  if (!years.has(year) && !warnedYears.has(year)) {
+    warnedYears.add(year);
+    // a missing current year breaks live scheduling; past (backtest) and future years only warn
+    if (year === Number(toISTDateKey(Date.now()).slice(0, 4))) {
+      console.error(`❌ No NSE holiday list for ${year}; only weekends are treated as closed. Add it to common/nse_holidays.json`);
+    } else {
+      console.warn(`⚠️ No NSE holiday list for ${year}; only weekends are treated as closed`);
+    }
+  }
+  return byDate.get(key) || null;
+}
+
+function isHoliday(input) {
+  return holidayName(input) != null;
+}
+
+/** @returns {{name: string, open: string, close: string}|null} special session on that date */
+function specialSession(input) {
+  return loadHolidays().sessions.get(toISTDateKey(input)) || null;
+}
+
+function isTradingDay(input) {
+  if (specialSession(input)) return true;
+  return !isWeekend(input) && !isHoliday(input);
+}
+
+/**
+ * IST hours of the session on a date, or null when the market is closed all day.
+ * @returns {{open: string, close: string, special: boolean, name?: string}|null}
+ */
+function sessionHours(input) {
+  const special = specialSession(input);
+  if (special) return { open: special.open, close: special.close, special: true, name: special.name };
+  return isTradingDay(input) ? { ...MARKET_HOURS, special: false } : null;
+}
+
+/**
+ * Next trading day after `input` (or `input` itself with { inclusive: true }).
+ * @returns {string} "YYYY-MM-DD"
+ */
+function nextTradingDay(input, { inclusive = false } = {}) {
+  return scanTradingDay(toISTDateKey(input), 1, inclusive);
+}
+
+/**
+ * Previous trading day before `input` (or `input` itself with { inclusive: true }).
+ * @returns {string} "YYYY-MM-DD"
+ */
+function previousTradingDay(input, { inclusive = false } = {}) {
+  return scanTradingDay(toISTDateKey(input), -1, inclusive);
+}
+
+function scanTradingDay(dateKey, step, inclusive) {
+  let d = inclusive ? dateKey : shiftDateKey(dateKey, step);
+  for (let i = 0; i < MAX_SCAN_DAYS; i++, d = shiftDateKey(d, step)) {
+    if (isTradingDay(d)) return d;
+  }
+  throw new Error(`No NSE trading day within ${MAX_SCAN_DAYS} days of ${dateKey}`);
+}
+
+/**
+ * Trading days from `from` to `to`, both included.
+ * @returns {string[]} "YYYY-MM-DD", ascending (empty when from > to)
+ */
+function tradingDaysBetween(from, to) {
+  const out = [];
+  const end = toISTDateKey(to);
+  for (let d = toISTDateKey(from); d <= end; d = shiftDateKey(d, 1)) {
+    if (isTradingDay(d)) out.push(d);
+  }
+  return out;
+}
+
+/**
+ * Move `n` trading days from `input` (negative = backwards). From a non-trading day,
+ * +1 is the next trading day and -1 the previous one.
+ * @returns {string} "YYYY-MM-DD"
+ */
+function addTradingDays(input, n) {
+  let d = toISTDateKey(input);
+  if (n === 0) return nextTradingDay(d, { inclusive: true });
+  const step = n > 0 ? 1 : -1;
+  for (let i = 0; i < Math.abs(n); i++) d = scanTradingDay(d, step, false);
+  return d;
+}
+
+// ---------- market hours ----------
+/** Whether a timestamp falls inside that day's session (regular or special), IST. */
+function isMarketOpen(input = Date.now()) {
+  const hours = sessionHours(input);
+  if (!hours) return false;
+  const t = toISTTime(input);
+  return t >= hours.open && t < hours.close;
+}
+
+/**
+ * First session in which news published at `input` can be traded: the same day when it
+ * comes before that day's close, otherwise the next trading day.
+ * A plain "YYYY-MM-DD" (no time) counts as before the close.
+ * @returns {string} "YYYY-MM-DD"
+ */
+function sessionForTimestamp(input) {
+  const key = toISTDateKey(input);
+  const hours = sessionHours(key);
+  if (hours && (isDateKey(input) || toISTTime(input) < hours.close)) return key;
+  return nextTradingDay(key);
+}
+
+module.exports = {
+  IST_OFFSET_MS,
+  MARKET_HOURS,
+  loadHolidays,
+  toISTDateKey,
+  toISTTime,
+  shiftDateKey,
+  isWeekend,
+  isHoliday,
+  holidayName,
+  specialSession,
+  isTradingDay,
+  sessionHours,
+  nextTradingDay,
+  previousTradingDay,
+  tradingDaysBetween,
+  addTradingDays,
+  isMarketOpen,
+  sessionForTimestamp,
+};
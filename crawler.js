@@ -6,57 +6,101 @@ const path = require("path");
 const {
   getAllMarketScreenerData,
 } = require("./market_screener_api.js");
+const { createBrowserPool } = require("./common/browser_pool");
+const { sameContent, describeChanges, countByType } = require("./common/snapshot_diff");
+const checkpoint = require("./common/crawl_checkpoint");
+const { createScheduler } = require("./common/cron_scheduler");
+const { isTradingDay, holidayName, toISTDateKey, loadHolidays } = require("./common/trading_calendar");
+const { getStorage, closeStorage } = require("./common/storage");
+const { getFundamentalsStore } = require("./common/fundamentals_store");
+const { loadRegistry } = require("./common/company_registry");
 
 // ---------- CONFIG ----------
-const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000; // Asia/Kolkata (no DST)
-const RUN_HOUR_IST = 18; // 18:00 IST
+const TIMEZONE = process.env.CRAWL_TZ || "Asia/Kolkata";
 const CONCURRENCY = 4;
 const RETRIES = 2;
+const PAGE_MAX_USES = 25; // recycle a Chromium tab after this many page loads
 
 const ROOT_DIR = path.resolve(__dirname);
 const DATA_DIR = path.resolve(ROOT_DIR, "data/");
-const INFO_DIR = path.resolve(DATA_DIR, "info");
-const COMPANIES_FILE = path.resolve(DATA_DIR, "companies_info.json");
+const CHECKPOINT_FILE = path.resolve(DATA_DIR, "crawl_checkpoint.json"); // full job; others get crawl_checkpoint.<job>.json
+const REPORTS_DIR = path.resolve(DATA_DIR, "crawl_reports"); // <runId>.json per run
+
+// Company data goes through common/storage (fs by default: data/<collection>/...)
+const INFO_COLLECTION = "info"; // <code> -> latest MarketScreener payload
+const CHANGES_COLLECTION = "changes"; // <code> -> change log
+const SUMMARY_COLLECTION = "changes/daily"; // <YYYY-MM-DD> per run day (IST)
+
+// Which aggregator sections each kind of crawl fetches
+const SECTION_SETS = {
+  all: {
+    includeAnnual: true,
+    includeQuarterly: true,
+    includeUpcomingEvents: true,
+    includePastEvents: true,
+    includePastDividends: true,
+  },
+  events: {
+    includeAnnual: false,
+    includeQuarterly: false,
+    includeUpcomingEvents: true,
+    includePastEvents: true,
+    includePastDividends: true,
+  },
+  results: {
+    includeAnnual: false,
+    includeQuarterly: true,
+    includeUpcomingEvents: true,
+    includePastEvents: false,
+    includePastDividends: false,
+  },
+};
+
+// Results weeks (IST month-day windows): Dec, Mar, Jun and Sep quarter announcements
+const RESULTS_SEASON_WINDOWS = [
+  ["01-10", "02-20"],
+  ["04-10", "05-31"],
+  ["07-10", "08-20"],
+  ["10-05", "11-20"],
+];
+
+// Named jobs (cron evaluated in TIMEZONE)
+//   tradingDaysOnly   : skip weekends + NSE holidays
+//   resultsSeasonOnly : skip outside RESULTS_SEASON_WINDOWS (unless --results-season)
+const CRAWL_JOBS = {
+  full: { cron: "0 9 * * 6", sections: "all", tradingDaysOnly: false }, // Saturday morning
+  events: { cron: "0 18 * * 1-5", sections: "events", tradingDaysOnly: true }, // every trading evening
+  results: {
+    cron: "0 10-22/2 * * 1-5", // every 2h, 10:00-22:00, during results weeks
+    sections: "results",
+    tradingDaysOnly: true,
+    resultsSeasonOnly: true,
+  },
+};
 
 // Ensure directories exist
-for (const p of [DATA_DIR, INFO_DIR, path.dirname(COMPANIES_FILE)]) {
+for (const p of [DATA_DIR, REPORTS_DIR]) {
   if (!fs.existsSync(p)) fs.mkdirSync(p, { recursive: true });
 }
 
 // ---------- HELPERS ----------
-function pickCompanyCode(codeArray) {
-  // Prefer slug if available (contains '-'), else numeric/id
-  if (!Array.isArray(codeArray) || codeArray.length === 0) return null;
-  const slug = codeArray.find((c) => typeof c === "string" && c.includes("-"));
-  return slug || codeArray[0] || null;
-}
-
+// NSE symbol -> registry record, for every company still listed (common/company_registry)
 function loadCompaniesMap() {
-  if (!fs.existsSync(COMPANIES_FILE)) {
-    throw new Error(`companies_info.json not found at ${COMPANIES_FILE}`);
-  }
-  const raw = fs.readFileSync(COMPANIES_FILE, "utf8");
-  const parsed = JSON.parse(raw);
-  if (typeof parsed !== "object" || parsed === null) {
-    throw new Error("Invalid companies_info.json format");
-  }
-  return parsed;
+  const registry = loadRegistry({ refresh: true });
+  const delisted = registry.all().filter((c) => c.listingStatus === "delisted");
+  if (delisted.length) console.log(`Skipping ${delisted.length} delisted companies`);
+  return Object.fromEntries(
+    registry.all().filter((c) => c.listingStatus !== "delisted").map((c) => [c.nseSymbol, c])
+  );
 }
 
-function nextRunDelayMs() {
-  const nowUtc = Date.now();
-  const nowIst = new Date(nowUtc + IST_OFFSET_MS);
-
-  // Today at 18:00 IST
-  const targetIst = new Date(nowIst);
-  targetIst.setHours(RUN_HOUR_IST, 0, 0, 0);
+function isResultsSeason(at = new Date()) {
+  const md = toISTDateKey(at).slice(5);
+  return RESULTS_SEASON_WINDOWS.some(([from, to]) => md >= from && md <= to);
+}
 
-  let targetUtc = targetIst.getTime() - IST_OFFSET_MS;
-  if (targetUtc <= nowUtc) {
-    // If already past 18:00 IST today, schedule for tomorrow
-    targetUtc += 24 * 60 * 60 * 1000;
-  }
-  return targetUtc - nowUtc;
+function checkpointFileFor(job) {
+  return job === "full" ? CHECKPOINT_FILE : path.resolve(DATA_DIR, `crawl_checkpoint.${job}.json`);
 }
 
 async function withRetries(fn, retries = RETRIES, label = "") {
@@ -80,44 +124,203 @@ async function withRetries(fn, retries = RETRIES, label = "") {
   throw lastErr;
 }
 
-async function saveOutputs(symbol, companyCode, data) {
-  // Save by companyCode
-  const outByCode = path.resolve(INFO_DIR, `${companyCode}.json`);
-  fs.writeFileSync(outByCode, JSON.stringify(data, null, 2), "utf8");
+// Sections of an aggregator payload that came back as { error }
+function failedSectionsOf(fetched) {
+  return Object.keys(fetched).filter((key) => fetched[key] && typeof fetched[key] === "object" && fetched[key].error);
+}
+
+// A section that failed this run keeps the stored one (same as observer.js)
+function carryOverFailedSections(prev, fetched, failed) {
+  const out = prev ? { ...prev, ...fetched } : { ...fetched };
+  for (const key of failed) {
+    if (prev?.[key] && !prev[key].error) out[key] = prev[key];
+  }
+  return out;
+}
+
+/**
+ * Store the company's payload (info/<companyCode>) only when its content changed
+ * (timestamp ignored) and log what changed to changes/<companyCode>.
+ * Partial crawls (events/results jobs) only replace the sections they fetched;
+ * a section that failed this run keeps its stored copy and is named in `failedSections`.
+ * @returns {Promise<{status: "new"|"changed"|"unchanged", changes: Array<object>, failedSections: string[]}>}
+ */
+async function saveOutputs(symbol, companyCode, fetched) {
+  const store = getStorage();
+  const where = store.describe(INFO_COLLECTION, companyCode);
+  const prev = await store.get(INFO_COLLECTION, companyCode);
+  const failedSections = failedSectionsOf(fetched);
+  const data = carryOverFailedSections(prev, fetched, failedSections);
+  recordFundamentals(symbol, fetched);
+  if (failedSections.length) {
+    console.warn(`⚠️ ${symbol}: kept stored ${failedSections.join(", ")} (failed this run)`);
+  }
+
+  if (prev && sameContent(prev, data)) {
+    console.log(`= Unchanged: ${where}`);
+    return { status: "unchanged", changes: [], failedSections };
+  }
+
+  const status = prev ? "changed" : "new";
+  const changes = describeChanges(prev, data);
+  await store.put(INFO_COLLECTION, companyCode, data);
 
-//   // Save by symbol too
-//   const outBySymbol = path.resolve(INFO_DIR, `${symbol}.json`);
-//   fs.writeFileSync(outBySymbol, JSON.stringify(data, null, 2), "utf8");
+  await store.append(CHANGES_COLLECTION, companyCode, {
+    at: data.timestamp || new Date().toISOString(),
+    symbol,
+    companyCode,
+    status,
+    changes,
+    ...(failedSections.length ? { failedSections } : {}),
+  });
 
-  console.log(`✅ Saved: ${path.relative(ROOT_DIR, outByCode)} & by_symbol/${symbol}.json`);
+  console.log(`✅ Saved (${status}, ${changes.length} change(s)): ${where}`);
+  return { status, changes, failedSections };
 }
 
-async function fetchOne(symbol, codeArray) {
-  const companyCode = pickCompanyCode(codeArray);
+// Quarterly actuals/estimates into the fundamentals time series; never fails the crawl
+function recordFundamentals(symbol, fetched) {
+  const quarterly = fetched.quarterlyResults;
+  if (!quarterly || typeof quarterly !== "object" || quarterly.error) return;
+  try {
+    getFundamentalsStore().recordMarketScreenerQuarterly(symbol, quarterly, { vintage: fetched.timestamp });
+  } catch (err) {
+    console.warn(`⚠️ Fundamentals store not updated for ${symbol}: ${err.message}`);
+  }
+}
+
+// One summary per IST day; several runs on the same day are merged into it
+async function writeDailySummary(startedAt, outcomes, job = "full") {
+  const store = getStorage();
+  const date = toISTDateKey(startedAt);
+  const summary = (await store.get(SUMMARY_COLLECTION, date)) || { date, runs: [], companies: [], failed: [] };
+
+  const totals = { companies: outcomes.length, new: 0, changed: 0, unchanged: 0, failed: 0 };
+  for (const o of outcomes) totals[o.status] = (totals[o.status] || 0) + 1;
+  summary.runs.push({
+    job,
+    startedAt: new Date(startedAt).toISOString(),
+    finishedAt: new Date().toISOString(),
+    totals,
+  });
+
+  const byCode = new Map(summary.companies.map((c) => [c.companyCode, c]));
+  const moved = outcomes.filter((o) => o.status === "new" || o.status === "changed");
+  for (const o of moved) {
+    const entry = byCode.get(o.companyCode) || {
+      symbol: o.symbol,
+      companyCode: o.companyCode,
+      status: o.status,
+      counts: {},
+      changes: [],
+    };
+    for (const [type, n] of Object.entries(countByType(o.changes))) {
+      entry.counts[type] = (entry.counts[type] || 0) + n;
+    }
+    entry.changes.push(...o.changes.map((c) => c.message));
+    byCode.set(o.companyCode, entry);
+  }
+  summary.companies = [...byCode.values()];
+
+  const failedNow = outcomes.filter((o) => o.status === "failed");
+  const stillFailed = new Set(failedNow.map((o) => o.symbol));
+  const recovered = new Set(outcomes.filter((o) => o.status !== "failed").map((o) => o.symbol));
+  summary.failed = [
+    ...summary.failed.filter((f) => !stillFailed.has(f.symbol) && !recovered.has(f.symbol)),
+    ...failedNow.map((o) => ({ symbol: o.symbol, error: o.error })),
+  ];
+
+  await store.put(SUMMARY_COLLECTION, date, summary);
+  console.log(`📝 Daily summary: ${store.describe(SUMMARY_COLLECTION, date)} (${moved.length} moved this run)`);
+  return summary;
+}
+
+async function fetchOne(symbol, company, pool, sections = SECTION_SETS.all) {
+  const companyCode = company?.marketScreenerCode;
   if (!companyCode) {
     throw new Error(`No usable company code for symbol: ${symbol}`);
   }
 
   const options = {
-    includeAnnual: true,
-    includeQuarterly: true,
-    includeUpcomingEvents: true, // IMPORTANT: use the correct key your aggregator expects
-    includePastEvents: true,
-    includePastDividends: true,
+    ...sections,
+    pool, // one browser for the whole batch; each worker borrows a page
   };
 
   const label = `${symbol}:${companyCode}`;
+  // The aggregator never throws: a blocked page load or a run where every section
+  // failed is turned into an error here so it is retried and checkpointed as failed
   const data = await withRetries(
-    () => getAllMarketScreenerData(companyCode, options),
+    async () => {
+      const result = await getAllMarketScreenerData(companyCode, options);
+      const failed = failedSectionsOf(result);
+      const requested = Object.keys(result).filter((key) => key !== "companyCode" && key !== "timestamp");
+      if (requested.length && failed.length === requested.length) {
+        throw new Error(`All sections failed (${failed.join(", ")}): ${result[failed[0]].error}`);
+      }
+      return result;
+    },
     RETRIES,
     label
   );
 
-  await saveOutputs(symbol, companyCode, data);
+  const { status, changes, failedSections } = await saveOutputs(symbol, companyCode, data);
+  return { symbol, companyCode, status, changes, failedSections };
+}
+
+/**
+ * Pick the checkpoint and symbols for this run.
+ *   fresh (default)  : new checkpoint, every company
+ *   resume           : continue the saved checkpoint's pending symbols
+ *   retryFailed      : re-run the saved checkpoint's failed symbols
+ * resume + retryFailed does both.
+ */
+function prepareCheckpoint(file, symbols, { resume = false, retryFailed = false } = {}) {
+  let cp = null;
+  if (resume || retryFailed) {
+    cp = checkpoint.loadCheckpoint(file);
+    if (!cp) {
+      console.warn(`⚠️ No checkpoint at ${path.relative(ROOT_DIR, file)}; starting a fresh crawl`);
+    } else {
+      // Only a resume picks up companies added since; --retry-failed stays scoped to failures
+      const added = resume ? checkpoint.addMissingSymbols(cp, symbols) : 0;
+      const counts = checkpoint.countByStatus(cp);
+      console.log(
+        `Checkpoint ${cp.runId}: completed=${counts.completed}, failed=${counts.failed}, pending=${counts.pending}` +
+          (added ? ` (+${added} new)` : "")
+      );
+      cp.finishedAt = null;
+      return { cp, todo: checkpoint.selectSymbols(cp, { pending: resume, failed: retryFailed }) };
+    }
+  }
+  cp = checkpoint.createCheckpoint(symbols);
+  return { cp, todo: symbols.slice() };
+}
+
+function writeCrawlReport(file, cp, job, mode) {
+  cp.finishedAt = new Date().toISOString();
+  checkpoint.saveCheckpoint(file, cp);
+
+  const report = { job, mode, ...checkpoint.buildReport(cp) };
+  const out = path.resolve(REPORTS_DIR, `${cp.runId}${job === "full" ? "" : `.${job}`}.json`);
+  fs.writeFileSync(out, JSON.stringify(report, null, 2), "utf8");
+  console.log(`📝 Crawl report: ${path.relative(ROOT_DIR, out)} (${report.failures.length} failure(s))`);
+  return report;
 }
 
-async function runBatch() {
-  console.log(`\n=== MarketScreener crawl started @ ${new Date().toISOString()} ===`);
+/**
+ * @param {Object} [opts]
+ * @param {string} [opts.job="full"] - key of CRAWL_JOBS; picks the sections and checkpoint file
+ * @param {boolean} [opts.resume=false]
+ * @param {boolean} [opts.retryFailed=false]
+ */
+async function runBatch({ job = "full", resume = false, retryFailed = false } = {}) {
+  const startedAt = Date.now();
+  const jobDef = CRAWL_JOBS[job];
+  if (!jobDef) throw new Error(`Unknown crawl job: ${job}`);
+  const sections = SECTION_SETS[jobDef.sections];
+  const cpFile = checkpointFileFor(job);
+  const mode = [resume && "resume", retryFailed && "retry-failed"].filter(Boolean).join("+") || "fresh";
+  console.log(`\n=== MarketScreener crawl [${job}] (${mode}) started @ ${new Date().toISOString()} ===`);
   let companies;
   try {
     companies = loadCompaniesMap();
@@ -126,32 +329,61 @@ async function runBatch() {
     return;
   }
 
-  const entries = Object.entries(companies);
-  console.log(`Found ${entries.length} companies`);
+  console.log(`Found ${Object.keys(companies).length} companies`);
+
+  const { cp, todo } = prepareCheckpoint(cpFile, Object.keys(companies), { resume, retryFailed });
+  const entries = todo
+    .filter((symbol) => companies[symbol] !== undefined)
+    .map((symbol) => [symbol, companies[symbol]]);
+  checkpoint.saveCheckpoint(cpFile, cp);
+  console.log(`To crawl this run: ${entries.length}`);
+
+  // One Chromium for the whole run, at most one page per worker
+  const pool = createBrowserPool({
+    name: "crawler",
+    maxPages: CONCURRENCY,
+    maxUsesPerPage: PAGE_MAX_USES,
+  });
 
   // Simple concurrency pool
   let index = 0;
   let success = 0;
   let failed = 0;
+  const outcomes = [];
 
   async function worker(id) {
     while (index < entries.length) {
       const myIdx = index++;
-      const [symbol, codeArray] = entries[myIdx];
+      const [symbol, company] = entries[myIdx];
 
       try {
         console.log(`[${id}] → ${symbol} starting`);
-        await fetchOne(symbol, codeArray);
+        checkpoint.recordAttempt(cp, symbol);
+        outcomes.push(await fetchOne(symbol, company, pool, sections));
+        checkpoint.markCompleted(cp, symbol);
         success++;
       } catch (err) {
         failed++;
+        outcomes.push({ symbol, status: "failed", changes: [], error: err && err.message });
+        checkpoint.markFailed(cp, symbol, err);
         console.error(`❌ ${symbol} failed: ${err && err.message}`);
       }
+      // Persist after every company so a crash loses at most the in-flight ones
+      checkpoint.saveCheckpoint(cpFile, cp);
     }
   }
 
   const workers = Array.from({ length: CONCURRENCY }, (_, i) => worker(i + 1));
-  await Promise.all(workers);
+  try {
+    await Promise.all(workers);
+  } finally {
+    const { launches, borrows, pagesRecycled } = pool.stats();
+    console.log(`Browser pool: launches=${launches}, pages=${borrows}, recycled=${pagesRecycled}`);
+    await pool.close();
+  }
+
+  await writeDailySummary(startedAt, outcomes, job);
+  writeCrawlReport(cpFile, cp, job, mode);
 
   console.log(
     `=== Crawl finished: success=${success}, failed=${failed}, at ${new Date().toISOString()} ===`
@@ -159,29 +391,68 @@ async function runBatch() {
 }
 
 // ---------- SCHEDULER ----------
-function scheduleDailyAt18IST() {
-  const delay = nextRunDelayMs();
-  const nextRun = new Date(Date.now() + delay);
-  console.log(
-    `⏰ Scheduling next crawl at ${nextRun.toISOString()} (which is 18:00 IST)`
-  );
+/** Reason to skip a job slot, or null to run it. */
+function jobSkipReason(jobDef, at, { forceResultsSeason = false } = {}) {
+  if (jobDef.tradingDaysOnly && !isTradingDay(at)) {
+    return holidayName(at) ? `NSE holiday (${holidayName(at)})` : "weekend";
+  }
+  if (jobDef.resultsSeasonOnly && !forceResultsSeason && !isResultsSeason(at)) {
+    return "outside results season";
+  }
+  return null;
+}
 
-  setTimeout(async () => {
-    await runBatch();
-    // Then every 24h thereafter
-    setInterval(runBatch, 24 * 60 * 60 * 1000);
-  }, delay);
+function startScheduler(jobNames, opts = {}) {
+  const year = Number(toISTDateKey(new Date()).slice(0, 4));
+  if (!loadHolidays().years.has(year)) {
+    console.error(`❌ No NSE holiday list for ${year}: trading-day jobs will also run on holidays (see common/nse_holidays.json)`);
+  }
+  const scheduler = createScheduler({ timeZone: TIMEZONE });
+  for (const name of jobNames) {
+    const jobDef = CRAWL_JOBS[name];
+    if (!jobDef) throw new Error(`Unknown crawl job: ${name} (have: ${Object.keys(CRAWL_JOBS).join(", ")})`);
+    scheduler.addJob({
+      name,
+      cron: jobDef.cron,
+      skipIf: (at) => jobSkipReason(jobDef, at, opts),
+      run: () => runBatch({ job: name }),
+    });
+  }
+  scheduler.start();
+  for (const { name, cron, nextAt } of scheduler.nextRuns()) {
+    console.log(`⏰ [${name}] "${cron}" (${TIMEZONE}) next at ${nextAt}`);
+  }
+  return scheduler;
 }
 
 // ---------- ENTRY ----------
+// node crawler.js                          -> run every job in CRAWL_JOBS on its cron
+// node crawler.js --jobs=full,events       -> schedule only these jobs
+// node crawler.js --results-season         -> keep the results job on outside its windows
+// node crawler.js --now [--job=events]     -> run one job now (default: full)
+// node crawler.js --resume [--job=...]     -> continue that job's last checkpoint (pending symbols)
+// node crawler.js --retry-failed [--job=]  -> re-run only that job's last failures
 (async () => {
-  const args = process.argv.slice(2);
-  const runNow = args.includes("--now");
-
-  if (runNow) {
-    await runBatch();
-    process.exit(0);
-  } else {
-    scheduleDailyAt18IST();
+  const args = require("minimist")(process.argv.slice(2), {
+    boolean: ["now", "resume", "retry-failed", "results-season"],
+  });
+  const resume = !!args.resume;
+  const retryFailed = !!args["retry-failed"];
+  const runNow = args.now || resume || retryFailed;
+
+  try {
+    if (runNow) {
+      await runBatch({ job: args.job ? String(args.job) : "full", resume, retryFailed });
+      await closeStorage();
+      process.exit(0);
+    } else {
+      const jobNames = args.jobs
+        ? String(args.jobs).split(",").map((s) => s.trim()).filter(Boolean)
+        : Object.keys(CRAWL_JOBS);
+      startScheduler(jobNames, { forceResultsSeason: !!args["results-season"] });
+    }
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
   }
 })();
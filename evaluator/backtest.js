@@ -0,0 +1,321 @@
+// backtest.js
+// Do result_eval scores predict returns? Backtest over the stored performance rows
+// (analyser/performance per NSE symbol, i.e. data/analyser/performance/*.json on the fs backend).
+//
+// No look-ahead — each release is scored again with only what was known at its timestamp:
+//   signal price  last close completed before the release (the release day's close only when the
+//                 release came after that session's close; a release with no time of day is
+//                 taken as before the open). price_yoy_pct, price_qoq_pct and the trailing PE
+//                 are recomputed from it, then the rows are rescored (result_eval, --profile).
+//   entry         close of the first session that can react to the release
+//                 (trading_calendar.sessionForTimestamp, as in event_study_eval)
+//   exit          close `h` trading sessions after entry, for each horizon h
+// Returns and in-trade drawdowns are split / bonus / rights adjusted (stored corporate actions).
+//
+// Score: sign(x) * abs_sqrt_x of performance.final_performance_score (--field=performance) or
+// final_price_score (--field=price). A release with score >= --min is a long entry signal.
+//
+// Report per horizon:
+//   signals   trades, hit rate (return > 0), average / median return %, worst trade %,
+//             average in-trade drawdown %, max drawdown % of the equal-weight P&L curve
+//             (trade returns summed in exit-date order)
+//   deciles   every scored release, bucketed by score: count, score range, average return %,
+//             hit rate; spread = top decile average - bottom decile average (buckets use the
+//             whole sample's score distribution, so they describe, not trade)
+//
+// Usage:
+//   const { runBacktest } = require('./backtest');
+//   const report = await runBacktest({ min: 5, horizons: [5, 20, 60] });
+//
+// CLI: node evaluator/backtest.js [--symbols=HCLTECH,TCS] [--field=performance|price] [--min=5]
+//        [--horizons=5,20,60] [--profile=<name|file>] [--events]   (--events: list every release too)
+
+const { getStorage } = require('../common/storage');
+const { getCandleStore } = require('../groww/candle_store');
+const { IST_OFFSET_MS, toISTDateKey, shiftDateKey, sessionHours, sessionForTimestamp } = require('../common/trading_calendar');
+const { cumulativeFactor, COLLECTION: ACTIONS_COLLECTION } = require('../common/corporate_actions');
+const { parseReleaseIST } = require('./event_study_eval');
+const { addPerformanceToRows } = require('./result_eval');
+const { loadScoringProfile } = require('./scoring_profile');
+
+const PERFORMANCE_COLLECTION = 'analyser/performance';
+const DEFAULT_HORIZONS = [5, 20, 60];
+const DEFAULT_MIN_SCORE = 5;
+const DECILES = 10;
+const FIELDS = {
+  performance: 'final_performance_score',
+  price: 'final_price_score',
+};
+
+// ---------- helpers ----------
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const round2 = (v) => (isNum(v) ? Number(v.toFixed(2)) : null);
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+
+function median(xs) {
+  if (!xs.length) return null;
+  const a = [...xs].sort((x, y) => x - y);
+  const m = Math.floor(a.length / 2);
+  return a.length % 2 ? a[m] : (a[m - 1] + a[m]) / 2;
+}
+
+const hhmmToMinutes = (s) => Number(s.slice(0, 2)) * 60 + Number(s.slice(3, 5));
+
+/** Epoch ms of a parsed release (no time of day -> that day's midnight IST). */
+function releaseMillis(release) {
+  return Date.parse(`${release.dateKey}T00:00:00Z`) + (release.minutes ?? 0) * 60_000 - IST_OFFSET_MS;
+}
+
+/** Last candle index whose close was known at the release. */
+function knownCloseIndex(candles, release) {
+  const hours = sessionHours(release.dateKey);
+  const afterClose = hours && release.minutes != null && release.minutes >= hhmmToMinutes(hours.close);
+  let idx = -1;
+  for (let i = 0; i < candles.length; i++) {
+    const d = candles[i].date;
+    if (d < release.dateKey || (d === release.dateKey && afterClose)) idx = i;
+    else break;
+  }
+  return idx;
+}
+
+/** Signed score from a { x, abs_sqrt_x } aggregate. */
+function signedScore(agg) {
+  if (!agg || !isNum(agg.x) || !isNum(agg.abs_sqrt_x)) return null;
+  return Math.sign(agg.x) * agg.abs_sqrt_x;
+}
+
+// ---------- point-in-time rescoring ----------
+/**
+ * Copies of one company's rows with the price inputs replaced by the close known at each
+ * release (signalPrice / signalDate), ready for addPerformanceToRows.
+ * Rows without a parseable release or a known close are dropped.
+ */
+function pointInTimeRows(rows, candles) {
+  const out = [];
+  for (const row of rows) {
+    const release = parseReleaseIST(row?.dateTimeRaw);
+    if (!release) continue;
+    const k = knownCloseIndex(candles, release);
+    if (k < 0) continue;
+
+    const price = candles[k].close;
+    const past = Number(row.pastYearDateClosePrice);
+    const reported = Number(row.currentDateClosePrice);
+    const valuation = row.valuation && isNum(row.valuation.pe) && isNum(reported) && reported > 0
+      ? { ...row.valuation, pe: row.valuation.pe * (price / reported) }
+      : row.valuation ? { ...row.valuation, pe: null } : row.valuation;
+
+    out.push({
+      ...row,
+      currentDateClosePrice: price,
+      price_yoy_pct: isNum(past) && past !== 0 ? ((price - past) / past) * 100 : null,
+      price_qoq_pct: null, // derived from the previous release's known close
+      valuation,
+      release,
+      signalDate: candles[k].date,
+    });
+  }
+  return out;
+}
+
+/** Forward return and in-trade drawdown from candle index `entry`, `h` sessions on (null if not there yet). */
+function forwardTrade(candles, entry, h, actions) {
+  const exit = entry + h;
+  if (exit >= candles.length) return null;
+  const exitDate = candles[exit].date;
+  const adj = (i) => candles[i].close / cumulativeFactor(actions, candles[i].date, exitDate);
+
+  let peak = adj(entry);
+  let drawdown = 0;
+  for (let i = entry + 1; i <= exit; i++) {
+    const v = adj(i);
+    peak = Math.max(peak, v);
+    drawdown = Math.min(drawdown, v / peak - 1);
+  }
+  return {
+    exitDate,
+    returnPct: (adj(exit) / adj(entry) - 1) * 100,
+    drawdownPct: drawdown * 100,
+  };
+}
+
+// ---------- per symbol ----------
+/**
+ * Scored releases of one symbol with their forward trades.
+ * @returns {Promise<Array<{symbol: string, quarter: string, release: string, signalDate: string, score: number|null, entryDate: string, trades: Object}>>}
+ */
+async function backtestSymbol(symbol, rows, { profile, field, horizons, candles: store, actions }) {
+  const releases = rows.map((r) => parseReleaseIST(r?.dateTimeRaw)).filter(Boolean);
+  if (!releases.length) return [];
+
+  const keys = releases.map((r) => r.dateKey).sort();
+  const maxH = Math.max(...horizons);
+  const today = toISTDateKey(Date.now());
+  const lastKey = shiftDateKey(keys[keys.length - 1], Math.ceil(maxH * 1.6) + 15); // h sessions fit in ~1.5h days
+  const candles = (await store.getCandles(symbol, shiftDateKey(keys[0], -15), lastKey < today ? lastKey : today))
+    .filter((c) => isNum(c.close));
+  if (!candles.length) return [];
+
+  // release order, so price_qoq_pct comes from the previous release's known close
+  const pit = pointInTimeRows(rows, candles).sort((a, b) => (a.release.dateKey < b.release.dateKey ? -1 : 1));
+  const scored = addPerformanceToRows(pit, { profile });
+
+  const events = [];
+  for (const row of scored) {
+    const t0 = sessionForTimestamp(row.release.minutes == null ? row.release.dateKey : releaseMillis(row.release));
+    const entry = candles.findIndex((c) => c.date >= t0);
+    if (entry < 0) continue;
+
+    const trades = {};
+    for (const h of horizons) trades[h] = forwardTrade(candles, entry, h, actions);
+    events.push({
+      symbol,
+      quarter: row.Quarter,
+      release: row.dateTimeRaw,
+      signalDate: row.signalDate,
+      score: signedScore(row.performance?.[FIELDS[field]]),
+      entryDate: candles[entry].date,
+      trades,
+    });
+  }
+  return events;
+}
+
+// ---------- statistics ----------
+function maxDrawdownOfCurve(trades) {
+  let equity = 0;
+  let peak = 0;
+  let maxDd = 0;
+  for (const t of [...trades].sort((a, b) => (a.exitDate < b.exitDate ? -1 : 1))) {
+    equity += t.returnPct;
+    peak = Math.max(peak, equity);
+    maxDd = Math.min(maxDd, equity - peak);
+  }
+  return maxDd;
+}
+
+function summarizeSignals(trades) {
+  const returns = trades.map((t) => t.returnPct);
+  return {
+    trades: trades.length,
+    hitRatePct: trades.length ? round2((returns.filter((r) => r > 0).length / trades.length) * 100) : null,
+    avgReturnPct: round2(mean(returns)),
+    medianReturnPct: round2(median(returns)),
+    worstReturnPct: trades.length ? round2(Math.min(...returns)) : null,
+    avgTradeDrawdownPct: round2(mean(trades.map((t) => t.drawdownPct))),
+    maxCurveDrawdownPct: round2(maxDrawdownOfCurve(trades)),
+  };
+}
+
+function summarizeDeciles(points) {
+  const sorted = [...points].sort((a, b) => a.score - b.score);
+  const buckets = [];
+  for (let d = 0; d < DECILES; d++) {
+    const slice = sorted.slice(Math.floor((d * sorted.length) / DECILES), Math.floor(((d + 1) * sorted.length) / DECILES));
+    if (!slice.length) continue;
+    const returns = slice.map((p) => p.returnPct);
+    buckets.push({
+      decile: d + 1,
+      count: slice.length,
+      scoreMin: round2(slice[0].score),
+      scoreMax: round2(slice[slice.length - 1].score),
+      avgReturnPct: round2(mean(returns)),
+      hitRatePct: round2((returns.filter((r) => r > 0).length / slice.length) * 100),
+    });
+  }
+  const top = buckets[buckets.length - 1];
+  const bottom = buckets[0];
+  return {
+    buckets,
+    spreadPct: buckets.length > 1 ? round2(top.avgReturnPct - bottom.avgReturnPct) : null,
+  };
+}
+
+// ---------- main ----------
+/**
+ * Backtest score thresholds over the stored performance rows.
+ * @param {Object} [options]
+ * @param {string[]} [options.symbols] - NSE symbols (default: every stored one)
+ * @param {'performance'|'price'} [options.field='performance']
+ * @param {number} [options.min=DEFAULT_MIN_SCORE] - entry when score >= min
+ * @param {number[]} [options.horizons=DEFAULT_HORIZONS] - holding periods in trading sessions
+ * @param {string|Object} [options.profile] - scoring profile used to rescore (default "default")
+ * @param {Object} [options.candles] - candle store (default groww/candle_store shared store)
+ * @returns {Promise<Object>} report
+ */
+async function runBacktest(options = {}) {
+  const field = options.field || 'performance';
+  if (!FIELDS[field]) throw new Error(`field must be one of ${Object.keys(FIELDS).join(', ')}`);
+  const min = isNum(options.min) ? options.min : DEFAULT_MIN_SCORE;
+  const horizons = (options.horizons?.length ? options.horizons : DEFAULT_HORIZONS).map(Number);
+  if (horizons.some((h) => !Number.isInteger(h) || h <= 0)) throw new Error('horizons must be positive integers');
+  const profile = loadScoringProfile(options.profile);
+  const candles = options.candles || getCandleStore();
+
+  const store = getStorage();
+  const symbols = options.symbols?.length ? options.symbols : await store.list(PERFORMANCE_COLLECTION);
+
+  const events = [];
+  const skipped = [];
+  for (const symbol of symbols) {
+    try {
+      const rows = await store.get(PERFORMANCE_COLLECTION, symbol);
+      if (!Array.isArray(rows) || !rows.length) {
+        skipped.push({ symbol, reason: 'no performance rows' });
+        continue;
+      }
+      const actions = (await store.get(ACTIONS_COLLECTION, symbol))?.actions || [];
+      events.push(...(await backtestSymbol(symbol, rows, { profile, field, horizons, candles, actions })));
+    } catch (err) {
+      skipped.push({ symbol, reason: err?.message || String(err) });
+    }
+  }
+
+  const byHorizon = {};
+  for (const h of horizons) {
+    const done = events.filter((e) => e.score != null && e.trades[h]);
+    const signals = done.filter((e) => e.score >= min).map((e) => e.trades[h]);
+    byHorizon[h] = {
+      signals: summarizeSignals(signals),
+      deciles: summarizeDeciles(done.map((e) => ({ score: e.score, returnPct: e.trades[h].returnPct }))),
+    };
+  }
+
+  return {
+    params: { field, min, horizons, profile: profile.name, symbols: symbols.length },
+    releases: events.length,
+    scored: events.filter((e) => e.score != null).length,
+    byHorizon,
+    skipped,
+    events,
+  };
+}
+
+module.exports = {
+  DEFAULT_HORIZONS,
+  DEFAULT_MIN_SCORE,
+  pointInTimeRows,
+  runBacktest,
+};
+
+if (require.main === module) {
+  const args = require('minimist')(process.argv.slice(2), { string: ['symbols', 'field', 'horizons', 'profile'] });
+  const { closeStorage } = require('../common/storage');
+  runBacktest({
+    symbols: args.symbols ? args.symbols.split(',').map((s) => s.trim().toUpperCase()).filter(Boolean) : undefined,
+    field: args.field,
+    min: args.min != null ? Number(args.min) : undefined,
+    horizons: args.horizons ? args.horizons.split(',').map(Number) : undefined,
+    profile: args.profile,
+  })
+    .then((report) => {
+      const { events, ...summary } = report;
+      console.log(JSON.stringify(args.events ? report : summary, null, 2));
+    })
+    .catch((err) => {
+      console.error('Error:', err?.message || err);
+      process.exitCode = 2;
+    })
+    .finally(() => closeStorage());
+}
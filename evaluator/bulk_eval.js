@@ -2,11 +2,19 @@
 // Run evaluator pipeline in bulk for a list of NSE symbols.
 //
 // Example:
-//   node bulk_eval.js "2019 Mar" "2025 Sep" c --concurrency=3
+//   node bulk_eval.js "2019 Mar" "2025 Sep" c --concurrency=3 --profile=earnings_weighted
 //
 // Notes:
-// - BSE companyCode is derived from companies_info.json via companyInfoParser.js
-// - Each run saves to: data/analyser/performance/[NSE].json (done inside runPipeline)
+// - BSE companyCode is derived from the company registry (common/company_registry.js) via
+//   companyInfoParser.js; --companies=<file> reads another registry or companies_info.json
+// - Each run saves to storage analyser/performance/[NSE] (done inside runPipeline;
+//   data/analyser/performance/[NSE].json with the default fs backend, see common/storage.js)
+// - Prices are read through groww/candle_store.js (data/candles.sqlite), so a rerun only
+//   fetches candles it has never fetched before.
+// - --profile=<name|file> picks the result_eval scoring profile (evaluator/scoring_profiles/);
+//   every row records it as performance.profile.
+// - --relative=zscore|percentile: once every symbol is done, score each company-quarter against
+//   its sector peers over all stored rows (performance.sector_relative, see result_eval.js).
 // - Prints a final JSON summary to STDOUT; progress logs go to STDERR.
 
 "use strict";
@@ -14,7 +22,9 @@
 const path = require("path");
 const os = require("os");
 
-const { runPipeline } = require("./evaluator_manager");
+const { runPipeline, runSectorRelativeScoring, PERFORMANCE_COLLECTION } = require("./evaluator_manager");
+const { getStorage, closeStorage } = require("../common/storage");
+const { loadScoringProfile } = require("./scoring_profile");
 const companyInfo = require("./companyInfoParser");
 
 // --------- Configurable symbol list (from your message) ----------
@@ -55,13 +65,17 @@ if (!argFrom || !argTo) {
     `  <type>: c (consolidated) | s (standalone)\n` +
     `Examples:\n` +
     `  node ${script} "2019 Mar" "2025 Sep" c\n` +
-    `  node ${script} "2019 Mar" "2025 Sep" s --concurrency=4\n`
+    `  node ${script} "2019 Mar" "2025 Sep" s --concurrency=4\n` +
+    `  node ${script} "2019 Mar" "2025 Sep" c --profile=earnings_weighted\n` +
+    `  node ${script} "2019 Mar" "2025 Sep" c --relative=percentile\n`
   );
   process.exit(1);
 }
 
 let concurrency = 3; // sensible default
 let companiesPathOverride = null;
+let profileArg = undefined;
+let relativeMethod = null;
 
 for (const tok of rest) {
   if (tok.startsWith("--concurrency=")) {
@@ -69,10 +83,27 @@ for (const tok of rest) {
     if (!Number.isNaN(n) && n > 0) concurrency = n;
   } else if (tok.startsWith("--companies=")) {
     companiesPathOverride = tok.split("=")[1];
+  } else if (tok.startsWith("--profile=")) {
+    profileArg = tok.slice("--profile=".length);
+  } else if (tok.startsWith("--relative=")) {
+    relativeMethod = tok.slice("--relative=".length);
   }
 }
 
-// If the user overrides companies_info.json, apply it.
+// Load the scoring profile once, up front (exits on an unknown or invalid profile)
+let scoringProfile;
+try {
+  scoringProfile = loadScoringProfile(profileArg);
+} catch (e) {
+  console.error(`[bulk_eval] ${e?.message || e}`);
+  process.exit(2);
+}
+if (relativeMethod && !["zscore", "percentile"].includes(relativeMethod)) {
+  console.error(`[bulk_eval] --relative must be zscore or percentile, got "${relativeMethod}"`);
+  process.exit(2);
+}
+
+// If the user overrides the company registry, apply it.
 if (companiesPathOverride) {
   companyInfo.setDataPath(companiesPathOverride);
   try {
@@ -130,10 +161,10 @@ async function evalOneSymbol(nseSymbol, from, to, type) {
   console.error(`[bulk_eval] ${nseSymbol} -> BSE ${bseCode} :: from="${from}" to="${to}" type=${type}`);
 
   // Run the pipeline (saves per-symbol JSON internally)
-  const out = await runPipeline({ companyCode: bseCode, from, to, type });
+  const out = await runPipeline({ companyCode: bseCode, from, to, type, profile: scoringProfile });
 
-  // Expected output file path (for summary only)
-  const savedPath = path.join(__dirname, "evaluator", "..", "data", "analyser", "performance", `${nseSymbol}.json`);
+  // Where runPipeline stored it (for summary only)
+  const savedPath = getStorage().describe(PERFORMANCE_COLLECTION, nseSymbol);
 
   return {
     nseSymbol,
@@ -156,9 +187,10 @@ async function evalOneSymbol(nseSymbol, from, to, type) {
 
   // Build a compact summary
   const summary = {
-    params: { from: argFrom, to: argTo, type: argType, concurrency: cpu },
+    params: { from: argFrom, to: argTo, type: argType, concurrency: cpu, profile: scoringProfile.name, relative: relativeMethod },
     ok: [],
-    failed: []
+    failed: [],
+    relative: null
   };
 
   for (let i = 0; i < NSE_SYMBOLS.length; i++) {
@@ -174,8 +206,20 @@ async function evalOneSymbol(nseSymbol, from, to, type) {
     }
   }
 
+  // Sector-relative pass needs every company's rows, so it runs last
+  if (relativeMethod) {
+    try {
+      summary.relative = await runSectorRelativeScoring({ method: relativeMethod, profile: scoringProfile });
+      console.error(`[bulk_eval] Sector-relative (${relativeMethod}) scores: ${summary.relative.scored} rows over ${summary.relative.symbols} symbols`);
+    } catch (e) {
+      summary.relative = { error: e?.message || String(e) };
+      console.error(`[bulk_eval] Sector-relative scoring failed: ${e?.message || e}`);
+    }
+  }
+
   // Final JSON summary to STDOUT
   console.log(JSON.stringify(summary, null, 2));
+  await closeStorage();
 
   if (summary.failed.length > 0) {
     console.error(`[bulk_eval] Completed with ${summary.failed.length} failures.`);
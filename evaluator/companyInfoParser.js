@@ -1,18 +1,13 @@
 // companyInfoParser.js
-// Node.js port of CompanyInfo.java, loading data from a JSON file on disk.
+// Node.js port of CompanyInfo.java, over the company registry (common/company_registry.js:
+// data/company_registry.json, or the legacy data/companies_info.json until it is migrated).
 
 "use strict";
 
-const fs = require("fs");
 const path = require("path");
-
-// ======= Config =======
-const DEFAULT_JSON_PATH = path.resolve(
-  "D:\\Node Project\\webscrap\\ms-events\\data\\companies_info.json"
-);
+const { loadRegistry } = require("../common/company_registry");
 
 // ---------- Utilities ----------
-const safeTrim = (s) => (typeof s === "string" ? s.trim() : null);
 const putIfNotEmpty = (map, key, value) => {
   if (key && String(key).length > 0) map.set(key, value);
 };
@@ -20,6 +15,7 @@ const putIfNotEmpty = (map, key, value) => {
 // ---------- Data model ----------
 /**
  * @typedef {Object} Company
+ * Registry record (isin, growwCode, name, listingStatus, ...) plus the legacy field names below.
  * @property {string} nseSymbol
  * @property {string|null} zerodhaInstrument
  * @property {string|null} marketScreenerCode
@@ -27,24 +23,19 @@ const putIfNotEmpty = (map, key, value) => {
  * @property {string|null} bseCompanyNameSlug
  * @property {string|null} bseSymbolSlug
  * @property {string|null} bseCompanyCode
+ * @property {string|null} sector   - from the registry, or applyClassifications (common/classification.js)
+ * @property {string|null} industry
  */
 
-function makeCompany(nseSymbol, zerodhaInstrument, marketScreenerCode, bseSockPath) {
-  let name = null, sym = null, code = null;
-  if (bseSockPath) {
-    const parts = String(bseSockPath).split("/");
-    if (parts.length >= 3) {
-      [name, sym, code] = parts;
-    }
-  }
+/** Registry record -> Company */
+function makeCompany(record) {
+  const [name = null, sym = null] = record.bsePath ? record.bsePath.split("/") : [];
   return {
-    nseSymbol,
-    zerodhaInstrument,
-    marketScreenerCode,
-    bseSockPath,
+    ...record,
+    bseSockPath: record.bsePath,
     bseCompanyNameSlug: name,
     bseSymbolSlug: sym,
-    bseCompanyCode: code
+    bseCompanyCode: record.bseCode
   };
 }
 
@@ -53,24 +44,19 @@ function makeCompany(nseSymbol, zerodhaInstrument, marketScreenerCode, bseSockPa
 const BY_ZERODHA = new Map();
 const BY_BSE_CODE = new Map();
 const BY_MARKET_SCREENER = new Map();
+/** @type {Map<string, {sector: string|null, industry: string|null}>} */ const CLASSIFICATIONS = new Map();
 
-let _dataPath = DEFAULT_JSON_PATH;
+let _dataPath = null; // null = registry default
 
 // ---------- Load / Build ----------
-function _buildIndexes(raw) {
+function _buildIndexes(registry) {
   [BY_NSE, BY_ZERODHA, BY_BSE_CODE, BY_MARKET_SCREENER].forEach(m => m.clear());
 
-  for (const [nseKey, arr] of Object.entries(raw || {})) {
-    if (!Array.isArray(arr) || arr.length < 3) continue;
-
-    const nse = safeTrim(nseKey);
-    const zerodha = safeTrim(arr[0]);
-    const market = safeTrim(arr[1]);
-    const sock = safeTrim(arr[2]);
-    if (!nse) continue;
-
-    const c = makeCompany(nse, zerodha, market, sock);
-    putIfNotEmpty(BY_NSE, nse, c);
+  for (const record of registry.all()) {
+    const c = makeCompany(record);
+    const cls = CLASSIFICATIONS.get(c.nseSymbol);
+    if (cls) Object.assign(c, { sector: cls.sector || null, industry: cls.industry || null });
+    putIfNotEmpty(BY_NSE, c.nseSymbol, c);
     putIfNotEmpty(BY_ZERODHA, c.zerodhaInstrument, c);
     putIfNotEmpty(BY_MARKET_SCREENER, c.marketScreenerCode, c);
     putIfNotEmpty(BY_BSE_CODE, c.bseCompanyCode, c);
@@ -78,27 +64,22 @@ function _buildIndexes(raw) {
 }
 
 /**
- * Load JSON from disk and build indexes (sync).
- * JSON format: { [nseSymbol]: [zerodhaInstrument, marketScreenerCode, bseSockPath] }
- * @param {string} [filePath]
+ * Load a registry file and build indexes (sync).
+ * Registry format ({ companies: [...] }) or legacy { [nseSymbol]: [zerodhaInstrument, marketScreenerCode, bseSockPath] }
+ * @param {string} [filePath] - default: the registry's own default file
  */
 function loadFromFile(filePath = _dataPath) {
-  const file = path.resolve(filePath);
-  const buf = fs.readFileSync(file);
-  // remove BOM if present
-  const text = buf.toString("utf8").replace(/^\uFEFF/, "");
-  const json = JSON.parse(text);
-  _dataPath = file; // remember where we loaded from
-  _buildIndexes(json);
+  const file = filePath ? path.resolve(filePath) : undefined;
+  const registry = loadRegistry({ file, refresh: true });
+  _dataPath = file || null; // remember where we loaded from
+  _buildIndexes(registry);
 }
 
 // Initialize once on first require
 try {
-  loadFromFile(DEFAULT_JSON_PATH);
+  loadFromFile();
 } catch (e) {
   // If file missing/malformed, leave maps empty (parity with Java's silent catch).
-  // You can console.warn here if you prefer visibility:
-  // console.warn(`[CompanyInfo] Failed to load ${DEFAULT_JSON_PATH}:`, e.message);
 }
 
 // ---------- Public API (parity with Java) ----------
@@ -167,6 +148,40 @@ function getBseCompanyNameSlugFromNse(nseSymbol) {
   return c ? c.bseCompanyNameSlug : null;
 }
 
+// Sector / industry (empty until applyClassifications)
+function getSectorFromNse(nseSymbol) {
+  const c = BY_NSE.get(nseSymbol);
+  return c ? c.sector : null;
+}
+
+function getIndustryFromNse(nseSymbol) {
+  const c = BY_NSE.get(nseSymbol);
+  return c ? c.industry : null;
+}
+
+/** Companies with the given sector (or industry), case-insensitive. */
+function getCompaniesInSector(sectorOrIndustry) {
+  const want = String(sectorOrIndustry || "").trim().toLowerCase();
+  if (!want) return [];
+  return [...BY_NSE.values()].filter(
+    (c) => (c.sector || "").toLowerCase() === want || (c.industry || "").toLowerCase() === want
+  );
+}
+
+/**
+ * Put sector / industry on the company records; kept across reload().
+ * @param {Map<string, {sector: string|null, industry: string|null}>|Object} classifications
+ *   e.g. await require("../common/classification").loadClassifications()
+ */
+function applyClassifications(classifications) {
+  const entries = classifications instanceof Map ? [...classifications] : Object.entries(classifications || {});
+  for (const [nse, cls] of entries) {
+    CLASSIFICATIONS.set(nse, cls);
+    const c = BY_NSE.get(nse);
+    if (c) Object.assign(c, { sector: cls?.sector || null, industry: cls?.industry || null });
+  }
+}
+
 // Read-only views (frozen shallow copies)
 function viewAllByNse() { return Object.freeze(Object.fromEntries(BY_NSE)); }
 function viewAllByZerodha() { return Object.freeze(Object.fromEntries(BY_ZERODHA)); }
@@ -200,6 +215,12 @@ module.exports = {
   getBseCompanySymbolSlugFromNse,
   getBseCompanyNameSlugFromNse,
 
+  // classification
+  getSectorFromNse,
+  getIndustryFromNse,
+  getCompaniesInSector,
+  applyClassifications,
+
   // views & maintenance
   viewAllByNse,
   viewAllByZerodha,
@@ -1,13 +1,15 @@
 // evaluator/evaluator_manager.js
 // Full pipeline:
 //   BSE fetch & parse -> macro_eval (QoQ/YoY) -> attach dates (past_result_date_eval)
-//   -> attach prices (past_result_price_eval) -> console.log final JSON
+//   -> attach prices (past_result_price_eval) -> TTM valuation (valuation_eval)
+//   -> scores (result_eval) -> sector / industry (common/classification) -> console.log final JSON
 //
 // CLI:
-//   node evaluator_manager.js <BSE_COMPANY_CODE> "<from>" "<to>" <type>
+//   node evaluator_manager.js <BSE_COMPANY_CODE> "<from>" "<to>" <type> [--profile=<name|file>]
 //   <type>: c (consolidated) | s (standalone)
+//   --profile: scoring profile for result_eval (evaluator/scoring_profiles/, default "default")
 // Example:
-//   node evaluator_manager.js 532281 "2025 Mar" "2025 Sep" c
+//   node evaluator_manager.js 532281 "2025 Mar" "2025 Sep" c --profile=earnings_weighted
 
 const fs = require('fs');
 const path = require('path');
@@ -17,7 +19,21 @@ const quarter_parser = require('../bse/bse_quarterly_results_parser');
 const { computeQuarterlyGrowth } = require('./macro_eval');
 const { parsePastResult } = require('./past_result_date_eval');      // expects: parsePastResult(companyInfoJson, outJson)
 const { parsePastStockPrice } = require('./past_result_price_eval'); // expects: parsePastStockPrice(outJson, nseSymbol)
-const { addPerformanceToRows } = require('./result_eval'); // expects: addPerformanceToRows(rows)
+const { addPerformanceToRows, addSectorRelativeScores } = require('./result_eval'); // expects: addPerformanceToRows(rows, { profile })
+const { loadScoringProfile } = require('./scoring_profile');
+const { computeEarningsSurprises, addSurpriseToRows } = require('./surprise_eval');
+const { addEventStudyToRows } = require('./event_study_eval');
+const { addValuationToRows } = require('./valuation_eval');
+const { getCorporateActions, adjustPerShareRows } = require('../common/corporate_actions');
+const { getStorage, closeStorage } = require('../common/storage');
+const { getFundamentalsStore } = require('../common/fundamentals_store');
+const { getShareHistory } = require('../common/share_history');
+const { getClassification, loadClassifications } = require('../common/classification');
+const { loadRegistry } = require('../common/company_registry');
+
+// Storage collections (fs backend: data/info/<msCode>.json, data/analyser/performance/<NSE>.json)
+const INFO_COLLECTION = 'info';
+const PERFORMANCE_COLLECTION = 'analyser/performance';
 
 /* ----------------------- helpers ----------------------- */
 
@@ -73,31 +89,6 @@ function coerceToArray(val) {
     return null;
 }
 
-/**
- * companies_info.json looks like:
- *  {
- *    "HCLTECH": ["<nse_symbol>", "<marketscreener_id>", "hcl-technologies-ltd/hcltech/532281"],
- *    ...
- *  }
- * We need to find the NSE symbol using the given BSE company code.
- */
-function getNSESmbFromBSECode(bseCode, companiesInfo) {
-    const code = String(bseCode).trim();
-    for (const [nseSymbol, arr] of Object.entries(companiesInfo || {})) {
-        // arr[2] is the BSE path "…/<SYMBOL>/<CODE>"
-        const bsePath = Array.isArray(arr) ? arr[2] : null;
-        if (typeof bsePath !== 'string') continue;
-        const parts = bsePath.split('/');
-        const last = parts[parts.length - 1];       // e.g., "532281"
-        const secondLast = parts[parts.length - 2]; // e.g., "HCLTECH"
-        if (last === code) {
-            // Prefer the explicit NSE key, fallback to secondLast (symbol in path)
-            return nseSymbol || secondLast;
-        }
-    }
-    return null;
-}
-
 /**
  * Try to load a "company info JSON" from disk using common filenames.
  * We’ll try several basenames derived from NSE symbol and also the MarketScreener ID.
@@ -163,97 +154,128 @@ async function buildQuarterRows({ companyCode, from, to, type, smooth }) {
     return rows;
 }
 
-async function evaluateQuarterRange({ companyCode, from, to, type = 'c' , smooth = true}) {
+async function evaluateQuarterRange({ companyCode, from, to, type = 'c' , smooth = true, actions = null}) {
     // 1) raw rows (Mar/Jun/Sep/Dec blocks)
     const rows = await buildQuarterRows({ companyCode, from, to, type , smooth}); //[{...},{...}]
 
-    // 2) QoQ/YoY metrics
-    let evaluated = computeQuarterlyGrowth(rows, smooth);
+    // 2) QoQ/YoY metrics, reported EPS put on today's share basis (splits/bonus) first
+    let evaluated = computeQuarterlyGrowth(adjustPerShareRows(rows, actions), smooth);
     // add rows metadata for downstream evals as per index rows[i]
     evaluated = evaluated.map((r, i) => ({ ...r, etrra_info: rows[i] }));
 
     return evaluated;
 }
 
-function loadInfoByMarketScreenerId(msCode) {
+async function loadInfoByMarketScreenerId(msCode) {
     if (!msCode) return null;
-    const file = path.join(__dirname, '..', 'data', 'info', `${msCode}.json`);
     try {
-        if (fs.existsSync(file)) {
-            const raw = fs.readFileSync(file, 'utf8');
-            return JSON.parse(raw);
-        }
+        return await getStorage().get(INFO_COLLECTION, msCode);
     } catch (_) { }
     return null;
 }
 
 /**
  * End-to-end pipeline:
- * 1) Evaluate quarterly numbers (QoQ/YoY)
- * 2) Attach dateTimeRaw using past_result_date_eval (if company info JSON is found)
- * 3) Attach prices using past_result_price_eval (if NSE symbol is found)
+ * 1) Evaluate quarterly numbers (QoQ/YoY), EPS adjusted for corporate actions (if NSE symbol is found)
+ * 2) Attach dateTimeRaw using past_result_date_eval and earnings_surprise using surprise_eval
+ *    (if company info JSON is found)
+ * 3) Attach prices using past_result_price_eval, the post-release event study and TTM valuation
+ *    multiples (valuation_eval) (if NSE symbol is found)
+ * 4) Score (result_eval) with the scoring profile `profile` (name, file or object; default "default"),
+ *    against the trailing PE where there is one
+ * 5) Tag rows with the company's sector / industry (if NSE symbol is found)
  */
-async function runPipeline({ companyCode, from, to, type }) {
-    let out = await evaluateQuarterRange({ companyCode, from, to, type });
+async function runPipeline({ companyCode, from, to, type, profile }) {
+    // Fail before any fetching if the scoring profile is unknown or invalid
+    const scoringProfile = loadScoringProfile(profile);
 
-    // Load companies_info.json
-    const companiesInfoPath = path.join(__dirname, '..', 'data', 'companies_info.json');
-    let companiesInfo = null;
+    // Company registry: BSE code -> NSE symbol and MarketScreener code
+    let company = null;
     try {
-        companiesInfo = JSON.parse(fs.readFileSync(companiesInfoPath, 'utf8'));
+        company = loadRegistry().byBseCode(String(companyCode).trim());
     } catch (e) {
         // If this fails, we’ll still return QoQ/YoY output without date/price
     }
+    const nseSymbol = company?.nseSymbol || null;
+    const msCode = company?.marketScreenerCode || null;
 
-    // Derive NSE symbol (and MarketScreener ID if you want to try resolving file)
-    let nseSymbol = null;
-    let msCode = null;
+    const companyInfoJson = msCode ? await loadInfoByMarketScreenerId(msCode) : null;
 
-    if (companiesInfo) {
-        nseSymbol = getNSESmbFromBSECode(companyCode, companiesInfo);
-        if (nseSymbol && Array.isArray(companiesInfo[nseSymbol])) {
-            // [0]=NSE symbol, [1]=MARKET_SCREENER code, [2]=BSE path (.../<SYMBOL>/<CODE>)
-            msCode = companiesInfo[nseSymbol][1] || null;
-        }
+    // Splits / bonus / rights: adjust EPS and past prices so YoY comparisons stay valid
+    const actions = nseSymbol ? await getCorporateActions(nseSymbol, { msInfo: companyInfoJson }) : [];
+
+    let out = await evaluateQuarterRange({ companyCode, from, to, type, actions });
+
+    // Keep every reported figure in the fundamentals time series (best effort)
+    try {
+        getFundamentalsStore().recordBseRows(
+            nseSymbol || String(companyCode),
+            out.map((r) => r.etrra_info).filter(Boolean),
+            { basis: normalizeRType(type) === 'D' ? 's' : 'c' }
+        );
+    } catch (e) {
+        console.error(`⚠️ Fundamentals store not updated: ${e?.message || e}`);
     }
 
-    // Try to load company info JSON by MarketScreener code -> enrich dateTimeRaw
-    if (msCode) {
-        const companyInfoJson = loadInfoByMarketScreenerId(msCode);
-        if (companyInfoJson) {
-            try {
-                parsePastResult(companyInfoJson, out); // mutates 'out'
-            } catch (e) {
-                // silently continue without dates if shape unexpected
-            }
+    // Company info JSON (by MarketScreener code) -> enrich dateTimeRaw
+    if (companyInfoJson) {
+        try {
+            parsePastResult(companyInfoJson, out); // mutates 'out'
+        } catch (e) {
+            // silently continue without dates if shape unexpected
+        }
+        try {
+            addSurpriseToRows(out, computeEarningsSurprises(companyInfoJson)); // mutates 'out'
+        } catch (e) {
+            console.error(`⚠️ Earnings surprise skipped: ${e?.message || e}`);
         }
     }
 
     // Now attach price info if we have an NSE symbol (used by your groww/stockHistoricalInfo)
     if (nseSymbol) {
         try {
-            await parsePastStockPrice(out, nseSymbol);
+            await parsePastStockPrice(out, nseSymbol, { actions });
         } catch (e) {
             // Continue without price data on failure
         }
+        try {
+            await addEventStudyToRows(out, nseSymbol, { actions });
+        } catch (e) {
+            console.error(`⚠️ Event study skipped: ${e?.message || e}`);
+        }
+        try {
+            const shareHistory = msCode ? await getShareHistory(nseSymbol, { msCode, actions }) : null;
+            addValuationToRows(out, {
+                actions,
+                shareHistory,
+                dividends: companyInfoJson?.pastDividends?.dividends || [],
+            });
+        } catch (e) {
+            console.error(`⚠️ Valuation skipped: ${e?.message || e}`);
+        }
     }
 
 
     // now result eval : using v2
-    out = addPerformanceToRows(out);
+    out = addPerformanceToRows(out, { profile: scoringProfile });
 
+    // Sector / industry so screeners can compare a quarter with its peers
+    if (nseSymbol) {
+        const classification = await getClassification(nseSymbol, { bseCode: String(companyCode), msCode });
+        for (const row of out) {
+            row.sector = classification?.sector || null;
+            row.industry = classification?.industry || null;
+        }
+    }
 
 
-    //Save to data/analyser/performance/[NSE].json if we resolved NSE symbol
+    //Save to analyser/performance/[NSE] (data/analyser/performance/[NSE].json on fs) if we resolved NSE symbol
     if (nseSymbol && typeof nseSymbol === 'string' && nseSymbol.trim()) {
-      const outDir = path.join(__dirname, '..', 'data', 'analyser', 'performance');
-      const outFile = path.join(outDir, `${nseSymbol}.json`);
-    
-      fs.mkdirSync(outDir, { recursive: true });
-      fs.writeFileSync(outFile, JSON.stringify(out, null, 2), 'utf8');
+      const store = getStorage();
+      await store.put(PERFORMANCE_COLLECTION, nseSymbol, out);
     
       // Let the user know on STDERR so it doesn't pollute JSON STDOUT
-      console.error(`Saved → ${outFile}`);
+      console.error(`Saved → ${store.describe(PERFORMANCE_COLLECTION, nseSymbol)}`);
     } else {
       console.error('Warning: NSE symbol not resolved. Skipped saving to file.');
     }
@@ -263,16 +285,51 @@ async function runPipeline({ companyCode, from, to, type }) {
     return out;
 }
 
+/**
+ * Cross-sectional pass over the stored rows (after runPipeline has run for the universe):
+ * score every company-quarter against its sector peers (result_eval.addSectorRelativeScores)
+ * and save the rows back with performance.sector_relative.
+ * @param {{method?: 'zscore'|'percentile', profile?: string|Object, symbols?: string[]}} [options]
+ *   symbols default to every stored one (the peer universe)
+ * @returns {Promise<{method: string, symbols: number, scored: number}>} scored = rows with a sector score
+ */
+async function runSectorRelativeScoring({ method = 'zscore', profile, symbols } = {}) {
+    const scoringProfile = loadScoringProfile(profile);
+    const store = getStorage();
+    const keys = symbols?.length ? symbols : await store.list(PERFORMANCE_COLLECTION);
+
+    const rowsBySymbol = new Map();
+    for (const symbol of keys) {
+        const rows = await store.get(PERFORMANCE_COLLECTION, symbol);
+        if (Array.isArray(rows)) rowsBySymbol.set(symbol, rows);
+    }
+
+    // rows saved before classification existed carry no sector: use the stored one
+    const stored = await loadClassifications([...rowsBySymbol.keys()]);
+    const sectorOf = (symbol, row) => row?.sector || stored.get(symbol)?.sector || null;
+
+    const out = addSectorRelativeScores(rowsBySymbol, { method, profile: scoringProfile, sectorOf });
+    let scored = 0;
+    for (const [symbol, rows] of out) {
+        scored += rows.filter((r) => r.performance?.sector_relative?.final_performance_score != null).length;
+        await store.put(PERFORMANCE_COLLECTION, symbol, rows);
+    }
+    return { method, symbols: out.size, scored };
+}
+
 /* --------------------------- CLI --------------------------- */
 
 if (require.main === module) {
     (async () => {
-        const [companyCode, from, to, type = 'c'] = process.argv.slice(2);
+        const argv = process.argv.slice(2);
+        const profileArg = argv.find((a) => a.startsWith('--profile='));
+        const [companyCode, from, to, type = 'c'] = argv.filter((a) => !a.startsWith('--'));
+        const profile = profileArg ? profileArg.slice('--profile='.length) : undefined;
 
         if (!companyCode || !from || !to) {
             const script = path.basename(process.argv[1]);
             console.error(
-                `Usage: node ${script} <BSE_COMPANY_CODE> "<from>" "<to>" <type>\n` +
+                `Usage: node ${script} <BSE_COMPANY_CODE> "<from>" "<to>" <type> [--profile=<name|file>]\n` +
                 `  <type>: c (consolidated) | s (standalone)\n` +
                 `Example:\n` +
                 `  node ${script} 532281 "2025 Mar" "2025 Sep" c`
@@ -281,8 +338,9 @@ if (require.main === module) {
         }
 
         try {
-            const finalOut = await runPipeline({ companyCode, from, to, type });
+            const finalOut = await runPipeline({ companyCode, from, to, type, profile });
             console.log(JSON.stringify(finalOut, null, 2));
+            await closeStorage();
         } catch (err) {
             console.error('Error:', err?.message || err);
             process.exit(2);
@@ -291,6 +349,8 @@ if (require.main === module) {
 }
 
 module.exports = {
+    PERFORMANCE_COLLECTION,
     evaluateQuarterRange,
     runPipeline,
+    runSectorRelativeScoring,
 };
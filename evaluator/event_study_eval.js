@@ -0,0 +1,188 @@
+// ./evaluator/event_study_eval.js
+// Post-earnings price reaction (event study) around each release date.
+//
+// For every row with a release timestamp (dateTimeRaw from past_result_date_eval):
+//   T0      first NSE session that can react to the release (trading_calendar.sessionForTimestamp):
+//           a release after that day's close (15:30 IST, or a special session's own close) or on
+//           a non-trading day moves T0 to the next session; a release with no time of day is
+//           taken as before the close.
+//   windows cumulative return from the close before the window to its last close, in %:
+//             pre  T-5..T-1     t0  T0     t1  T0..T+1     t5  T0..T+5     t20  T0..T+20
+//           each as { stock, benchmark, abnormal } where abnormal = stock - benchmark
+//           (market-adjusted returns against NIFTY 50). With options.actions, a split / bonus /
+//           rights ex-date inside a window is taken out of the stock's return.
+//
+// Windows count the benchmark's daily candles, so an unlisted closure is skipped as well.
+//
+// Usage:
+//   const { addEventStudyToRows } = require("./event_study_eval");
+//   await addEventStudyToRows(rows, "HCLTECH");   // sets row.event_study
+//
+// CLI: node evaluator/event_study_eval.js <NSE_SYMBOL> "<DD/MM/YYYY hh:mm am|pm>" [...more releases]
+
+const { getCandleStore } = require("../groww/candle_store");
+const { IST_OFFSET_MS, toISTDateKey, shiftDateKey, sessionForTimestamp } = require("../common/trading_calendar");
+const { cumulativeFactor } = require("../common/corporate_actions");
+
+const BENCHMARK_SYMBOL = process.env.EVENT_STUDY_BENCHMARK || "NIFTY";
+const WINDOWS = {
+  pre: [-5, -1],
+  t0: [0, 0],
+  t1: [0, 1],
+  t5: [0, 5],
+  t20: [0, 20],
+};
+
+// ---------- dates ----------
+/**
+ * "DD/MM/YYYY" or "DD/MM/YYYY hh:mm am|pm" (IST) -> { dateKey: "YYYY-MM-DD", minutes|null }.
+ * Returns null if it can't parse.
+ */
+function parseReleaseIST(raw) {
+  if (typeof raw !== "string") return null;
+  const s = raw.replace(/,/g, " ").replace(/\s+/g, " ").trim().toLowerCase();
+  const m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?: (\d{1,2}):(\d{2}) ?(am|pm)?)?/);
+  if (!m) return null;
+
+  const [, dd, mm, yyyy, hh, min, ampm] = m;
+  const dateKey = `${yyyy}-${mm.padStart(2, "0")}-${dd.padStart(2, "0")}`;
+  if (Number.isNaN(Date.parse(`${dateKey}T00:00:00Z`))) return null;
+
+  let minutes = null;
+  if (hh != null) {
+    let h = Number(hh) % (ampm ? 12 : 24);
+    if (ampm === "pm") h += 12;
+    minutes = h * 60 + Number(min);
+  }
+  return { dateKey, minutes };
+}
+
+/**
+ * Index of the T0 session in `sessions` (sorted "YYYY-MM-DD") for a parsed release, or -1.
+ */
+function findT0Index(sessions, release) {
+  const at =
+    release.minutes == null
+      ? release.dateKey
+      : Date.parse(`${release.dateKey}T00:00:00Z`) + release.minutes * 60_000 - IST_OFFSET_MS;
+  const t0 = sessionForTimestamp(at);
+  return sessions.findIndex((d) => d >= t0);
+}
+
+// ---------- prices ----------
+/**
+ * Daily closes between two IST dates (candle store; Groww only for what was never fetched).
+ * @returns {Promise<Map<string, number>>} "YYYY-MM-DD" -> close
+ */
+async function fetchDailyCloses(symbol, fromKey, toKey) {
+  const closes = new Map();
+  for (const c of await getCandleStore().getCandles(symbol, fromKey, toKey)) {
+    if (Number.isFinite(c.close)) closes.set(c.date, c.close);
+  }
+  return closes;
+}
+
+function pctChange(from, to) {
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from === 0) return null;
+  return ((to - from) / from) * 100;
+}
+
+const round2 = (v) => (v == null ? null : Number(v.toFixed(2)));
+
+/**
+ * Returns over WINDOWS around session index t0.
+ * @returns {Object<string, {stock: number|null, benchmark: number|null, abnormal: number|null}>}
+ */
+function windowReturns(sessions, t0, stockCloses, benchCloses, actions) {
+  const out = {};
+  for (const [name, [from, to]] of Object.entries(WINDOWS)) {
+    const a = sessions[t0 + from - 1];
+    const b = sessions[t0 + to];
+    const stock = a && b ? pctChange(stockCloses.get(a) / cumulativeFactor(actions, a, b), stockCloses.get(b)) : null;
+    const benchmark = a && b ? pctChange(benchCloses.get(a), benchCloses.get(b)) : null;
+    out[name] = {
+      stock: round2(stock),
+      benchmark: round2(benchmark),
+      abnormal: stock != null && benchmark != null ? round2(stock - benchmark) : null,
+    };
+  }
+  return out;
+}
+
+// ---------- main ----------
+/**
+ * Event study for a list of releases of one stock.
+ * @param {string} stockCode - NSE symbol, e.g. "HCLTECH"
+ * @param {string[]} releasesRaw - "DD/MM/YYYY[ hh:mm am|pm]" (IST)
+ * @param {{benchmark?: string, actions?: Object[]}} [options]
+ * @returns {Promise<Array<object|null>>} one entry per release (null when unparseable)
+ */
+async function computeEventStudies(stockCode, releasesRaw, options = {}) {
+  if (typeof stockCode !== "string" || !stockCode.trim()) {
+    throw new Error("stockCode is required and must be a non-empty string");
+  }
+  const benchmark = options.benchmark || BENCHMARK_SYMBOL;
+  const releases = releasesRaw.map(parseReleaseIST);
+  const keys = releases.filter(Boolean).map((r) => r.dateKey).sort();
+  if (!keys.length) return releases.map(() => null);
+
+  // 5 sessions before / 20 after fit comfortably in 15 / 40 calendar days
+  const fromKey = shiftDateKey(keys[0], -15);
+  const lastKey = shiftDateKey(keys[keys.length - 1], 40);
+  const today = toISTDateKey(Date.now());
+  const toKey = lastKey < today ? lastKey : today;
+
+  const benchCloses = await fetchDailyCloses(benchmark, fromKey, toKey);
+  const stockCloses = await fetchDailyCloses(stockCode.trim(), fromKey, toKey);
+  const sessions = [...benchCloses.keys()].sort();
+
+  return releases.map((release, i) => {
+    if (!release) return null;
+    const t0 = findT0Index(sessions, release);
+    return {
+      release: releasesRaw[i],
+      t0: t0 >= 0 ? sessions[t0] : null,
+      t0Shifted: t0 >= 0 && sessions[t0] !== release.dateKey,
+      benchmark,
+      windows: t0 >= 0 ? windowReturns(sessions, t0, stockCloses, benchCloses, options.actions) : null,
+    };
+  });
+}
+
+/**
+ * Sets `event_study` on each row from its dateTimeRaw (null when missing or unparseable).
+ * @param {Array<Object>} rows - mutated in place
+ * @param {string} stockCode - NSE symbol
+ * @returns {Promise<Array<Object>>} rows
+ */
+async function addEventStudyToRows(rows, stockCode, options = {}) {
+  if (!Array.isArray(rows)) throw new Error("rows must be an array");
+  const studies = await computeEventStudies(stockCode, rows.map((r) => r?.dateTimeRaw ?? null), options);
+  rows.forEach((row, i) => {
+    row.event_study = studies[i];
+  });
+  return rows;
+}
+
+module.exports = {
+  WINDOWS,
+  BENCHMARK_SYMBOL,
+  parseReleaseIST,
+  findT0Index,
+  computeEventStudies,
+  addEventStudyToRows,
+};
+
+if (require.main === module) {
+  const [stockCode, ...releases] = process.argv.slice(2);
+  if (!stockCode || !releases.length) {
+    console.error('Usage: node evaluator/event_study_eval.js <NSE_SYMBOL> "<DD/MM/YYYY hh:mm am|pm>" [...]');
+    process.exit(1);
+  }
+  computeEventStudies(stockCode, releases)
+    .then((out) => console.log(JSON.stringify(out, null, 2)))
+    .catch((err) => {
+      console.error("Error:", err?.message || err);
+      process.exit(2);
+    });
+}
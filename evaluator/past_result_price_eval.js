@@ -1,5 +1,7 @@
 // ./evaluator/past_result_price_eval.js
-const { getPriceAt } = require("../groww/stockHistoricalInfo");
+const { getCandleStore } = require("../groww/candle_store");
+const { previousTradingDay, shiftDateKey } = require("../common/trading_calendar");
+const { cumulativeFactor } = require("../common/corporate_actions");
 
 /**
  * Parse "DD/MM/YYYY" or "DD/MM/YYYY hh:mm am|pm" -> "YYYY-MM-DD" (IST date only).
@@ -36,44 +38,32 @@ function parseDDMMYYYYtoISO(dmy) {
 }
 
 /**
- * Add/subtract days from an ISO date string ("YYYY-MM-DD") in IST.
- * Returns "YYYY-MM-DD".
- */
-function shiftISODate(isoDate, deltaDays) {
-  // Build a UTC date first, then just add days; we'll only output the date part.
-  const [y, m, d] = isoDate.split("-").map((x) => parseInt(x, 10));
-  if (![y, m, d].every(Number.isFinite)) return isoDate;
-  const dt = new Date(Date.UTC(y, m - 1, d));
-  dt.setUTCDate(dt.getUTCDate() + deltaDays);
-  const yy = dt.getUTCFullYear();
-  const mm = (dt.getUTCMonth() + 1).toString().padStart(2, "0");
-  const dd = dt.getUTCDate().toString().padStart(2, "0");
-  return `${yy}-${mm}-${dd}`;
-}
-
-/**
- * Try to get the daily close for a given ISO date. If it's a non-trading day,
- * walk backwards up to `maxBackDays` to find the most recent trading day.
+ * Daily close for a given ISO date. If it's a non-trading day the previous NSE trading
+ * day is used (common/trading_calendar); if that has no candle either (suspension, unlisted
+ * closure), the latest close up to `maxBackDays` earlier. Served from the candle store
+ * (groww/candle_store.js), which fetches the whole window from Groww at most once.
  * Returns { close: number, usedDateISO: string } or { close: null, usedDateISO: null }
  */
 async function getNearestClose(stockCode, isoDate, maxBackDays = 7) {
-  let tryDate = isoDate;
-
-  for (let i = 0; i <= maxBackDays; i++) {
-    try {
-      const c = await getPriceAt(tryDate, stockCode); // expects "YYYY-MM-DD"
-      if (c && Number.isFinite(c.close)) {
-        return { close: c.close, usedDateISO: tryDate };
-      }
-    } catch (_) {
-      // swallow and keep trying previous day
-    }
-    // move to previous day for next attempt
-    tryDate = shiftISODate(tryDate, -1);
+  try {
+    const day = previousTradingDay(isoDate, { inclusive: true });
+    const { close, date } = await getCandleStore().getCloseOnOrBefore(stockCode, day, maxBackDays);
+    if (Number.isFinite(close)) return { close, usedDateISO: date };
+  } catch (_) {
+    // fall through: no price
   }
   return { close: null, usedDateISO: null };
 }
 
+const CURRENT_MAX_BACK_DAYS = 7;
+const PAST_YEAR_MAX_BACK_DAYS = 10;
+
+/** "2025-10-14" -> "2024-10-14" (same calendar date, previous year) */
+function sameDateLastYear(isoDate) {
+  const [y, m, d] = isoDate.split("-").map((x) => parseInt(x, 10));
+  return `${(y - 1)}-${m.toString().padStart(2, "0")}-${d.toString().padStart(2, "0")}`;
+}
+
 /**
  * Simple in-memory cache to avoid repeated API calls for the same (stock, date).
  * key: `${stockCode}|${isoDate}`
@@ -98,13 +88,19 @@ async function getCachedNearestClose(stockCode, isoDate, maxBackDays = 7) {
  *  - pastYearDateClosePrice := close price on/near (that date - 1 year).
  *  - price_yoy_pct          := ((current - pastYear)/pastYear)*100
  *
+ * With `options.actions` (common/corporate_actions), pastYearDateClosePrice is divided by the
+ * splits/bonus/rights factor between the two dates (pastYearDateCloseAdjFactor), so the
+ * comparison is on the same share basis.
+ *
  * If date can't be parsed or prices can't be fetched, set fields to null.
  *
  * @param {Array<Object>} outJson
  * @param {string} stockCode e.g., "HCLTECH", "INDUSINDBK"
+ * @param {{actions?: Object[]}} [options]
  * @returns {Promise<void>}
  */
-async function parsePastStockPrice(outJson, stockCode) {
+async function parsePastStockPrice(outJson, stockCode, options = {}) {
+  const actions = options.actions || [];
   if (!Array.isArray(outJson)) {
     throw new Error("outJson must be an array");
   }
@@ -113,6 +109,17 @@ async function parsePastStockPrice(outJson, stockCode) {
   }
   stockCode = stockCode.trim();
 
+  // Fill the candle store for the whole span in one go, so the per-row lookups below are local reads
+  const dates = outJson.map((item) => parseDDMMYYYYtoISO(item?.dateTimeRaw)).filter(Boolean).sort();
+  if (dates.length) {
+    const earliest = previousTradingDay(sameDateLastYear(dates[0]), { inclusive: true });
+    try {
+      await getCandleStore().ensureRange(stockCode, shiftDateKey(earliest, -PAST_YEAR_MAX_BACK_DAYS), dates[dates.length - 1]);
+    } catch (err) {
+      console.warn(`⚠️ Candle prefetch for ${stockCode} failed (${err?.message || err}); fetching per row`);
+    }
+  }
+
   // Process sequentially to be gentle on the API
   for (const item of outJson) {
     let currentDateISO = null;
@@ -121,6 +128,7 @@ async function parsePastStockPrice(outJson, stockCode) {
     // Default outputs
     item.currentDateClosePrice = null;
     item.pastYearDateClosePrice = null;
+    item.pastYearDateCloseAdjFactor = 1;
     item.price_yoy_pct = null;
 
     try {
@@ -133,25 +141,25 @@ async function parsePastStockPrice(outJson, stockCode) {
       }
 
       // Compute last year's same calendar date (YYYY-1)
-      const [y, m, d] = currentDateISO.split("-").map((x) => parseInt(x, 10));
-      pastYearDateISO = `${(y - 1)}-${m.toString().padStart(2, "0")}-${d
-        .toString()
-        .padStart(2, "0")}`;
+      pastYearDateISO = sameDateLastYear(currentDateISO);
 
       // Find nearest trading closes (with small backoff window)
-      const { close: currClose } = await getCachedNearestClose(
+      const { close: currClose, usedDateISO: currUsed } = await getCachedNearestClose(
         stockCode,
         currentDateISO,
-        7
+        CURRENT_MAX_BACK_DAYS
       );
-      const { close: pastClose } = await getCachedNearestClose(
+      const { close: pastClose, usedDateISO: pastUsed } = await getCachedNearestClose(
         stockCode,
         pastYearDateISO,
-        10
+        PAST_YEAR_MAX_BACK_DAYS
       );
 
       item.currentDateClosePrice = Number.isFinite(currClose) ? currClose : null;
-      item.pastYearDateClosePrice = Number.isFinite(pastClose) ? pastClose : null;
+      // Put last year's close on today's share basis (splits / bonus / rights in between)
+      const adj = pastUsed && currUsed ? cumulativeFactor(actions, pastUsed, currUsed) : 1;
+      item.pastYearDateCloseAdjFactor = adj;
+      item.pastYearDateClosePrice = Number.isFinite(pastClose) ? pastClose / adj : null;
 
       if (
         Number.isFinite(item.currentDateClosePrice) &&
@@ -1,26 +1,24 @@
 // result_eval.js
+// Scores per company-quarter: growth vs the PE-implied expected growth (addPerformanceToRows),
+// and optionally vs the sector's peers in the same quarter (addSectorRelativeScores).
 
-const PE_GROWTH_TABLE = [
-  { pe_min: 0, pe_max: 10,  yoy_min: 5,  yoy_max: 8 },
-  { pe_min: 10, pe_max: 20, yoy_min: 8,  yoy_max: 12 },
-  { pe_min: 20, pe_max: 30, yoy_min: 12, yoy_max: 15 },
-  { pe_min: 30, pe_max: 40, yoy_min: 15, yoy_max: 20 },
-  { pe_min: 40, pe_max: 80, yoy_min: 20, yoy_max: 35 },
-  { pe_min: 80, pe_max: 100, yoy_min: 35, yoy_max: 50 },
-  { pe_min: 100, pe_max: 200, yoy_min: 50, yoy_max: 70 },
-  { pe_min: 200, pe_max: Infinity, yoy_min: 70, yoy_max: 100 } // 70+
-];
+const { loadScoringProfile, scoreOnCurve, aggregateScores } = require('./scoring_profile');
+
+// Curves, bands, weights and aggregation come from a scoring profile (scoring_profile.js);
+// every function takes an optional profile and defaults to scoring_profiles/default.json.
+const defaultProfile = () => loadScoringProfile();
 
 /**
  * Estimate YoY-growth % based on PE ratio using linear interpolation
  * @param {number} pe - Price to Earnings ratio
+ * @param {Object} [profile] - scoring profile (pe_growth_bands)
  * @returns {number} estimated YoY growth percentage
  */
-function estimateGrowth(pe) {
+function estimateGrowth(pe, profile = defaultProfile()) {
   if (typeof pe !== 'number' || pe < 0) {
     throw new Error('PE must be a positive number');
   }
-  const band = PE_GROWTH_TABLE.find(b => pe >= b.pe_min && pe < b.pe_max);
+  const band = profile.pe_growth_bands.find(b => pe >= b.pe_min && pe < b.pe_max);
   if (!band) return null;
 
   // If infinite upper bound, just return min value as conservative estimate
@@ -32,78 +30,25 @@ function estimateGrowth(pe) {
   return parseFloat(growth.toFixed(2));
 }
 
-/** Linear interpolate from [x1,x2] -> [y1,y2] for x */
-function lerpRange(x, x1, x2, y1, y2) {
-  if (x <= x1) return y1;
-  if (x >= x2) return y2;
-  const t = (x - x1) / (x2 - x1);
-  return y1 + t * (y2 - y1);
+/** Convert ratio (actual/expected) to score: profile curve "yoy" (default [-10, 10]) */
+function ratioToScore(ratio, profile = defaultProfile()) {
+  return scoreOnCurve(profile.curves.yoy, ratio);
 }
 
-/**
- * Convert ratio (actual/expected) to score in [-10, 10]
- * Buckets:
- *  r < 0.30       -> -10
- *  0.30 .. 0.7    -> -10 .. 0
- *  0.7  .. 1      -> 0 .. 5
- *  1    .. 2      -> 5 .. 10
- *  r >= 2         -> 10
- */
-function ratioToScore(ratio) {
-  if (!isFinite(ratio)) return -10;
-  if (ratio < 0.30) return -10;
-  if (ratio < 0.7) return lerpRange(ratio, 0.30, 0.7, -10, 0);
-  if (ratio < 1)   return lerpRange(ratio, 0.7, 1, 0, 5);
-  if (ratio < 2)   return lerpRange(ratio, 1, 2, 5, 10);
-  return 10;
+/** QoQ: actual/expected => score on profile curve "qoq" */
+function ratioToQoqScore(r, profile = defaultProfile()) {
+  return scoreOnCurve(profile.curves.qoq, r);
 }
 
-/** Piecewise scorer for QoQ: actual/expected => score in [-10, 10] */
-function ratioToQoqScore(r) {
-  if (!isFinite(r)) return -10;
-  if (r <= -2) return -10;
-  if (r < 0)   return lerpRange(r, -1, 0, -10, 0);
-  if (r < 1)   return lerpRange(r, 0, 1, 0, 3);
-  if (r < 3)   return lerpRange(r, 1, 3, 3, 10);
-  return 10;
-}
-
-/** ---------- PRICE scoring (your rules) ---------- */
-/**
- * yoy_price rule (ratio = price_yoy_pct / expectedYoy):
- *  r <= -1        -> -10
- *  -1 .. 0        -> -10 .. -5
- *   0 .. 1        ->  -5 .. +5
- *   1 .. 3        ->  +5 .. +10
- *  r >= 3         -> +10
- */
-function ratioToPriceYoyScore(r) {
-  if (!isFinite(r)) return -10;
-  if (r <= -1) return -10;
-  if (r < 0)   return lerpRange(r, -1, 0, -10, -5);
-  if (r < 1)   return lerpRange(r, 0, 1, -5, 5);
-  if (r < 3)   return lerpRange(r, 1, 3, 5, 10);
-  return 10;
+/** ---------- PRICE scoring ---------- */
+/** yoy_price (ratio = price_yoy_pct / expectedYoy) => score on profile curve "price_yoy" */
+function ratioToPriceYoyScore(r, profile = defaultProfile()) {
+  return scoreOnCurve(profile.curves.price_yoy, r);
 }
 
-/**
- * qoq_price rule (ratio = price_qoq_pct / expectedQoq):
- *  r <= -3        -> -10
- *  -3 .. 0        -> -10 .. -5
- *   0 .. 1        ->  -5 .. +5
- *   1 .. 6        ->  +5 .. +10
- *  r >= 6         -> +10
- *
- * (Note: negative region beyond -1 compresses fast to -10 per spec:
- *        anything <= -3 is hard -10. Between -1..0 we lerp -10..-5.)
- */
-function ratioToPriceQoqScore(r) {
-  if (!isFinite(r)) return -10;
-  if (r <= -3) return -10;
-  if (r < 0)   return lerpRange(r, -3, 0, -10, -5);
-  if (r < 1)   return lerpRange(r, 0, 1, -5, 5);
-  if (r < 6)   return lerpRange(r, 1, 6, 5, 10);
-  return 10;
+/** qoq_price (ratio = price_qoq_pct / expectedQoq) => score on profile curve "price_qoq" */
+function ratioToPriceQoqScore(r, profile = defaultProfile()) {
+  return scoreOnCurve(profile.curves.price_qoq, r);
 }
 
 /** ---------- Helpers for null-safe gating ---------- */
@@ -117,13 +62,24 @@ function safePE(EPS, price) {
   const pe = price / (4 * EPS);
   return Number.isFinite(pe) && pe >= 0 ? pe : null;
 }
+/**
+ * Trailing PE from valuation_eval (row.valuation.pe) when there is one,
+ * else the single quarter annualized (safePE).
+ * @returns {{pe: number|null, source: 'ttm'|'annualized'}}
+ */
+function pickPE(row, EPS, price) {
+  const ttm = row?.valuation?.pe;
+  if (typeof ttm === 'number' && Number.isFinite(ttm) && ttm >= 0) return { pe: ttm, source: 'ttm' };
+  return { pe: safePE(EPS, price), source: 'annualized' };
+}
 
 /**
  * Evaluate YoY performance (null if any required param is null)
  * Required: EPS, currentDateClosePrice, sales_yoy_pct, eps_yoy_pct
+ * PE: valuation.pe (trailing, valuation_eval) if present, else price / (4 * EPS)
  * Optional (price): price_yoy_pct -> adds performance.price if present
  */
-function evalYoyPerformance(inputJson) {
+function evalYoyPerformance(inputJson, profile = defaultProfile()) {
   if (!inputJson || typeof inputJson !== 'object') {
     throw new Error('Invalid inputJson');
   }
@@ -133,10 +89,10 @@ function evalYoyPerformance(inputJson) {
 
   const EPS = Number(inputJson.EPS);
   const price = Number(inputJson.currentDateClosePrice);
-  const PE = safePE(EPS, price);
+  const { pe: PE, source: peSource } = pickPE(inputJson, EPS, price);
   if (!Number.isFinite(EPS) || EPS === 0 || !Number.isFinite(price) || PE === null) return null;
 
-  const expectedYoyGrowth = estimateGrowth(PE);
+  const expectedYoyGrowth = estimateGrowth(PE, profile);
   if (!Number.isFinite(expectedYoyGrowth) || expectedYoyGrowth <= 0) return null;
 
   const salesActual = Number(inputJson.sales_yoy_pct);
@@ -146,8 +102,8 @@ function evalYoyPerformance(inputJson) {
   const salesRatio = salesActual / expectedYoyGrowth;
   const epsRatio   = epsActual   / expectedYoyGrowth;
 
-  const salesScore = ratioToScore(salesRatio);
-  const epsScore   = ratioToScore(epsRatio);
+  const salesScore = ratioToScore(salesRatio, profile);
+  const epsScore   = ratioToScore(epsRatio, profile);
 
   // ---- price (YoY) optional ----
   let priceBlock = null;
@@ -155,7 +111,7 @@ function evalYoyPerformance(inputJson) {
     const priceActual = Number(inputJson.price_yoy_pct);
     if (Number.isFinite(priceActual)) {
       const priceRatio = priceActual / expectedYoyGrowth;
-      const priceScore = ratioToPriceYoyScore(priceRatio);
+      const priceScore = ratioToPriceYoyScore(priceRatio, profile);
       priceBlock = {
         actual: priceActual,
         ratio: priceRatio,
@@ -165,6 +121,8 @@ function evalYoyPerformance(inputJson) {
   }
 
   return {
+    pe: parseFloat(PE.toFixed(2)),
+    peSource,
     expectedYoyGrowth: parseFloat(expectedYoyGrowth.toFixed(2)),
     sales: {
       actual: salesActual,
@@ -183,9 +141,10 @@ function evalYoyPerformance(inputJson) {
 /**
  * Evaluate QoQ performance (null if any required param is null)
  * Required: EPS, currentDateClosePrice, sales_qoq_pct, eps_qoq_pct
+ * PE: valuation.pe (trailing, valuation_eval) if present, else price / (4 * EPS)
  * Optional (price): price_qoq_pct -> adds performance.price if present
  */
-function evalQoqPerformance(inputJson) {
+function evalQoqPerformance(inputJson, profile = defaultProfile()) {
   if (!inputJson || typeof inputJson !== 'object') {
     throw new Error('Invalid inputJson');
   }
@@ -195,13 +154,13 @@ function evalQoqPerformance(inputJson) {
 
   const EPS = Number(inputJson.EPS);
   const price = Number(inputJson.currentDateClosePrice);
-  const PE = safePE(EPS, price);
+  const { pe: PE, source: peSource } = pickPE(inputJson, EPS, price);
   if (!Number.isFinite(EPS) || EPS === 0 || !Number.isFinite(price) || PE === null) return null;
 
-  const expectedYoy = estimateGrowth(PE);
+  const expectedYoy = estimateGrowth(PE, profile);
   if (!Number.isFinite(expectedYoy) || expectedYoy <= 0) return null;
 
-  const expectedQoqGrowth = expectedYoy / 4;
+  const expectedQoqGrowth = expectedYoy / profile.qoq_growth_divisor;
   if (!Number.isFinite(expectedQoqGrowth) || expectedQoqGrowth <= 0) return null;
 
   const salesActual = Number(inputJson.sales_qoq_pct);
@@ -211,8 +170,8 @@ function evalQoqPerformance(inputJson) {
   const salesRatio = salesActual / expectedQoqGrowth;
   const epsRatio   = epsActual   / expectedQoqGrowth;
 
-  const salesScore = ratioToQoqScore(salesRatio);
-  const epsScore   = ratioToQoqScore(epsRatio);
+  const salesScore = ratioToQoqScore(salesRatio, profile);
+  const epsScore   = ratioToQoqScore(epsRatio, profile);
 
   // ---- price (QoQ) optional ----
   let priceBlock = null;
@@ -220,7 +179,7 @@ function evalQoqPerformance(inputJson) {
     const priceActual = Number(inputJson.price_qoq_pct);
     if (Number.isFinite(priceActual)) {
       const priceRatio = priceActual / expectedQoqGrowth;
-      const priceScore = ratioToPriceQoqScore(priceRatio);
+      const priceScore = ratioToPriceQoqScore(priceRatio, profile);
       priceBlock = {
         actual: priceActual,
         ratio: priceRatio,
@@ -230,6 +189,8 @@ function evalQoqPerformance(inputJson) {
   }
 
   return {
+    pe: parseFloat(PE.toFixed(2)),
+    peSource,
     expectedQoqGrowth: parseFloat(expectedQoqGrowth.toFixed(4)),
     sales: {
       actual: salesActual,
@@ -245,54 +206,36 @@ function evalQoqPerformance(inputJson) {
   };
 }
 
-/** Compute final_score per your rule:
- * final_score = (sign(a)*a^2) + (sign(b)*b^2) + (sign(c)*c^2) + (sign(d)*d^2) = x
+/** Compute final_score with the profile's aggregation (default: signed sum of squares):
+ * final_score = w_sales*(sign(a)*a^2) + w_eps*(sign(b)*b^2) + w_sales*(sign(c)*c^2) + w_eps*(sign(d)*d^2) = x
  * Report:
- *   x (signed sum of squares)
+ *   x (aggregate)
  *   abs_sqrt_x = sqrt(|x|)  // “now find square root of x only (no sign)”
  * Returns null if any component score missing.
  */
-/** 4-part aggregate (no price): same as your previous final_score */
-function computeFinalPerformanceScore(perf) {
+/** 4-part aggregate (no price): yoy/qoq sales + eps */
+function computeFinalPerformanceScore(perf, profile = defaultProfile()) {
   if (!perf || !perf.yoy || !perf.qoq) return null;
 
-  const a = perf.yoy?.sales?.score;
-  const b = perf.yoy?.eps?.score;
-  const c = perf.qoq?.sales?.score;
-  const d = perf.qoq?.eps?.score;
-
-  const parts = [a, b, c, d];
-  if (parts.some(v => typeof v !== 'number' || !isFinite(v))) return null;
-
-  const x =
-    Math.sign(a) * a * a +
-    Math.sign(b) * b * b +
-    Math.sign(c) * c * c +
-    Math.sign(d) * d * d;
-
-  const xFixed = parseFloat(x.toFixed(4));
-  const abs_sqrt_x = parseFloat(Math.sqrt(Math.abs(xFixed)).toFixed(4));
-  return { x: xFixed, abs_sqrt_x };
+  const w = profile.weights;
+  return aggregateScores(profile, [
+    { score: perf.yoy?.sales?.score, weight: w.sales },
+    { score: perf.yoy?.eps?.score,   weight: w.eps },
+    { score: perf.qoq?.sales?.score, weight: w.sales },
+    { score: perf.qoq?.eps?.score,   weight: w.eps },
+  ]);
 }
 
 
 /** 2-part aggregate (price-only): yoy.price + qoq.price */
-function computeFinalPriceScore(perf) {
+function computeFinalPriceScore(perf, profile = defaultProfile()) {
   if (!perf || !perf.yoy || !perf.qoq) return null;
 
-  const e = perf.yoy?.price?.score;
-  const f = perf.qoq?.price?.score;
-
-  const parts = [e, f];
-  if (parts.some(v => typeof v !== 'number' || !isFinite(v))) return null;
-
-  const x =
-    Math.sign(e) * e * e +
-    Math.sign(f) * f * f;
-
-  const xFixed = parseFloat(x.toFixed(4));
-  const abs_sqrt_x = parseFloat(Math.sqrt(Math.abs(xFixed)).toFixed(4));
-  return { x: xFixed, abs_sqrt_x };
+  const w = profile.weights;
+  return aggregateScores(profile, [
+    { score: perf.yoy?.price?.score, weight: w.price },
+    { score: perf.qoq?.price?.score, weight: w.price },
+  ]);
 }
 
 
@@ -328,29 +271,32 @@ function derivePriceQoqPctOnArray(rows) {
 
 /**
  * Enrich an array of quarter rows by adding:
- * performance: { yoy, qoq, final_score }
+ * performance: { yoy, qoq, final_performance_score, final_price_score, profile }
+ * (profile = name of the scoring profile used)
  * Strict null policy: if any required input for YoY/QoQ is null → that section = null
  * If any score is missing → final_score = null
  *
  * Also: auto-derives price_qoq_pct if missing using previous row’s closing price.
  *
  * @param {Array<Object>} rows
+ * @param {{profile?: string|Object}} [options] - scoring profile name / path / object (default "default")
  * @returns {Array<Object>}
  */
-function addPerformanceToRows(rows) {
+function addPerformanceToRows(rows, options = {}) {
   if (!Array.isArray(rows)) throw new Error('Input must be an array');
+  const profile = loadScoringProfile(options.profile);
 
   const rowsWithDerivedPrice = derivePriceQoqPctOnArray(rows);
 
   return rowsWithDerivedPrice.map(row => {
-    const yoy = evalYoyPerformance(row);
-    const qoq = evalQoqPerformance(row);
+    const yoy = evalYoyPerformance(row, profile);
+    const qoq = evalQoqPerformance(row, profile);
 
     const final_performance_score =
-      (yoy && qoq) ? computeFinalPerformanceScore({ yoy, qoq }) : null;
+      (yoy && qoq) ? computeFinalPerformanceScore({ yoy, qoq }, profile) : null;
 
     const final_price_score =
-      (yoy && qoq) ? computeFinalPriceScore({ yoy, qoq }) : null;
+      (yoy && qoq) ? computeFinalPriceScore({ yoy, qoq }, profile) : null;
 
     return {
       ...row,
@@ -358,21 +304,169 @@ function addPerformanceToRows(rows) {
         yoy,
         qoq,
         final_performance_score, // 4-part (no price)
-        final_price_score        // 2-part (price-only)
+        final_price_score,       // 2-part (price-only)
+        profile: profile.name
       }
     };
   });
 }
 
+/** -------- Sector-relative scoring (cross-sectional) -------- */
+// Each company-quarter against its sector peers in the same quarter, instead of the PE-implied
+// growth: a downturn the whole sector shares scores around 0, not -10.
+//   zscore      (x - median) / (1.4826 * MAD)  (robust; std dev when MAD is 0), curve "sector_zscore"
+//   percentile  mid-rank among peers, 0..100, curve "sector_percentile"
+// Peers = companies with the same sector and Quarter and a finite value for the metric, itself
+// included; fewer than profile.sector_min_peers -> that part is null.
+const SECTOR_METRICS = {
+  yoy: { sales: 'sales_yoy_pct', eps: 'eps_yoy_pct', price: 'price_yoy_pct' },
+  qoq: { sales: 'sales_qoq_pct', eps: 'eps_qoq_pct', price: 'price_qoq_pct' },
+};
+const SECTOR_METHODS = ['zscore', 'percentile'];
+
+function finiteOrNull(v) {
+  if (isNullish(v) || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function median(sorted) {
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Median and dispersion of peer values.
+ * @param {number[]} values
+ * @returns {{n: number, median: number, dispersion: number}|null}
+ */
+function peerStats(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const med = median(sorted);
+  let dispersion = 1.4826 * median(sorted.map(v => Math.abs(v - med)).sort((a, b) => a - b));
+  if (dispersion === 0) {
+    const mean = values.reduce((s, v) => s + v, 0) / values.length;
+    dispersion = Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length);
+  }
+  return { n: values.length, median: med, dispersion };
+}
+
+/** One metric of one company vs its peers -> { actual, median, dispersion, zscore | percentile, score } */
+function scoreAgainstPeers(x, values, method, profile) {
+  if (x === null || values.length < profile.sector_min_peers) return null;
+  const stats = peerStats(values);
+  const round = v => Math.round((v + Number.EPSILON) * 100) / 100;
+
+  if (method === 'percentile') {
+    const below = values.filter(v => v < x).length;
+    const equal = values.filter(v => v === x).length;
+    const percentile = ((below + equal / 2) / values.length) * 100;
+    return {
+      actual: x,
+      median: round(stats.median),
+      percentile: round(percentile),
+      score: round(scoreOnCurve(profile.curves.sector_percentile, percentile))
+    };
+  }
+
+  const z = stats.dispersion > 0 ? (x - stats.median) / stats.dispersion : 0; // all peers equal
+  return {
+    actual: x,
+    median: round(stats.median),
+    dispersion: round(stats.dispersion),
+    zscore: round(z),
+    score: round(scoreOnCurve(profile.curves.sector_zscore, z))
+  };
+}
+
+/**
+ * Score every company-quarter against its sector peers for the same quarter.
+ * Adds performance.sector_relative:
+ *   { method, sector, peers, yoy: { sales, eps, price }, qoq: { ... },
+ *     final_performance_score, final_price_score }   (aggregated like the absolute scores)
+ * null when the company has no sector. The absolute scores are left as they are.
+ *
+ * @param {Map<string, Array<Object>>|Object} rowsBySymbol - NSE symbol -> scored rows (addPerformanceToRows output)
+ * @param {Object} [options]
+ * @param {'zscore'|'percentile'} [options.method='zscore']
+ * @param {string|Object} [options.profile] - scoring profile (curves sector_zscore / sector_percentile, sector_min_peers)
+ * @param {(symbol: string, row: Object) => string|null} [options.sectorOf] - default row.sector
+ * @returns {Map<string, Array<Object>>} new rows per symbol
+ */
+function addSectorRelativeScores(rowsBySymbol, options = {}) {
+  const method = options.method || 'zscore';
+  if (!SECTOR_METHODS.includes(method)) throw new Error(`method must be one of ${SECTOR_METHODS.join(', ')}`);
+  const profile = loadScoringProfile(options.profile);
+  const sectorOf = options.sectorOf || ((_, row) => row?.sector || null);
+  const input = rowsBySymbol instanceof Map ? rowsBySymbol : new Map(Object.entries(rowsBySymbol || {}));
+
+  // sector|Quarter -> rows of that group
+  const groups = new Map();
+  const keyOf = new Map(); // row -> group key
+  for (const [symbol, rows] of input) {
+    for (const row of rows || []) {
+      const sector = sectorOf(symbol, row);
+      if (!sector || !row?.Quarter) continue;
+      const key = `${String(sector).toLowerCase()}|${row.Quarter}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+      keyOf.set(row, { key, sector });
+    }
+  }
+
+  // peer values per group and metric
+  const peerValues = new Map();
+  const valuesFor = (key, field) => {
+    const id = `${key}|${field}`;
+    if (!peerValues.has(id)) {
+      peerValues.set(id, groups.get(key).map(r => finiteOrNull(r[field])).filter(v => v !== null));
+    }
+    return peerValues.get(id);
+  };
+
+  const out = new Map();
+  for (const [symbol, rows] of input) {
+    out.set(symbol, (rows || []).map(row => {
+      const group = keyOf.get(row);
+      let sector_relative = null;
+      if (group) {
+        const block = {};
+        for (const [period, fields] of Object.entries(SECTOR_METRICS)) {
+          block[period] = {};
+          for (const [part, field] of Object.entries(fields)) {
+            block[period][part] = scoreAgainstPeers(finiteOrNull(row[field]), valuesFor(group.key, field), method, profile);
+          }
+        }
+        sector_relative = {
+          method,
+          sector: group.sector,
+          peers: groups.get(group.key).length,
+          ...block,
+          final_performance_score: computeFinalPerformanceScore(block, profile),
+          final_price_score: computeFinalPriceScore(block, profile)
+        };
+      }
+      return { ...row, performance: { ...(row.performance || {}), sector_relative } };
+    }));
+  }
+  return out;
+}
+
 // ----------------- Exports -----------------
 module.exports = {
   estimateGrowth,
+  ratioToScore,
+  ratioToQoqScore,
   evalYoyPerformance,
   evalQoqPerformance,
   addPerformanceToRows,
+  computeFinalPerformanceScore,
+  computeFinalPriceScore,
   ratioToPriceYoyScore,
   ratioToPriceQoqScore,
-  derivePriceQoqPctOnArray
+  derivePriceQoqPctOnArray,
+  addSectorRelativeScores
 };
 
 // ---- Example CLI Usage ----
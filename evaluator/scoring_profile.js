@@ -0,0 +1,182 @@
+// scoring_profile.js
+// Scoring profiles for result_eval: PE -> expected growth bands, the piecewise ratio -> score
+// curves, part weights and the aggregation method, loaded from JSON or YAML.
+//
+// A profile is a name (evaluator/scoring_profiles/<name>.json|.yaml|.yml) or a file path.
+// Keys a profile leaves out come from default.json (curves and weights key by key), so a
+// profile only needs what it changes.
+//
+// Profile keys:
+//   name                 recorded on every scored row (performance.profile)
+//   pe_growth_bands      [{ pe_min, pe_max (null = no upper bound), yoy_min, yoy_max }]
+//                        expected YoY growth %, interpolated inside the band
+//   qoq_growth_divisor   expected QoQ growth = expected YoY / this
+//   curves               yoy | qoq | price_yoy | price_qoq:
+//                        { points: [[ratio, score], ...] ascending, non_finite: score }
+//                        linear between points, flat beyond the first / last one
+//                        sector_zscore | sector_percentile: same, over the robust z-score /
+//                        percentile rank among sector peers (result_eval.addSectorRelativeScores)
+//   sector_min_peers     companies (itself included) a sector needs in a quarter to be scored
+//   weights              { sales, eps, price }
+//   aggregation          "signed_square"  x = sum(w * sign(s) * s^2)   (original result_eval)
+//                        "weighted_sum"   x = sum(w * s)
+//                        "weighted_mean"  x = sum(w * s) / sum(w)
+//
+// Usage:
+//   const { loadScoringProfile } = require('./scoring_profile');
+//   const profile = loadScoringProfile(process.env.SCORING_PROFILE || 'default');
+
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_DIR = path.join(__dirname, 'scoring_profiles');
+const DEFAULT_PROFILE_NAME = 'default';
+const CURVE_NAMES = ['yoy', 'qoq', 'price_yoy', 'price_qoq', 'sector_zscore', 'sector_percentile'];
+const AGGREGATIONS = ['signed_square', 'weighted_sum', 'weighted_mean'];
+
+const cache = new Map();
+
+// ---------- loading ----------
+function readProfileFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (/\.ya?ml$/i.test(file)) {
+    const yaml = require('js-yaml');
+    return yaml.load(text);
+  }
+  return JSON.parse(text);
+}
+
+/** Profile name or path -> file path (throws when nothing matches). */
+function resolveProfileFile(nameOrPath) {
+  const ref = String(nameOrPath || DEFAULT_PROFILE_NAME).trim();
+  if (/[\\/]|\.(json|ya?ml)$/i.test(ref)) {
+    const file = path.resolve(ref);
+    if (fs.existsSync(file)) return file;
+    throw new Error(`Scoring profile file not found: ${file}`);
+  }
+  for (const ext of ['.json', '.yaml', '.yml']) {
+    const file = path.join(PROFILES_DIR, ref + ext);
+    if (fs.existsSync(file)) return file;
+  }
+  const known = fs.readdirSync(PROFILES_DIR).map((f) => f.replace(/\.(json|ya?ml)$/i, ''));
+  throw new Error(`Unknown scoring profile "${ref}" (known: ${known.join(', ')})`);
+}
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+function validateProfile(p, source) {
+  const fail = (msg) => {
+    throw new Error(`Invalid scoring profile ${source}: ${msg}`);
+  };
+  if (!p || typeof p !== 'object') fail('not an object');
+  if (typeof p.name !== 'string' || !p.name.trim()) fail('name is required');
+
+  if (!Array.isArray(p.pe_growth_bands) || !p.pe_growth_bands.length) fail('pe_growth_bands must be a non-empty array');
+  for (const b of p.pe_growth_bands) {
+    const max = b?.pe_max == null ? Infinity : b.pe_max;
+    if (!isNum(b?.pe_min) || !(isNum(max) || max === Infinity) || max <= b.pe_min) fail(`bad PE band ${JSON.stringify(b)}`);
+    if (!isNum(b.yoy_min) || !isNum(b.yoy_max)) fail(`bad growth in PE band ${JSON.stringify(b)}`);
+  }
+  if (!isNum(p.qoq_growth_divisor) || p.qoq_growth_divisor <= 0) fail('qoq_growth_divisor must be > 0');
+  if (!Number.isInteger(p.sector_min_peers) || p.sector_min_peers < 2) fail('sector_min_peers must be an integer >= 2');
+
+  for (const name of CURVE_NAMES) {
+    const c = p.curves?.[name];
+    if (!c || !Array.isArray(c.points) || !c.points.length) fail(`curves.${name}.points is required`);
+    c.points.forEach((pt, i) => {
+      if (!Array.isArray(pt) || pt.length !== 2 || !isNum(pt[0]) || !isNum(pt[1])) fail(`curves.${name}.points[${i}] must be [ratio, score]`);
+      if (i > 0 && pt[0] <= c.points[i - 1][0]) fail(`curves.${name}.points must be ascending by ratio`);
+    });
+    if (!isNum(c.non_finite)) fail(`curves.${name}.non_finite must be a number`);
+  }
+
+  for (const k of ['sales', 'eps', 'price']) {
+    if (!isNum(p.weights?.[k]) || p.weights[k] < 0) fail(`weights.${k} must be a number >= 0`);
+  }
+  if (!AGGREGATIONS.includes(p.aggregation)) fail(`aggregation must be one of ${AGGREGATIONS.join(', ')}`);
+  return p;
+}
+
+/** Profile over the default one: top-level keys replace, curves / weights merge key by key. */
+function mergeOverDefault(base, p) {
+  return {
+    ...base,
+    ...p,
+    curves: { ...base.curves, ...(p.curves || {}) },
+    weights: { ...base.weights, ...(p.weights || {}) },
+  };
+}
+
+function withOpenBands(p) {
+  if (!Array.isArray(p?.pe_growth_bands)) return p;
+  return { ...p, pe_growth_bands: p.pe_growth_bands.map((b) => ({ ...b, pe_max: b?.pe_max == null ? Infinity : b.pe_max })) };
+}
+
+/**
+ * Load (and cache) a scoring profile.
+ * @param {string|Object} [nameOrPath='default'] - profile name, file path or profile object
+ * @returns {Object} validated profile (pe_max null -> Infinity)
+ */
+function loadScoringProfile(nameOrPath = DEFAULT_PROFILE_NAME) {
+  const defaultFile = resolveProfileFile(DEFAULT_PROFILE_NAME);
+  if (nameOrPath && typeof nameOrPath === 'object') {
+    return validateProfile(withOpenBands(mergeOverDefault(readProfileFile(defaultFile), nameOrPath)), '(object)');
+  }
+
+  const file = resolveProfileFile(nameOrPath);
+  if (cache.has(file)) return cache.get(file);
+
+  const raw = readProfileFile(file);
+  const merged = file === defaultFile ? raw : mergeOverDefault(readProfileFile(defaultFile), raw || {});
+  const profile = validateProfile(withOpenBands(merged), file);
+  cache.set(file, profile);
+  return profile;
+}
+
+// ---------- scoring ----------
+/** Piecewise-linear curve value at x (flat beyond the ends; non_finite for NaN / ±Infinity). */
+function scoreOnCurve(curve, x) {
+  if (!Number.isFinite(x)) return curve.non_finite;
+  const pts = curve.points;
+  if (x <= pts[0][0]) return pts[0][1];
+  for (let i = 1; i < pts.length; i++) {
+    const [x2, y2] = pts[i];
+    if (x < x2) {
+      const [x1, y1] = pts[i - 1];
+      return y1 + ((x - x1) / (x2 - x1)) * (y2 - y1);
+    }
+  }
+  return pts[pts.length - 1][1];
+}
+
+/**
+ * Aggregate part scores with the profile's method.
+ * @param {Array<{score: number, weight: number}>} parts
+ * @returns {{x: number, abs_sqrt_x: number}|null} null when a score is missing
+ */
+function aggregateScores(profile, parts) {
+  if (parts.some((p) => !isNum(p.score))) return null;
+
+  let x;
+  if (profile.aggregation === 'signed_square') {
+    x = parts.reduce((sum, p) => sum + p.weight * Math.sign(p.score) * p.score * p.score, 0);
+  } else {
+    x = parts.reduce((sum, p) => sum + p.weight * p.score, 0);
+    if (profile.aggregation === 'weighted_mean') {
+      const totalWeight = parts.reduce((sum, p) => sum + p.weight, 0);
+      x = totalWeight > 0 ? x / totalWeight : 0;
+    }
+  }
+
+  const xFixed = parseFloat(x.toFixed(4));
+  const abs_sqrt_x = parseFloat(Math.sqrt(Math.abs(xFixed)).toFixed(4));
+  return { x: xFixed, abs_sqrt_x };
+}
+
+module.exports = {
+  PROFILES_DIR,
+  DEFAULT_PROFILE_NAME,
+  loadScoringProfile,
+  scoreOnCurve,
+  aggregateScores,
+};
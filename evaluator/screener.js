@@ -0,0 +1,335 @@
+// screener.js
+// Cross-sectional leaderboard over the stored performance rows (bulk_eval / runPipeline output,
+// analyser/performance per NSE symbol): one row per company for a chosen quarter, ranked.
+//
+// Rank by (--by):
+//   final_score   sign(x) * abs_sqrt_x of performance.final_performance_score (default)
+//   price_score   same for performance.final_price_score
+//   eps_yoy       eps_yoy_pct          sales_yoy   sales_yoy_pct
+//   pe            valuation.pe         surprise    earnings_surprise.eps.surprise_pct
+//   sector_score  same as final_score for performance.sector_relative (bulk_eval --relative)
+//   or an expression over row fields: numbers, dotted paths (valuation.pe, performance.yoy.eps.score),
+//   the names above, + - * / ( ) and abs() min() max() sign(), e.g. "eps_yoy * 2 + sales_yoy".
+//   A missing field makes the value null; those rows go last.
+//
+// Filters: --sector / --industry (case-insensitive; the row's own tag, else common/classification),
+// --cap=large|mid|small from valuation.market_cap_crore at the release (LARGE_CAP_CRORE /
+// MID_CAP_CRORE cut-offs, roughly the AMFI large / mid cap boundaries), --min=<value>.
+//
+// Usage:
+//   const { screen } = require('./screener');
+//   const board = await screen({ quarter: '2025-Sep', by: 'final_score', cap: 'large', top: 20 });
+//
+// CLI: node evaluator/screener.js [--quarter=2025-Sep] [--by=final_score|<expr>] [--sector=<name>]
+//        [--industry=<name>] [--cap=large|mid|small] [--min=<value>] [--top=20] [--asc] [--format=json|csv] [--out=<file>]
+// View panel: /screener in comanpanyDataViewPannel.js (same options as query parameters).
+
+const { getStorage } = require('../common/storage');
+const { jsonFileSink, csvFileSink } = require('../common/output_sinks');
+const { loadClassifications } = require('../common/classification');
+
+const PERFORMANCE_COLLECTION = 'analyser/performance';
+const LARGE_CAP_CRORE = 100000;
+const MID_CAP_CRORE = 30000;
+const CAP_BUCKETS = ['large', 'mid', 'small'];
+
+// ---------- fields ----------
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const round2 = (v) => (isNum(v) ? Number(v.toFixed(2)) : null);
+
+function signedScore(agg) {
+  if (!agg || !isNum(agg.x) || !isNum(agg.abs_sqrt_x)) return null;
+  return Math.sign(agg.x) * agg.abs_sqrt_x;
+}
+
+function getPath(obj, dotted) {
+  let cur = obj;
+  for (const k of dotted.split('.')) {
+    if (cur == null || typeof cur !== 'object' || !Object.hasOwn(cur, k)) return null;
+    cur = cur[k];
+  }
+  return cur ?? null;
+}
+
+const NAMED_FIELDS = {
+  final_score: (r) => signedScore(r?.performance?.final_performance_score),
+  price_score: (r) => signedScore(r?.performance?.final_price_score),
+  eps_yoy: (r) => r?.eps_yoy_pct,
+  sales_yoy: (r) => r?.sales_yoy_pct,
+  sector_score: (r) => signedScore(r?.performance?.sector_relative?.final_performance_score),
+  pe: (r) => r?.valuation?.pe,
+  surprise: (r) => r?.earnings_surprise?.eps?.surprise_pct,
+};
+
+/** Named field or dotted path of a row, as a finite number or null. */
+function fieldValue(row, name) {
+  const v = Object.hasOwn(NAMED_FIELDS, name) ? NAMED_FIELDS[name](row) : getPath(row, name);
+  const n = typeof v === 'string' && v.trim() !== '' ? Number(v) : v;
+  return isNum(n) ? n : null;
+}
+
+function capBucket(marketCapCrore) {
+  if (!isNum(marketCapCrore)) return null;
+  if (marketCapCrore >= LARGE_CAP_CRORE) return 'large';
+  return marketCapCrore >= MID_CAP_CRORE ? 'mid' : 'small';
+}
+
+// ---------- expressions ----------
+const FUNCTIONS = {
+  abs: (a) => Math.abs(a),
+  sign: (a) => Math.sign(a),
+  min: (...xs) => Math.min(...xs),
+  max: (...xs) => Math.max(...xs),
+};
+
+function tokenize(src) {
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][\w.]*)|([-+*/(),]))/y;
+  let m;
+  re.lastIndex = 0;
+  while (re.lastIndex < src.length) {
+    if (!src.slice(re.lastIndex).trim()) break;
+    const at = re.lastIndex;
+    m = re.exec(src);
+    if (!m) throw new Error(`Bad expression near "${src.slice(at).trim()}"`);
+    if (m[1]) tokens.push({ type: 'num', value: Number(m[1]) });
+    else if (m[2]) tokens.push({ type: 'name', value: m[2] });
+    else tokens.push({ type: 'op', value: m[3] });
+  }
+  return tokens;
+}
+
+/**
+ * Compile an expression over row fields into (row) -> number|null. Only arithmetic, field
+ * names and FUNCTIONS are accepted, so it is safe for expressions from query strings.
+ * @param {string} src
+ * @returns {(row: Object) => number|null}
+ */
+function compileExpression(src) {
+  const tokens = tokenize(String(src || ''));
+  if (!tokens.length) throw new Error('Empty expression');
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const take = (value) => {
+    const t = tokens[pos];
+    if (!t) throw new Error(`Unexpected end of expression "${src}"`);
+    if (value && t.value !== value) throw new Error(`Expected "${value}" in expression "${src}"`);
+    pos++;
+    return t;
+  };
+
+  // expr := term (('+'|'-') term)* ; term := unary (('*'|'/') unary)* ; unary := '-' unary | atom
+  function expr() {
+    let node = term();
+    while (peek()?.value === '+' || peek()?.value === '-') node = { op: take().value, a: node, b: term() };
+    return node;
+  }
+  function term() {
+    let node = unary();
+    while (peek()?.value === '*' || peek()?.value === '/') node = { op: take().value, a: node, b: unary() };
+    return node;
+  }
+  function unary() {
+    if (peek()?.value === '-') {
+      take('-');
+      return { op: 'neg', a: unary() };
+    }
+    return atom();
+  }
+  function atom() {
+    const t = take();
+    if (t.type === 'num') return { num: t.value };
+    if (t.value === '(') {
+      const node = expr();
+      take(')');
+      return node;
+    }
+    if (t.type !== 'name') throw new Error(`Unexpected "${t.value}" in expression "${src}"`);
+    if (peek()?.value !== '(') return { field: t.value };
+    if (!Object.hasOwn(FUNCTIONS, t.value)) throw new Error(`Unknown function ${t.value}() (known: ${Object.keys(FUNCTIONS).join(', ')})`);
+    take('(');
+    const args = [expr()];
+    while (peek()?.value === ',') {
+      take(',');
+      args.push(expr());
+    }
+    take(')');
+    return { fn: t.value, args };
+  }
+
+  const ast = expr();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}" in expression "${src}"`);
+
+  function evaluate(node, row) {
+    if ('num' in node) return node.num;
+    if ('field' in node) return fieldValue(row, node.field);
+    if ('fn' in node) {
+      const args = node.args.map((a) => evaluate(a, row));
+      return args.some((v) => v == null) ? null : FUNCTIONS[node.fn](...args);
+    }
+    const a = evaluate(node.a, row);
+    if (node.op === 'neg') return a == null ? null : -a;
+    const b = evaluate(node.b, row);
+    if (a == null || b == null) return null;
+    if (node.op === '+') return a + b;
+    if (node.op === '-') return a - b;
+    if (node.op === '*') return a * b;
+    return b === 0 ? null : a / b;
+  }
+
+  return (row) => {
+    const v = evaluate(ast, row);
+    return isNum(v) ? v : null;
+  };
+}
+
+// ---------- quarters ----------
+/** "2025-Sep" -> sortable time of that month (NaN if not a quarter label) */
+function quarterTime(label) {
+  const [y, mon] = String(label || '').split('-');
+  return Date.parse(`1 ${mon} ${y}`);
+}
+
+// ---------- main ----------
+/**
+ * Leaderboard for one quarter.
+ * @param {Object} [options]
+ * @param {string} [options.quarter] - "YYYY-Mmm" (default: latest quarter in the stored rows)
+ * @param {string} [options.by='final_score'] - named field or expression
+ * @param {string} [options.sector]
+ * @param {string} [options.industry]
+ * @param {'large'|'mid'|'small'} [options.cap]
+ * @param {number} [options.min] - keep rows with value >= min
+ * @param {number} [options.top] - keep the first N
+ * @param {boolean} [options.asc=false]
+ * @param {string[]} [options.symbols] - default: every stored symbol
+ * @param {(symbol: string, row: Object) => {sector: string|null, industry: string|null}|null} [options.classify]
+ *   default: the row's sector / industry, else the stored classification
+ * @returns {Promise<{params: Object, quarter: string|null, quarters: string[], universe: number, rows: Object[]}>}
+ */
+async function screen(options = {}) {
+  const by = String(options.by || 'final_score').trim();
+  const value = Object.hasOwn(NAMED_FIELDS, by) ? (row) => fieldValue(row, by) : compileExpression(by);
+  if (options.cap && !CAP_BUCKETS.includes(options.cap)) throw new Error(`cap must be one of ${CAP_BUCKETS.join(', ')}`);
+
+  const store = getStorage();
+  const symbols = options.symbols?.length ? options.symbols : await store.list(PERFORMANCE_COLLECTION);
+  let classify = options.classify;
+  if (!classify) {
+    const stored = await loadClassifications(symbols);
+    classify = (symbol, row) => (row?.sector || row?.industry ? { sector: row.sector || null, industry: row.industry || null } : stored.get(symbol) || null);
+  }
+
+  const bySymbol = new Map();
+  const quarters = new Set();
+  for (const symbol of symbols) {
+    const rows = await store.get(PERFORMANCE_COLLECTION, symbol);
+    if (!Array.isArray(rows)) continue;
+    bySymbol.set(symbol, rows);
+    for (const r of rows) if (!Number.isNaN(quarterTime(r?.Quarter))) quarters.add(r.Quarter);
+  }
+  const sortedQuarters = [...quarters].sort((a, b) => quarterTime(a) - quarterTime(b));
+  const quarter = options.quarter || sortedQuarters[sortedQuarters.length - 1] || null;
+
+  let board = [];
+  for (const [symbol, rows] of bySymbol) {
+    const row = rows.find((r) => r?.Quarter === quarter);
+    if (!row) continue;
+    const marketCap = row.valuation?.market_cap_crore ?? null;
+    const cls = classify(symbol, row);
+    board.push({
+      symbol,
+      quarter,
+      value: value(row),
+      final_score: round2(fieldValue(row, 'final_score')),
+      price_score: round2(fieldValue(row, 'price_score')),
+      sector_score: round2(fieldValue(row, 'sector_score')),
+      eps_yoy_pct: round2(fieldValue(row, 'eps_yoy')),
+      sales_yoy_pct: round2(fieldValue(row, 'sales_yoy')),
+      pe: round2(fieldValue(row, 'pe')),
+      market_cap_crore: round2(marketCap),
+      cap: capBucket(marketCap),
+      sector: cls?.sector || null,
+      industry: cls?.industry || null,
+      release: row.dateTimeRaw ?? null,
+    });
+  }
+  const universe = board.length;
+
+  for (const key of ['sector', 'industry']) {
+    if (!options[key]) continue;
+    if (board.every((r) => !r[key])) console.warn(`⚠️ No ${key} data for ${quarter} (common/classification.js): every company is filtered out`);
+    const want = String(options[key]).trim().toLowerCase();
+    board = board.filter((r) => String(r[key] || '').toLowerCase() === want);
+  }
+  if (options.cap) board = board.filter((r) => r.cap === options.cap);
+  if (isNum(options.min)) board = board.filter((r) => r.value != null && r.value >= options.min);
+
+  const dir = options.asc ? 1 : -1;
+  board.sort((a, b) => {
+    if (a.value == null || b.value == null) return (a.value == null) - (b.value == null);
+    return dir * (a.value - b.value) || a.symbol.localeCompare(b.symbol);
+  });
+  if (isNum(options.top) && options.top > 0) board = board.slice(0, options.top);
+
+  return {
+    params: { by, sector: options.sector || null, industry: options.industry || null, cap: options.cap || null, min: options.min ?? null, top: options.top ?? null, asc: !!options.asc },
+    quarter,
+    quarters: sortedQuarters,
+    universe,
+    rows: board.map((r, i) => ({ rank: i + 1, ...r, value: round2(r.value) })),
+  };
+}
+
+const CSV_COLUMNS = ['rank', 'symbol', 'quarter', 'value', 'final_score', 'price_score', 'sector_score', 'eps_yoy_pct', 'sales_yoy_pct', 'pe', 'market_cap_crore', 'cap', 'sector', 'industry', 'release'];
+
+/** Leaderboard -> CSV (one line per company). */
+function toCSV(board) {
+  const esc = (v) => (v == null ? '' : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const r of board.rows || []) lines.push(CSV_COLUMNS.map((c) => esc(r[c])).join(','));
+  return lines.join('\n');
+}
+
+module.exports = {
+  LARGE_CAP_CRORE,
+  MID_CAP_CRORE,
+  compileExpression,
+  screen,
+  toCSV,
+};
+
+if (require.main === module) {
+  const args = require('minimist')(process.argv.slice(2), {
+    string: ['quarter', 'by', 'sector', 'industry', 'cap', 'format', 'out'],
+    boolean: ['asc'],
+  });
+  const format = args.format || 'json';
+  if (!['json', 'csv'].includes(format)) {
+    console.error('Usage: node evaluator/screener.js [--quarter=2025-Sep] [--by=final_score|<expr>] [--sector=<name>] [--industry=<name>] [--cap=large|mid|small] [--min=<value>] [--top=20] [--asc] [--format=json|csv] [--out=<file>]');
+    process.exit(1);
+  }
+  const { closeStorage } = require('../common/storage');
+  screen({
+    quarter: args.quarter,
+    by: args.by,
+    sector: args.sector,
+    industry: args.industry,
+    cap: args.cap,
+    min: args.min != null ? Number(args.min) : undefined,
+    top: args.top != null ? Number(args.top) : undefined,
+    asc: args.asc,
+  })
+    .then((board) => {
+      if (args.out) {
+        const sink = format === 'csv' ? csvFileSink(args.out, toCSV) : jsonFileSink(args.out);
+        return sink(board);
+      }
+      console.log(format === 'csv' ? toCSV(board) : JSON.stringify(board, null, 2));
+    })
+    .catch((err) => {
+      console.error('Error:', err?.message || err);
+      process.exitCode = 2;
+    })
+    .finally(() => closeStorage());
+}
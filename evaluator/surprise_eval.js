@@ -0,0 +1,181 @@
+// surprise_eval.js
+// Earnings surprise from MarketScreener's quarterly "Released vs Forecast" table
+// (quarterly_results.js -> companyInfoJson.quarterlyResults).
+//
+// Per quarter and metric (sales, EBIT, EPS):
+//   surprise_pct   (released - forecast) / |forecast| * 100 (MS spread% when the numbers are missing)
+//   verdict        "beat" | "miss" | "in-line" (|surprise_pct| <= IN_LINE_PCT)
+//   standardized   (released - forecast) / stdev of the previous quarters' (released - forecast),
+//                  SUE-style; null until MIN_SUE_HISTORY earlier surprises exist
+//   streak         run of the same verdict ending at this quarter, e.g. { verdict: "beat", length: 4, label: "beat 4 in a row" }
+//
+// Usage:
+//   const { computeEarningsSurprises, addSurpriseToRows } = require('./surprise_eval');
+//   const surprises = computeEarningsSurprises(companyInfoJson);
+//   addSurpriseToRows(rows, surprises); // rows keyed by "YYYY-MMM" Quarter
+//
+// CLI: node evaluator/surprise_eval.js <MARKET_SCREENER_CODE>   (reads the stored "info" payload)
+
+const { msPeriodToQuarter, cleanMsMetric } = require('../common/fundamentals_store');
+
+const SURPRISE_METRICS = {
+  sales: /^net sales$/i,
+  ebit: /^ebit$/i,
+  eps: /^eps$/i,
+};
+const IN_LINE_PCT = 2;
+const MIN_SUE_HISTORY = 4;
+const SUE_WINDOW = 8;
+
+// ---------- helpers ----------
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+function stdev(values) {
+  if (values.length < 2) return null;
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((a, v) => a + (v - mean) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+function verdictOf(surprisePct, inLinePct) {
+  if (!isNum(surprisePct)) return null;
+  if (Math.abs(surprisePct) <= inLinePct) return 'in-line';
+  return surprisePct > 0 ? 'beat' : 'miss';
+}
+
+/** "2025-Jun" -> sortable time of that month */
+function quarterTime(label) {
+  const [y, mon] = String(label).split('-');
+  return Date.parse(`1 ${mon} ${y}`);
+}
+
+/** Which of SURPRISE_METRICS an MS metric row belongs to (null when none). */
+function metricKeyOf(row, name) {
+  const clean = cleanMsMetric(row?.metric || name, row?.unit);
+  return Object.keys(SURPRISE_METRICS).find((k) => SURPRISE_METRICS[k].test(clean)) || null;
+}
+
+/** One metric of one quarter, before history-based fields are added. */
+function evalPoint(row, inLinePct) {
+  const actual = isNum(row?.releasedNum) ? row.releasedNum : null;
+  const forecast = isNum(row?.forecastNum) ? row.forecastNum : null;
+  if (actual == null) return null; // not reported yet
+
+  let surprisePct = null;
+  if (forecast != null && forecast !== 0) {
+    surprisePct = ((actual - forecast) / Math.abs(forecast)) * 100;
+  } else if (isNum(row?.spreadPct)) {
+    surprisePct = row.spreadPct;
+  }
+
+  return {
+    actual,
+    forecast,
+    unit: row?.unit ?? null,
+    surprise: forecast != null ? actual - forecast : null,
+    surprise_pct: isNum(surprisePct) ? Number(surprisePct.toFixed(2)) : null,
+    verdict: verdictOf(surprisePct, inLinePct),
+  };
+}
+
+// ---------- main ----------
+/**
+ * Beat/miss/in-line, surprise %, standardized surprise and streaks per quarter.
+ *
+ * @param {object} companyInfoJson - MarketScreener payload with quarterlyResults
+ * @param {{inLinePct?: number}} [options]
+ * @returns {{quarters: Array<{quarter: string, period: string, sales?: object, ebit?: object, eps?: object}>,
+ *            latest: Object<string, object>}} quarters oldest first; latest = most recent reported point per metric
+ */
+function computeEarningsSurprises(companyInfoJson, options = {}) {
+  const inLinePct = isNum(options.inLinePct) ? options.inLinePct : IN_LINE_PCT;
+  const table = companyInfoJson?.quarterlyResults;
+  if (!table || typeof table !== 'object' || table.error) return { quarters: [], latest: {} };
+
+  const byQuarter = new Map();
+  for (const [period, metrics] of Object.entries(table)) {
+    for (const [name, row] of Object.entries(metrics || {})) {
+      const key = metricKeyOf(row, name);
+      if (!key) continue;
+      const quarter = msPeriodToQuarter(period, row?.fiscalMonth);
+      if (!quarter) continue;
+      const point = evalPoint(row, inLinePct);
+      if (!point) continue;
+      if (!byQuarter.has(quarter)) byQuarter.set(quarter, { quarter, period });
+      byQuarter.get(quarter)[key] = point;
+    }
+  }
+
+  const quarters = [...byQuarter.values()].sort((a, b) => quarterTime(a.quarter) - quarterTime(b.quarter));
+
+  const latest = {};
+  for (const key of Object.keys(SURPRISE_METRICS)) {
+    const history = []; // previous surprises (released - forecast)
+    let streak = null;
+    for (const q of quarters) {
+      const p = q[key];
+      if (!p) continue;
+
+      const sd = stdev(history.slice(-SUE_WINDOW));
+      p.standardized =
+        p.surprise != null && history.length >= MIN_SUE_HISTORY && sd
+          ? Number((p.surprise / sd).toFixed(2))
+          : null;
+      if (p.surprise != null) history.push(p.surprise);
+
+      if (!p.verdict) {
+        streak = null;
+      } else if (streak && streak.verdict === p.verdict) {
+        streak = { verdict: p.verdict, length: streak.length + 1 };
+      } else {
+        streak = { verdict: p.verdict, length: 1 };
+      }
+      p.streak = streak ? { ...streak, label: `${streak.verdict} ${streak.length} in a row` } : null;
+      latest[key] = { quarter: q.quarter, ...p };
+    }
+  }
+
+  return { quarters, latest };
+}
+
+/**
+ * Attach `earnings_surprise` ({ sales, ebit, eps } or null) to each row by its Quarter.
+ * @param {Array<object>} rows - quarter rows (mutated in place)
+ * @param {{quarters: Array<object>}} surprises - computeEarningsSurprises result
+ * @returns {Array<object>} rows
+ */
+function addSurpriseToRows(rows, surprises) {
+  if (!Array.isArray(rows)) return rows;
+  const index = new Map((surprises?.quarters || []).map((q) => [q.quarter, q]));
+  for (const row of rows) {
+    const q = index.get(row?.Quarter);
+    row.earnings_surprise = q
+      ? { period: q.period, sales: q.sales || null, ebit: q.ebit || null, eps: q.eps || null }
+      : null;
+  }
+  return rows;
+}
+
+module.exports = {
+  IN_LINE_PCT,
+  computeEarningsSurprises,
+  addSurpriseToRows,
+};
+
+if (require.main === module) {
+  (async () => {
+    const msCode = process.argv[2];
+    if (!msCode) {
+      console.error('Usage: node evaluator/surprise_eval.js <MARKET_SCREENER_CODE>');
+      process.exit(1);
+    }
+    const { getStorage, closeStorage } = require('../common/storage');
+    const info = await getStorage().get('info', msCode);
+    if (!info) {
+      console.error(`No stored info for ${msCode}`);
+      process.exit(1);
+    }
+    console.log(JSON.stringify(computeEarningsSurprises(info), null, 2));
+    await closeStorage();
+  })();
+}
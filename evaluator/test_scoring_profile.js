@@ -0,0 +1,184 @@
+// test_scoring_profile.js
+// Offline checks for scoring_profile.js: the default profile reproduces the curves, PE growth
+// table and signed-square aggregate result_eval had hardcoded, other profiles merge over it,
+// and bad profiles are rejected.
+// Run: node evaluator/test_scoring_profile.js
+
+const path = require('path');
+const { loadScoringProfile } = require('./scoring_profile');
+const {
+  estimateGrowth,
+  ratioToScore,
+  ratioToQoqScore,
+  ratioToPriceYoyScore,
+  ratioToPriceQoqScore,
+  computeFinalPerformanceScore,
+  computeFinalPriceScore,
+} = require('./result_eval');
+
+// tiny assert helpers
+function assert(cond, msg) {
+  if (!cond) {
+    throw new Error('ASSERTION FAILED: ' + msg);
+  }
+}
+const same = (a, b) => a === b || (Number.isFinite(a) && Number.isFinite(b) && Math.abs(a - b) < 1e-9);
+const throws = (fn, re, msg) => {
+  let err = null;
+  try {
+    fn();
+  } catch (e) {
+    err = e;
+  }
+  assert(err && re.test(err.message), `${msg}: expected an error matching ${re}, got ${err ? err.message : 'none'}`);
+};
+
+// ---------- the hardcoded result_eval scoring, before profiles ----------
+const OLD_PE_GROWTH_TABLE = [
+  { pe_min: 0, pe_max: 10, yoy_min: 5, yoy_max: 8 },
+  { pe_min: 10, pe_max: 20, yoy_min: 8, yoy_max: 12 },
+  { pe_min: 20, pe_max: 30, yoy_min: 12, yoy_max: 15 },
+  { pe_min: 30, pe_max: 40, yoy_min: 15, yoy_max: 20 },
+  { pe_min: 40, pe_max: 80, yoy_min: 20, yoy_max: 35 },
+  { pe_min: 80, pe_max: 100, yoy_min: 35, yoy_max: 50 },
+  { pe_min: 100, pe_max: 200, yoy_min: 50, yoy_max: 70 },
+  { pe_min: 200, pe_max: Infinity, yoy_min: 70, yoy_max: 100 },
+];
+function oldEstimateGrowth(pe) {
+  const band = OLD_PE_GROWTH_TABLE.find((b) => pe >= b.pe_min && pe < b.pe_max);
+  if (!band) return null;
+  if (!isFinite(band.pe_max)) return band.yoy_min;
+  const ratio = (pe - band.pe_min) / (band.pe_max - band.pe_min);
+  return parseFloat((band.yoy_min + ratio * (band.yoy_max - band.yoy_min)).toFixed(2));
+}
+function lerpRange(x, x1, x2, y1, y2) {
+  if (x <= x1) return y1;
+  if (x >= x2) return y2;
+  return y1 + ((x - x1) / (x2 - x1)) * (y2 - y1);
+}
+function oldRatioToScore(r) {
+  if (!isFinite(r)) return -10;
+  if (r < 0.3) return -10;
+  if (r < 0.7) return lerpRange(r, 0.3, 0.7, -10, 0);
+  if (r < 1) return lerpRange(r, 0.7, 1, 0, 5);
+  if (r < 2) return lerpRange(r, 1, 2, 5, 10);
+  return 10;
+}
+function oldRatioToQoqScore(r) {
+  if (!isFinite(r)) return -10;
+  if (r <= -2) return -10;
+  if (r < 0) return lerpRange(r, -1, 0, -10, 0);
+  if (r < 1) return lerpRange(r, 0, 1, 0, 3);
+  if (r < 3) return lerpRange(r, 1, 3, 3, 10);
+  return 10;
+}
+function oldRatioToPriceYoyScore(r) {
+  if (!isFinite(r)) return -10;
+  if (r <= -1) return -10;
+  if (r < 0) return lerpRange(r, -1, 0, -10, -5);
+  if (r < 1) return lerpRange(r, 0, 1, -5, 5);
+  if (r < 3) return lerpRange(r, 1, 3, 5, 10);
+  return 10;
+}
+function oldRatioToPriceQoqScore(r) {
+  if (!isFinite(r)) return -10;
+  if (r <= -3) return -10;
+  if (r < 0) return lerpRange(r, -3, 0, -10, -5);
+  if (r < 1) return lerpRange(r, 0, 1, -5, 5);
+  if (r < 6) return lerpRange(r, 1, 6, 5, 10);
+  return 10;
+}
+function oldSignedSquare(scores) {
+  if (scores.some((v) => typeof v !== 'number' || !isFinite(v))) return null;
+  const x = parseFloat(scores.reduce((sum, s) => sum + Math.sign(s) * s * s, 0).toFixed(4));
+  return { x, abs_sqrt_x: parseFloat(Math.sqrt(Math.abs(x)).toFixed(4)) };
+}
+
+// deterministic sample: every breakpoint (and just around it) plus pseudo-random values
+let seed = 20250101;
+const rand = () => ((seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648);
+const BREAKPOINTS = [-3, -2, -1, 0, 0.3, 0.7, 1, 2, 3, 6];
+const RATIOS = [
+  ...BREAKPOINTS.flatMap((b) => [b - 1e-9, b, b + 1e-9]),
+  NaN, Infinity, -Infinity,
+  ...Array.from({ length: 2000 }, () => rand() * 16 - 8),
+];
+
+try {
+  const profile = loadScoringProfile('default');
+
+  console.log('=== Test 1: PE -> expected growth matches the old table ===');
+  const pes = [0, 9.99, 10, 15, 29.5, 40, 79.99, 80, 100, 150, 199.99, 200, 1000, ...Array.from({ length: 1000 }, () => rand() * 300)];
+  for (const pe of pes) {
+    assert(same(estimateGrowth(pe, profile), oldEstimateGrowth(pe)), `estimateGrowth(${pe}): ${estimateGrowth(pe, profile)} != ${oldEstimateGrowth(pe)}`);
+  }
+  throws(() => estimateGrowth(-1, profile), /PE must be a positive number/, 'negative PE');
+
+  console.log('=== Test 2: the four curves match the old piecewise scorers ===');
+  const pairs = [
+    ['yoy', ratioToScore, oldRatioToScore],
+    ['qoq', ratioToQoqScore, oldRatioToQoqScore],
+    ['price_yoy', ratioToPriceYoyScore, oldRatioToPriceYoyScore],
+    ['price_qoq', ratioToPriceQoqScore, oldRatioToPriceQoqScore],
+  ];
+  for (const [name, fn, old] of pairs) {
+    for (const r of RATIOS) {
+      assert(same(fn(r, profile), old(r)), `${name} curve at ${r}: ${fn(r, profile)} != ${old(r)}`);
+    }
+  }
+
+  console.log('=== Test 3: signed-square aggregate matches the old final scores ===');
+  for (let i = 0; i < 500; i++) {
+    const s = Array.from({ length: 6 }, () => Math.round((rand() * 20 - 10) * 100) / 100);
+    const perf = {
+      yoy: { sales: { score: s[0] }, eps: { score: s[1] }, price: { score: s[4] } },
+      qoq: { sales: { score: s[2] }, eps: { score: s[3] }, price: { score: s[5] } },
+    };
+    const got = computeFinalPerformanceScore(perf, profile);
+    const want = oldSignedSquare(s.slice(0, 4));
+    assert(same(got.x, want.x) && same(got.abs_sqrt_x, want.abs_sqrt_x), `final performance score ${JSON.stringify(s)}`);
+    const price = computeFinalPriceScore(perf, profile);
+    const wantPrice = oldSignedSquare(s.slice(4));
+    assert(same(price.x, wantPrice.x) && same(price.abs_sqrt_x, wantPrice.abs_sqrt_x), `final price score ${JSON.stringify(s)}`);
+  }
+  const missing = { yoy: { sales: { score: 1 }, eps: { score: null } }, qoq: { sales: { score: 1 }, eps: { score: 1 } } };
+  assert(computeFinalPerformanceScore(missing, profile) === null, 'missing part score -> null');
+
+  console.log('=== Test 4: YAML profile merged over default ===');
+  const ew = loadScoringProfile('earnings_weighted');
+  assert(ew.name === 'earnings_weighted', 'name from the YAML file');
+  assert(ew.weights.eps === 2 && ew.weights.sales === 1 && ew.weights.price === 1, 'weights from the YAML file');
+  assert(ew.aggregation === 'weighted_mean', 'aggregation from the YAML file');
+  assert(JSON.stringify(ew.curves) === JSON.stringify(profile.curves), 'curves left out come from default');
+  assert(ew.pe_growth_bands[ew.pe_growth_bands.length - 1].pe_max === Infinity, 'open band pe_max null -> Infinity');
+  const ewScore = computeFinalPerformanceScore(
+    { yoy: { sales: { score: 4 }, eps: { score: -2 } }, qoq: { sales: { score: 1 }, eps: { score: 5 } } },
+    ew
+  );
+  // (4 + 2*-2 + 1 + 2*5) / 6
+  assert(same(ewScore.x, 1.8333), `weighted mean, got ${ewScore.x}`);
+  assert(loadScoringProfile(path.join(__dirname, 'scoring_profiles', 'earnings_weighted.yaml')) === ew, 'same file by path (cached)');
+  const override = loadScoringProfile({ name: 'flat', curves: { yoy: { points: [[0, 1]], non_finite: 0 } } });
+  assert(override.curves.yoy.points.length === 1 && same(ratioToScore(5, override), 1), 'object profile replaces one curve');
+  assert(same(ratioToQoqScore(2, override), oldRatioToQoqScore(2)), 'other curves stay default');
+
+  console.log('=== Test 5: bad profiles are rejected ===');
+  throws(() => loadScoringProfile('no_such_profile'), /Unknown scoring profile "no_such_profile"/, 'unknown name');
+  throws(() => loadScoringProfile({ name: '' }), /name is required/, 'empty name');
+  throws(() => loadScoringProfile({ name: 'x', pe_growth_bands: [] }), /pe_growth_bands must be a non-empty array/, 'no bands');
+  throws(() => loadScoringProfile({ name: 'x', pe_growth_bands: [{ pe_min: 10, pe_max: 5, yoy_min: 1, yoy_max: 2 }] }), /bad PE band/, 'pe_max <= pe_min');
+  throws(() => loadScoringProfile({ name: 'x', pe_growth_bands: [{ pe_min: 0, pe_max: 10, yoy_min: '5', yoy_max: 8 }] }), /bad growth in PE band/, 'non-numeric growth');
+  throws(() => loadScoringProfile({ name: 'x', qoq_growth_divisor: 0 }), /qoq_growth_divisor must be > 0/, 'zero divisor');
+  throws(() => loadScoringProfile({ name: 'x', curves: { qoq: { points: [], non_finite: 0 } } }), /curves\.qoq\.points is required/, 'empty curve');
+  throws(() => loadScoringProfile({ name: 'x', curves: { yoy: { points: [[0, 1], [0, 2]], non_finite: 0 } } }), /must be ascending by ratio/, 'points not ascending');
+  throws(() => loadScoringProfile({ name: 'x', curves: { yoy: { points: [[0, 1, 2]], non_finite: 0 } } }), /points\[0\] must be \[ratio, score\]/, 'point shape');
+  throws(() => loadScoringProfile({ name: 'x', curves: { yoy: { points: [[0, 'a']], non_finite: 0 } } }), /points\[0\] must be \[ratio, score\]/, 'non-numeric score');
+  throws(() => loadScoringProfile({ name: 'x', curves: { yoy: { points: [[0, 1]] } } }), /curves\.yoy\.non_finite must be a number/, 'missing non_finite');
+  throws(() => loadScoringProfile({ name: 'x', weights: { eps: -1 } }), /weights\.eps must be a number >= 0/, 'negative weight');
+  throws(() => loadScoringProfile({ name: 'x', aggregation: 'median' }), /aggregation must be one of/, 'unknown aggregation');
+
+  console.log('\nAll tests finished without assertion errors ✅');
+} catch (e) {
+  console.error('\nTEST ERROR:', e.message);
+  process.exit(1);
+}
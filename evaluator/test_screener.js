@@ -0,0 +1,128 @@
+// test_screener.js
+// Offline checks for screener.js: the expression compiler and a leaderboard over a throwaway fs store.
+// Run: node evaluator/test_screener.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// every stored row goes to a temp dir, never to ./data
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'screener-test-'));
+process.env.STORAGE_BACKEND = 'fs';
+process.env.STORAGE_DATA_DIR = DATA_DIR;
+
+const { compileExpression, screen, toCSV } = require('./screener');
+const { getStorage, closeStorage } = require('../common/storage');
+
+// tiny assert helpers
+function assert(cond, msg) {
+  if (!cond) {
+    throw new Error('ASSERTION FAILED: ' + msg);
+  }
+}
+const eq = (actual, expected, msg) => assert(actual === expected, `${msg}: expected ${expected}, got ${actual}`);
+const throws = (fn, re, msg) => {
+  let err = null;
+  try {
+    fn();
+  } catch (e) {
+    err = e;
+  }
+  assert(err && re.test(err.message), `${msg}: expected an error matching ${re}, got ${err ? err.message : 'none'}`);
+};
+
+const row = (Quarter, x, extra = {}) => ({
+  Quarter,
+  eps_yoy_pct: 10,
+  sales_yoy_pct: '4', // numeric strings count as numbers
+  valuation: { pe: 20, market_cap_crore: 50000 },
+  performance: { final_performance_score: { x, abs_sqrt_x: Math.sqrt(Math.abs(x)) } },
+  ...extra,
+});
+
+(async () => {
+  try {
+    console.log('=== Test 1: arithmetic and precedence ===');
+    const r = row('2025-Sep', 16);
+    eq(compileExpression('1 + 2 * 3')(r), 7, '* before +');
+    eq(compileExpression('(1 + 2) * 3')(r), 9, 'parentheses');
+    eq(compileExpression('10 - 4 - 3')(r), 3, 'left associative');
+    eq(compileExpression('--2')(r), 2, 'double negation');
+    eq(compileExpression('-2 * -3')(r), 6, 'unary minus binds tighter than *');
+    eq(compileExpression('eps_yoy * 2 + sales_yoy')(r), 24, 'named fields (string field parsed)');
+    eq(compileExpression('final_score')(r), 4, 'final_score = sign(x) * abs_sqrt_x');
+    eq(compileExpression('valuation.pe / 4')(r), 5, 'dotted path');
+    eq(compileExpression('max(eps_yoy, 3, sales_yoy) + abs(-1.5) + sign(-7) + min(2, 9)')(r), 12.5, 'functions');
+
+    console.log('=== Test 2: missing values ===');
+    eq(compileExpression('missing_field + 1')(r), null, 'missing field -> null');
+    eq(compileExpression('abs(valuation.nope)')(r), null, 'missing function argument -> null');
+    eq(compileExpression('eps_yoy / 0')(r), null, 'division by zero -> null');
+    eq(compileExpression('valuation.pe.deeper')(r), null, 'path through a number -> null');
+    eq(compileExpression('constructor')(r), null, 'inherited key is not a field');
+    eq(compileExpression('toString')(r), null, 'inherited key via path is not a field');
+
+    console.log('=== Test 3: parse errors ===');
+    throws(() => compileExpression(''), /Empty expression/, 'empty');
+    throws(() => compileExpression('   '), /Empty expression/, 'blank');
+    throws(() => compileExpression('1 +'), /Unexpected end of expression/, 'dangling operator');
+    throws(() => compileExpression('(1 + 2'), /Unexpected end of expression/, 'unclosed parenthesis');
+    throws(() => compileExpression('1 + 2)'), /Unexpected "\)"/, 'extra parenthesis');
+    throws(() => compileExpression('1 2'), /Unexpected "2"/, 'two values in a row');
+    throws(() => compileExpression('* 2'), /Unexpected "\*"/, 'leading operator');
+    throws(() => compileExpression('eps_yoy ^ 2'), /Bad expression near "\^ 2"/, 'unknown operator');
+    throws(() => compileExpression('pow(2, 3)'), /Unknown function pow\(\)/, 'unknown function');
+    throws(() => compileExpression('constructor(1)'), /Unknown function constructor\(\)/, 'inherited key is not a function');
+    throws(() => compileExpression('max(1, 2'), /Unexpected end of expression/, 'unclosed call');
+
+    console.log('=== Test 4: leaderboard ===');
+    const store = getStorage();
+    await store.put('analyser/performance', 'AAA', [row('2025-Jun', 1), row('2025-Sep', 9, { sector: 'IT' })]);
+    await store.put('analyser/performance', 'BBB', [row('2025-Sep', 25, { sector: 'Banks', valuation: { pe: 12, market_cap_crore: 150000 } })]);
+    await store.put('analyser/performance', 'CCC', [row('2025-Sep', -4, { sector: 'IT', valuation: { market_cap_crore: 5000 } })]);
+    await store.put('analyser/performance', 'DDD', [row('2025-Dec', 1), { Quarter: '2025-Sep' }]);
+    const classify = (symbol, rw) => ({ sector: rw.sector || null, industry: null });
+
+    const board = await screen({ classify });
+    eq(board.quarter, '2025-Dec', 'latest quarter by date, not by string');
+    eq(board.quarters.join(','), '2025-Jun,2025-Sep,2025-Dec', 'quarters sorted by date');
+
+    const sep = await screen({ quarter: '2025-Sep', classify });
+    eq(sep.universe, 4, 'every company with a 2025-Sep row');
+    eq(sep.rows.map((x) => x.symbol).join(','), 'BBB,AAA,CCC,DDD', 'descending, null values last');
+    eq(sep.rows[0].rank, 1, 'ranks from 1');
+    eq(sep.rows[0].cap, 'large', 'cap bucket');
+    eq(sep.rows[2].cap, 'small', 'small cap');
+
+    const asc = await screen({ quarter: '2025-Sep', asc: true, classify });
+    eq(asc.rows.map((x) => x.symbol).join(','), 'CCC,AAA,BBB,DDD', 'ascending, null values still last');
+
+    const it = await screen({ quarter: '2025-Sep', sector: 'it', min: 0, classify });
+    eq(it.rows.map((x) => x.symbol).join(','), 'AAA', 'sector is case-insensitive, min drops CCC');
+
+    const byExpr = await screen({ quarter: '2025-Sep', by: 'valuation.pe', top: 1, classify });
+    eq(byExpr.rows.map((x) => x.symbol).join(','), 'AAA', 'expression ranking with top');
+
+    const byInherited = await screen({ quarter: '2025-Sep', by: 'constructor', classify });
+    assert(byInherited.rows.every((x) => x.value === null), 'by=constructor is a (missing) path, not a named field');
+
+    let capErr = null;
+    await screen({ cap: 'mega', classify }).catch((e) => (capErr = e));
+    assert(capErr && /cap must be one of/.test(capErr.message), 'unknown cap bucket rejected');
+
+    console.log('=== Test 5: CSV ===');
+    const csv = toCSV({ rows: [{ rank: 1, symbol: 'A,B', quarter: '2025-Sep', value: 1.5, sector: 'Say "hi"' }] }).split('\n');
+    eq(csv.length, 2, 'header + one row');
+    assert(csv[0].startsWith('rank,symbol,quarter,value,'), 'header');
+    assert(csv[1].startsWith('1,"A,B",2025-Sep,1.5,'), 'comma quoted');
+    assert(csv[1].includes('"Say ""hi"""'), 'quotes doubled');
+
+    console.log('\nAll tests finished without assertion errors ✅');
+  } catch (e) {
+    console.error('\nTEST ERROR:', e.message);
+    process.exitCode = 1;
+  } finally {
+    await closeStorage();
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+  }
+})();
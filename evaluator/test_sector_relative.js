@@ -0,0 +1,115 @@
+// test_sector_relative.js
+// Offline checks for result_eval.addSectorRelativeScores: robust z-score and percentile rank
+// against sector peers in the same quarter, and the sector_min_peers gate.
+// Run: node evaluator/test_sector_relative.js
+
+const { addSectorRelativeScores } = require('./result_eval');
+
+// tiny assert helpers
+function assert(cond, msg) {
+  if (!cond) {
+    throw new Error('ASSERTION FAILED: ' + msg);
+  }
+}
+const eq = (actual, expected, msg) => assert(actual === expected, `${msg}: expected ${expected}, got ${actual}`);
+
+// one row per company; every metric defaults to 5 so the sector is flat unless a test says otherwise
+const row = (sector, fields = {}, Quarter = '2025-Sep') => ({
+  Quarter,
+  sector,
+  sales_yoy_pct: 5,
+  eps_yoy_pct: 5,
+  price_yoy_pct: 5,
+  sales_qoq_pct: 5,
+  eps_qoq_pct: 5,
+  price_qoq_pct: 5,
+  ...fields,
+});
+const rel = (out, symbol, i = 0) => out.get(symbol)[i].performance.sector_relative;
+
+// IT (sector spelled three ways): sales_yoy 10/20/30/40/100 -> median 30, MAD 10, dispersion 14.826
+//                                  eps_qoq   5/5/5/5/9      -> MAD 0, falls back to std dev 1.6
+//                                  price_yoy one company missing -> 4 peers, under sector_min_peers
+const input = {
+  A: [row('IT', { sales_yoy_pct: 10, price_yoy_pct: null })],
+  B: [row('it', { sales_yoy_pct: 20 })],
+  C: [row('It', { sales_yoy_pct: 30 })],
+  D: [row('IT', { sales_yoy_pct: 40 })],
+  E: [row('IT', { sales_yoy_pct: 100, eps_qoq_pct: 9 }), row('IT', { sales_yoy_pct: 1 }, '2025-Jun')],
+  F: [row('Banks'), row(null)],
+  G: [row('Banks')],
+  H: [row('Banks')],
+};
+
+try {
+  console.log('=== Test 1: robust z-score ===');
+  const z = addSectorRelativeScores(input);
+  const a = rel(z, 'A');
+  eq(a.method, 'zscore', 'default method');
+  eq(a.sector, 'IT', 'the row keeps its own sector spelling');
+  eq(a.peers, 5, 'IT, it and It are one sector');
+  eq(a.yoy.sales.median, 30, 'median');
+  eq(a.yoy.sales.dispersion, 14.83, '1.4826 * MAD');
+  eq(a.yoy.sales.zscore, -1.35, '(10 - 30) / 14.826');
+  eq(a.yoy.sales.score, -6.74, 'z on the sector_zscore curve');
+  const e = rel(z, 'E');
+  eq(e.yoy.sales.zscore, 4.72, 'outlier z');
+  eq(e.yoy.sales.score, 10, 'curve clamps at 10');
+  eq(rel(z, 'C').yoy.sales.zscore, 0, 'the median company');
+
+  console.log('=== Test 2: MAD of 0 and all peers equal ===');
+  eq(e.qoq.eps.dispersion, 1.6, 'MAD 0 -> standard deviation');
+  eq(e.qoq.eps.zscore, 2.5, '(9 - 5) / 1.6');
+  eq(a.qoq.eps.zscore, 0, 'the four at the median');
+  eq(a.yoy.eps.dispersion, 0, 'all peers equal');
+  eq(a.yoy.eps.zscore, 0, 'all peers equal -> z = 0');
+  eq(a.yoy.eps.score, 0, 'all peers equal -> score 0');
+
+  console.log('=== Test 3: sector_min_peers ===');
+  eq(a.yoy.price, null, 'own value missing');
+  eq(rel(z, 'B').yoy.price, null, '4 peers with a value, under the default 5');
+  assert(a.final_performance_score !== null, 'sales and eps parts are enough for the performance score');
+  eq(a.final_price_score, null, 'a missing price part leaves no price score');
+  const f = rel(z, 'F');
+  eq(f.peers, 3, 'Banks has 3 companies');
+  eq(f.yoy.sales, null, 'too few peers -> null');
+  eq(f.final_performance_score, null, 'no parts -> no final score');
+  eq(rel(z, 'F', 1), null, 'no sector -> sector_relative null');
+  eq(rel(z, 'E', 1).peers, 1, 'other quarters are other groups');
+  eq(rel(z, 'E', 1).yoy.sales, null, 'alone in its quarter');
+
+  const loose = addSectorRelativeScores(input, { profile: { name: 'loose', sector_min_peers: 3 } });
+  eq(rel(loose, 'F').yoy.sales.zscore, 0, 'a lower sector_min_peers scores Banks');
+  eq(rel(loose, 'B').yoy.price.zscore, 0, 'and the 4 IT price values');
+
+  console.log('=== Test 4: percentile rank ===');
+  const p = addSectorRelativeScores(new Map(Object.entries(input)), { method: 'percentile' });
+  eq(rel(p, 'A').yoy.sales.percentile, 10, 'lowest of 5: mid-rank 0.5 / 5');
+  eq(rel(p, 'A').yoy.sales.score, -8, 'on the sector_percentile curve');
+  eq(rel(p, 'C').yoy.sales.percentile, 50, 'the median company');
+  eq(rel(p, 'C').yoy.sales.score, 0, '50th percentile scores 0');
+  eq(rel(p, 'E').yoy.sales.percentile, 90, 'highest of 5');
+  eq(rel(p, 'A').yoy.eps.percentile, 50, 'ties share the mid-rank');
+  eq(rel(p, 'E').qoq.eps.percentile, 90, 'above four ties');
+
+  console.log('=== Test 5: options ===');
+  const bySector = addSectorRelativeScores({ X: [row(null)], Y: [row(null)] }, {
+    profile: { name: 'pair', sector_min_peers: 2 },
+    sectorOf: () => 'Stored',
+  });
+  eq(rel(bySector, 'X').sector, 'Stored', 'sectorOf supplies the sector');
+  eq(rel(bySector, 'X').peers, 2, 'sectorOf groups the rows');
+  eq(input.A[0].performance, undefined, 'input rows are left untouched');
+  let methodErr = null;
+  try {
+    addSectorRelativeScores(input, { method: 'rank' });
+  } catch (err) {
+    methodErr = err;
+  }
+  assert(methodErr && /method must be one of/.test(methodErr.message), 'unknown method rejected');
+
+  console.log('\nAll tests finished without assertion errors ✅');
+} catch (e) {
+  console.error('\nTEST ERROR:', e.message);
+  process.exit(1);
+}
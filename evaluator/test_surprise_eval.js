@@ -0,0 +1,113 @@
+// test_surprise_eval.js
+// Offline checks for surprise_eval.computeEarningsSurprises on a hand-built quarterlyResults table:
+// surprise %, verdicts, streaks, the standardized (SUE) surprise and the spread% fallback.
+// Run: node evaluator/test_surprise_eval.js
+
+const { computeEarningsSurprises, addSurpriseToRows } = require('./surprise_eval');
+
+// tiny assert helpers
+function assert(cond, msg) {
+  if (!cond) {
+    throw new Error('ASSERTION FAILED: ' + msg);
+  }
+}
+const eq = (actual, expected, msg) => assert(actual === expected, `${msg}: expected ${expected}, got ${actual}`);
+
+// MarketScreener-style metric row (fiscal year ending March: "2023 Q1" is the quarter to 2022-Jun)
+const metric = (name, unit, releasedNum, forecastNum, spreadPct = null) =>
+  ({ metric: `${name}${unit}`, unit, releasedNum, forecastNum, spreadPct, fiscalMonth: 'March' });
+
+// EPS vs a forecast of 10 over 12 quarters, FY2023 Q1 .. FY2025 Q4 (the last one not reported yet).
+// Surprises: 100, 1, 2, 0.1, -1, (no forecast), 0.5, 3, 4, -0.1, 2
+const EPS_RELEASED = [110, 11, 12, 10.1, 9, 10.5, 10.5, 13, 14, 9.9, 12, null];
+const periodOf = (i) => `${2023 + Math.floor(i / 4)} Q${(i % 4) + 1}`;
+
+const table = {};
+// newest first, as the page lists them: the result must still come out oldest first
+for (let i = EPS_RELEASED.length - 1; i >= 0; i--) {
+  table[periodOf(i)] = { EPSINR: metric('EPS', 'INR', EPS_RELEASED[i], i === 5 ? null : 10) };
+}
+// sales and EBIT on a few quarters only
+Object.assign(table['2023 Q1'], {
+  'Net salesMillion INR': metric('Net sales', 'Million INR', 1070, 1000),
+  'EBITMillion INR': metric('EBIT', 'Million INR', 205, 200),
+});
+Object.assign(table['2023 Q2'], {
+  'Net salesMillion INR': metric('Net sales', 'Million INR', 1000, 0, 7), // forecast 0 -> spread%
+  'EBITMillion INR': metric('EBIT', 'Million INR', 180, null, -3), // no forecast -> spread%
+});
+Object.assign(table['2023 Q3'], {
+  'Net salesMillion INR': metric('Net sales', 'Million INR', 1100, null), // nothing to compare
+  'Gross marginMillion INR': metric('Gross margin', 'Million INR', 1, 2), // not a surprise metric
+});
+
+try {
+  const { quarters, latest } = computeEarningsSurprises({ quarterlyResults: table });
+  const eps = (quarter) => quarters.find((q) => q.quarter === quarter).eps;
+
+  console.log('=== Test 1: quarters and surprise % ===');
+  eq(quarters.length, 11, 'unreported quarter skipped');
+  eq(quarters[0].quarter, '2022-Jun', 'oldest first, fiscal Q1 of a March year');
+  eq(quarters[0].period, '2023 Q1', 'MS period kept');
+  eq(quarters[10].quarter, '2024-Dec', 'latest reported');
+  const first = quarters[0].eps;
+  eq(first.surprise, 100, 'released - forecast');
+  eq(first.surprise_pct, 1000, '% of the forecast');
+  eq(first.verdict, 'beat', 'beat');
+  eq(eps('2022-Dec').surprise_pct, 20, '12 vs 10');
+  eq(eps('2023-Mar').verdict, 'in-line', '1% is within IN_LINE_PCT');
+  eq(eps('2023-Jun').verdict, 'miss', '-10% is a miss');
+  eq(quarters[0].ebit.surprise_pct, 2.5, 'EBIT matched by its cleaned name');
+  eq(quarters[0].sales.unit, 'Million INR', 'unit carried');
+  eq(Object.keys(quarters[2]).join(','), 'quarter,period,eps,sales', 'other metrics ignored');
+
+  console.log('=== Test 2: spread% fallback ===');
+  const q2 = quarters[1];
+  eq(q2.sales.surprise_pct, 7, 'forecast 0 -> MS spread%');
+  eq(q2.sales.verdict, 'beat', 'verdict from the spread%');
+  eq(q2.sales.surprise, 1000, 'forecast 0 still gives released - forecast');
+  eq(q2.ebit.surprise_pct, -3, 'missing forecast -> MS spread%');
+  eq(q2.ebit.verdict, 'miss', 'verdict from the spread%');
+  eq(q2.ebit.surprise, null, 'missing forecast -> no absolute surprise');
+  eq(quarters[2].sales.surprise_pct, null, 'no forecast and no spread%');
+  eq(quarters[2].sales.verdict, null, 'no verdict');
+
+  console.log('=== Test 3: streaks ===');
+  const labels = quarters.map((q) => (q.eps.streak ? q.eps.streak.label : '-')).join(' | ');
+  eq(labels, [
+    'beat 1 in a row', 'beat 2 in a row', 'beat 3 in a row', 'in-line 1 in a row', 'miss 1 in a row',
+    '-', // no forecast, no spread%: the streak is broken
+    'beat 1 in a row', 'beat 2 in a row', 'beat 3 in a row', 'in-line 1 in a row', 'beat 1 in a row',
+  ].join(' | '), 'streak labels');
+  eq(eps('2023-Sep').streak, null, 'no verdict -> streak null');
+  eq(quarters[2].sales.streak, null, 'sales streak null on its unscored quarter');
+  eq(quarters[1].sales.streak.length, 2, 'spread% verdicts extend the streak');
+
+  console.log('=== Test 4: standardized surprise ===');
+  const sue = quarters.map((q) => q.eps.standardized);
+  assert(sue.slice(0, 4).every((v) => v === null), 'null until MIN_SUE_HISTORY (4) earlier surprises');
+  eq(sue[4], -0.02, '-1 / stdev(100, 1, 2, 0.1)');
+  eq(sue[5], null, 'no absolute surprise -> null');
+  eq(sue[8], 0.11, 'the quarter without a surprise adds nothing to the history');
+  eq(sue[10], 1.18, '2 / stdev of the last SUE_WINDOW (8): the 100 has dropped out');
+  eq(quarters[1].sales.standardized, null, 'too little sales history');
+
+  console.log('=== Test 5: latest, options and rows ===');
+  eq(latest.eps.quarter, '2024-Dec', 'latest EPS quarter');
+  eq(latest.sales.quarter, '2022-Dec', 'latest sales quarter with a value');
+  eq(latest.ebit.surprise_pct, -3, 'latest EBIT');
+  const wide = computeEarningsSurprises({ quarterlyResults: table }, { inLinePct: 25 });
+  eq(wide.quarters[2].eps.verdict, 'in-line', '20% is in-line with inLinePct 25');
+  eq(computeEarningsSurprises({ quarterlyResults: { error: 'blocked' } }).quarters.length, 0, 'fetch error -> empty');
+  eq(computeEarningsSurprises(null).quarters.length, 0, 'no payload -> empty');
+
+  const rows = addSurpriseToRows([{ Quarter: '2022-Sep' }, { Quarter: '2025-Mar' }], { quarters });
+  eq(rows[0].earnings_surprise.period, '2023 Q2', 'row matched by Quarter');
+  eq(rows[0].earnings_surprise.ebit.surprise_pct, -3, 'metrics attached');
+  eq(rows[1].earnings_surprise, null, 'no such quarter -> null');
+
+  console.log('\nAll tests finished without assertion errors ✅');
+} catch (e) {
+  console.error('\nTEST ERROR:', e.message);
+  process.exit(1);
+}
@@ -0,0 +1,208 @@
+// valuation_eval.js
+// Trailing-twelve-month (TTM) figures and valuation multiples at each result date.
+//
+// Input rows are the pipeline rows (macro_eval output + etrra_info, dateTimeRaw and
+// currentDateClosePrice from past_result_date_eval / past_result_price_eval), oldest first or not.
+//
+// Per row, from the 4 quarters ending at it (null unless all 4 are present and consecutive):
+//   ttm.sales        sum of Sales (crore)
+//   ttm.net_profit   sum of etrra_info 'Net Profit' (crore)
+//   ttm.eps          sum of EPS (macro_eval's series: split-adjusted, smoothed when smooth=true)
+//   ttm.eps_yoy_pct  TTM EPS vs the TTM EPS 4 quarters earlier
+// and at the release-date close:
+//   pe                 price / TTM EPS (null when TTM EPS <= 0)
+//   peg                pe / ttm.eps_yoy_pct (null when growth <= 0)
+//   price_to_sales     market cap / TTM sales
+//   earnings_yield_pct TTM EPS / price * 100
+//   dividend_yield_pct dividends with a date in the year up to the release / price * 100
+//
+// EPS and dividends are on today's share basis, so the close is put on it too (options.actions,
+// common/corporate_actions). Market cap uses the shares in force on the release date from
+// options.shareHistory (common/share_history), else the count implied by the quarter's
+// reported 'Net Profit' / 'EPS in Rs'.
+//
+// Usage:
+//   const { addValuationToRows } = require('./valuation_eval');
+//   addValuationToRows(rows, { actions, shareHistory, dividends: info.pastDividends.dividends });
+//   // sets row.valuation
+
+const { parseReleaseIST } = require('./event_study_eval');
+const { toISTDateKey, shiftDateKey } = require('../common/trading_calendar');
+const { cumulativeFactor } = require('../common/corporate_actions');
+const { sharesAt } = require('../common/share_history');
+
+const CRORE_TO_RS = 1e7;
+const QUARTER_MONTHS = ['Mar', 'Jun', 'Sep', 'Dec'];
+
+// ---------- helpers ----------
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const toNum = (v) => (v === undefined || v === null || v === '' ? null : Number(v));
+const round = (v, digits = 2) => (isNum(v) ? Number(v.toFixed(digits)) : null);
+
+/** "2025-Jun" -> "2025-Mar" (null for anything else) */
+function previousQuarter(label) {
+  const [y, mon] = String(label || '').split('-');
+  const idx = QUARTER_MONTHS.indexOf(mon);
+  if (idx < 0 || !/^\d{4}$/.test(y)) return null;
+  return idx === 0 ? `${Number(y) - 1}-Dec` : `${y}-${QUARTER_MONTHS[idx - 1]}`;
+}
+
+/** The 4 quarter labels ending at `label`, newest first. */
+function ttmQuarters(label) {
+  const out = [label];
+  while (out.length < 4 && out[out.length - 1]) out.push(previousQuarter(out[out.length - 1]));
+  return out.every(Boolean) ? out : null;
+}
+
+/** Sum of `pick(row)` over the 4 quarters ending at `label`; null if any is missing. */
+function sumTTM(byQuarter, label, pick) {
+  const labels = ttmQuarters(label);
+  if (!labels) return null;
+  let sum = 0;
+  for (const q of labels) {
+    const v = byQuarter.has(q) ? pick(byQuarter.get(q)) : null;
+    if (!isNum(v)) return null;
+    sum += v;
+  }
+  return sum;
+}
+
+/** MS dividend entry -> "YYYY-MM-DD" (dateRaw first: dateISO was built in local time). */
+function dividendDateKey(d) {
+  if (/^\d{4}-\d{2}-\d{2}/.test(d?.dateRaw || '')) return d.dateRaw.slice(0, 10);
+  const m = String(d?.dateRaw || '').match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (m) return `${m[3]}-${m[2]}-${m[1]}`;
+  return d?.dateISO ? toISTDateKey(d.dateISO) : null;
+}
+
+/** Dividends per share (today's basis) with a date in (dateKey - 1 year, dateKey]. */
+function trailingDividends(dividends, dateKey, actions, asOf) {
+  const from = shiftDateKey(dateKey, -365);
+  let sum = 0;
+  let count = 0;
+  for (const d of dividends || []) {
+    const key = dividendDateKey(d);
+    if (!key || key <= from || key > dateKey || !isNum(d?.amount)) continue;
+    if (d.currency && d.currency !== 'INR') continue;
+    sum += d.amount / cumulativeFactor(actions, key, asOf);
+    count++;
+  }
+  return { amount: sum, count };
+}
+
+/** Shares in force on dateKey: share history, else reported Net Profit / EPS of the quarter. */
+function sharesInForce(row, dateKey, shareHistory) {
+  const fromHistory = shareHistory ? sharesAt(shareHistory, dateKey) : null;
+  if (isNum(fromHistory) && fromHistory > 0) return { shares: fromHistory, source: 'share-history' };
+
+  const np = toNum(row?.etrra_info?.['Net Profit']);
+  const eps = toNum(row?.etrra_info?.['EPS in Rs']);
+  if (isNum(np) && isNum(eps) && np > 0 && eps > 0) {
+    return { shares: Math.round((np * CRORE_TO_RS) / eps), source: 'implied' };
+  }
+  return { shares: null, source: null };
+}
+
+// ---------- main ----------
+/**
+ * TTM figures and multiples for every row.
+ * @param {Array<Object>} rows - pipeline rows ({ Quarter, Sales, EPS, etrra_info, dateTimeRaw, currentDateClosePrice })
+ * @param {{actions?: Object[], shareHistory?: Object, dividends?: Object[], asOf?: string}} [options]
+ * @returns {Array<Object|null>} one valuation per row, same order (null without a Quarter)
+ */
+function computeValuations(rows, options = {}) {
+  const { actions = [], shareHistory = null, dividends = [], asOf = toISTDateKey(Date.now()) } = options;
+  const byQuarter = new Map((rows || []).filter((r) => r?.Quarter).map((r) => [r.Quarter, r]));
+
+  const ttmEpsOf = (label) => sumTTM(byQuarter, label, (r) => toNum(r.EPS));
+
+  return (rows || []).map((row) => {
+    if (!row?.Quarter) return null;
+
+    const sales = sumTTM(byQuarter, row.Quarter, (r) => toNum(r.Sales));
+    const netProfit = sumTTM(byQuarter, row.Quarter, (r) => toNum(r?.etrra_info?.['Net Profit']));
+    const eps = ttmEpsOf(row.Quarter);
+    const yearAgo = `${Number(row.Quarter.slice(0, 4)) - 1}${row.Quarter.slice(4)}`;
+    const epsYearAgo = ttmEpsOf(yearAgo);
+    const epsYoyPct = isNum(eps) && isNum(epsYearAgo) && epsYearAgo > 0 ? ((eps - epsYearAgo) / epsYearAgo) * 100 : null;
+
+    const ttm = {
+      quarters: ttmQuarters(row.Quarter)?.reverse() || null,
+      sales: round(sales),
+      net_profit: round(netProfit),
+      eps: round(eps),
+      eps_yoy_pct: round(epsYoyPct),
+    };
+
+    const release = parseReleaseIST(row.dateTimeRaw);
+    const rawPrice = toNum(row.currentDateClosePrice);
+    if (!release || !isNum(rawPrice) || rawPrice <= 0) {
+      return { date: release?.dateKey || null, price: null, ttm, pe: null, peg: null, price_to_sales: null, earnings_yield_pct: null, dividend_yield_pct: null };
+    }
+
+    const dateKey = release.dateKey;
+    const price = rawPrice / cumulativeFactor(actions, dateKey, asOf); // today's share basis
+    const pe = isNum(eps) && eps > 0 ? price / eps : null;
+    const peg = isNum(pe) && isNum(epsYoyPct) && epsYoyPct > 0 ? pe / epsYoyPct : null;
+
+    const { shares, source: sharesSource } = sharesInForce(row, dateKey, shareHistory);
+    const marketCapCrore = isNum(shares) ? (rawPrice * shares) / CRORE_TO_RS : null;
+    const priceToSales = isNum(marketCapCrore) && isNum(sales) && sales > 0 ? marketCapCrore / sales : null;
+
+    const div = trailingDividends(dividends, dateKey, actions, asOf);
+
+    return {
+      date: dateKey,
+      price: round(price),
+      ttm,
+      pe: round(pe),
+      peg: round(peg),
+      price_to_sales: round(priceToSales),
+      earnings_yield_pct: isNum(eps) ? round((eps / price) * 100) : null,
+      dividend_yield_pct: round((div.amount / price) * 100),
+      dividends_ttm: { amount: round(div.amount), count: div.count },
+      market_cap_crore: round(marketCapCrore),
+      shares,
+      shares_source: sharesSource,
+    };
+  });
+}
+
+/**
+ * Sets `valuation` on each row (see computeValuations).
+ * @param {Array<Object>} rows - mutated in place
+ * @returns {Array<Object>} rows
+ */
+function addValuationToRows(rows, options = {}) {
+  if (!Array.isArray(rows)) throw new Error('rows must be an array');
+  const valuations = computeValuations(rows, options);
+  rows.forEach((row, i) => {
+    row.valuation = valuations[i];
+  });
+  return rows;
+}
+
+module.exports = {
+  previousQuarter,
+  computeValuations,
+  addValuationToRows,
+};
+
+if (require.main === module) {
+  (async () => {
+    const nseSymbol = String(process.argv[2] || '').trim().toUpperCase();
+    if (!nseSymbol) {
+      console.error('Usage: node evaluator/valuation_eval.js <NSE_SYMBOL>   (reads the stored analyser/performance rows)');
+      process.exit(1);
+    }
+    const { getStorage, closeStorage } = require('../common/storage');
+    const rows = await getStorage().get('analyser/performance', nseSymbol);
+    if (!Array.isArray(rows)) {
+      console.error(`No stored performance rows for ${nseSymbol}`);
+      process.exit(1);
+    }
+    const out = computeValuations(rows, { actions: await require('../common/corporate_actions').getCorporateActions(nseSymbol) });
+    console.log(JSON.stringify(out.map((v, i) => ({ Quarter: rows[i].Quarter, ...v })), null, 2));
+    await closeStorage();
+  })();
+}
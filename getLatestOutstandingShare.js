@@ -1,7 +1,10 @@
 // getLatestOutstandingShare.js
+// Outstanding shares from the MarketScreener valuation page ("Nbr of stocks (in thousands)" row):
+//   getLatestOutstandingShare(code)   -> rightmost value, as an absolute number
+//   getOutstandingShareHistory(code)  -> every fiscal-year column (see common/share_history.js)
 
-const axios = require("axios");
 const cheerio = require("cheerio");
+const { BASE_HOST, fetchHtmlStatic, withMarketScreenerPage } = require("./common/ms_page_fetch");
 
 const USE_PUPPETEER = false;
 
@@ -23,6 +26,30 @@ function pickRightmostNonNull(values) {
   return null;
 }
 
+const FISCAL_MONTHS = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+];
+
+// Fiscal year per column, from the first row of the table holding the "Nbr of stocks" row
+function extractColumnYears($, targetTr) {
+  const headerTr = targetTr.closest("table").find("tr").first();
+  return headerTr
+    .find("th,td")
+    .toArray()
+    .slice(1)
+    .map((el) => {
+      const m = squeeze($(el).text()).match(/\b(19|20)\d{2}\b/);
+      return m ? Number(m[0]) : null;
+    });
+}
+
+function extractFiscalMonth($) {
+  const m = squeeze($("body").text()).match(/Fiscal\s+Period\s*:?\s*([A-Za-z]+)/i);
+  if (!m) return null;
+  return FISCAL_MONTHS.find((x) => x.toLowerCase() === m[1].toLowerCase()) || null;
+}
+
 // extraction
 function extractNbrOfStocksFromHTML(html) {
   const $ = cheerio.load(html);
@@ -37,66 +64,52 @@ function extractNbrOfStocksFromHTML(html) {
     }
   });
 
-  if (!targetTr?.length) return { latestThousands: null };
+  if (!targetTr?.length) return { latestThousands: null, columns: [], fiscalMonth: null };
 
   const cells = targetTr.find("td,th").toArray().slice(1);
   const numsThousands = cells.map((el) => parseNumberLoose(squeeze($(el).text())));
   const pick = pickRightmostNonNull(numsThousands);
 
-  return { latestThousands: pick ? pick.value : null };
+  const years = extractColumnYears($, targetTr);
+  const columns = numsThousands
+    .map((thousands, i) => ({ fiscalYear: years[i] ?? null, thousands }))
+    .filter((c) => c.fiscalYear != null && c.thousands != null);
+
+  return { latestThousands: pick ? pick.value : null, columns, fiscalMonth: extractFiscalMonth($) };
 }
 
 // fetchers
-async function fetchStatic(url) {
-  const client = axios.create({
-    headers: {
-      "User-Agent":
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0 Safari/537.36",
-      Accept: "text/html,application/xhtml+xml",
-      "Accept-Language": "en-IN,en;q=0.9",
-      Referer: url,
-    },
-    timeout: 30000,
-    maxRedirects: 5,
-    validateStatus: (s) => s >= 200 && s < 400,
-  });
-  const { data: html } = await client.get(url);
+async function fetchStatic(url, options = {}) {
+  const html = await fetchHtmlStatic(url, options);
   return extractNbrOfStocksFromHTML(html);
 }
 
-async function fetchDynamic(url) {
-  const puppeteer = require("puppeteer");
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage", "--disable-gpu"],
-  });
-  try {
-    const page = await browser.newPage();
-    await page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0 Safari/537.36"
-    );
-    await page.setExtraHTTPHeaders({ "Accept-Language": "en-IN,en;q=0.9" });
-    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 60000 });
-    const html = await page.content();
-    return extractNbrOfStocksFromHTML(html);
-  } finally {
-    try { await browser.close(); } catch {}
-  }
+// Borrows a page from options.pool (or the shared browser pool) instead of launching Chromium
+async function fetchDynamic(url, options = {}) {
+  const html = await withMarketScreenerPage(url, options);
+  return extractNbrOfStocksFromHTML(html);
 }
 
 /**
  * Always returns absolute outstanding shares (number), or null if not found.
  * @param {string} companyCodeOrPath e.g. "ITC-LIMITED-9743470" or "ITC-LIMITED-9743470/valuation/"
+ * @param {Object} [options]
+ * @param {boolean} [options.usePuppeteer=USE_PUPPETEER]
+ * @param {Object} [options.pool] - browser pool to borrow a page from (see common/browser_pool.js)
+ * @param {number} [options.timeoutMs]
  * @returns {Promise<number|null>}
  */
-async function getLatestOutstandingShare(companyCodeOrPath) {
+async function getLatestOutstandingShare(companyCodeOrPath, options = {}) {
+  const { usePuppeteer = USE_PUPPETEER } = options;
   const suffix = companyCodeOrPath.includes("/valuation")
     ? companyCodeOrPath
     : `${companyCodeOrPath}/valuation/`;
-  const url = `https://in.marketscreener.com/quote/stock/${suffix}`;
+  const url = `${BASE_HOST}${suffix}`;
 
   try {
-    const { latestThousands } = USE_PUPPETEER ? await fetchDynamic(url) : await fetchStatic(url);
+    const { latestThousands } = usePuppeteer
+      ? await fetchDynamic(url, options)
+      : await fetchStatic(url, options);
     return latestThousands != null ? latestThousands * 1000 : null;
   } catch (err) {
     console.error("❌ Failed to fetch outstanding shares:", err?.message || err);
@@ -104,6 +117,34 @@ async function getLatestOutstandingShare(companyCodeOrPath) {
   }
 }
 
+/**
+ * Every "Nbr of stocks" column of the valuation page (fiscal years, estimates included).
+ * @param {string} companyCodeOrPath e.g. "ITC-LIMITED-9743470"
+ * @param {Object} [options] - same as getLatestOutstandingShare
+ * @returns {Promise<{fiscalMonth: string|null, columns: Array<{fiscalYear: number, shares: number}>, latest: number|null}|null>}
+ */
+async function getOutstandingShareHistory(companyCodeOrPath, options = {}) {
+  const { usePuppeteer = USE_PUPPETEER } = options;
+  const suffix = companyCodeOrPath.includes("/valuation")
+    ? companyCodeOrPath
+    : `${companyCodeOrPath}/valuation/`;
+  const url = `${BASE_HOST}${suffix}`;
+
+  try {
+    const { latestThousands, columns, fiscalMonth } = usePuppeteer
+      ? await fetchDynamic(url, options)
+      : await fetchStatic(url, options);
+    return {
+      fiscalMonth,
+      columns: columns.map((c) => ({ fiscalYear: c.fiscalYear, shares: c.thousands * 1000 })),
+      latest: latestThousands != null ? latestThousands * 1000 : null,
+    };
+  } catch (err) {
+    console.error("❌ Failed to fetch outstanding share history:", err?.message || err);
+    return null;
+  }
+}
+
 // ---------- CLI ----------
 if (require.main === module) {
   (async () => {
@@ -114,4 +155,4 @@ if (require.main === module) {
   })();
 }
 
-module.exports = { getLatestOutstandingShare };
+module.exports = { getLatestOutstandingShare, getOutstandingShareHistory, extractNbrOfStocksFromHTML };
@@ -1,5 +1,6 @@
 // getLatestOutstandingShareBulk.js
-// Bulk-fetch latest outstanding shares for all companies in companies_info.json
+// Bulk-fetch latest outstanding shares for all companies in the company registry
+// (common/company_registry.js)
 // and save to companies_outstandingshares.json as { "SYMBOL": number|null, ... }.
 //
 // Usage:
@@ -12,10 +13,10 @@
 const fs = require("fs");
 const path = require("path");
 const { getLatestOutstandingShare } = require("./getLatestOutstandingShare");
+const { loadRegistry } = require("./common/company_registry");
 
 // ---- CONFIG ----
 const DATA_DIR = "D:\\Node Project\\webscrap\\ms-events\\data";
-const COMP_INFO_PATH = path.resolve(DATA_DIR, "companies_info.json");
 const OUTPUT_PATH = path.resolve(DATA_DIR, "companies_outstandingshares.json");
 
 // Defaults; can be overridden by CLI flags
@@ -37,13 +38,6 @@ function parseArgs(argv) {
   return out;
 }
 
-function pickMarketScreenerCode(entryArr) {
-  // companies_info.json format:
-  // [ zerodhaInstrument, marketScreenerCode, bsePath ]
-  // We need the MarketScreener code (2nd element), e.g. "ITC-LIMITED-9743470"
-  return Array.isArray(entryArr) && entryArr.length >= 2 ? entryArr[1] : null;
-}
-
 async function withRetry(fn, retries, label) {
   let lastErr;
   for (let i = 0; i <= retries; i++) {
@@ -91,7 +85,7 @@ async function mapPool(items, limit, worker) {
 
 // ---- CORE ----
 /**
- * Loads companies_info.json, fetches latest outstanding shares for each symbol,
+ * Loads the company registry, fetches latest outstanding shares for each symbol,
  * writes companies_outstandingshares.json, and returns the mapping object.
  *
  * @param {Object} opts
@@ -104,13 +98,11 @@ async function getLatestOutstandingShareBulk(opts = {}) {
     CONCURRENCY = +opts.concurrency;
   }
 
-  // Load companies_info.json
-  const raw = fs.readFileSync(COMP_INFO_PATH, "utf8");
-  const companyMap = JSON.parse(raw);
-
-  // Create list of [symbol, msCode]
-  let entries = Object.entries(companyMap)
-    .map(([symbol, arr]) => [symbol, pickMarketScreenerCode(arr)])
+  // Create list of [symbol, msCode] (e.g. "ITC-LIMITED-9743470")
+  let entries = loadRegistry()
+    .all()
+    .filter((c) => c.listingStatus !== "delisted")
+    .map((c) => [c.nseSymbol, c.marketScreenerCode])
     .filter(([, code]) => !!code);
 
   // Optional filter
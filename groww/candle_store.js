@@ -0,0 +1,334 @@
+// groww/candle_store.js
+// Persistent cache of Groww historical candles (SQLite via better-sqlite3), so evaluators
+// and bulk reruns read prices locally and only fetch what was never fetched before.
+//
+//   candles   one row per (symbol, interval, ts); `date` is the IST trading date
+//   coverage  IST date ranges already fetched per (symbol, interval). A day inside a covered
+//             range with no candle is a market holiday (or a suspension), not a gap, so it is
+//             never refetched. Today is not marked covered until the session is over.
+//
+// Gaps: findGaps() lists NSE trading days (common/trading_calendar) in a range that have no
+// candle, whether never fetched or fetched while Groww had nothing; backfill() refetches them.
+//
+// Usage:
+//   const { getCandleStore } = require("./groww/candle_store");
+//   const candles = getCandleStore();
+//   const rows = await candles.getCandles("HCLTECH", "2024-01-01", "2024-12-31");
+//   const { close, date } = await candles.getCloseOnOrBefore("HCLTECH", "2024-10-14");
+//
+// CLI:
+//   node groww/candle_store.js fetch    <SYMBOL> <FROM> <TO> [--interval=1440]
+//   node groww/candle_store.js gaps     <SYMBOL> <FROM> <TO> [--interval=1440]
+//   node groww/candle_store.js backfill <SYMBOL> <FROM> <TO> [--interval=1440]
+
+const fs = require("fs");
+const path = require("path");
+const { fetchHistoricalData } = require("./stockHistoricalInfo");
+const { toISTDateKey, toISTTime, shiftDateKey, isTradingDay, sessionHours } = require("../common/trading_calendar");
+
+const DEFAULT_DB_FILE = path.resolve(__dirname, "..", "data", "candles.sqlite");
+const DAILY = 1440;
+
+// ---------- date keys ----------
+function assertDateKey(name, v) {
+  if (typeof v !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(v)) {
+    throw new Error(`${name} must be "YYYY-MM-DD"`);
+  }
+  return v;
+}
+
+/** Last IST date whose session is complete (today after its close or with no session, else yesterday). */
+function lastCompleteDateKey(now = Date.now()) {
+  const today = toISTDateKey(now);
+  const hours = sessionHours(today);
+  return !hours || toISTTime(now) >= hours.close ? today : shiftDateKey(today, -1);
+}
+
+/** [{from,to}] runs of consecutive date keys */
+function toRanges(dateKeys) {
+  const out = [];
+  for (const d of [...dateKeys].sort()) {
+    const last = out[out.length - 1];
+    if (last && shiftDateKey(last.to, 1) === d) last.to = d;
+    else out.push({ from: d, to: d });
+  }
+  return out;
+}
+
+// ---------- store ----------
+/**
+ * @param {Object} [options]
+ * @param {string} [options.file=CANDLE_DB || data/candles.sqlite]
+ * @param {Function} [options.fetch=fetchHistoricalData] - (symbol, startStr, endStr, interval) -> { candles }
+ * @param {() => number} [options.now=Date.now]
+ */
+function openCandleStore(options = {}) {
+  const file = path.resolve(options.file || process.env.CANDLE_DB || DEFAULT_DB_FILE);
+  const fetchRange = options.fetch || fetchHistoricalData;
+  const now = options.now || Date.now;
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (err) {
+    throw new Error(`Candle store needs the "better-sqlite3" package: ${err.message}`);
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS candles (
+      symbol   TEXT NOT NULL,
+      interval INTEGER NOT NULL,
+      ts       INTEGER NOT NULL,
+      date     TEXT NOT NULL,
+      open     REAL,
+      high     REAL,
+      low      REAL,
+      close    REAL,
+      volume   REAL,
+      PRIMARY KEY (symbol, interval, ts)
+    );
+    CREATE INDEX IF NOT EXISTS candles_by_date ON candles (symbol, interval, date);
+    CREATE TABLE IF NOT EXISTS coverage (
+      symbol    TEXT NOT NULL,
+      interval  INTEGER NOT NULL,
+      from_date TEXT NOT NULL,
+      to_date   TEXT NOT NULL,
+      PRIMARY KEY (symbol, interval, from_date)
+    );
+  `);
+
+  const stmts = {
+    upsert: db.prepare(`
+      INSERT INTO candles (symbol, interval, ts, date, open, high, low, close, volume)
+      VALUES (@symbol, @interval, @ts, @date, @open, @high, @low, @close, @volume)
+      ON CONFLICT (symbol, interval, ts) DO UPDATE SET
+        open = excluded.open, high = excluded.high, low = excluded.low,
+        close = excluded.close, volume = excluded.volume`),
+    range: db.prepare(`
+      SELECT ts, date, open, high, low, close, volume FROM candles
+      WHERE symbol = ? AND interval = ? AND date BETWEEN ? AND ? ORDER BY ts`),
+    datesIn: db.prepare(`
+      SELECT DISTINCT date FROM candles WHERE symbol = ? AND interval = ? AND date BETWEEN ? AND ?`),
+    closeOnOrBefore: db.prepare(`
+      SELECT date, close FROM candles
+      WHERE symbol = ? AND interval = ? AND date BETWEEN ? AND ? AND close IS NOT NULL
+      ORDER BY ts DESC LIMIT 1`),
+    coverage: db.prepare(`
+      SELECT from_date AS "from", to_date AS "to" FROM coverage
+      WHERE symbol = ? AND interval = ? ORDER BY from_date`),
+    touching: db.prepare(`
+      SELECT from_date AS "from", to_date AS "to" FROM coverage
+      WHERE symbol = ? AND interval = ? AND from_date <= ? AND to_date >= ?`),
+    deleteCoverage: db.prepare("DELETE FROM coverage WHERE symbol = ? AND interval = ? AND from_date = ?"),
+    insertCoverage: db.prepare("INSERT INTO coverage (symbol, interval, from_date, to_date) VALUES (?, ?, ?, ?)"),
+  };
+
+  /** Record [from,to] as fetched, merging with overlapping/adjacent ranges. */
+  const markCovered = db.transaction((symbol, interval, from, to) => {
+    let lo = from;
+    let hi = to;
+    for (const r of stmts.touching.all(symbol, interval, shiftDateKey(to, 1), shiftDateKey(from, -1))) {
+      if (r.from < lo) lo = r.from;
+      if (r.to > hi) hi = r.to;
+      stmts.deleteCoverage.run(symbol, interval, r.from);
+    }
+    stmts.insertCoverage.run(symbol, interval, lo, hi);
+  });
+
+  const saveCandles = db.transaction((symbol, interval, candles) => {
+    let n = 0;
+    for (const c of candles) {
+      if (!Array.isArray(c) || !Number.isFinite(c[0])) continue;
+      stmts.upsert.run({
+        symbol,
+        interval,
+        ts: c[0],
+        date: toISTDateKey(c[0] * 1000),
+        open: c[1] ?? null,
+        high: c[2] ?? null,
+        low: c[3] ?? null,
+        close: c[4] ?? null,
+        volume: c[5] ?? null,
+      });
+      n++;
+    }
+    return n;
+  });
+
+  /** Sub-ranges of [from,to] not yet covered. */
+  function uncovered(symbol, interval, from, to) {
+    const out = [];
+    let cursor = from;
+    for (const r of stmts.coverage.all(symbol, interval)) {
+      if (r.to < cursor) continue;
+      if (r.from > to) break;
+      if (r.from > cursor) out.push({ from: cursor, to: shiftDateKey(r.from, -1) });
+      cursor = shiftDateKey(r.to, 1);
+      if (cursor > to) return out;
+    }
+    if (cursor <= to) out.push({ from: cursor, to });
+    return out;
+  }
+
+  /** Fetch [from,to] from Groww in chunks, store candles and coverage. @returns {number} candles stored */
+  async function fetchAndStore(symbol, interval, from, to) {
+    const chunkDays = interval >= DAILY ? 360 : 7;
+    const complete = lastCompleteDateKey(now());
+    let stored = 0;
+    for (let start = from; start <= to; start = shiftDateKey(start, chunkDays + 1)) {
+      const candidate = shiftDateKey(start, chunkDays);
+      const end = candidate < to ? candidate : to;
+      const data = await fetchRange(symbol, start, `${end} 23:59:59`, interval);
+      stored += saveCandles(symbol, interval, Array.isArray(data?.candles) ? data.candles : []);
+      const coveredTo = end < complete ? end : complete;
+      if (coveredTo >= start) markCovered(symbol, interval, start, coveredTo);
+    }
+    return stored;
+  }
+
+  // One fetch at a time per series, so concurrent evaluators share the result
+  const inflight = new Map();
+  function serialized(key, fn) {
+    const prev = inflight.get(key) || Promise.resolve();
+    const next = prev.catch(() => {}).then(fn);
+    inflight.set(key, next);
+    next.finally(() => {
+      if (inflight.get(key) === next) inflight.delete(key);
+    }).catch(() => {});
+    return next;
+  }
+
+  /**
+   * Make sure [from,to] is stored, fetching only uncovered spans.
+   * @returns {Promise<{fetched: Array<{from: string, to: string}>, stored: number}>}
+   */
+  function ensureRange(symbol, from, to, { interval = DAILY } = {}) {
+    assertDateKey("from", from);
+    assertDateKey("to", to);
+    const today = toISTDateKey(now());
+    const upTo = to < today ? to : today;
+    return serialized(`${symbol}|${interval}`, async () => {
+      const missing = from <= upTo ? uncovered(symbol, interval, from, upTo) : [];
+      let stored = 0;
+      for (const r of missing) stored += await fetchAndStore(symbol, interval, r.from, r.to);
+      return { fetched: missing, stored };
+    });
+  }
+
+  /**
+   * Candles with IST date in [from,to], fetched first where needed.
+   * @returns {Promise<Array<{ts: number, date: string, open: number, high: number, low: number, close: number, volume: number}>>}
+   */
+  async function getCandles(symbol, from, to, opts = {}) {
+    const interval = opts.interval || DAILY;
+    await ensureRange(symbol, from, to, { interval });
+    return stmts.range.all(symbol, interval, from, to);
+  }
+
+  /**
+   * Daily close on `dateKey`, or the latest one up to `maxBackDays` earlier.
+   * @returns {Promise<{close: number|null, date: string|null}>}
+   */
+  async function getCloseOnOrBefore(symbol, dateKey, maxBackDays = 7) {
+    const from = shiftDateKey(assertDateKey("dateKey", dateKey), -maxBackDays);
+    await ensureRange(symbol, from, dateKey);
+    const row = stmts.closeOnOrBefore.get(symbol, DAILY, from, dateKey);
+    return row ? { close: row.close, date: row.date } : { close: null, date: null };
+  }
+
+  /**
+   * NSE trading days in [from,to] (up to the last complete session) with no stored candle.
+   * @returns {{missing: string[], ranges: Array<{from: string, to: string}>, uncovered: Array<{from: string, to: string}>}}
+   */
+  function findGaps(symbol, from, to, { interval = DAILY } = {}) {
+    assertDateKey("from", from);
+    assertDateKey("to", to);
+    const complete = lastCompleteDateKey(now());
+    const upTo = to < complete ? to : complete;
+    const have = new Set(stmts.datesIn.all(symbol, interval, from, upTo).map((r) => r.date));
+    const missing = [];
+    for (let d = from; d <= upTo; d = shiftDateKey(d, 1)) {
+      if (!have.has(d) && isTradingDay(d)) missing.push(d);
+    }
+    return {
+      missing,
+      ranges: toRanges(missing),
+      uncovered: from <= upTo ? uncovered(symbol, interval, from, upTo) : [],
+    };
+  }
+
+  /**
+   * Refetch the trading days findGaps() reports, even inside covered ranges.
+   * @returns {Promise<{requested: number, stored: number, stillMissing: string[]}>}
+   */
+  function backfill(symbol, from, to, { interval = DAILY } = {}) {
+    const { missing, ranges } = findGaps(symbol, from, to, { interval });
+    return serialized(`${symbol}|${interval}`, async () => {
+      let stored = 0;
+      for (const r of ranges) stored += await fetchAndStore(symbol, interval, r.from, r.to);
+      const after = findGaps(symbol, from, to, { interval }).missing;
+      return { requested: missing.length, stored, stillMissing: after };
+    });
+  }
+
+  return {
+    file,
+    db,
+    ensureRange,
+    getCandles,
+    getCloseOnOrBefore,
+    findGaps,
+    backfill,
+    coverage: (symbol, { interval = DAILY } = {}) => stmts.coverage.all(symbol, interval),
+    close: () => {
+      if (db.open) db.close();
+    },
+  };
+}
+
+let shared = null;
+
+/** Process-wide store on CANDLE_DB / data/candles.sqlite, shared by all evaluators. */
+function getCandleStore() {
+  if (!shared) shared = openCandleStore();
+  return shared;
+}
+
+module.exports = {
+  DEFAULT_DB_FILE,
+  DAILY,
+  openCandleStore,
+  getCandleStore,
+};
+
+if (require.main === module) {
+  const args = require("minimist")(process.argv.slice(2));
+  const [cmd, symbol, from, to] = args._.map(String);
+  const interval = Number(args.interval) || DAILY;
+  if (!["fetch", "gaps", "backfill"].includes(cmd) || !symbol || !from || !to) {
+    console.error("Usage: node groww/candle_store.js fetch|gaps|backfill <SYMBOL> <FROM> <TO> [--interval=1440]");
+    process.exit(1);
+  }
+  (async () => {
+    const store = getCandleStore();
+    try {
+      if (cmd === "fetch") {
+        const { fetched, stored } = await store.ensureRange(symbol, from, to, { interval });
+        console.log(`✅ ${symbol}: ${stored} candle(s) stored from ${fetched.length} uncovered range(s)`);
+      } else if (cmd === "gaps") {
+        console.log(JSON.stringify(store.findGaps(symbol, from, to, { interval }), null, 2));
+      } else {
+        const r = await store.backfill(symbol, from, to, { interval });
+        console.log(`✅ ${symbol}: ${r.requested} missing day(s) refetched, ${r.stored} candle(s) stored`);
+        if (r.stillMissing.length) console.log(`⚠️ Still missing: ${r.stillMissing.join(", ")}`);
+      }
+    } catch (err) {
+      console.error("Error:", err?.message || err);
+      process.exitCode = 2;
+    } finally {
+      store.close();
+    }
+  })();
+}
@@ -1,4 +1,4 @@
-const https = require("https");
+const http = require("../common/http_client");
 
 // ---------- Utilities ----------
 function assertString(name, v) {
@@ -16,27 +16,9 @@ function assertInt(name, v) {
 }
 
 function fetchJSON(url) {
-  return new Promise((resolve, reject) => {
-    https
-      .get(
-        url,
-        { headers: { Accept: "application/json", "User-Agent": "node" } },
-        (res) => {
-          let data = "";
-          res.on("data", (chunk) => (data += chunk));
-          res.on("end", () => {
-            if (res.statusCode < 200 || res.statusCode >= 300) {
-              return reject(new Error(`HTTP ${res.statusCode}: ${data?.slice(0, 200)}`));
-            }
-            try {
-              resolve(JSON.parse(data));
-            } catch (e) {
-              reject(new Error("Failed to parse JSON: " + e.message));
-            }
-          });
-        }
-      )
-      .on("error", reject);
+  return http.getJSON(url, {
+    headers: { Accept: "application/json", "User-Agent": "node" },
+    isOk: (res) => res.status >= 200 && res.status < 300,
   });
 }
 
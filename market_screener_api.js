@@ -1,14 +1,26 @@
-const path = require("path");
-const fs = require("fs");
-
-const { getAnnualResults } = require("./annual_results.js");
-const { getQuarterlyResults } = require("./quarterly_results.js");
-const { getUpcomingEvents } = require("./upcoming_events.js");
-const { getPastEvents } = require("./past_events.js");
-const { getPastDividends } = require("./past_dividends.js");
+const { emitToSinks, jsonFileSink } = require("./common/output_sinks");
+const { closeSharedBrowserPool } = require("./common/browser_pool");
+const { fetchSharedPage } = require("./common/ms_shared_page");
+
+const { getAnnualResults, interactAnnualResults } = require("./annual_results.js");
+const { getQuarterlyResults, interactQuarterlyResults } = require("./quarterly_results.js");
+const { getUpcomingEvents, interactUpcomingEvents } = require("./upcoming_events.js");
+const { getPastEvents, interactPastEvents } = require("./past_events.js");
+const { getPastDividends, interactPastDividends } = require("./past_dividends.js");
+
+// Which page each section lives on; sections sharing a page are fetched together
+const SECTIONS = [
+  { key: "annualResults", flag: "includeAnnual", page: "calendar", get: getAnnualResults, interact: interactAnnualResults, label: "annual results" },
+  { key: "quarterlyResults", flag: "includeQuarterly", page: "calendar", get: getQuarterlyResults, interact: interactQuarterlyResults, label: "quarterly results" },
+  { key: "upcomingEvents", flag: "includeUpcomingEvents", page: "calendar", get: getUpcomingEvents, interact: interactUpcomingEvents, label: "upcoming events" },
+  { key: "pastEvents", flag: "includePastEvents", page: "calendar", get: getPastEvents, interact: interactPastEvents, label: "past events" },
+  { key: "pastDividends", flag: "includePastDividends", page: "calendar", get: getPastDividends, interact: interactPastDividends, label: "past dividends" },
+];
 
 /**
  * all MarketScreener endpoints.
+ * Each distinct page (today only /calendar/) is fetched once and its parsed DOM
+ * is handed to every requested section extractor.
  *
  * @param {string} companyCode - e.g., "ITC-LIMITED-9743470"
  * @param {Object} [options] - Configuration
@@ -17,6 +29,12 @@ const { getPastDividends } = require("./past_dividends.js");
  * @param {boolean} [options.includeUpcomingEvents=true]
  * @param {boolean} [options.includePastEvents=false]
  * @param {boolean} [options.includePastDividends=false]
+ * @param {boolean} [options.usePuppeteer=true] - false falls back to Axios+Cheerio (no JS)
+ * @param {Object} [options.pool] - browser pool shared by every section (default: process-wide pool)
+ * @param {import("puppeteer").Browser} [options.browser] - reuse an open browser across sections (left open)
+ * @param {number} [options.timeoutMs] - navigation/request timeout per section
+ * @param {Array<Function>} [options.sinks] - sinks for the aggregated payload (see common/output_sinks.js)
+ * @param {{mode?: string, dir?: string}} [options.fixtures] - record/replay raw HTML (see common/fixture_store.js)
  * @returns {Object} Aggregated results
  */
 async function getAllMarketScreenerData(companyCode, options = {}) {
@@ -26,53 +44,53 @@ async function getAllMarketScreenerData(companyCode, options = {}) {
     includeUpcomingEvents = true,
     includePastEvents = false,
     includePastDividends = false,
+    usePuppeteer,
+    pool,
+    browser,
+    timeoutMs,
+    sinks,
+    fixtures,
   } = options;
+  // Section sinks are deliberately not forwarded: only the aggregate is emitted
+  const scrapeOpts = { usePuppeteer, pool, browser, timeoutMs, fixtures };
+  const flags = { includeAnnual, includeQuarterly, includeUpcomingEvents, includePastEvents, includePastDividends };
 
   const results = {
     companyCode,
     timestamp: new Date().toISOString(),
   };
 
-  if (includeAnnual) {
-    try {
-      results.annualResults = await getAnnualResults(companyCode);
-    } catch (err) {
-      results.annualResults = { error: err.message || "Failed to fetch annual results" };
-    }
-  }
-
-  if (includeQuarterly) {
-    try {
-      results.quarterlyResults = await getQuarterlyResults(companyCode);
-    } catch (err) {
-      results.quarterlyResults = { error: err.message || "Failed to fetch quarterly results" };
-    }
-  }
+  const wanted = SECTIONS.filter((sec) => flags[sec.flag]);
 
-  if (includeUpcomingEvents) {
+  // Load each distinct page once, running every wanted section's interaction on the same tab
+  const pages = {};
+  for (const kind of new Set(wanted.map((sec) => sec.page))) {
+    const interactions = wanted.filter((sec) => sec.page === kind).map((sec) => sec.interact);
     try {
-      results.upcomingEvents = await getUpcomingEvents(companyCode);
+      pages[kind] = await fetchSharedPage(companyCode, kind, scrapeOpts, interactions);
     } catch (err) {
-      results.upcomingEvents = { error: err.message || "Failed to fetch upcoming events" };
+      console.error(`❌ Failed to load ${kind} page for ${companyCode}:`, err?.message || err);
+      pages[kind] = { error: err?.message || `Failed to load ${kind} page` };
     }
   }
 
-  if (includePastEvents) {
-    try {
-      results.pastEvents = await getPastEvents(companyCode);
-    } catch (err) {
-      results.pastEvents = { error: err.message || "Failed to fetch past events" };
+  for (const sec of wanted) {
+    const page = pages[sec.page];
+    if (page?.error) {
+      results[sec.key] = { error: page.error };
+      continue;
     }
-  }
-
-  if (includePastDividends) {
     try {
-      results.pastDividends = await getPastDividends(companyCode);
+      // no shared page (replaying per-section fixtures): the section loads its own
+      const opts = page ? { ...scrapeOpts, prefetched: page } : scrapeOpts;
+      // every get* catches its own errors and returns null
+      results[sec.key] = (await sec.get(companyCode, opts)) ?? { error: `Failed to fetch ${sec.label}` };
     } catch (err) {
-      results.pastDividends = { error: err.message || "Failed to fetch past dividends" };
+      results[sec.key] = { error: err.message || `Failed to fetch ${sec.label}` };
     }
   }
 
+  await emitToSinks(sinks, results, { companyCode, section: "all" });
   return results;
 }
 
@@ -90,21 +108,24 @@ module.exports = {
 
 
 
-(async () => {
-  const companyCode = "TITAN-COMPANY-LIMITED-46728594";
-  const data = await getAllMarketScreenerData(companyCode, {
-    includeAnnual: true,
-    includeQuarterly: true,
-    includeUpcoming: true,
-    includePastEvents: true,
-    includePastDividends: true,
-  });
+// ---------- CLI ----------
+// node market_screener_api.js <COMPANY_CODE> [--json=out.json] [--static]
+if (require.main === module) {
+  (async () => {
+    const args = require("minimist")(process.argv.slice(2));
+    const companyCode = args._[0] || "TITAN-COMPANY-LIMITED-46728594";
+    const data = await getAllMarketScreenerData(companyCode, {
+      includeAnnual: true,
+      includeQuarterly: true,
+      includeUpcomingEvents: true,
+      includePastEvents: true,
+      includePastDividends: true,
+      usePuppeteer: !args.static,
+      sinks: args.json ? [jsonFileSink(String(args.json))] : [],
+    });
+    await closeSharedBrowserPool();
 
-  // Print to console
-  console.log(JSON.stringify(data, null, 2));
-
-  // Save to JSON file
-  const outPath = path.resolve(__dirname + "/data/info_dev/", companyCode + ".json");
-  fs.writeFileSync(outPath, JSON.stringify(data, null, 2), "utf8");
-  console.error(`✅ Saved to ${outPath}`);
-})();
\ No newline at end of file
+    // Print to console
+    console.log(JSON.stringify(data, null, 2));
+  })();
+}
@@ -0,0 +1,140 @@
+// market_screener_regression.js
+// Regression harness for getAllMarketScreenerData against saved MarketScreener pages.
+//
+// Usage:
+//   node market_screener_regression.js record ITC-LIMITED-9743470 [MORE_CODES...]
+//       -> fetches live pages, saves raw HTML fixtures + expected.json per company
+//   node market_screener_regression.js check [CODES...]
+//       -> replays saved HTML (no network) and diffs against expected.json
+//   node market_screener_regression.js update [CODES...]
+//       -> replays saved HTML and overwrites expected.json (after an intended parser change)
+//
+// Options:
+//   --dir=<path>   fixture root (default ./data/fixtures/marketscreener or MS_FIXTURE_DIR)
+//
+// Exit code: 0 when every company matches, 1 on any mismatch/missing fixture, 2 on usage errors.
+
+const fs = require("fs");
+const path = require("path");
+
+const { getAllMarketScreenerData } = require("./market_screener_api.js");
+const { resolveFixtureConfig, listFixtureCompanies } = require("./common/fixture_store");
+const { stripVolatile, diffJson } = require("./common/snapshot_diff");
+
+const FETCH_OPTIONS = {
+  includeAnnual: true,
+  includeQuarterly: true,
+  includeUpcomingEvents: true,
+  includePastEvents: true,
+  includePastDividends: true,
+};
+
+// ---------- utils ----------
+function parseArgs(argv) {
+  const out = { _: [] };
+  for (const a of argv.slice(2)) {
+    const m = a.match(/^--([^=]+)=(.+)$/);
+    if (m) out[m[1]] = m[2];
+    else out._.push(a);
+  }
+  return out;
+}
+
+function expectedPath(dir, companyCode) {
+  return path.join(dir, companyCode, "expected.json");
+}
+
+// ---------- commands ----------
+async function record(codes, dir) {
+  for (const companyCode of codes) {
+    const data = await getAllMarketScreenerData(companyCode, {
+      ...FETCH_OPTIONS,
+      fixtures: { mode: "record", dir },
+    });
+    const outPath = expectedPath(dir, companyCode);
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, JSON.stringify(stripVolatile(data), null, 2), "utf8");
+    console.error(`✅ Recorded ${companyCode} -> ${path.dirname(outPath)}`);
+  }
+  return true;
+}
+
+async function replay(codes, dir, { update = false } = {}) {
+  let allOk = true;
+  for (const companyCode of codes) {
+    const expPath = expectedPath(dir, companyCode);
+    const data = await getAllMarketScreenerData(companyCode, {
+      ...FETCH_OPTIONS,
+      fixtures: { mode: "replay", dir },
+    });
+    const actual = stripVolatile(data);
+
+    if (update) {
+      fs.writeFileSync(expPath, JSON.stringify(actual, null, 2), "utf8");
+      console.error(`✅ Updated ${expPath}`);
+      continue;
+    }
+
+    if (!fs.existsSync(expPath)) {
+      console.error(`❌ ${companyCode}: no expected.json (run "record" first)`);
+      allOk = false;
+      continue;
+    }
+
+    const expected = JSON.parse(fs.readFileSync(expPath, "utf8"));
+    const diffs = diffJson(expected, actual);
+    if (diffs.length === 0) {
+      console.error(`✅ ${companyCode}: matches`);
+    } else {
+      allOk = false;
+      console.error(`❌ ${companyCode}: ${diffs.length} difference(s)`);
+      diffs.forEach((d) => console.error(`   ${d}`));
+    }
+  }
+  return allOk;
+}
+
+// ---------- CLI ----------
+if (require.main === module) {
+  (async () => {
+    const args = parseArgs(process.argv);
+    const [command, ...codes] = args._;
+    const { dir } = resolveFixtureConfig({ dir: args.dir });
+
+    if (!["record", "check", "update"].includes(command)) {
+      const script = path.basename(process.argv[1]);
+      console.error(
+        `Usage: node ${script} record <COMPANY_CODE...> [--dir=path]\n` +
+        `       node ${script} check [COMPANY_CODE...] [--dir=path]\n` +
+        `       node ${script} update [COMPANY_CODE...] [--dir=path]`
+      );
+      process.exit(2);
+    }
+
+    if (command === "record" && codes.length === 0) {
+      console.error("❌ record needs at least one company code");
+      process.exit(2);
+    }
+
+    const targets = codes.length ? codes : listFixtureCompanies({ dir });
+    if (targets.length === 0) {
+      console.error(`❌ No fixtures found under ${dir}`);
+      process.exit(1);
+    }
+
+    try {
+      const ok = command === "record"
+        ? await record(targets, dir)
+        : await replay(targets, dir, { update: command === "update" });
+      process.exit(ok ? 0 : 1);
+    } catch (err) {
+      console.error("❌ Regression run failed:", err?.message || err);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  stripVolatile,
+  diffJson,
+};
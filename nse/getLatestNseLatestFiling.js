@@ -2,6 +2,7 @@
 const fs = require("fs");
 const path = require("path");
 const puppeteer = require("puppeteer");
+const http = require("../common/http_client");
 
 const NSE_URL =
   "https://www.nseindia.com/companies-listing/corporate-integrated-filing?integratedType=integratedfilingfinancials";
@@ -142,7 +143,7 @@ async function getLatestNseLatestFiling(options = {}) {
     );
 
     console.log("[nse_api] Navigating to:", NSE_URL);
-    await page.goto(NSE_URL, { waitUntil: "networkidle2", timeout: STARTUP_NAV_TIMEOUT_MS });
+    await http.navigate(page, NSE_URL, { waitUntil: "networkidle2", timeout: STARTUP_NAV_TIMEOUT_MS });
 
     const allRows = await scrapeRows(page);
     if (!allRows || allRows.length === 0) {
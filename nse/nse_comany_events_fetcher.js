@@ -16,17 +16,22 @@
  *   node nse_comany_events_fetcher.js BANKINDIA --csv out.csv
  *   node nse_comany_events_fetcher.js BANKINDIA --save-attachments ./attachments
  *   node nse_comany_events_fetcher.js BANKINDIA --show --debug
+ *
+ * Library:
+ *   const { fetchCorpInfo } = require("./nse/nse_comany_events_fetcher");
+ *   const rows = await fetchCorpInfo("BANKINDIA", { corpType: "corpactions" }); // raw API rows
  */
 
 const fs = require("fs");
 const path = require("path");
 const puppeteer = require("puppeteer");
 const https = require("https");
+const http = require("../common/http_client");
 
 const NSE_HOME = "https://www.nseindia.com/";
 const GET_QUOTES_TPL = "https://www.nseindia.com/get-quotes/equity?symbol={SYMBOL}";
 const CORP_INFO_TPL =
-  "https://www.nseindia.com/api/corp-info?symbol={SYMBOL}&corpType=eventcalender&market={MARKET}&series={SERIES}";
+  "https://www.nseindia.com/api/corp-info?symbol={SYMBOL}&corpType={CORP_TYPE}&market={MARKET}&series={SERIES}";
 
 // Mobile UA (matches what NSE often serves on quotes page; plays nice with Akamai)
 const MOBILE_UA =
@@ -102,6 +107,19 @@ function objectsToCSV(rows) {
 
 /** Browser-context fetch so cookies, referer and CORS are correct. */
 async function fetchFromBrowser(page, url, referer, tries = 6) {
+  await http.acquire(url, { waitForCircuit: true });
+  try {
+    const body = await evaluateFetch(page, url, referer, tries);
+    http.report(url, { status: 200 });
+    return body;
+  } catch (e) {
+    const status = Number((String(e?.message).match(/^HTTP (\d{3})/) || [])[1]) || null;
+    http.report(url, { status, blocked: status === 403 || status === 429, error: e?.message || String(e) });
+    throw e;
+  }
+}
+
+async function evaluateFetch(page, url, referer, tries) {
   return page.evaluate(
     async ({ url, referer, tries }) => {
       const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
@@ -155,9 +173,14 @@ async function downloadFile(url, outPath) {
   });
 }
 
-async function run(symbol, { since, until, jsonOut, csvOut, headful, debug, market, series, saveAttachments }) {
-  const sinceISO = since || "2005-01-01";
-  const untilISO = until || new Date().toISOString().slice(0, 10);
+/**
+ * Open NSE in a browser (cookies + quote-page referer) and GET one corp-info table.
+ * @param {string} symbol
+ * @param {{corpType?: string, market?: string, series?: string, headful?: boolean, debug?: boolean}} [opts]
+ *        corpType: "eventcalender" (board meetings, default) | "corpactions" (splits, bonus, dividends...)
+ * @returns {Promise<Object[]>} rows exactly as the API returns them
+ */
+async function fetchCorpInfo(symbol, { corpType = "eventcalender", market, series, headful, debug } = {}) {
   const MARKET = (market || "equities").trim();
   const SERIES = (series || "EQ").trim();
 
@@ -188,15 +211,16 @@ async function run(symbol, { since, until, jsonOut, csvOut, headful, debug, mark
     }
 
     // Warm cookies
-    await page.goto(NSE_HOME, { waitUntil: "domcontentloaded", timeout: 60_000 });
+    await http.navigate(page, NSE_HOME, { waitUntil: "domcontentloaded", timeout: 60_000 }, { waitForCircuit: true });
     await sleep(600);
 
     const referer = GET_QUOTES_TPL.replace("{SYMBOL}", encodeURIComponent(symbol));
-    await page.goto(referer, { waitUntil: "domcontentloaded", timeout: 90_000 });
+    await http.navigate(page, referer, { waitUntil: "domcontentloaded", timeout: 90_000 }, { waitForCircuit: true });
     await sleep(1200);
 
     const apiUrl = CORP_INFO_TPL
       .replace("{SYMBOL}", encodeURIComponent(symbol))
+      .replace("{CORP_TYPE}", encodeURIComponent(corpType))
       .replace("{MARKET}", encodeURIComponent(MARKET))
       .replace("{SERIES}", encodeURIComponent(SERIES));
 
@@ -204,82 +228,93 @@ async function run(symbol, { since, until, jsonOut, csvOut, headful, debug, mark
 
     const body = await fetchFromBrowser(page, apiUrl, referer, 8);
     const arr = Array.isArray(body?.data) ? body.data : Array.isArray(body) ? body : [];
-    if (debug) console.log(`[debug] rows from corp-info: ${arr.length}`);
+    if (debug) console.log(`[debug] rows from corp-info (${corpType}): ${arr.length}`);
+    return arr;
+  } finally {
+    await browser.close();
+  }
+}
 
-    const wantSymbol = symbol.toUpperCase();
+async function run(symbol, { since, until, jsonOut, csvOut, headful, debug, market, series, saveAttachments }) {
+  const sinceISO = since || "2005-01-01";
+  const untilISO = until || new Date().toISOString().slice(0, 10);
 
-    // Keep ALL fields, add normalized ones, then date-range filter
-    const enriched = arr
-      .filter((it) => {
-        // accept all rows for this endpoint; optional tighten by symbol
-        const sym = (it?.bm_symbol || it?.symbol || "").toUpperCase();
-        return !sym || sym === wantSymbol;
-      })
-      .map((it) => {
-        const dateIso = toISOFromNSE(it.bm_date || "");
-        const tsIso = toISODateTime(it.bm_timestamp_full || "");
-        const symbol_norm = (it.bm_symbol || it.symbol || wantSymbol).toUpperCase();
-        return {
-          ...it,                // <- keep original API fields intact
-          symbol_norm,          // normalized symbol
-          date_iso: dateIso,    // normalized meeting date
-          ts_iso: tsIso,        // normalized timestamp
-        };
-      })
-      // Range on the normalized date (fallback to bm_dt if present)
-      .filter((r) => {
-        const iso = r.date_iso || (r.bm_dt ? String(r.bm_dt).slice(0, 10) : null);
-        return withinRange(iso, sinceISO, untilISO);
-      })
-      .sort((a, b) => {
-        const da = a.date_iso || (a.bm_dt ? String(a.bm_dt).slice(0, 10) : "");
-        const db = b.date_iso || (b.bm_dt ? String(b.bm_dt).slice(0, 10) : "");
-        return da < db ? -1 : da > db ? 1 : 0;
-      });
+  const arr = await fetchCorpInfo(symbol, { corpType: "eventcalender", market, series, headful, debug });
+  const wantSymbol = symbol.toUpperCase();
 
-    if (debug) console.log(`[debug] matched after filter: ${enriched.length}`);
-
-    // Save attachments if requested
-    if (saveAttachments) {
-      const dir = path.resolve(String(saveAttachments));
-      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-      let saved = 0;
-      for (const it of enriched) {
-        const url = it.bm_attachment || it.attachment || null;
-        if (!url) continue;
-        const name =
-          path.basename(url.split("?")[0]) ||
-          `${it.bm_symbol || it.symbol || wantSymbol}_${it.bm_an_seq_id || Date.now()}.pdf`;
-        const out = path.join(dir, name);
-        try {
-          await downloadFile(url, out);
-          saved++;
-          if (debug) console.log(`[debug] saved: ${out}`);
-        } catch (e) {
-          if (debug) console.log(`[debug] failed: ${url} → ${e.message}`);
-        }
+  // Keep ALL fields, add normalized ones, then date-range filter
+  const enriched = arr
+    .filter((it) => {
+      // accept all rows for this endpoint; optional tighten by symbol
+      const sym = (it?.bm_symbol || it?.symbol || "").toUpperCase();
+      return !sym || sym === wantSymbol;
+    })
+    .map((it) => {
+      const dateIso = toISOFromNSE(it.bm_date || "");
+      const tsIso = toISODateTime(it.bm_timestamp_full || "");
+      const symbol_norm = (it.bm_symbol || it.symbol || wantSymbol).toUpperCase();
+      return {
+        ...it,                // <- keep original API fields intact
+        symbol_norm,          // normalized symbol
+        date_iso: dateIso,    // normalized meeting date
+        ts_iso: tsIso,        // normalized timestamp
+      };
+    })
+    // Range on the normalized date (fallback to bm_dt if present)
+    .filter((r) => {
+      const iso = r.date_iso || (r.bm_dt ? String(r.bm_dt).slice(0, 10) : null);
+      return withinRange(iso, sinceISO, untilISO);
+    })
+    .sort((a, b) => {
+      const da = a.date_iso || (a.bm_dt ? String(a.bm_dt).slice(0, 10) : "");
+      const db = b.date_iso || (b.bm_dt ? String(b.bm_dt).slice(0, 10) : "");
+      return da < db ? -1 : da > db ? 1 : 0;
+    });
+
+  if (debug) console.log(`[debug] matched after filter: ${enriched.length}`);
+
+  // Save attachments if requested
+  if (saveAttachments) {
+    const dir = path.resolve(String(saveAttachments));
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    let saved = 0;
+    for (const it of enriched) {
+      const url = it.bm_attachment || it.attachment || null;
+      if (!url) continue;
+      const name =
+        path.basename(url.split("?")[0]) ||
+        `${it.bm_symbol || it.symbol || wantSymbol}_${it.bm_an_seq_id || Date.now()}.pdf`;
+      const out = path.join(dir, name);
+      try {
+        await downloadFile(url, out);
+        saved++;
+        if (debug) console.log(`[debug] saved: ${out}`);
+      } catch (e) {
+        if (debug) console.log(`[debug] failed: ${url} → ${e.message}`);
       }
-      if (saved) console.log(`Downloaded attachments: ${saved}`);
     }
+    if (saved) console.log(`Downloaded attachments: ${saved}`);
+  }
 
-    if (jsonOut) {
-      fs.writeFileSync(jsonOut, JSON.stringify({ symbol: wantSymbol, count: enriched.length, items: enriched }, null, 2), "utf8");
-      console.log(`Wrote JSON: ${jsonOut} (${enriched.length} rows)`);
-    }
-    if (csvOut) {
-      fs.writeFileSync(csvOut, objectsToCSV(enriched), "utf8");
-      console.log(`Wrote CSV:  ${csvOut} (${enriched.length} rows)`);
-    }
+  if (jsonOut) {
+    fs.writeFileSync(jsonOut, JSON.stringify({ symbol: wantSymbol, count: enriched.length, items: enriched }, null, 2), "utf8");
+    console.log(`Wrote JSON: ${jsonOut} (${enriched.length} rows)`);
+  }
+  if (csvOut) {
+    fs.writeFileSync(csvOut, objectsToCSV(enriched), "utf8");
+    console.log(`Wrote CSV:  ${csvOut} (${enriched.length} rows)`);
+  }
 
-    if (!jsonOut && !csvOut) {
-      console.log(JSON.stringify({ symbol: wantSymbol, count: enriched.length, items: enriched }, null, 2));
-    }
-  } finally {
-    await browser.close();
+  if (!jsonOut && !csvOut) {
+    console.log(JSON.stringify({ symbol: wantSymbol, count: enriched.length, items: enriched }, null, 2));
   }
 }
 
-(async function main() {
+module.exports = {
+  fetchCorpInfo,
+};
+
+if (require.main === module) (async function main() {
   try {
     const args = parseArgs(process.argv);
     const symbol = (args._[0] || "").trim();
@@ -1,25 +1,49 @@
 // observer.js
-// Polls MarketScreener endpoints per companyCode every minute and saves snapshots.
-// Output path (project-relative): ./data/observer/<COMPANY_CODE>/<TIMESTAMP>_<COMPANY_CODE>.json
+// Polls MarketScreener endpoints per companyCode and saves a snapshot only when the
+// content changed (volatile fields like `timestamp` ignored).
+//
+// Watchlist:
+//   node observer.js                   -> companies with a scheduled earnings release in the stored
+//                                         crawler payloads ("info" collection, analyser's extractor):
+//                                         polled every minute around the release, every 30 min
+//                                         otherwise, dropped once the actual numbers show up in
+//                                         quarterlyResults
+//   node observer.js --info-dir=path   -> same, reading another crawler output folder (fs)
+//   node observer.js A B  |  "A,B"     -> fixed list, every company polled every minute
+//
+// Output goes through common/storage, collection "observer/<COMPANY_CODE>"; with the fs backend:
+//   ./data/observer/<COMPANY_CODE>/<TIMESTAMP>_<COMPANY_CODE>.json       full snapshot
+//   ./data/observer/<COMPANY_CODE>/<TIMESTAMP>_<COMPANY_CODE>.diff.json  changes vs the previous snapshot
+//
+// Subscribers:
+//   const { events } = require("./observer");
+//   events.on("change", (c) => console.log(c.companyCode, c.message));   // every change
+//   events.on("upcoming_event_moved", (c) => ...);                       // one change type
+//   events.on("snapshot", ({ companyCode, file, changes }) => ...);      // every saved snapshot
 
-const fs = require("fs");
 const path = require("path");
+const { EventEmitter } = require("events");
 
 // import your existing functions
 const {
   getAllMarketScreenerData,
 } = require("./market_screener_api.js");
+const minimist = require("minimist");
+const { sameContent, stripVolatile, diffJson, describeChanges } = require("./common/snapshot_diff");
+const { createEarningsWatchlist } = require("./common/earnings_watchlist");
+const { getStorage, createFsStorage } = require("./common/storage");
 
 // ====== CONFIG ======
-// 1) Where to save (project-relative, not absolute)
-const BASE_DIR = path.resolve(__dirname, "data", "observer");
+// 1) Where to save: storage collection prefix (fs backend: ./data/observer/)
+const SNAPSHOT_COLLECTION = "observer";
 
-// 2) Default company list if none passed via CLI
-//    Example: ["ITC-LIMITED-9743470", "IDFC-FIRST-BANK-LIMITED-46731334"]
-const DEFAULT_COMPANIES = ["BANK-OF-MAHARASHTRA-9059511","ICICI-LOMBARD-GENERAL-INS-46731374","ICICI-PRUDENTIAL-LIFE-INS-32000303","PERSISTENT-SYSTEMS-LIMITE-9059922","TECH-MAHINDRA-LIMITED-33647041"];
+// 2) Where the watchlist comes from when no companies are passed via CLI (crawler output)
+const INFO_COLLECTION = "info";
 
-// 3) Poll interval (ms). 60s as requested.
+// 3) Poll interval (ms). 60s as requested; also the "hot" interval around a release.
 const POLL_INTERVAL_MS = 60_000;
+const COLD_POLL_INTERVAL_MS = 30 * 60_000; // far from a release
+const WATCHLIST_REFRESH_MS = 30 * 60_000; // re-read the crawler payloads for new / moved releases
 
 // 4) Optional: small jitter (ms) to avoid exact alignment when many companies
 const MAX_STARTUP_JITTER_MS = 3_000;
@@ -34,10 +58,6 @@ const FETCH_OPTIONS = {
 };
 
 // ====== UTIL ======
-function ensureDirSync(dir) {
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-}
-
 function sanitizeForFilename(s) {
   // Windows-safe + general; replace characters that commonly break filenames
   return String(s).replace(/[<>:"/\\|?*\x00-\x1F]/g, "-").replace(/\s+/g, " ").trim();
@@ -58,38 +78,113 @@ function logErr(...args) {
   console.error(`[${stamp}]`, ...args);
 }
 
+// ====== SNAPSHOTS ======
+const SECTION_KEYS = ["annualResults", "quarterlyResults", "upcomingEvents", "pastEvents", "pastDividends"];
+
+// Last saved snapshot per company: { key, data }
+const lastSnapshots = new Map();
+
+const events = new EventEmitter();
+
+function snapshotCollection(companyCode) {
+  return `${SNAPSHOT_COLLECTION}/${sanitizeForFilename(companyCode)}`;
+}
+
+/** Latest stored snapshot (keys start with an ISO timestamp, so they sort by time). */
+async function loadLatestSnapshot(companyCode, store = getStorage()) {
+  const collection = snapshotCollection(companyCode);
+  const keys = (await store.list(collection)).filter((k) => !k.endsWith(".diff"));
+  for (let i = keys.length - 1; i >= 0; i--) {
+    const data = await store.get(collection, keys[i]);
+    if (data) return { key: keys[i], data };
+    logErr(`⚠️ Unreadable snapshot skipped: ${keys[i]}`);
+  }
+  return null;
+}
+
+async function previousSnapshot(companyCode) {
+  if (!lastSnapshots.has(companyCode)) lastSnapshots.set(companyCode, await loadLatestSnapshot(companyCode));
+  return lastSnapshots.get(companyCode);
+}
+
+// A section that failed this poll keeps its last good value, so a transient
+// scrape error is neither saved as a new snapshot nor reported as a change.
+function carryOverFailedSections(prev, next) {
+  if (!prev) return next;
+  const out = { ...next };
+  for (const key of SECTION_KEYS) {
+    const failed = !out[key] || out[key].error;
+    if (failed && prev[key] && !prev[key].error) out[key] = prev[key];
+  }
+  return out;
+}
+
+function emitChanges(companyCode, at, key, changes) {
+  for (const change of changes) {
+    const payload = { companyCode, at, snapshot: key, ...change };
+    log(`🔔 ${companyCode}: ${change.message}`);
+    events.emit("change", payload);
+    events.emit(change.type, payload);
+  }
+}
+
 // ====== RUNNER ======
 // Per-company state to prevent overlapping runs
 const inFlight = new Map();
 
 /**
- * Poll once for a given company and write a snapshot.
+ * Poll once for a given company; write a snapshot (+ diff) only if the content changed.
+ * @returns {Promise<{status: "new"|"changed"|"unchanged"|"skipped"|"failed", changes?: object[], file?: string, data?: object}>}
  */
 async function pollOnce(companyCode) {
   if (inFlight.get(companyCode)) {
     // skip if previous poll hasn't finished
     log(`⏭️  Skip (still running): ${companyCode}`);
-    return;
+    return { status: "skipped" };
   }
   inFlight.set(companyCode, true);
 
   try {
     log(`⏳ Fetching: ${companyCode}`);
-    const data = await getAllMarketScreenerData(companyCode, FETCH_OPTIONS);
+    const prev = await previousSnapshot(companyCode);
+    const data = carryOverFailedSections(prev?.data, await getAllMarketScreenerData(companyCode, FETCH_OPTIONS));
 
-    // Build path: ./data/observer/<COMPANY_CODE>/<TIMESTAMP>_<COMPANY_CODE>.json
-    const companyDirName = sanitizeForFilename(companyCode);
-    const dir = path.join(BASE_DIR, companyDirName);
-    ensureDirSync(dir);
+    if (prev && sameContent(prev.data, data)) {
+      log(`= Unchanged: ${companyCode}`);
+      return { status: "unchanged", changes: [], data };
+    }
+
+    // Key: observer/<COMPANY_CODE> / <TIMESTAMP>_<COMPANY_CODE>
+    const store = getStorage();
+    const collection = snapshotCollection(companyCode);
+    const at = new Date();
+    const key = `${isoForFilename(at)}_${sanitizeForFilename(companyCode)}`;
+    const outPath = store.describe(collection, key);
 
-    const ts = isoForFilename();
-    const fileName = `${ts}_${companyDirName}.json`;
-    const outPath = path.join(dir, fileName);
+    await store.put(collection, key, data);
+    lastSnapshots.set(companyCode, { key, data });
 
-    fs.writeFileSync(outPath, JSON.stringify(data, null, 2), "utf8");
-    log(`✅ Saved: ${outPath}`);
+    const changes = describeChanges(prev?.data, data);
+    if (prev) {
+      const diff = {
+        companyCode,
+        at: at.toISOString(),
+        previous: prev.key,
+        snapshot: key,
+        changes,
+        paths: diffJson(stripVolatile(prev.data), stripVolatile(data)),
+      };
+      await store.put(collection, `${key}.diff`, diff);
+    }
+
+    const status = prev ? "changed" : "new";
+    log(`✅ Saved (${status}, ${changes.length} change(s)): ${outPath}`);
+    emitChanges(companyCode, at.toISOString(), key, changes);
+    events.emit("snapshot", { companyCode, status, file: outPath, changes });
+    return { status, changes, file: outPath, data };
   } catch (err) {
     logErr(`❌ Error for ${companyCode}:`, err && err.stack ? err.stack : err);
+    return { status: "failed", error: err?.message || String(err) };
   } finally {
     inFlight.set(companyCode, false);
   }
@@ -115,44 +210,96 @@ function startCompanyLoop(companyCode, initialDelayMs = 0) {
   return timeout;
 }
 
+/**
+ * Poll the earnings watchlist: every POLL_INTERVAL_MS, poll the companies that are due.
+ * @param {{store?: Object}} [options] - where the crawler payloads live (default: getStorage())
+ * @returns {Promise<{stop: () => void, watchlist: object}>}
+ */
+async function startWatchlistLoop({ store = getStorage() } = {}) {
+  const watchlist = createEarningsWatchlist({
+    store,
+    collection: INFO_COLLECTION,
+    hotIntervalMs: POLL_INTERVAL_MS,
+    coldIntervalMs: COLD_POLL_INTERVAL_MS,
+    log,
+  });
+  let lastRefresh = 0;
+
+  const refresh = async () => {
+    lastRefresh = Date.now();
+    const { added, removed, size } = await watchlist.refresh();
+    if (added.length || removed.length) {
+      log(`📋 Watchlist: ${size} companies (+${added.length} / -${removed.length})`);
+      watchlist.list().forEach((e) => log(` - ${e.companyCode} [${e.phase}] ${e.title} @ ${e.releaseAt}`));
+    }
+  };
+
+  let ticking = false;
+  const tick = async () => {
+    if (ticking) return;
+    ticking = true;
+    try {
+      if (Date.now() - lastRefresh >= WATCHLIST_REFRESH_MS) await refresh();
+      for (const { companyCode } of watchlist.due()) {
+        if (inFlight.get(companyCode)) continue;
+        pollOnce(companyCode).then((r) => watchlist.record(companyCode, r.data || null));
+      }
+    } catch (err) {
+      logErr("❌ Watchlist tick failed:", err && err.message ? err.message : err);
+    } finally {
+      ticking = false;
+    }
+  };
+
+  await refresh();
+  if (watchlist.size() === 0) log(`No scheduled earnings releases stored yet; re-checking every ${WATCHLIST_REFRESH_MS / 60_000} min`);
+  await tick();
+  const interval = setInterval(tick, POLL_INTERVAL_MS);
+  return { stop: () => clearInterval(interval), watchlist };
+}
+
 // ====== ENTRY ======
-function parseCompanyListFromCLI() {
+function parseCompanyListFromCLI(args) {
   // Usage:
   //   node observer.js IDFC-FIRST-BANK-LIMITED-46731334
   //   node observer.js IDFC-FIRST-BANK-LIMITED-46731334 ITC-LIMITED-9743470
   //   node observer.js "A,B,C"   (comma-separated)
-  const args = process.argv.slice(2);
-  if (args.length === 0) return DEFAULT_COMPANIES;
-
-  if (args.length === 1 && args[0].includes(",")) {
+  //   (no companies -> earnings watchlist)
+  if (args.length === 1 && String(args[0]).includes(",")) {
     return args[0].split(",").map(s => s.trim()).filter(Boolean);
   }
-  return args.map(s => s.trim()).filter(Boolean);
+  return args.map(s => String(s).trim()).filter(Boolean);
 }
 
 async function main() {
-  ensureDirSync(BASE_DIR);
+  const argv = minimist(process.argv.slice(2), { string: ["info-dir"] });
+  const companies = parseCompanyListFromCLI(argv._);
 
-  const companies = parseCompanyListFromCLI();
+  let timers = [];
+  let watchLoop = null;
   if (companies.length === 0) {
-    logErr("No company codes provided. Exiting.");
-    process.exit(1);
-  }
+    const infoStore = argv["info-dir"]
+      ? createFsStorage({ dirs: { [INFO_COLLECTION]: path.resolve(argv["info-dir"]) } })
+      : getStorage();
+    log(`Observer starting in watchlist mode (${infoStore.describe(INFO_COLLECTION, "*")})...`);
+    watchLoop = await startWatchlistLoop({ store: infoStore });
+  } else {
+    log(`Observer starting for ${companies.length} companies...`);
+    companies.forEach(c => log(` - ${c}`));
 
-  log(`Observer starting for ${companies.length} companies...`);
-  companies.forEach(c => log(` - ${c}`));
-
-  // Start loops with slight random staggering to avoid all firing at once
-  const timers = companies.map((companyCode, idx) => {
-    const jitter = Math.floor(Math.random() * MAX_STARTUP_JITTER_MS);
-    // Add a small index-based spacing so larger sets spread out a bit more
-    const delay = jitter + (idx * 250);
-    return startCompanyLoop(companyCode, delay);
-  });
+    // Start loops with slight random staggering to avoid all firing at once
+    timers = companies.map((companyCode, idx) => {
+      const jitter = Math.floor(Math.random() * MAX_STARTUP_JITTER_MS);
+      // Add a small index-based spacing so larger sets spread out a bit more
+      const delay = jitter + (idx * 250);
+      return startCompanyLoop(companyCode, delay);
+    });
+  }
 
   // Graceful shutdown
   const cleanup = () => {
     log("Shutting down observer...");
+    if (watchLoop) watchLoop.stop();
     for (const t of timers) {
       clearTimeout(t);
       if (t._interval) clearInterval(t._interval); // eslint-disable-line no-underscore-dangle
@@ -163,7 +310,17 @@ async function main() {
   process.on("SIGTERM", cleanup);
 }
 
-main().catch(err => {
-  logErr("Fatal error:", err && err.stack ? err.stack : err);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(err => {
+    logErr("Fatal error:", err && err.stack ? err.stack : err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  events,
+  pollOnce,
+  startCompanyLoop,
+  startWatchlistLoop,
+  loadLatestSnapshot,
+};
@@ -1,21 +1,15 @@
-// past_dividends.js (CommonJS, fixed selectors)
+// past_dividends.js (CommonJS)
 // Scrapes ONLY the "Past dividends" card from MarketScreener calendar pages.
-// Handles "See more" + infinite scroll. Prints JSON and writes past_dividends.csv.
+// Handles "See more" + infinite scroll to load all rows.
+// Library use: getPastDividends(companyCode, options) -> no file writes unless options.sinks is given.
 //
-// Usage: node past_dividends.js
+// CLI: node past_dividends.js <COMPANY_CODE> [--json=out.json] [--csv=out.csv] [--static]
 
-const axios = require("axios");
-const cheerio = require("cheerio");
-const fs = require("fs");
-const path = require("path");
-
-// Example (Bank of Baroda):
-const CALENDAR_URL =
-  "https://in.marketscreener.com/quote/stock/ITC-LIMITED-9743470/calendar/";
-
-const WRITE_CSV = true;
-const USE_PUPPETEER = true;
-const CSV_PATH = path.resolve(__dirname, "past_dividends.csv");
+const { loadOrFetchHtml } = require("./common/fixture_store");
+const { loadDom } = require("./common/ms_shared_page");
+const { makeCalendarUrl, fetchMarketScreenerHtml } = require("./common/ms_page_fetch");
+const { closeSharedBrowserPool } = require("./common/browser_pool");
+const { emitToSinks, jsonFileSink, csvFileSink } = require("./common/output_sinks");
 
 // ---------- utils ----------
 const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
@@ -106,8 +100,8 @@ function findDividendsCardRoot($) {
   return chosen || $();
 }
 
-function extractPastDividendsFromHTML(url, html) {
-  const $ = cheerio.load(html);
+function extractPastDividendsFromHTML(url, htmlOrDom) {
+  const $ = loadDom(htmlOrDom);
   const results = [];
   const cardRoot = findDividendsCardRoot($);
   if (!cardRoot || !cardRoot.length) return results;
@@ -135,172 +129,144 @@ function extractPastDividendsFromHTML(url, html) {
   return results;
 }
 
-// ---------- Static (Axios) ----------
-async function scrapeStatic(url) {
-  const client = axios.create({
-    headers: {
-      "User-Agent":
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0 Safari/537.36",
-      Accept: "text/html,application/xhtml+xml",
-      "Accept-Language": "en-IN,en;q=0.9",
-      Referer: url,
-    },
-    timeout: 30000,
-    maxRedirects: 5,
-    validateStatus: (s) => s >= 200 && s < 400,
-  });
-
-  const { data: html } = await client.get(url);
-  return extractPastDividendsFromHTML(url, html);
-}
-
-// ---------- Dynamic (Puppeteer) ----------
-async function scrapeDynamic(url) {
-  const puppeteer = require("puppeteer");
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: [
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-dev-shm-usage",
-      "--disable-gpu",
-    ],
-  });
-
-  try {
-    const page = await browser.newPage();
-    await page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0 Safari/537.36"
-    );
-    await page.setExtraHTTPHeaders({ "Accept-Language": "en-IN,en;q=0.9" });
-    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 60000 });
-
-    // Try ID first; else locate by heading text (no non-standard selectors)
-    let cardHandle = await page.$("#past-dividends-card");
-    if (!cardHandle) {
-      // Find a card whose .card-header h3 includes "Past dividends"
-      const handle = await page.evaluateHandle(() => {
-        const cards = Array.from(document.querySelectorAll("div.card"));
-        for (const card of cards) {
-          const h3 = card.querySelector(".card-header h3");
-          if (h3 && /past\s+dividends/i.test(h3.textContent || "")) {
-            return card;
-          }
+// ---------- Dynamic (Puppeteer) page nudges ----------
+async function interactPastDividends(page) {
+  // Try ID first; else locate by heading text (no non-standard selectors)
+  let cardHandle = await page.$("#past-dividends-card");
+  if (!cardHandle) {
+    // Find a card whose .card-header h3 includes "Past dividends"
+    const handle = await page.evaluateHandle(() => {
+      const cards = Array.from(document.querySelectorAll("div.card"));
+      for (const card of cards) {
+        const h3 = card.querySelector(".card-header h3");
+        if (h3 && /past\s+dividends/i.test(h3.textContent || "")) {
+          return card;
         }
-        return null;
-      });
-      const elem = await handle.asElement();
-      if (elem) cardHandle = elem;
-    }
-    if (!cardHandle) {
-      // small grace wait in case of lazy render
-      await sleep(1000);
-      cardHandle = await page.$("#past-dividends-card");
-    }
-
-    // Click "See more" if present inside located card
-    if (cardHandle) {
-      const seeMore = await cardHandle.$("button.btn");
-      if (seeMore) {
-        await seeMore.click().catch(() => {});
-        await sleep(600);
       }
-    }
+      return null;
+    });
+    const elem = await handle.asElement();
+    if (elem) cardHandle = elem;
+  }
+  if (!cardHandle) {
+    // small grace wait in case of lazy render
+    await sleep(1000);
+    cardHandle = await page.$("#past-dividends-card");
+  }
 
-    // Determine the scrollable container INSIDE this card
-    let scrollTarget = null;
-    if (cardHandle) {
-      scrollTarget =
-        (await cardHandle.$(".card-content--h400")) ||
-        (await cardHandle.$(".card-content")) ||
-        (await cardHandle.$("#dividendScrollCard"));
+  // Click "See more" if present inside located card
+  if (cardHandle) {
+    const seeMore = await cardHandle.$("button.btn");
+    if (seeMore) {
+      await seeMore.click().catch(() => {});
+      await sleep(600);
     }
+  }
 
-    // Infinite scroll within card
-    if (scrollTarget) {
-      let stablePasses = 0;
-      let lastCount = -1;
+  // Determine the scrollable container INSIDE this card
+  let scrollTarget = null;
+  if (cardHandle) {
+    scrollTarget =
+      (await cardHandle.$(".card-content--h400")) ||
+      (await cardHandle.$(".card-content")) ||
+      (await cardHandle.$("#dividendScrollCard"));
+  }
 
-      for (let i = 0; i < 50 && stablePasses < 3; i++) {
-        const beforeCount = await cardHandle.$$eval("table tr", (rows) => rows.length);
+  // Infinite scroll within card
+  if (scrollTarget) {
+    let stablePasses = 0;
+    let lastCount = -1;
 
-        await scrollTarget.evaluate((el) => {
-          el.scrollTop = el.scrollHeight;
-        });
+    for (let i = 0; i < 50 && stablePasses < 3; i++) {
+      const beforeCount = await cardHandle.$$eval("table tr", (rows) => rows.length);
 
-        await sleep(900);
+      await scrollTarget.evaluate((el) => {
+        el.scrollTop = el.scrollHeight;
+      });
 
-        const afterCount = await cardHandle.$$eval("table tr", (rows) => rows.length);
+      await sleep(900);
 
-        if (afterCount === beforeCount) {
-          if (lastCount === afterCount) {
-            stablePasses += 1;
-          } else {
-            stablePasses = 1;
-            lastCount = afterCount;
-          }
+      const afterCount = await cardHandle.$$eval("table tr", (rows) => rows.length);
+
+      if (afterCount === beforeCount) {
+        if (lastCount === afterCount) {
+          stablePasses += 1;
         } else {
-          stablePasses = 0;
+          stablePasses = 1;
           lastCount = afterCount;
         }
+      } else {
+        stablePasses = 0;
+        lastCount = afterCount;
       }
-    } else {
-      // Fallback: small delay for any lazy renders
-      await sleep(600);
     }
-
-    const html = await page.content();
-    return extractPastDividendsFromHTML(url, html);
-  } finally {
-    try {
-      await browser.close();
-    } catch (_) {}
+  } else {
+    // Fallback: small delay for any lazy renders
+    await sleep(600);
   }
 }
 
-// (async function main() {
-//   try {
-//     const rows = USE_PUPPETEER
-//       ? await scrapeDynamic(CALENDAR_URL)
-//       : await scrapeStatic(CALENDAR_URL);
-
-//     console.log(JSON.stringify({ count: rows.length, dividends: rows }, null, 2));
-
-//     if (WRITE_CSV) {
-//       const csv = toCSV(rows);
-//       fs.writeFileSync(CSV_PATH, csv, "utf8");
-//       console.error(
-//         `✅ Past Dividends CSV written: ${CSV_PATH} (${rows.length} rows)`
-//       );
-//     }
-//   } catch (err) {
-//     console.error("❌ Failed to scrape:", err?.message || err);
-//     process.exit(2);
-//   }
-// })();
-
-
-
-
-async function getPastDividends(companyCode) {
-  const url = `https://in.marketscreener.com/quote/stock/${companyCode}/calendar/`;
+/**
+ * Fetch the "Past dividends" card for a company.
+ * @param {string} companyCode - e.g. "ITC-LIMITED-9743470"
+ * @param {Object} [options]
+ * @param {boolean} [options.usePuppeteer=true] - false falls back to Axios+Cheerio (no JS)
+ * @param {Object} [options.pool] - browser pool to borrow a page from (see common/browser_pool.js)
+ * @param {import("puppeteer").Browser} [options.browser] - reuse an open browser (left open)
+ * @param {number} [options.timeoutMs] - navigation/request timeout
+ * @param {Array<Function>} [options.sinks] - output sinks (see common/output_sinks.js)
+ * @param {{mode?: string, dir?: string}} [options.fixtures] - record/replay config (see common/fixture_store.js)
+ * @param {{url: string, $: Function}} [options.prefetched] - already-loaded calendar page; skips fetching (see common/ms_shared_page.js)
+ * @returns {Promise<{count: number, dividends: Array<object>}|null>}
+ */
+async function getPastDividends(companyCode, options = {}) {
+  const { sinks, fixtures, prefetched } = options;
+  const url = prefetched?.url || makeCalendarUrl(companyCode);
 
   try {
-    const rows = USE_PUPPETEER
-      ? await scrapeDynamic(url)
-      : await scrapeStatic(url);
+    const dom = prefetched?.$ || await loadOrFetchHtml(
+      { companyCode, section: "past_dividends", url, fixtures, fallbackSections: ["calendar"] },
+      () => fetchMarketScreenerHtml(url, options, interactPastDividends)
+    );
+    const rows = extractPastDividendsFromHTML(url, dom);
 
-    return {
+    const payload = {
       count: rows.length,
       dividends: rows,
     };
+
+    await emitToSinks(sinks, payload, { companyCode, section: "past_dividends", url });
+    return payload;
   } catch (err) {
     console.error(`❌ Failed to scrape:`, err?.message || err);
     return null;
   }
 }
 
+// ---------- CLI ----------
+if (require.main === module) {
+  (async () => {
+    const args = require("minimist")(process.argv.slice(2));
+    const companyCode = args._[0];
+    if (!companyCode) {
+      console.error("Usage: node past_dividends.js <COMPANY_CODE> [--json=out.json] [--csv=out.csv] [--static]");
+      process.exit(1);
+    }
+
+    const sinks = [];
+    if (args.json) sinks.push(jsonFileSink(String(args.json)));
+    if (args.csv) sinks.push(csvFileSink(String(args.csv), (p) => toCSV(p.dividends)));
+
+    const payload = await getPastDividends(companyCode, { usePuppeteer: !args.static, sinks });
+    await closeSharedBrowserPool();
+    if (!payload) process.exit(2);
+    console.log(JSON.stringify(payload, null, 2));
+  })();
+}
+
 // Export for programmatic use
 module.exports = {
   getPastDividends,
+  extractPastDividendsFromHTML,
+  interactPastDividends,
 };
\ No newline at end of file
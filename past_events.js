@@ -1,22 +1,15 @@
 // past_events.js (CommonJS)
-// Scrapes ONLY the "Past events" for Eternal Limited from MarketScreener.
+// Scrapes ONLY the "Past events" card from MarketScreener calendar pages.
 // Handles "See more" and infinite scroll to load all rows.
-// Prints JSON to stdout and writes past_events.csv
+// Library use: getPastEvents(companyCode, options) -> no file writes unless options.sinks is given.
 //
-// Usage: node past_events.js
+// CLI: node past_events.js <COMPANY_CODE> [--json=out.json] [--csv=out.csv] [--static]
 
-const axios = require("axios");
-const cheerio = require("cheerio");
-const fs = require("fs");
-const path = require("path");
-
-const CALENDAR_URL =
-  "https://in.marketscreener.com/quote/stock/LIFE-INSURANCE-CORPORATIO-137965464/calendar/";
-
-// --- toggles ---
-const WRITE_CSV = true;
-const USE_PUPPETEER = true; // set false to fall back to Axios+Cheerio (no JS)
-const CSV_PATH = path.resolve(__dirname, "past_events.csv");
+const { loadOrFetchHtml } = require("./common/fixture_store");
+const { loadDom } = require("./common/ms_shared_page");
+const { makeCalendarUrl, fetchMarketScreenerHtml } = require("./common/ms_page_fetch");
+const { closeSharedBrowserPool } = require("./common/browser_pool");
+const { emitToSinks, jsonFileSink, csvFileSink } = require("./common/output_sinks");
 
 // ---------- utils ----------
 const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
@@ -92,8 +85,8 @@ function toCSV(rows) {
   return lines.join("\n");
 }
 
-function extractPastFromHTML(url, html) {
-  const $ = cheerio.load(html);
+function extractPastFromHTML(url, htmlOrDom) {
+  const $ = loadDom(htmlOrDom);
   const results = [];
   const origin = new URL(url).origin;
 
@@ -124,161 +117,135 @@ function extractPastFromHTML(url, html) {
   return results;
 }
 
-// ---------- Static (Axios) path (no JS) ----------
-async function scrapeStatic(url) {
-  const client = axios.create({
-    headers: {
-      "User-Agent":
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0 Safari/537.36",
-      Accept: "text/html,application/xhtml+xml",
-      "Accept-Language": "en-IN,en;q=0.9",
-      Referer: url,
-    },
-    timeout: 30000,
-    maxRedirects: 5,
-    validateStatus: (s) => s >= 200 && s < 400,
-  });
-
-  const { data: html } = await client.get(url);
-  return extractPastFromHTML(url, html);
-}
-
-// ---------- Dynamic (Puppeteer) path (executes JS) ----------
-async function scrapeDynamic(url) {
-  const puppeteer = require("puppeteer");
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: [
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-dev-shm-usage",
-      "--disable-gpu",
-    ],
-  });
-
+// ---------- Dynamic (Puppeteer) page nudges ----------
+async function interactPastEvents(page) {
+  // Wait for the Past card to appear
   try {
-    const page = await browser.newPage();
-    await page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0 Safari/537.36"
-    );
-    await page.setExtraHTTPHeaders({ "Accept-Language": "en-IN,en;q=0.9" });
-    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 60000 });
-
-    // Wait for the Past card to appear
-    try {
-      await page.waitForSelector("#past-events-card", { timeout: 30000 });
-    } catch (_) {}
-
-    // Click "See more" (sometimes shows hidden rows)
-    const seeMoreSel =
-      '#past-events-card .card-content button.btn.btn--action--outter';
-    if (await page.$(seeMoreSel)) {
-      await page.click(seeMoreSel).catch(() => {});
-      await sleep(500);
-    }
+    await page.waitForSelector("#past-events-card", { timeout: 30000 });
+  } catch (_) {}
+
+  // Click "See more" (sometimes shows hidden rows)
+  const seeMoreSel =
+    '#past-events-card .card-content button.btn.btn--action--outter';
+  if (await page.$(seeMoreSel)) {
+    await page.click(seeMoreSel).catch(() => {});
+    await sleep(500);
+  }
 
-    // Infinite load: scroll the past-events container until no more rows appear
-    const scrollSelCandidates = [
-      "#past-events-card .card-content--h400",
-      "#past-events-card .card-content",
-    ];
-    let scrollSel = null;
-    for (const sel of scrollSelCandidates) {
-      if (await page.$(sel)) {
-        scrollSel = sel;
-        break;
-      }
+  // Infinite load: scroll the past-events container until no more rows appear
+  const scrollSelCandidates = [
+    "#past-events-card .card-content--h400",
+    "#past-events-card .card-content",
+  ];
+  let scrollSel = null;
+  for (const sel of scrollSelCandidates) {
+    if (await page.$(sel)) {
+      scrollSel = sel;
+      break;
     }
+  }
 
-    if (scrollSel) {
-      let stablePasses = 0;
-      let lastCount = -1;
+  if (scrollSel) {
+    let stablePasses = 0;
+    let lastCount = -1;
 
-      for (let i = 0; i < 50 && stablePasses < 3; i++) {
-        const beforeCount = await page.$$eval(
-          "#past-events-card table tr",
-          (rows) => rows.length
-        );
+    for (let i = 0; i < 50 && stablePasses < 3; i++) {
+      const beforeCount = await page.$$eval(
+        "#past-events-card table tr",
+        (rows) => rows.length
+      );
 
-        await page.evaluate((sel) => {
-          const box = document.querySelector(sel);
-          if (box) box.scrollTop = box.scrollHeight;
-        }, scrollSel);
+      await page.evaluate((sel) => {
+        const box = document.querySelector(sel);
+        if (box) box.scrollTop = box.scrollHeight;
+      }, scrollSel);
 
-        await sleep(900);
+      await sleep(900);
 
-        const afterCount = await page.$$eval(
-          "#past-events-card table tr",
-          (rows) => rows.length
-        );
+      const afterCount = await page.$$eval(
+        "#past-events-card table tr",
+        (rows) => rows.length
+      );
 
-        if (afterCount === beforeCount) {
-          if (lastCount === afterCount) {
-            stablePasses += 1;
-          } else {
-            stablePasses = 1;
-            lastCount = afterCount;
-          }
+      if (afterCount === beforeCount) {
+        if (lastCount === afterCount) {
+          stablePasses += 1;
         } else {
-          stablePasses = 0;
+          stablePasses = 1;
           lastCount = afterCount;
         }
+      } else {
+        stablePasses = 0;
+        lastCount = afterCount;
       }
-    } else {
-      // Fallback: small delay for any lazy renders
-      await sleep(600);
     }
-
-    const html = await page.content();
-    return extractPastFromHTML(url, html);
-  } finally {
-    try {
-      await browser.close();
-    } catch (_) {}
+  } else {
+    // Fallback: small delay for any lazy renders
+    await sleep(600);
   }
 }
 
-// (async function main() {
-//   try {
-//     const events = USE_PUPPETEER
-//       ? await scrapeDynamic(CALENDAR_URL)
-//       : await scrapeStatic(CALENDAR_URL);
-
-//     // Print JSON to stdout
-//     console.log(JSON.stringify({ count: events.length, events }, null, 2));
-
-//     if (WRITE_CSV) {
-//       const csv = toCSV(events);
-//       fs.writeFileSync(CSV_PATH, csv, "utf8");
-//       console.error(`✅ Past CSV written: ${CSV_PATH} (${events.length} rows)`);
-//     }
-//   } catch (err) {
-//     console.error("❌ Failed to scrape:", err?.message || err);
-//     process.exit(2);
-//   }
-// })();
-
-
-
-async function getPastEvents(companyCode) {
-  const url = `https://in.marketscreener.com/quote/stock/${companyCode}/calendar/`;
+/**
+ * Fetch the "Past events" card for a company.
+ * @param {string} companyCode - e.g. "ITC-LIMITED-9743470"
+ * @param {Object} [options]
+ * @param {boolean} [options.usePuppeteer=true] - false falls back to Axios+Cheerio (no JS)
+ * @param {Object} [options.pool] - browser pool to borrow a page from (see common/browser_pool.js)
+ * @param {import("puppeteer").Browser} [options.browser] - reuse an open browser (left open)
+ * @param {number} [options.timeoutMs] - navigation/request timeout
+ * @param {Array<Function>} [options.sinks] - output sinks (see common/output_sinks.js)
+ * @param {{mode?: string, dir?: string}} [options.fixtures] - record/replay config (see common/fixture_store.js)
+ * @param {{url: string, $: Function}} [options.prefetched] - already-loaded calendar page; skips fetching (see common/ms_shared_page.js)
+ * @returns {Promise<{count: number, events: Array<object>}|null>}
+ */
+async function getPastEvents(companyCode, options = {}) {
+  const { sinks, fixtures, prefetched } = options;
+  const url = prefetched?.url || makeCalendarUrl(companyCode);
 
   try {
-    const events = USE_PUPPETEER
-      ? await scrapeDynamic(url)
-      : await scrapeStatic(url);
+    const dom = prefetched?.$ || await loadOrFetchHtml(
+      { companyCode, section: "past_events", url, fixtures, fallbackSections: ["calendar"] },
+      () => fetchMarketScreenerHtml(url, options, interactPastEvents)
+    );
+    const events = extractPastFromHTML(url, dom);
 
-    return {
+    const payload = {
       count: events.length,
       events,
     };
+
+    await emitToSinks(sinks, payload, { companyCode, section: "past_events", url });
+    return payload;
   } catch (err) {
     console.error(`❌ Failed to scrape:`, err?.message || err);
     return null;
   }
 }
 
+// ---------- CLI ----------
+if (require.main === module) {
+  (async () => {
+    const args = require("minimist")(process.argv.slice(2));
+    const companyCode = args._[0];
+    if (!companyCode) {
+      console.error("Usage: node past_events.js <COMPANY_CODE> [--json=out.json] [--csv=out.csv] [--static]");
+      process.exit(1);
+    }
+
+    const sinks = [];
+    if (args.json) sinks.push(jsonFileSink(String(args.json)));
+    if (args.csv) sinks.push(csvFileSink(String(args.csv), (p) => toCSV(p.events)));
+
+    const payload = await getPastEvents(companyCode, { usePuppeteer: !args.static, sinks });
+    await closeSharedBrowserPool();
+    if (!payload) process.exit(2);
+    console.log(JSON.stringify(payload, null, 2));
+  })();
+}
+
 // Export for use in other scripts
 module.exports = {
   getPastEvents,
+  extractPastFromHTML,
+  interactPastEvents,
 };
\ No newline at end of file
@@ -1,21 +1,14 @@
-// quarterly_result.js (CommonJS)
+// quarterly_results.js (CommonJS)
 // Scrapes ONLY the "Quarterly results" card: dynamic header periods + per-metric Released/Forecast/Spread.
-// Prints JSON to stdout and writes quarterly_results.json
+// Library use: getQuarterlyResults(companyCode, options) -> no file writes unless options.sinks is given.
 //
-// Usage: node quarterly_result.js
+// CLI: node quarterly_results.js <COMPANY_CODE> [--json=out.json] [--flat] [--static]
 
-const axios = require("axios");
-const cheerio = require("cheerio");
-const fs = require("fs");
-const path = require("path");
-
-// Example calendar page (ITC)
-const CALENDAR_URL =
-  "https://in.marketscreener.com/quote/stock/LIFE-INSURANCE-CORPORATIO-137965464/calendar/";
-
-const WRITE_JSON = true;
-const USE_PUPPETEER = true;
-const JSON_PATH = path.resolve(__dirname, "quarterly_results.json");
+const { loadOrFetchHtml } = require("./common/fixture_store");
+const { loadDom } = require("./common/ms_shared_page");
+const { makeCalendarUrl, fetchMarketScreenerHtml } = require("./common/ms_page_fetch");
+const { closeSharedBrowserPool } = require("./common/browser_pool");
+const { emitToSinks, jsonFileSink } = require("./common/output_sinks");
 
 // ---------- utils ----------
 const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
@@ -66,8 +59,8 @@ function findQuarterlyResultsCardRoot($) {
   return chosen || $();
 }
 
-function extractQuarterlyResultsFromHTML(url, html) {
-  const $ = cheerio.load(html);
+function extractQuarterlyResultsFromHTML(url, htmlOrDom) {
+  const $ = loadDom(htmlOrDom);
   const cardRoot = findQuarterlyResultsCardRoot($);
   if (!cardRoot || !cardRoot.length) return { rows: [], periods: [] };
 
@@ -165,73 +158,27 @@ function extractQuarterlyResultsFromHTML(url, html) {
   return { rows: out, periods };
 }
 
-// ---------- Static (Axios) ----------
-async function scrapeStatic(url) {
-  const client = axios.create({
-    headers: {
-      "User-Agent":
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0 Safari/537.36",
-      Accept: "text/html,application/xhtml+xml",
-      "Accept-Language": "en-IN,en;q=0.9",
-      Referer: url,
-    },
-    timeout: 30000,
-    maxRedirects: 5,
-    validateStatus: (s) => s >= 200 && s < 400,
-  });
-
-  const { data: html } = await client.get(url);
-  return extractQuarterlyResultsFromHTML(url, html);
-}
-
-// ---------- Dynamic (Puppeteer) ----------
-async function scrapeDynamic(url) {
-  const puppeteer = require("puppeteer");
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: [
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-dev-shm-usage",
-      "--disable-gpu",
-    ],
-  });
-
-  try {
-    const page = await browser.newPage();
-    await page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0 Safari/537.36"
-    );
-    await page.setExtraHTTPHeaders({ "Accept-Language": "en-IN,en;q=0.9" });
-    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 60000 });
-
-    // Nudge the page to render any deferred content
-    await sleep(800);
-
-    // Try to find the table by id; fallback by heading text
-    let tableHandle = await page.$("#quarterlyResultsTable");
-    if (!tableHandle) {
-      const handle = await page.evaluateHandle(() => {
-        const cards = Array.from(document.querySelectorAll("div.card"));
-        for (const card of cards) {
-          const h3 = card.querySelector(".card-header h3");
-          if (h3 && /quarterly\s+results/i.test(h3.textContent || "")) {
-            const t = card.querySelector("#quarterlyResultsTable");
-            if (t) return t;
-          }
+// ---------- Dynamic (Puppeteer) page nudges ----------
+async function interactQuarterlyResults(page) {
+  // Nudge the page to render any deferred content
+  await sleep(800);
+
+  // Try to find the table by id; fallback by heading text
+  let tableHandle = await page.$("#quarterlyResultsTable");
+  if (!tableHandle) {
+    const handle = await page.evaluateHandle(() => {
+      const cards = Array.from(document.querySelectorAll("div.card"));
+      for (const card of cards) {
+        const h3 = card.querySelector(".card-header h3");
+        if (h3 && /quarterly\s+results/i.test(h3.textContent || "")) {
+          const t = card.querySelector("#quarterlyResultsTable");
+          if (t) return t;
         }
-        return null;
-      });
-      const elem = await handle.asElement();
-      if (elem) tableHandle = elem;
-    }
-
-    const html = await page.content();
-    return extractQuarterlyResultsFromHTML(url, html);
-  } finally {
-    try {
-      await browser.close();
-    } catch (_) {}
+      }
+      return null;
+    });
+    const elem = await handle.asElement();
+    if (elem) tableHandle = elem;
   }
 }
 
@@ -247,58 +194,39 @@ function groupByPeriodAndMetric(results) {
   return out;
 }
 
-// // ---------- main ----------
-// (async function main() {
-//   try {
-//     const { rows, periods } = USE_PUPPETEER
-//       ? await scrapeDynamic(CALENDAR_URL)
-//       : await scrapeStatic(CALENDAR_URL);
-
-//     const payload = { periods, count: rows.length, results: rows };
-
-//     // 1) Print original structure to stdout (unchanged)
-//     console.log(JSON.stringify(payload, null, 2));
-
-//     // 2) Save grouped-by-period-and-metric to file
-//     if (WRITE_JSON) {
-//       const grouped = groupByPeriodAndMetric(rows);
-//       fs.writeFileSync(JSON_PATH, JSON.stringify(grouped, null, 2), "utf8");
-//       console.error(`✅ Quarterly Results (grouped) JSON written: ${JSON_PATH}`);
-//     }
-//   } catch (err) {
-//     console.error("❌ Failed to scrape:", err?.message || err);
-//     process.exit(2);
-//   }
-// })();
-
-
-
-
 // ---------- public API ----------
-const BASE_HOST = "https://in.marketscreener.com/quote/stock/";
-
-function makeCalendarUrl(companyCode) {
-  // companyCode example: "LIFE-INSURANCE-CORPORATIO-137965464"
-  return `${BASE_HOST}${companyCode}/calendar/`;
-}
 
 /**
  * Public function: fetch quarterly results JSON for a given companyCode.
  * @param {string} companyCode - e.g. "LIFE-INSURANCE-CORPORATIO-137965464"
- * @returns {Promise<object>} payload { periods, count, results } or grouped object if WRITE_JSON=true
+ * @param {Object} [options]
+ * @param {boolean} [options.usePuppeteer=true] - false falls back to Axios+Cheerio (no JS)
+ * @param {Object} [options.pool] - browser pool to borrow a page from (see common/browser_pool.js)
+ * @param {import("puppeteer").Browser} [options.browser] - reuse an open browser (left open)
+ * @param {number} [options.timeoutMs] - navigation/request timeout
+ * @param {boolean} [options.grouped=true] - { [period]: { [metric]: row } }, else { periods, count, results }
+ * @param {Array<Function>} [options.sinks] - output sinks (see common/output_sinks.js)
+ * @param {{mode?: string, dir?: string}} [options.fixtures] - record/replay config (see common/fixture_store.js)
+ * @param {{url: string, $: Function}} [options.prefetched] - already-loaded calendar page; skips fetching (see common/ms_shared_page.js)
+ * @returns {Promise<object|null>}
  */
-async function getQuarterlyResults(companyCode) {
-  const url = makeCalendarUrl(companyCode);
+async function getQuarterlyResults(companyCode, options = {}) {
+  const { grouped = true, sinks, fixtures, prefetched } = options;
+  const url = prefetched?.url || makeCalendarUrl(companyCode);
 
   try {
-    const { rows, periods } = USE_PUPPETEER
-      ? await scrapeDynamic(url)
-      : await scrapeStatic(url);
+    const dom = prefetched?.$ || await loadOrFetchHtml(
+      { companyCode, section: "quarterly_results", url, fixtures, fallbackSections: ["calendar"] },
+      () => fetchMarketScreenerHtml(url, options, interactQuarterlyResults)
+    );
+    const { rows, periods } = extractQuarterlyResultsFromHTML(url, dom);
 
-    if (WRITE_JSON) {
-      return groupByPeriodAndMetric(rows);
-    }
-    return { periods, count: rows.length, results: rows };
+    const payload = grouped
+      ? groupByPeriodAndMetric(rows)
+      : { periods, count: rows.length, results: rows };
+
+    await emitToSinks(sinks, payload, { companyCode, section: "quarterly_results", url });
+    return payload;
   } catch (err) {
     // Let caller handle null / errors as needed
     console.error("❌ Failed to scrape:", err?.message || err);
@@ -306,7 +234,30 @@ async function getQuarterlyResults(companyCode) {
   }
 }
 
+// ---------- CLI ----------
+if (require.main === module) {
+  (async () => {
+    const args = require("minimist")(process.argv.slice(2));
+    const companyCode = args._[0];
+    if (!companyCode) {
+      console.error("Usage: node quarterly_results.js <COMPANY_CODE> [--json=out.json] [--flat] [--static]");
+      process.exit(1);
+    }
+
+    const payload = await getQuarterlyResults(companyCode, {
+      usePuppeteer: !args.static,
+      grouped: !args.flat,
+      sinks: args.json ? [jsonFileSink(String(args.json))] : [],
+    });
+    await closeSharedBrowserPool();
+    if (!payload) process.exit(2);
+    console.log(JSON.stringify(payload, null, 2));
+  })();
+}
+
 // Export for external usage
 module.exports = {
-  getQuarterlyResults
+  getQuarterlyResults,
+  extractQuarterlyResultsFromHTML,
+  interactQuarterlyResults,
 };
\ No newline at end of file
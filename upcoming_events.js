@@ -1,21 +1,14 @@
 // upcoming_events.js (CommonJS)
-// Scrapes ONLY the "Upcoming" events for Eternal Limited from MarketScreener.
-// Prints JSON to stdout and writes upcoming_events.csv
+// Scrapes ONLY the "Upcoming events" card from MarketScreener calendar pages.
+// Library use: getUpcomingEvents(companyCode, options) -> no file writes unless options.sinks is given.
 //
-// Usage: node upcoming_events.js
+// CLI: node upcoming_events.js <COMPANY_CODE> [--json=out.json] [--csv=out.csv] [--static]
 
-const axios = require("axios");
-const cheerio = require("cheerio");
-const fs = require("fs");
-const path = require("path");
-
-const CALENDAR_URL =
-  "https://in.marketscreener.com/quote/stock/ETERNAL-LIMITED-125138034/calendar/";
-
-// --- toggles ---
-const WRITE_CSV = true;
-const USE_PUPPETEER = true; // set false to fall back to Axios+Cheerio (no JS)
-const CSV_PATH = path.resolve(__dirname, "upcoming_events.csv");
+const { loadOrFetchHtml } = require("./common/fixture_store");
+const { loadDom } = require("./common/ms_shared_page");
+const { makeCalendarUrl, fetchMarketScreenerHtml } = require("./common/ms_page_fetch");
+const { closeSharedBrowserPool } = require("./common/browser_pool");
+const { emitToSinks, jsonFileSink, csvFileSink } = require("./common/output_sinks");
 
 // ---------- utils ----------
 const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
@@ -100,8 +93,8 @@ function toCSV(rows) {
   return lines.join("\n");
 }
 
-function extractUpcomingFromHTML(url, html) {
-  const $ = cheerio.load(html);
+function extractUpcomingFromHTML(url, htmlOrDom) {
+  const $ = loadDom(htmlOrDom);
   const results = [];
   const origin = new URL(url).origin;
 
@@ -132,104 +125,77 @@ function extractUpcomingFromHTML(url, html) {
   return results;
 }
 
-// ---------- Static (Axios) path (no JS) ----------
-async function scrapeStatic(url) {
-  const client = axios.create({
-    headers: {
-      "User-Agent":
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0 Safari/537.36",
-      Accept: "text/html,application/xhtml+xml",
-      "Accept-Language": "en-IN,en;q=0.9",
-      Referer: url,
-    },
-    timeout: 30000,
-    maxRedirects: 5,
-    validateStatus: (s) => s >= 200 && s < 400,
-  });
+// ---------- Dynamic (Puppeteer) page nudges ----------
+async function interactUpcomingEvents(page) {
+  try {
+    await page.waitForSelector("#next-events-card", { timeout: 20000 });
+  } catch (_) {}
 
-  const { data: html } = await client.get(url);
-  return extractUpcomingFromHTML(url, html);
+  // Some pages require a tiny delay for the table rows to render
+  await sleep(600);
 }
 
-// ---------- Dynamic (Puppeteer) path (executes JS) ----------
-async function scrapeDynamic(url) {
-  const puppeteer = require("puppeteer");
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: [
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-dev-shm-usage",
-      "--disable-gpu",
-    ],
-  });
+/**
+ * Fetch the "Upcoming events" card for a company.
+ * @param {string} companyCode - e.g. "ITC-LIMITED-9743470"
+ * @param {Object} [options]
+ * @param {boolean} [options.usePuppeteer=true] - false falls back to Axios+Cheerio (no JS)
+ * @param {Object} [options.pool] - browser pool to borrow a page from (see common/browser_pool.js)
+ * @param {import("puppeteer").Browser} [options.browser] - reuse an open browser (left open)
+ * @param {number} [options.timeoutMs] - navigation/request timeout
+ * @param {Array<Function>} [options.sinks] - output sinks (see common/output_sinks.js)
+ * @param {{mode?: string, dir?: string}} [options.fixtures] - record/replay config (see common/fixture_store.js)
+ * @param {{url: string, $: Function}} [options.prefetched] - already-loaded calendar page; skips fetching (see common/ms_shared_page.js)
+ * @returns {Promise<{count: number, events: Array<object>}|null>}
+ */
+async function getUpcomingEvents(companyCode, options = {}) {
+  const { sinks, fixtures, prefetched } = options;
+  const url = prefetched?.url || makeCalendarUrl(companyCode);
 
   try {
-    const page = await browser.newPage();
-    await page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0 Safari/537.36"
+    const dom = prefetched?.$ || await loadOrFetchHtml(
+      { companyCode, section: "upcoming_events", url, fixtures, fallbackSections: ["calendar"] },
+      () => fetchMarketScreenerHtml(url, options, interactUpcomingEvents)
     );
-    await page.setExtraHTTPHeaders({ "Accept-Language": "en-IN,en;q=0.9" });
-    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 60000 });
-
-    try {
-      await page.waitForSelector("#next-events-card", { timeout: 20000 });
-    } catch (_) {}
-
-    // Some pages require a tiny delay for the table rows to render
-    await sleep(600);
-
-    const html = await page.content();
-    return extractUpcomingFromHTML(url, html);
-  } finally {
-    try {
-      await browser.close();
-    } catch (_) {}
-  }
-}
-
-// (async function main() {
-//   try {
-//     const events = USE_PUPPETEER
-//       ? await scrapeDynamic(CALENDAR_URL)
-//       : await scrapeStatic(CALENDAR_URL);
-
-//     // Print JSON to stdout
-//     console.log(JSON.stringify({ count: events.length, events }, null, 2));
-
-//     if (WRITE_CSV) {
-//       const csv = toCSV(events);
-//       fs.writeFileSync(CSV_PATH, csv, "utf8");
-//       console.error(`✅ Upcoming CSV written: ${CSV_PATH} (${events.length} rows)`);
-//     }
-//   } catch (err) {
-//     console.error("❌ Failed to scrape:", err?.message || err);
-//     process.exit(2);
-//   }
-// })();
+    const events = extractUpcomingFromHTML(url, dom);
 
-
-
-
-async function getUpcomingEvents(companyCode) {
-  const url = `https://in.marketscreener.com/quote/stock/${companyCode}/calendar/`;
-
-  try {
-    const events = USE_PUPPETEER
-      ? await scrapeDynamic(url)
-      : await scrapeStatic(url);
-
-    return {
+    const payload = {
       count: events.length,
       events,
     };
+
+    await emitToSinks(sinks, payload, { companyCode, section: "upcoming_events", url });
+    return payload;
   } catch (err) {
     console.error(`❌ Failed to scrape:`, err?.message || err);
     return null;
   }
 }
 
+// ---------- CLI ----------
+if (require.main === module) {
+  (async () => {
+    const args = require("minimist")(process.argv.slice(2));
+    const companyCode = args._[0];
+    if (!companyCode) {
+      console.error("Usage: node upcoming_events.js <COMPANY_CODE> [--json=out.json] [--csv=out.csv] [--static]");
+      process.exit(1);
+    }
+
+    const sinks = [];
+    if (args.json) sinks.push(jsonFileSink(String(args.json)));
+    if (args.csv) sinks.push(csvFileSink(String(args.csv), (p) => toCSV(p.events)));
+
+    const payload = await getUpcomingEvents(companyCode, { usePuppeteer: !args.static, sinks });
+    await closeSharedBrowserPool();
+    if (!payload) process.exit(2);
+    console.log(JSON.stringify(payload, null, 2));
+  })();
+}
+
 // Export for programmatic use
 module.exports = {
   getUpcomingEvents,
+  extractUpcomingFromHTML,
+  interactUpcomingEvents,
 };